@@ -4,24 +4,520 @@ document.addEventListener('DOMContentLoaded', function() {
     initApp();
 });
 
+// Current version of the persisted data layout
+const SCHEMA_VERSION = 13;
+
+// Record stores and their key paths; bump DATABASE_VERSION when adding one
+const RECORD_STORES = {
+    transactions: 'id',
+    budgets: 'category',
+    accounts: 'id',
+    exchangeRates: 'id',
+    assignments: 'id',
+    goals: 'id',
+    debts: 'id',
+    netWorthItems: 'id',
+    holdings: 'id',
+    alerts: 'id'
+};
+const DATABASE_VERSION = 8;
+
+// How many alerts the notification center keeps; older ones are dropped
+const ALERT_HISTORY_LIMIT = 200;
+
+// Currencies offered in currency choices; others found in the data are added to them
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'CNY', 'INR', 'SEK', 'NOK', 'DKK', 'PLN', 'MXN', 'BRL', 'ZAR', 'KWD', 'BHD'];
+
+// Periods a budget can cover; custom budgets cover their own start and end dates
+const BUDGET_PERIODS = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+
+// Orders in which extra payments pay off debts
+const DEBT_STRATEGIES = ['snowball', 'avalanche', 'custom'];
+
+// Kinds of assets and liabilities tracked for net worth, besides accounts and debts
+const NET_WORTH_TYPES = {
+    asset: ['cash', 'property', 'vehicle', 'investment', 'other'],
+    liability: ['loan', 'mortgage', 'other']
+};
+
+// Exported record fields that hold money in minor units
+const MONEY_FIELDS = ['amount', 'total', 'budget', 'spent', 'remaining', 'income', 'expenses', 'savings', 'openingBalance', 'balance'];
+
+// Ordered migrations; each one upgrades data from the previous version to its own
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in missing collections and deep-merge settings with the defaults',
+        migrate(data) {
+            data.transactions = data.transactions || [];
+            data.budgets = data.budgets || [];
+            data.accounts = data.accounts || [];
+            // Older versions merged settings shallowly, dropping new nested defaults.
+            // These are the defaults of this version, so later migrations see the
+            // values they expect (the current defaults are merged in after loading)
+            data.settings = mergeDefaults({
+                currencySymbol: '$',
+                firstDayOfWeek: 1,
+                darkMode: false,
+                incomeCategories: ['Salary', 'Freelance', 'Investments', 'Gifts', 'Other Income'],
+                expenseCategories: ['Rent', 'Food', 'Transportation', 'Utilities', 'Entertainment', 'Healthcare', 'Education', 'Shopping', 'Other Expenses'],
+                importMappings: {},
+                notifications: {
+                    enabled: true,
+                    dailyTime: '18:00',
+                    budgetAlerts: true,
+                    largeExpenseAlerts: true,
+                    largeExpenseThreshold: 100.00
+                }
+            }, data.settings);
+        }
+    },
+    {
+        version: 2,
+        description: 'Re-key records whose timestamp IDs collide',
+        migrate(data, financePlanner) {
+            ['transactions', 'accounts'].forEach(collection => {
+                const seen = new Set();
+                data[collection].forEach(record => {
+                    if (seen.has(record.id)) {
+                        record.id = financePlanner.generateId();
+                    }
+                    seen.add(record.id);
+                });
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Backfill fields added since the first release',
+        migrate(data) {
+            data.transactions.forEach(t => {
+                if (typeof t.amount === 'string') t.amount = parseFloat(t.amount);
+                if (!t.createdAt) t.createdAt = `${t.date}T00:00:00.000Z`;
+                if (t.recurring && t.seriesId === undefined) {
+                    t.seriesId = t.id;
+                    t.occurrenceIndex = 0;
+                }
+            });
+            
+            data.accounts.forEach(a => {
+                if (typeof a.openingBalance !== 'number') a.openingBalance = parseFloat(a.openingBalance) || 0;
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Store money as integer minor units of the settings currency',
+        migrate(data) {
+            const currencies = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+            const settings = data.settings = data.settings || {};
+            const currency = settings.currency || currencies[settings.currencySymbol] || 'USD';
+            const toMinor = amount => toMinorUnits(amount, currency);
+            
+            settings.currency = currency;
+            data.transactions.forEach(t => { t.amount = toMinor(t.amount); });
+            data.budgets.forEach(b => { b.amount = toMinor(b.amount); });
+            data.accounts.forEach(a => { a.openingBalance = toMinor(a.openingBalance); });
+            
+            if (settings.notifications && settings.notifications.largeExpenseThreshold !== undefined) {
+                settings.notifications.largeExpenseThreshold = toMinor(settings.notifications.largeExpenseThreshold);
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Record the currency of every transaction and account',
+        migrate(data) {
+            data.exchangeRates = data.exchangeRates || [];
+            data.transactions.forEach(t => { t.currency = t.currency || data.settings.currency; });
+            data.accounts.forEach(a => { a.currency = a.currency || data.settings.currency; });
+        }
+    },
+    {
+        version: 6,
+        description: 'Give every budget a period and a rollover flag',
+        migrate(data) {
+            data.budgets.forEach(b => {
+                b.period = b.period || 'monthly';
+                b.rollover = Boolean(b.rollover);
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Keep a dated history of every budget',
+        migrate(data) {
+            // Budgets used to apply to every month, so their history starts with the oldest transaction
+            const months = data.transactions.map(t => t.date.slice(0, 7)).sort();
+            const from = months[0] || formatDateString(new Date()).slice(0, 7);
+            data.budgets = data.budgets.map(({ category, ...version }) => ({ category, history: [{ from, ...version }] }));
+        }
+    },
+    {
+        version: 8,
+        description: 'Add envelope assignments',
+        migrate(data) {
+            data.assignments = data.assignments || [];
+        }
+    },
+    {
+        version: 9,
+        description: 'Add savings goals',
+        migrate(data) {
+            data.goals = data.goals || [];
+        }
+    },
+    {
+        version: 10,
+        description: 'Add debts',
+        migrate(data) {
+            data.debts = data.debts || [];
+        }
+    },
+    {
+        version: 11,
+        description: 'Add assets and liabilities for net worth',
+        migrate(data) {
+            data.netWorthItems = data.netWorthItems || [];
+        }
+    },
+    {
+        version: 12,
+        description: 'Add investment holdings',
+        migrate(data) {
+            data.holdings = data.holdings || [];
+        }
+    },
+    {
+        version: 13,
+        description: 'Add the alert history of the notification center',
+        migrate(data) {
+            data.alerts = data.alerts || [];
+        }
+    }
+];
+
+// Stores planner data in IndexedDB, one record per transaction, budget and account
+class IndexedDBStorage {
+    constructor(dbName = 'financePlanner') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+    
+    // Open the database, creating the object stores and indexes on first use
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error(t('IndexedDB is not available')));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, DATABASE_VERSION);
+            
+            // Create whichever stores are missing, so every older database catches up
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(RECORD_STORES).forEach(([storeName, keyPath]) => {
+                    if (db.objectStoreNames.contains(storeName)) return;
+                    const store = db.createObjectStore(storeName, { keyPath });
+                    if (storeName === 'transactions') {
+                        store.createIndex('date', 'date');
+                        store.createIndex('category', 'category');
+                        store.createIndex('type', 'type');
+                    }
+                });
+                // Settings and bookkeeping flags, keyed by name
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Run a database transaction and resolve once it has committed
+    run(storeNames, mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            callback(tx);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    // Load all stored data
+    load() {
+        const data = {};
+        
+        return this.run([...Object.keys(RECORD_STORES), 'meta'], 'readonly', tx => {
+            Object.keys(RECORD_STORES).forEach(storeName => {
+                tx.objectStore(storeName).getAll().onsuccess = e => {
+                    data[storeName] = e.target.result;
+                };
+            });
+            tx.objectStore('meta').get('settings').onsuccess = e => {
+                data.settings = e.target.result ? e.target.result.value : null;
+            };
+            tx.objectStore('meta').get('schemaVersion').onsuccess = e => {
+                data.schemaVersion = e.target.result ? e.target.result.value : null;
+            };
+        }).then(() => data);
+    }
+    
+    // Insert or replace records in a store
+    put(storeName, records) {
+        return this.run([storeName], 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            records.forEach(record => store.put(record));
+        });
+    }
+    
+    // Delete records from a store by key
+    delete(storeName, keys) {
+        return this.run([storeName], 'readwrite', tx => {
+            const store = tx.objectStore(storeName);
+            keys.forEach(key => store.delete(key));
+        });
+    }
+    
+    // Save the settings object
+    saveSettings(settings) {
+        return this.put('meta', [{ key: 'settings', value: settings }]);
+    }
+    
+    // Replace all stored data in a single database transaction
+    replaceAll(data) {
+        return this.run([...Object.keys(RECORD_STORES), 'meta'], 'readwrite', tx => {
+            Object.keys(RECORD_STORES).forEach(storeName => {
+                const store = tx.objectStore(storeName);
+                store.clear();
+                (data[storeName] || []).forEach(record => store.put(record));
+            });
+            tx.objectStore('meta').put({ key: 'settings', value: data.settings });
+            tx.objectStore('meta').put({ key: 'schemaVersion', value: data.schemaVersion });
+        });
+    }
+    
+    // Copy data from the old localStorage keys once, then remove them to free their quota;
+    // prepare upgrades the data first, since colliding IDs would overwrite each other here
+    migrateFrom(legacyStorage, prepare) {
+        let migrated = false;
+        
+        return this.run(['meta'], 'readonly', tx => {
+            tx.objectStore('meta').get('migratedFromLocalStorage').onsuccess = e => {
+                migrated = !!e.target.result;
+            };
+        }).then(() => {
+            if (migrated || !legacyStorage.hasData()) return;
+            
+            return legacyStorage.load()
+                .then(data => {
+                    prepare(data);
+                    return this.replaceAll(data);
+                })
+                .then(() => this.put('meta', [{ key: 'migratedFromLocalStorage', value: new Date().toISOString() }]))
+                .then(() => legacyStorage.clear());
+        });
+    }
+}
+
+// Stores planner data in the original localStorage keys; used when IndexedDB is unavailable
+class LocalStorageStorage {
+    constructor() {
+        this.keys = {
+            transactions: 'financePlannerTransactions',
+            budgets: 'financePlannerBudgets',
+            accounts: 'financePlannerAccounts',
+            exchangeRates: 'financePlannerExchangeRates',
+            assignments: 'financePlannerAssignments',
+            goals: 'financePlannerGoals',
+            debts: 'financePlannerDebts',
+            netWorthItems: 'financePlannerNetWorthItems',
+            holdings: 'financePlannerHoldings',
+            alerts: 'financePlannerAlerts',
+            settings: 'financePlannerSettings',
+            schemaVersion: 'financePlannerSchemaVersion'
+        };
+        this.keyPaths = RECORD_STORES;
+    }
+    
+    // Check that localStorage can be written to
+    open() {
+        return new Promise(resolve => {
+            localStorage.setItem('financePlannerStorageTest', '1');
+            localStorage.removeItem('financePlannerStorageTest');
+            resolve(this);
+        });
+    }
+    
+    // Check whether any planner data is stored
+    hasData() {
+        try {
+            return Object.values(this.keys).some(key => localStorage.getItem(key) !== null);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    // Read one key, or null if it was never written
+    read(storeName) {
+        const saved = localStorage.getItem(this.keys[storeName]);
+        return saved ? JSON.parse(saved) : null;
+    }
+    
+    // Load all stored data
+    load() {
+        return new Promise(resolve => {
+            const data = {
+                settings: this.read('settings'),
+                schemaVersion: this.read('schemaVersion')
+            };
+            Object.keys(RECORD_STORES).forEach(storeName => {
+                data[storeName] = this.read(storeName) || [];
+            });
+            resolve(data);
+        });
+    }
+    
+    // Insert or replace records; localStorage can only rewrite the whole list
+    put(storeName, records) {
+        return new Promise(resolve => {
+            const keyPath = this.keyPaths[storeName];
+            const stored = this.read(storeName) || [];
+            
+            records.forEach(record => {
+                const index = stored.findIndex(r => r[keyPath] === record[keyPath]);
+                if (index !== -1) {
+                    stored[index] = record;
+                } else {
+                    stored.push(record);
+                }
+            });
+            
+            localStorage.setItem(this.keys[storeName], JSON.stringify(stored));
+            resolve();
+        });
+    }
+    
+    // Delete records by key
+    delete(storeName, keys) {
+        return new Promise(resolve => {
+            const keyPath = this.keyPaths[storeName];
+            const stored = (this.read(storeName) || []).filter(r => !keys.includes(r[keyPath]));
+            localStorage.setItem(this.keys[storeName], JSON.stringify(stored));
+            resolve();
+        });
+    }
+    
+    // Save the settings object
+    saveSettings(settings) {
+        return new Promise(resolve => {
+            localStorage.setItem(this.keys.settings, JSON.stringify(settings));
+            resolve();
+        });
+    }
+    
+    // Replace all stored data
+    replaceAll(data) {
+        return new Promise(resolve => {
+            Object.keys(this.keys).forEach(storeName => {
+                localStorage.setItem(this.keys[storeName], JSON.stringify(data[storeName]));
+            });
+            resolve();
+        });
+    }
+    
+    // Remove all planner keys
+    clear() {
+        Object.values(this.keys).forEach(key => localStorage.removeItem(key));
+    }
+}
+
+// Keeps data only for the current page; used when the browser allows no persistent storage
+class MemoryStorage {
+    open() { return Promise.resolve(this); }
+    load() { return Promise.resolve({ transactions: [], budgets: [], accounts: [], exchangeRates: [], assignments: [], goals: [], debts: [], netWorthItems: [], holdings: [], alerts: [], settings: null, schemaVersion: null }); }
+    put() { return Promise.resolve(); }
+    delete() { return Promise.resolve(); }
+    saveSettings() { return Promise.resolve(); }
+    replaceAll() { return Promise.resolve(); }
+}
+
 // Main application class
 class FinancePlanner {
     constructor() {
         // Initialize properties
         this.transactions = [];
         this.budgets = [];
+        this.accounts = [];
+        // Dated rates: one unit of `from` is worth `rate` units of `to`
+        this.exchangeRates = [];
+        // Envelope budgeting: money assigned to (or taken from) a category in a month
+        this.assignments = [];
+        // Savings goals; contributions are ordinary transactions
+        this.goals = [];
+        // Loans and credit cards being paid off; payments are ordinary transactions
+        this.debts = [];
+        // Assets and liabilities besides accounts, each with dated valuations in the base currency
+        this.netWorthItems = [];
+        // Investments by symbol, each with its buy and sell trades and price history in the base currency
+        this.holdings = [];
+        // Budget, large-expense, goal and reminder alerts shown in the notification center, oldest first
+        this.alerts = [];
+        // Alerts held back during a bulk change such as an import, or null
+        this.heldAlerts = null;
+        // Hypothetical transactions for the cash-flow forecast; never saved
+        this.whatIfs = [];
         this.settings = {
-            currencySymbol: '$',
+            // Base currency that budgets and reports are expressed in; every amount
+            // is stored as integer minor units of its own currency
+            currency: 'USD',
+            // Drives number and date formats and the UI language
+            locale: navigator.language || 'en-US',
             firstDayOfWeek: 1, // Monday
             darkMode: false,
             incomeCategories: ['Salary', 'Freelance', 'Investments', 'Gifts', 'Other Income'],
             expenseCategories: ['Rent', 'Food', 'Transportation', 'Utilities', 'Entertainment', 'Healthcare', 'Education', 'Shopping', 'Other Expenses'],
+            importMappings: {},
+            // Named transaction searches, name -> query
+            savedSearches: {},
+            // Ordered rules that fill in the category, payee and tags of new transactions
+            categoryRules: [],
+            // Named sets of budgets to start a month with, name -> budgets
+            budgetTemplates: {},
+            // Zero-based envelope budgeting, counting income and spending from startMonth (YYYY-MM)
+            envelopeBudgeting: {
+                enabled: false,
+                startMonth: ''
+            },
+            // How debts are paid off: the strategy, the extra paid each month on top of the
+            // minimums, and the user's own order of debt IDs for the custom strategy
+            debtPayoff: {
+                strategy: 'avalanche',
+                extraPayment: 0,
+                customOrder: []
+            },
             notifications: {
                 enabled: true,
                 dailyTime: '18:00',
                 budgetAlerts: true,
                 largeExpenseAlerts: true,
-                largeExpenseThreshold: 100.00
+                largeExpenseThreshold: 10000,
+                goalAlerts: true,
+                // Reminders of expenses due within this many days
+                billReminders: true,
+                billReminderDays: 3,
+                // Alert types that are kept in the notification center without popping up
+                muted: [],
+                // What the reminder scheduler has already raised
+                lastDailyReminder: '',
+                remindedBills: []
             }
         };
         
@@ -32,39 +528,139 @@ class FinancePlanner {
         this.expenseChart = null;
         this.categoryChart = null;
         this.categoryTrendChart = null;
+        this.debtPayoffChart = null;
+        this.forecastChart = null;
+        this.netWorthChart = null;
         
-        // Load data from localStorage
-        this.loadData();
+        // Writes go nowhere until storage has been opened
+        this.storage = new MemoryStorage();
         
-        // Apply settings
-        this.applySettings();
+        // Load data from storage; the UI waits for this before rendering
+        this.ready = this.loadData().then(() => {
+            // Materialize any recurring occurrences that came due while the app was closed
+            this.generateRecurringTransactions();
+            
+            // Apply settings
+            this.applySettings();
+        });
+    }
+    
+    // Open the best available storage: IndexedDB, then localStorage, then memory only
+    openStorage() {
+        const legacyStorage = new LocalStorageStorage();
+        
+        return new IndexedDBStorage().open()
+            .then(storage => storage.migrateFrom(legacyStorage, data => this.migrateData(data)).then(() => storage))
+            .catch(error => {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+                return legacyStorage.open();
+            })
+            .catch(error => {
+                console.warn('localStorage unavailable, data will not be saved:', error);
+                this.showAlert(t('Your browser does not allow this app to save data. Changes will be lost when the page is closed.'), { type: 'storage' });
+                return new MemoryStorage();
+            });
     }
     
-    // Load data from localStorage
+    // Load data from storage
     loadData() {
-        const savedTransactions = localStorage.getItem('financePlannerTransactions');
-        const savedBudgets = localStorage.getItem('financePlannerBudgets');
-        const savedSettings = localStorage.getItem('financePlannerSettings');
+        return this.openStorage()
+            .then(storage => {
+                this.storage = storage;
+                return storage.load();
+            })
+            .then(data => {
+                const migrated = this.migrateData(data);
+                
+                this.transactions = data.transactions;
+                this.budgets = data.budgets;
+                this.accounts = data.accounts;
+                this.exchangeRates = data.exchangeRates;
+                this.assignments = data.assignments;
+                this.goals = data.goals;
+                this.debts = data.debts;
+                this.netWorthItems = data.netWorthItems;
+                this.holdings = data.holdings;
+                // Alerts raised while opening storage come after the saved ones
+                this.alerts = [...data.alerts, ...this.alerts];
+                
+                // Merge saved settings with defaults, keeping new nested keys
+                this.settings = mergeDefaults(this.settings, data.settings);
+                
+                if (migrated) {
+                    return this.saveData();
+                }
+            });
+    }
+    
+    // Upgrade data to the current schema version; returns whether anything was migrated
+    migrateData(data) {
+        const version = data.schemaVersion || 0;
         
-        if (savedTransactions) {
-            this.transactions = JSON.parse(savedTransactions);
+        // Older code could silently damage data it does not understand
+        if (version > SCHEMA_VERSION) {
+            throw new Error(t('This data was saved by a newer version of Finance Planner (schema {version}, this app supports {supported}). Please update the app.', 
+                { version, supported: SCHEMA_VERSION }));
         }
         
-        if (savedBudgets) {
-            this.budgets = JSON.parse(savedBudgets);
-        }
+        SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > version)
+            .forEach(migration => migration.migrate(data, this));
         
-        if (savedSettings) {
-            // Merge saved settings with defaults
-            this.settings = {...this.settings, ...JSON.parse(savedSettings)};
-        }
+        data.schemaVersion = SCHEMA_VERSION;
+        return version < SCHEMA_VERSION;
     }
     
-    // Save data to localStorage
+    // Save all data at once, replacing what is stored
     saveData() {
-        localStorage.setItem('financePlannerTransactions', JSON.stringify(this.transactions));
-        localStorage.setItem('financePlannerBudgets', JSON.stringify(this.budgets));
-        localStorage.setItem('financePlannerSettings', JSON.stringify(this.settings));
+        return this.storage.replaceAll({
+            transactions: this.transactions,
+            budgets: this.budgets,
+            accounts: this.accounts,
+            exchangeRates: this.exchangeRates,
+            assignments: this.assignments,
+            goals: this.goals,
+            debts: this.debts,
+            netWorthItems: this.netWorthItems,
+            holdings: this.holdings,
+            alerts: this.alerts,
+            settings: this.settings,
+            schemaVersion: SCHEMA_VERSION
+        }).catch(error => this.handleStorageError(error));
+    }
+    
+    // Save only the given records of a store
+    saveRecords(storeName, records) {
+        if (records.length === 0) return Promise.resolve();
+        return this.storage.put(storeName, records).catch(error => this.handleStorageError(error));
+    }
+    
+    // Remove records from a store by key
+    removeRecords(storeName, keys) {
+        if (keys.length === 0) return Promise.resolve();
+        return this.storage.delete(storeName, keys).catch(error => this.handleStorageError(error));
+    }
+    
+    // Save the settings
+    saveSettings() {
+        return this.storage.saveSettings(this.settings).catch(error => this.handleStorageError(error));
+    }
+    
+    // Tell the user when a write failed; data stays in memory until the page is closed
+    handleStorageError(error) {
+        console.error('Failed to save data:', error);
+        
+        if (error && error.name === 'QuotaExceededError') {
+            this.showAlert(t('Storage is full, so recent changes were not saved. Export a backup and delete old data to free up space.'), { type: 'storage' });
+        } else {
+            this.showAlert(t('Recent changes could not be saved: {error}', { error: error ? error.message : t('unknown error') }), { type: 'storage' });
+        }
+    }
+    
+    // Generate a timestamp ID that stays unique when several records are created in the same millisecond
+    generateId() {
+        this.lastGeneratedId = Math.max(Date.now(), (this.lastGeneratedId || 0) + 1);
+        return this.lastGeneratedId.toString();
     }
     
     // Apply settings to the UI
@@ -76,20 +672,42 @@ class FinancePlanner {
             document.body.classList.remove('dark-mode');
         }
         
+        // Formats and translations follow the locale
+        setLocale(this.settings.locale);
+        
         // Update currency symbol in displays
         document.querySelectorAll('.currency-symbol').forEach(el => {
-            el.textContent = this.settings.currencySymbol;
+            el.textContent = getCurrencySymbol(this.settings.currency);
+        });
+        
+        // Let amount inputs accept exactly the currency's minor unit
+        const step = (1 / 10 ** getCurrencyDecimals(this.settings.currency)).toString();
+        document.querySelectorAll('.money-input').forEach(el => {
+            el.step = step;
         });
     }
     
     // Add a new transaction
     addTransaction(transaction) {
         // Generate a unique ID for the transaction
-        transaction.id = Date.now().toString();
+        transaction.id = this.generateId();
         transaction.createdAt = new Date().toISOString();
+        transaction.currency = transaction.currency || this.settings.currency;
+        
+        // Rules fill in what was left out; anything still uncategorized falls back to "Other"
+        Object.assign(transaction, this.getRuleUpdates(transaction));
+        if (transaction.type !== 'transfer' && !transaction.splits && !transaction.category) {
+            transaction.category = this.getFallbackCategory(transaction.type);
+        }
+        
+        // A recurring transaction is the first occurrence of its own series
+        if (transaction.recurring) {
+            transaction.seriesId = transaction.id;
+            transaction.occurrenceIndex = 0;
+        }
         
         this.transactions.push(transaction);
-        this.saveData();
+        this.saveRecords('transactions', [transaction]);
         
         // Check for budget alerts if this is an expense
         if (transaction.type === 'expense' && this.settings.notifications.budgetAlerts) {
@@ -98,681 +716,6583 @@ class FinancePlanner {
         
         // Check for large expense alerts
         if (transaction.type === 'expense' && 
-            transaction.amount >= this.settings.notifications.largeExpenseThreshold && 
+            this.getBaseAmount(transaction) >= this.settings.notifications.largeExpenseThreshold && 
             this.settings.notifications.largeExpenseAlerts) {
-            this.showAlert(`Large expense recorded: ${this.formatCurrency(transaction.amount)} for ${transaction.category}`);
+            this.showAlert(t('Large expense recorded: {amount} for {category}', 
+                { amount: this.formatCurrency(transaction.amount, transaction.currency), category: this.getCategoryLabel(transaction) }), 
+                { type: 'large-expense', link: { view: 'transaction', id: transaction.id } });
+        }
+        
+        // Catch up on occurrences if the series started in the past
+        if (transaction.recurring) {
+            this.generateRecurringTransactions();
         }
         
         return transaction;
     }
     
-    // Check for budget alerts
+    // Generate occurrences of recurring transactions that are due up to the given date
+    generateRecurringTransactions(upTo = new Date()) {
+        const limit = formatDateString(upTo);
+        const generated = [];
+        const upgradedMasters = [];
+        
+        // Only the first occurrence of a series carries the recurring rule
+        const seriesMasters = this.transactions.filter(t => t.recurring);
+        
+        seriesMasters.forEach(master => {
+            // Older data stored the rule without series information
+            if (master.seriesId === undefined) {
+                master.seriesId = master.id;
+                master.occurrenceIndex = 0;
+                upgradedMasters.push(master);
+            }
+            
+            const { frequency, endDate, iterations, skipped = [], offset = 0 } = master.recurring;
+            const { startDate, template } = this.getSeriesRule(master);
+            const existing = new Set(this.transactions
+                .filter(t => t.seriesId === master.seriesId)
+                .map(t => t.occurrenceIndex));
+            
+            for (let i = 1; !iterations || i < iterations; i++) {
+                const date = getOccurrenceDate(startDate, frequency, offset + i);
+                if (date > limit || (endDate && date > endDate)) break;
+                if (existing.has(i) || skipped.includes(i)) continue;
+                
+                const occurrence = {
+                    ...template,
+                    date,
+                    id: `${master.seriesId}-${i}`,
+                    seriesId: master.seriesId,
+                    occurrenceIndex: i,
+                    createdAt: new Date().toISOString()
+                };
+                
+                this.transactions.push(occurrence);
+                generated.push(occurrence);
+            }
+        });
+        
+        this.saveRecords('transactions', [...upgradedMasters, ...generated]);
+        
+        return generated;
+    }
+    
+    // Get the occurrence that carries the rule of the series a transaction belongs to: the first
+    // one, or the earliest one left after the first was deleted
+    getSeriesMaster(transaction) {
+        if (!transaction.seriesId) return null;
+        return this.transactions.find(t => t.seriesId === transaction.seriesId && t.recurring) || null;
+    }
+    
+    // Get the date a series counts its occurrences from and the fields they copy. Both are those of
+    // the first occurrence until it is edited alone or deleted; from then on the rule keeps them. A
+    // series split off another keeps counting from that one's start date, an offset further on
+    getSeriesRule(master) {
+        const { id, createdAt, recurring, seriesId, occurrenceIndex, ...fields } = master;
+        return {
+            startDate: recurring.startDate || master.date,
+            template: recurring.template || fields
+        };
+    }
+    
+    // Keep the series of a first occurrence going as it is before that occurrence changes on its own
+    freezeSeriesRule(master) {
+        if (master.recurring.template) return;
+        master.recurring = { ...master.recurring, ...this.getSeriesRule(master) };
+    }
+    
+    // Get the category lines of a transaction: its splits, or its whole amount in its one category
+    getCategoryLines(transaction) {
+        return transaction.splits && transaction.splits.length > 0
+            ? transaction.splits
+            : [{ category: transaction.category, amount: transaction.amount }];
+    }
+    
+    // Get the categories of a transaction for display, e.g. "Food, Household" for a split
+    getCategoryLabel(transaction) {
+        return this.getCategoryLines(transaction).map(line => line.category).join(', ');
+    }
+    
+    // Check that split lines each have a category and a positive amount, and add up to the total
+    isValidSplit(amount, splits) {
+        return Array.isArray(splits) && splits.length >= 2 &&
+            splits.every(line => line && line.category && Number.isInteger(line.amount) && line.amount > 0) &&
+            splits.reduce((sum, line) => sum + line.amount, 0) === amount;
+    }
+    
+    // Total transactions in the base currency, keyed by category (split lines separately), payee or tag.
+    // A transaction counts in full towards each of its tags; '' collects those without a payee or tag
+    sumByGroup(transactions, groupBy = 'category') {
+        const groups = {};
+        const add = (key, amount) => {
+            groups[key] = (groups[key] || 0) + amount;
+        };
+        
+        transactions.forEach(transaction => {
+            if (groupBy === 'category') {
+                this.getCategoryLines(transaction).forEach(line => {
+                    add(line.category, this.convertAmount(line.amount, transaction.currency, this.settings.currency, transaction.date) || 0);
+                });
+            } else if (groupBy === 'payee') {
+                add(transaction.payee || '', this.getBaseAmount(transaction));
+            } else {
+                const tags = transaction.tags && transaction.tags.length > 0 ? transaction.tags : [''];
+                tags.forEach(tag => add(tag, this.getBaseAmount(transaction)));
+            }
+        });
+        
+        return groups;
+    }
+    
+    // List the payees used so far, most frequent first
+    getPayees() {
+        const counts = {};
+        this.transactions.forEach(t => {
+            if (t.payee) counts[t.payee] = (counts[t.payee] || 0) + 1;
+        });
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+    }
+    
+    // List the tags used so far, alphabetically
+    getTags() {
+        return [...new Set(this.transactions.flatMap(t => t.tags || []))].sort();
+    }
+    
+    // Check for budget alerts in the budget period the transaction falls in
     checkBudgetAlerts(transaction) {
-        const budget = this.budgets.find(b => b.category === transaction.category);
-        if (!budget) return;
+        const date = parseDateString(transaction.date);
+        
+        // A split transaction can touch several budgets
+        const categories = new Set(this.getCategoryLines(transaction).map(line => line.category));
+        
+        // Envelopes cannot go below zero without being covered from another one
+        const { enabled, startMonth } = this.settings.envelopeBudgeting;
+        if (enabled) {
+            const month = transaction.date.slice(0, 7);
+            if (month < startMonth) return;
+            
+            const envelopes = this.getEnvelopeSummary(month);
+            envelopes.filter(e => categories.has(e.category) && e.available < 0).forEach(e => {
+                this.showAlert(t('The {category} envelope is overspent by {amount}. Cover it with money from another envelope.', 
+                    { category: e.category, amount: this.formatCurrency(-e.available) }), 
+                    { type: 'budget', link: { view: 'budget', category: e.category, month } });
+            });
+            return;
+        }
+        
+        categories.forEach(category => {
+            const budget = this.getBudgetAt(category, date);
+            if (!budget) return;
+            
+            // Amounts carried over from earlier periods raise or lower the limit
+            const { spent, carried } = this.getBudgetStatus(budget, date);
+            const limit = budget.amount + carried;
+            const values = { 
+                category, 
+                spent: this.formatCurrency(spent), 
+                budget: this.formatCurrency(limit) 
+            };
+            const options = { type: 'budget', link: { view: 'budget', category, month: transaction.date.slice(0, 7) } };
+            if (spent > limit) {
+                this.showAlert(t("Budget exceeded for {category}! You've spent {spent} of your {budget} budget.", values), options);
+            } else if (spent >= limit * 0.9) {
+                this.showAlert(t("Approaching budget limit for {category}. You've spent {spent} of your {budget} budget.", values), options);
+            }
+        });
+    }
+    
+    // Keep an alert in the notification center and announce it through onAlert, which the UI sets,
+    // unless its type is muted. The link points at what the alert is about, e.g. { view: 'transaction', id }
+    showAlert(message, { type = 'general', title = '', link = null } = {}) {
+        if (this.heldAlerts) {
+            this.heldAlerts.push({ message, type, title, link });
+            return null;
+        }
+        
+        const muted = this.settings.notifications.muted.includes(type);
+        const record = {
+            id: this.generateId(),
+            type,
+            title,
+            message,
+            link,
+            read: muted,
+            createdAt: new Date().toISOString()
+        };
+        this.alerts.push(record);
         
-        const monthlyExpenses = this.getMonthlyExpensesByCategory(new Date(transaction.date).getMonth(), new Date(transaction.date).getFullYear());
-        const categoryExpenses = monthlyExpenses.find(e => e.category === transaction.category)?.total || 0;
+        // Storage problems cannot be saved; saving them would only fail again
+        if (type !== 'storage') {
+            const dropped = this.alerts.length > ALERT_HISTORY_LIMIT 
+                ? this.alerts.splice(0, this.alerts.length - ALERT_HISTORY_LIMIT) 
+                : [];
+            this.saveRecords('alerts', [record]);
+            this.removeRecords('alerts', dropped.map(a => a.id));
+        }
+        
+        if (!muted && this.onAlert) {
+            this.onAlert(record);
+        }
+        return record;
+    }
+    
+    // Hold back alerts during a bulk change, such as an import, that would raise one per transaction
+    holdAlerts() {
+        this.heldAlerts = [];
+    }
+    
+    // Raise the alerts held back since holdAlerts, summed up: only the latest alert per budget
+    // counts, and several large expenses become one alert
+    releaseAlerts() {
+        const held = this.heldAlerts || [];
+        this.heldAlerts = null;
+        
+        const latest = new Map();
+        held.forEach(alert => {
+            const key = alert.type === 'budget' ? `budget|${alert.link.category}` : `${alert.type}|${alert.message}`;
+            latest.delete(key);
+            latest.set(key, alert);
+        });
+        const alerts = [...latest.values()];
         
-        if (categoryExpenses > budget.amount) {
-            this.showAlert(`Budget exceeded for ${transaction.category}! You've spent ${this.formatCurrency(categoryExpenses)} of your ${this.formatCurrency(budget.amount)} budget.`);
-        } else if (categoryExpenses >= budget.amount * 0.9) {
-            this.showAlert(`Approaching budget limit for ${transaction.category}. You've spent ${this.formatCurrency(categoryExpenses)} of your ${this.formatCurrency(budget.amount)} budget.`);
+        const largeExpenses = alerts.filter(alert => alert.type === 'large-expense');
+        alerts.filter(alert => largeExpenses.length < 2 || alert.type !== 'large-expense')
+            .forEach(({ message, ...options }) => this.showAlert(message, options));
+        if (largeExpenses.length > 1) {
+            this.showAlert(t('{count} large expenses were recorded at once. Check them in the transactions list.', 
+                { count: largeExpenses.length }), { type: 'large-expense', link: { view: 'transactions' } });
         }
     }
     
-    // Show an alert notification
-    showAlert(message) {
-        // In a real app, you might use a more sophisticated notification system
-        alert(message);
+    // Count the alerts not read yet
+    getUnreadAlertCount() {
+        return this.alerts.filter(a => !a.read).length;
+    }
+    
+    // Mark one alert, or all of them without an ID, as read
+    markAlertsRead(id) {
+        const marked = this.alerts.filter(a => !a.read && (!id || a.id === id));
+        marked.forEach(a => { a.read = true; });
+        this.saveRecords('alerts', marked.filter(a => a.type !== 'storage'));
+        return marked.length;
+    }
+    
+    // Empty the alert history
+    clearAlerts() {
+        const ids = this.alerts.map(a => a.id);
+        this.alerts = [];
+        this.removeRecords('alerts', ids);
     }
     
     // Update a transaction
     updateTransaction(id, updates) {
         const index = this.transactions.findIndex(t => t.id === id);
         if (index !== -1) {
+            // Editing the first occurrence alone leaves the rest of its series as it was
+            if (this.transactions[index].recurring && !('recurring' in updates)) {
+                this.freezeSeriesRule(this.transactions[index]);
+            }
             this.transactions[index] = {...this.transactions[index], ...updates};
-            this.saveData();
+            this.saveRecords('transactions', [this.transactions[index]]);
             return true;
         }
         return false;
     }
     
+    // Update a recurring occurrence and every occurrence after it
+    updateRecurringSeries(id, updates) {
+        const transaction = this.transactions.find(t => t.id === id);
+        if (!transaction || !transaction.seriesId) return false;
+        
+        const seriesId = transaction.seriesId;
+        const occurrenceIndex = transaction.occurrenceIndex;
+        const master = this.getSeriesMaster(transaction);
+        const originalDate = transaction.date;
+        
+        // Where the original series counts from, so the new one keeps its day of the month
+        // (e.g. the 31st) rather than that of a shorter month it was split off in
+        const anchor = master && {
+            startDate: this.getSeriesRule(master).startDate,
+            frequency: master.recurring.frequency,
+            offset: (master.recurring.offset || 0) + occurrenceIndex
+        };
+        
+        // Drop later occurrences; they are regenerated from the new rule
+        const isLater = t => t.seriesId === seriesId && t.occurrenceIndex > occurrenceIndex;
+        this.removeRecords('transactions', this.transactions.filter(isLater).map(t => t.id));
+        this.transactions = this.transactions.filter(t => !isLater(t));
+        
+        // End the original series just before this occurrence
+        if (master && master !== transaction) {
+            master.recurring = {...master.recurring, iterations: occurrenceIndex};
+        }
+        
+        const { recurring, ...fields } = updates;
+        Object.assign(transaction, fields);
+        
+        // This occurrence starts a new series, or becomes a one-off if recurrence was removed
+        if (recurring) {
+            const keepsSchedule = anchor && recurring.frequency === anchor.frequency && transaction.date === originalDate;
+            transaction.recurring = keepsSchedule
+                ? { ...recurring, startDate: anchor.startDate, offset: anchor.offset }
+                : recurring;
+            transaction.seriesId = transaction.id;
+            transaction.occurrenceIndex = 0;
+        } else {
+            delete transaction.recurring;
+            delete transaction.seriesId;
+            delete transaction.occurrenceIndex;
+        }
+        
+        this.saveRecords('transactions', master && master !== transaction ? [master, transaction] : [transaction]);
+        this.generateRecurringTransactions();
+        return true;
+    }
+    
     // Delete a transaction
     deleteTransaction(id) {
         const index = this.transactions.findIndex(t => t.id === id);
         if (index !== -1) {
+            const transaction = this.transactions[index];
+            
+            // Remember deleted occurrences so the series does not regenerate them
+            const master = this.getSeriesMaster(transaction);
+            if (master && master !== transaction) {
+                master.recurring.skipped = [...(master.recurring.skipped || []), transaction.occurrenceIndex];
+                this.saveRecords('transactions', [master]);
+            } else if (master) {
+                // The earliest occurrence left takes over the rule; without one the series ends
+                const next = this.transactions
+                    .filter(t => t.seriesId === master.seriesId && t !== master)
+                    .sort((a, b) => a.occurrenceIndex - b.occurrenceIndex)[0];
+                if (next) {
+                    this.freezeSeriesRule(master);
+                    next.recurring = { 
+                        ...master.recurring, 
+                        skipped: [...(master.recurring.skipped || []), master.occurrenceIndex] 
+                    };
+                    this.saveRecords('transactions', [next]);
+                }
+            }
+            
             this.transactions.splice(index, 1);
-            this.saveData();
+            this.removeRecords('transactions', [id]);
             return true;
         }
         return false;
     }
     
-    // Add or update a budget
-    setBudget(category, amount) {
-        const existingIndex = this.budgets.findIndex(b => b.category === category);
+    // Add a new account
+    addAccount(account) {
+        account.id = this.generateId();
+        account.createdAt = new Date().toISOString();
+        account.currency = account.currency || this.settings.currency;
         
-        if (existingIndex !== -1) {
-            this.budgets[existingIndex].amount = amount;
-        } else {
-            this.budgets.push({ category, amount });
-        }
-        
-        this.saveData();
+        this.accounts.push(account);
+        this.saveRecords('accounts', [account]);
+        return account;
     }
     
-    // Delete a budget
-    deleteBudget(category) {
-        const index = this.budgets.findIndex(b => b.category === category);
+    // Update an account
+    updateAccount(id, updates) {
+        const index = this.accounts.findIndex(a => a.id === id);
         if (index !== -1) {
-            this.budgets.splice(index, 1);
-            this.saveData();
+            this.accounts[index] = {...this.accounts[index], ...updates};
+            this.saveRecords('accounts', [this.accounts[index]]);
             return true;
         }
         return false;
     }
     
-    // Get transactions filtered by various criteria
-    getTransactions(filter = {}) {
-        let filtered = [...this.transactions];
-        
-        // Filter by month and year if specified
-        if (filter.month !== undefined && filter.year !== undefined) {
-            filtered = filtered.filter(t => {
-                const date = new Date(t.date);
-                return date.getMonth() === filter.month && date.getFullYear() === filter.year;
-            });
-        } else if (filter.year !== undefined) {
-            filtered = filtered.filter(t => new Date(t.date).getFullYear() === filter.year);
+    // Delete an account that no transaction refers to
+    deleteAccount(id) {
+        if (this.transactions.some(t => t.accountId === id || t.toAccountId === id)) {
+            return false;
         }
         
-        // Filter by type if specified
-        if (filter.type) {
-            filtered = filtered.filter(t => t.type === filter.type);
+        const index = this.accounts.findIndex(a => a.id === id);
+        if (index !== -1) {
+            this.accounts.splice(index, 1);
+            this.removeRecords('accounts', [id]);
+            return true;
         }
+        return false;
+    }
+    
+    // Get the display name of an account
+    getAccountName(id) {
+        const account = this.accounts.find(a => a.id === id);
+        return account ? account.name : 'No account';
+    }
+    
+    // Get the signed amount, in the account's currency, that a transaction adds to its balance
+    getAccountEffect(transaction, accountId) {
+        const account = this.accounts.find(a => a.id === accountId);
+        const currency = account && account.currency ? account.currency : this.settings.currency;
+        const amount = this.convertAmount(transaction.amount, transaction.currency, currency, transaction.date) || 0;
         
-        // Filter by category if specified
-        if (filter.category && filter.category !== 'all') {
-            filtered = filtered.filter(t => t.category === filter.category);
+        if (transaction.type === 'transfer') {
+            if (transaction.accountId === accountId) return -amount;
+            if (transaction.toAccountId === accountId) return amount;
+            return 0;
         }
         
-        // Filter by date range if specified
-        if (filter.startDate && filter.endDate) {
-            filtered = filtered.filter(t => {
-                const date = new Date(t.date);
-                return date >= new Date(filter.startDate) && date <= new Date(filter.endDate);
-            });
-        }
+        if (transaction.accountId !== accountId) return 0;
+        return transaction.type === 'income' ? amount : -amount;
+    }
+    
+    // Get an account's transactions (oldest first) with the running balance after each
+    getAccountRegister(accountId) {
+        const account = this.accounts.find(a => a.id === accountId);
+        if (!account) return [];
         
-        // Sort by date (newest first)
-        filtered.sort((a, b) => new Date(b.date) - new Date(a.date));
+        let balance = account.openingBalance;
         
-        return filtered;
+        return this.transactions
+            .filter(t => t.accountId === accountId || t.toAccountId === accountId)
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .map(transaction => {
+                const amount = this.getAccountEffect(transaction, accountId);
+                balance += amount;
+                return { transaction, amount, balance };
+            });
     }
     
-    // Get summary data for the dashboard
-    getSummary() {
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
+    // Get the current balance of an account, or its balance at the end of a date (YYYY-MM-DD)
+    getAccountBalance(accountId, date) {
+        const register = this.getAccountRegister(accountId).filter(entry => !date || entry.transaction.date <= date);
+        if (register.length > 0) return register[register.length - 1].balance;
         
-        // Get current month transactions
-        const monthlyTransactions = this.getTransactions({ month: currentMonth, year: currentYear });
+        const account = this.accounts.find(a => a.id === accountId);
+        return account ? account.openingBalance : 0;
+    }
+    
+    // Get all accounts with their current balances, or their balances at the end of a date
+    // (YYYY-MM-DD), in their own and in the base currency
+    getAccountsSummary(date) {
+        return this.accounts.map(account => {
+            const balance = this.getAccountBalance(account.id, date);
+            return {
+                ...account,
+                balance,
+                baseBalance: this.convertAmount(balance, account.currency, this.settings.currency, date)
+            };
+        });
+    }
+    
+    // Add an asset or liability with its first valuation
+    addNetWorthItem({ value, date = formatDateString(new Date()), ...item }) {
+        item.id = this.generateId();
+        item.createdAt = new Date().toISOString();
+        item.valuations = [{ date, value }];
         
-        // Calculate totals
-        const income = monthlyTransactions
-            .filter(t => t.type === 'income')
-            .reduce((sum, t) => sum + t.amount, 0);
-            
-        const expenses = monthlyTransactions
-            .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + t.amount, 0);
-            
-        const balance = income - expenses;
+        this.netWorthItems.push(item);
+        this.saveRecords('netWorthItems', [item]);
+        return item;
+    }
+    
+    // Delete an asset or liability with all its valuations
+    deleteNetWorthItem(id) {
+        const index = this.netWorthItems.findIndex(i => i.id === id);
+        if (index === -1) return false;
         
-        // Get recent transactions (last 5)
-        const recentTransactions = [...this.transactions]
-            .sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 5);
-            
-        // Get expenses by category for the chart
-        const expensesByCategory = this.getMonthlyExpensesByCategory(currentMonth, currentYear);
+        this.netWorthItems.splice(index, 1);
+        this.removeRecords('netWorthItems', [id]);
+        return true;
+    }
+    
+    // Record what an asset or liability is worth on a date, replacing a valuation of the same date
+    addValuation(id, date, value) {
+        const item = this.netWorthItems.find(i => i.id === id);
+        if (!item) return false;
         
-        return {
-            income,
-            expenses,
-            balance,
-            recentTransactions,
-            expensesByCategory
-        };
+        item.valuations = [...item.valuations.filter(v => v.date !== date), { date, value }]
+            .sort((a, b) => a.date.localeCompare(b.date));
+        this.saveRecords('netWorthItems', [item]);
+        return true;
     }
     
-    // Get monthly expenses grouped by category
-    getMonthlyExpensesByCategory(month, year) {
-        const monthlyExpenses = this.getTransactions({ 
-            month, 
-            year, 
-            type: 'expense' 
+    // Delete a valuation; an item keeps at least one
+    deleteValuation(id, date) {
+        const item = this.netWorthItems.find(i => i.id === id);
+        if (!item || item.valuations.length <= 1) return false;
+        
+        item.valuations = item.valuations.filter(v => v.date !== date);
+        this.saveRecords('netWorthItems', [item]);
+        return true;
+    }
+    
+    // Get the latest valuation of an item on or before a date (YYYY-MM-DD), or null before the first
+    getValuationAt(item, date) {
+        const valuations = item.valuations.filter(v => v.date <= date);
+        return valuations.length > 0 ? valuations[valuations.length - 1] : null;
+    }
+    
+    // Get what is owned and owed on a date, in the base currency. Account balances are included
+    // on their own, as assets or as liabilities when they are negative, and so are investment
+    // holdings at their market value and debts that are not paid through an account (those
+    // already show in the account's balance)
+    getNetWorth(date = new Date()) {
+        const day = formatDateString(date);
+        const lines = [];
+        
+        this.accounts.forEach(account => {
+            const balance = this.getAccountBalance(account.id, day);
+            const value = this.convertAmount(balance, account.currency, this.settings.currency, day) || 0;
+            lines.push({ source: 'account', id: account.id, name: account.name, type: account.type, 
+                kind: value < 0 ? 'liability' : 'asset', value: Math.abs(value) });
+        });
+        
+        this.netWorthItems.forEach(item => {
+            const valuation = this.getValuationAt(item, day);
+            if (!valuation) return;
+            lines.push({ source: 'item', id: item.id, name: item.name, type: item.type, kind: item.kind, 
+                value: valuation.value, valuedOn: valuation.date });
         });
         
-        const categoryMap = {};
+        this.holdings.forEach(holding => {
+            const status = this.getHoldingStatus(holding, parseDateString(day));
+            if (status.quantity <= 0) return;
+            lines.push({ source: 'holding', id: holding.id, name: holding.name || holding.symbol, type: 'investment', 
+                kind: 'asset', value: status.marketValue, valuedOn: status.priceDate });
+        });
         
-        monthlyExpenses.forEach(transaction => {
-            if (!categoryMap[transaction.category]) {
-                categoryMap[transaction.category] = 0;
+        this.debts.filter(debt => !debt.accountId && debt.startDate <= day).forEach(debt => {
+            const { balance } = this.getDebtStatus(debt, parseDateString(day));
+            if (balance > 0) {
+                lines.push({ source: 'debt', id: debt.id, name: debt.name, type: 'debt', kind: 'liability', value: balance });
             }
-            categoryMap[transaction.category] += transaction.amount;
         });
         
-        return Object.entries(categoryMap).map(([category, total]) => ({
-            category,
-            total
-        })).sort((a, b) => b.total - a.total);
+        const total = kind => lines.filter(line => line.kind === kind).reduce((sum, line) => sum + line.value, 0);
+        const assets = total('asset');
+        const liabilities = total('liability');
+        
+        return { date: day, assets, liabilities, netWorth: assets - liabilities, lines };
     }
     
-    // Get budget summary
-    getBudgetSummary(month, year) {
-        const expensesByCategory = this.getMonthlyExpensesByCategory(month, year);
+    // Get net worth at the end of every month since the first transaction or valuation, and today
+    getNetWorthHistory(date = new Date()) {
+        const today = formatDateString(date);
+        const firstDates = [
+            ...this.transactions.map(t => t.date),
+            ...this.netWorthItems.map(i => i.valuations[0].date),
+            ...this.holdings.flatMap(h => h.trades.map(trade => trade.date)),
+            ...this.accounts.map(a => (a.createdAt || '').slice(0, 10))
+        ].filter(d => d && d <= today).sort();
+        if (firstDates.length === 0) return [this.getNetWorth(date)];
         
-        return this.budgets.map(budget => {
-            const spent = expensesByCategory.find(e => e.category === budget.category)?.total || 0;
-            return {
-                category: budget.category,
-                budget: budget.amount,
-                spent,
-                remaining: budget.amount - spent
-            };
-        });
+        const history = [];
+        for (let month = parseDateString(`${firstDates[0].slice(0, 7)}-01`); formatDateString(month) <= today; month = addMonths(month, 1)) {
+            const monthEnd = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+            history.push(this.getNetWorth(monthEnd < date ? monthEnd : date));
+        }
+        return history;
     }
     
-    // Get monthly summaries for all months with data
-    getMonthlySummaries() {
-        if (this.transactions.length === 0) return [];
+    // Add an investment holding; trades and prices are recorded on it later
+    addHolding({ symbol, name = '' }) {
+        symbol = symbol.trim().toUpperCase();
+        if (this.holdings.some(h => h.symbol === symbol)) {
+            throw new Error(t('You already have a holding for {symbol}', { symbol }));
+        }
         
-        // Get all unique month/year combinations
-        const monthYears = {};
-        this.transactions.forEach(t => {
-            const date = new Date(t.date);
-            const key = `${date.getFullYear()}-${date.getMonth()}`;
-            monthYears[key] = { year: date.getFullYear(), month: date.getMonth() };
-        });
+        const holding = {
+            id: this.generateId(),
+            symbol,
+            name: name.trim(),
+            trades: [],
+            prices: [],
+            createdAt: new Date().toISOString()
+        };
         
-        // Calculate summary for each month
-        return Object.values(monthYears)
-            .map(({ year, month }) => {
-                const transactions = this.getTransactions({ month, year });
-                
-                const income = transactions
-                    .filter(t => t.type === 'income')
-                    .reduce((sum, t) => sum + t.amount, 0);
-                    
-                const expenses = transactions
-                    .filter(t => t.type === 'expense')
-                    .reduce((sum, t) => sum + t.amount, 0);
-                    
-                return {
-                    year,
-                    month,
-                    income,
-                    expenses,
-                    savings: income - expenses,
-                    transactionCount: transactions.length
-                };
-            })
-            .sort((a, b) => {
-                // Sort by year and month (newest first)
-                if (a.year !== b.year) return b.year - a.year;
-                return b.month - a.month;
-            });
+        this.holdings.push(holding);
+        this.saveRecords('holdings', [holding]);
+        return holding;
     }
     
-    // Get category analysis data
-    getCategoryAnalysis(type, period) {
-        let transactions = [];
-        const now = new Date();
+    // Delete a holding with its trades and price history
+    deleteHolding(id) {
+        const index = this.holdings.findIndex(h => h.id === id);
+        if (index === -1) return false;
         
-        // Determine date range based on period
-        switch (period) {
-            case 'current':
-                transactions = this.getTransactions({ 
-                    month: now.getMonth(), 
-                    year: now.getFullYear(), 
-                    type 
-                });
-                break;
-            case 'last-3':
-                transactions = this.getLastNMonthsTransactions(3, type);
-                break;
-            case 'last-6':
-                transactions = this.getLastNMonthsTransactions(6, type);
-                break;
-            case 'last-12':
-                transactions = this.getLastNMonthsTransactions(12, type);
-                break;
-            case 'all':
-                transactions = this.getTransactions({ type });
-                break;
+        this.holdings.splice(index, 1);
+        this.removeRecords('holdings', [id]);
+        return true;
+    }
+    
+    // Record a buy or a sell. A sell uses the oldest lots first unless it names the lots it sells
+    // from as [{ lotId, quantity }]; throws when more is sold than is held
+    addTrade(id, { type, date, quantity, price, fees = 0, lots }) {
+        const holding = this.holdings.find(h => h.id === id);
+        if (!holding) return null;
+        
+        if (!['buy', 'sell'].includes(type) || !date || !(quantity > 0) || !(price >= 0) || !(fees >= 0)) {
+            throw new Error(t('Please enter a date, a positive quantity and a price.'));
         }
         
-        // Group by category
-        const categoryMap = {};
-        transactions.forEach(t => {
-            if (!categoryMap[t.category]) {
-                categoryMap[t.category] = 0;
+        const trade = { id: this.generateId(), type, date, quantity: roundQuantity(quantity), price: roundPrice(price), fees };
+        if (type === 'sell' && lots && lots.length > 0) {
+            trade.lots = lots.map(lot => ({ lotId: lot.lotId, quantity: roundQuantity(lot.quantity) }));
+            if (roundQuantity(trade.lots.reduce((sum, lot) => sum + lot.quantity, 0)) !== trade.quantity) {
+                throw new Error(t('The quantities sold from each lot must add up to the quantity sold'));
             }
-            categoryMap[t.category] += t.amount;
-        });
+        }
         
-        // Convert to array and sort
-        const categories = Object.entries(categoryMap)
-            .map(([category, total]) => ({ category, total }))
-            .sort((a, b) => b.total - a.total);
-            
-        // Calculate total for percentages
-        const grandTotal = categories.reduce((sum, c) => sum + c.total, 0);
+        // Replaying the trades throws if this one sells more than is held
+        const trades = [...holding.trades, trade].sort((a, b) => a.date.localeCompare(b.date));
+        this.getHoldingLots({ ...holding, trades });
         
-        // Add percentage to each category
-        categories.forEach(c => {
-            c.percentage = grandTotal > 0 ? (c.total / grandTotal) * 100 : 0;
-        });
+        holding.trades = trades;
+        this.saveRecords('holdings', [holding]);
+        return trade;
+    }
+    
+    // Delete a trade; throws when a later sell would then sell more than is held
+    deleteTrade(id, tradeId) {
+        const holding = this.holdings.find(h => h.id === id);
+        if (!holding) return false;
         
-        return {
-            categories,
-            grandTotal,
-            period,
-            type
-        };
+        const trades = holding.trades.filter(trade => trade.id !== tradeId);
+        this.getHoldingLots({ ...holding, trades });
+        
+        holding.trades = trades;
+        this.saveRecords('holdings', [holding]);
+        return true;
     }
     
-    // Get transactions for the last N months
-    getLastNMonthsTransactions(n, type) {
-        const now = new Date();
-        let result = [];
+    // Record the price of one unit of a holding on a date, replacing a price of the same date
+    setHoldingPrice(id, date, price) {
+        const holding = this.holdings.find(h => h.id === id);
+        if (!holding) return false;
         
-        for (let i = 0; i < n; i++) {
-            const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-            const monthTransactions = this.getTransactions({ 
-                month: date.getMonth(), 
-                year: date.getFullYear(), 
-                type 
-            });
-            result = result.concat(monthTransactions);
-        }
+        holding.prices = [...holding.prices.filter(p => p.date !== date), { date, price: roundPrice(price) }]
+            .sort((a, b) => a.date.localeCompare(b.date));
+        this.saveRecords('holdings', [holding]);
+        return true;
+    }
+    
+    // Delete a recorded price
+    deleteHoldingPrice(id, date) {
+        const holding = this.holdings.find(h => h.id === id);
+        if (!holding) return false;
+        
+        holding.prices = holding.prices.filter(p => p.date !== date);
+        this.saveRecords('holdings', [holding]);
+        return true;
+    }
+    
+    // Import prices from CSV rows of date, symbol and price; symbols must match a holding
+    importHoldingPrices(content) {
+        const result = { imported: [], skipped: [] };
+        
+        this.parseCSV(content).forEach((row, index) => {
+            const skip = reason => result.skipped.push({ row: index + 1, reason });
+            const [dateValue, symbol = '', priceValue] = row.map(f => f.trim());
+            
+            // A header row has no date in its first column
+            if (index === 0 && !this.parseImportedDate(dateValue, 'YYYY-MM-DD')) return;
+            
+            const date = this.parseImportedDate(dateValue, 'YYYY-MM-DD');
+            const holding = this.holdings.find(h => h.symbol === symbol.toUpperCase());
+            const price = this.toMinorUnitPrice(priceValue);
+            
+            if (!date) return skip('Invalid or missing date');
+            if (!holding) return skip('No holding with this symbol');
+            if (!(price >= 0) || priceValue === '') return skip('Invalid or missing price');
+            
+            this.setHoldingPrice(holding.id, date, price);
+            result.imported.push({ holdingId: holding.id, date, price });
+        });
         
         return result;
     }
     
-    // Get category trend data
-    getCategoryTrends(category, type) {
-        const now = new Date();
-        const trendData = [];
+    // Get the price of a holding on a date (YYYY-MM-DD): the latest recorded price, or the latest
+    // trade price when that is more recent; null before the first of either
+    getHoldingPriceAt(holding, date) {
+        const quotes = [
+            ...holding.prices,
+            ...holding.trades.map(trade => ({ date: trade.date, price: trade.price }))
+        ].filter(q => q.date <= date).sort((a, b) => a.date.localeCompare(b.date));
+        return quotes.length > 0 ? quotes[quotes.length - 1] : null;
+    }
+    
+    // Replay the trades of a holding up to a date (YYYY-MM-DD) into tax lots and realized sales.
+    // Every buy opens a lot whose cost includes its fees; sells are split over the lots they close
+    // with their proceeds net of fees. Throws when a sell takes more than a lot or the holding has
+    getHoldingLots(holding, date) {
+        const lots = [];
+        const sales = [];
         
-        // Get data for last 12 months
-        for (let i = 11; i >= 0; i--) {
-            const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-            const monthKey = `${date.toLocaleString('default', { month: 'short' })} ${date.getFullYear()}`;
+        holding.trades.filter(trade => !date || trade.date <= date).forEach(trade => {
+            if (trade.type === 'buy') {
+                lots.push({
+                    id: trade.id,
+                    date: trade.date,
+                    quantity: trade.quantity,
+                    remaining: trade.quantity,
+                    cost: Math.round(trade.quantity * trade.price) + trade.fees,
+                    remainingCost: Math.round(trade.quantity * trade.price) + trade.fees
+                });
+                return;
+            }
             
-            const monthlyTransactions = this.getTransactions({ 
-                month: date.getMonth(), 
-                year: date.getFullYear(), 
-                type 
-            });
+            const open = lots.filter(lot => lot.remaining > 0);
+            const held = roundQuantity(open.reduce((sum, lot) => sum + lot.remaining, 0));
+            if (trade.quantity > held) {
+                throw new Error(t('Only {quantity} {symbol} were held on {date}', { 
+                    quantity: formatNumber(held), symbol: holding.symbol, date: formatDate(trade.date) 
+                }));
+            }
+            
+            // The lots named by the sell, or the oldest first
+            let portions = [];
+            if (trade.lots) {
+                portions = trade.lots.map(part => {
+                    const lot = open.find(l => l.id === part.lotId);
+                    if (!lot || part.quantity > lot.remaining) {
+                        throw new Error(t('A lot of {symbol} sold on {date} does not hold enough', { 
+                            symbol: holding.symbol, date: formatDate(trade.date) 
+                        }));
+                    }
+                    return { lot, quantity: part.quantity };
+                });
+            } else {
+                let left = trade.quantity;
+                open.forEach(lot => {
+                    if (left <= 0) return;
+                    const quantity = Math.min(left, lot.remaining);
+                    portions.push({ lot, quantity });
+                    left = roundQuantity(left - quantity);
+                });
+            }
             
-            const categoryTotal = monthlyTransactions
-                .filter(t => t.category === category)
-                .reduce((sum, t) => sum + t.amount, 0);
+            let remainingProceeds = Math.round(trade.quantity * trade.price) - trade.fees;
+            let remainingQuantity = trade.quantity;
+            portions.forEach(({ lot, quantity }) => {
+                const cost = quantity === lot.remaining 
+                    ? lot.remainingCost 
+                    : Math.round(lot.remainingCost * quantity / lot.remaining);
+                const proceeds = quantity === remainingQuantity 
+                    ? remainingProceeds 
+                    : Math.round(remainingProceeds * quantity / remainingQuantity);
                 
-            trendData.push({
-                month: monthKey,
-                total: categoryTotal
+                lot.remaining = roundQuantity(lot.remaining - quantity);
+                lot.remainingCost -= cost;
+                remainingQuantity = roundQuantity(remainingQuantity - quantity);
+                remainingProceeds -= proceeds;
+                
+                sales.push({
+                    tradeId: trade.id,
+                    lotId: lot.id,
+                    holdingId: holding.id,
+                    symbol: holding.symbol,
+                    date: trade.date,
+                    acquired: lot.date,
+                    quantity,
+                    proceeds,
+                    cost,
+                    gain: proceeds - cost,
+                    // Held for more than a year
+                    longTerm: trade.date > formatDateString(addMonths(parseDateString(lot.date), 12))
+                });
             });
-        }
+        });
         
-        return trendData;
+        return { lots, sales };
     }
     
-    // Format currency based on settings
-    formatCurrency(amount) {
-        return `${this.settings.currencySymbol}${amount.toFixed(2)}`;
+    // Get what a holding is worth on a date compared with what its open lots cost
+    getHoldingStatus(holding, date = new Date()) {
+        const day = formatDateString(date);
+        const { lots, sales } = this.getHoldingLots(holding, day);
+        const openLots = lots.filter(lot => lot.remaining > 0);
+        const quantity = roundQuantity(openLots.reduce((sum, lot) => sum + lot.remaining, 0));
+        const costBasis = openLots.reduce((sum, lot) => sum + lot.remainingCost, 0);
+        const quote = this.getHoldingPriceAt(holding, day);
+        const marketValue = quote ? Math.round(quantity * quote.price) : 0;
+        
+        return {
+            quantity,
+            costBasis,
+            averageCost: quantity > 0 ? roundPrice(costBasis / quantity) : 0,
+            price: quote ? quote.price : null,
+            priceDate: quote ? quote.date : null,
+            marketValue,
+            unrealizedGain: marketValue - costBasis,
+            unrealizedPercent: costBasis > 0 ? (marketValue - costBasis) / costBasis * 100 : 0,
+            openLots,
+            sales
+        };
     }
     
-    // Export data in various formats
-    exportData(format, options = {}) {
-        let data, filename, mimeType;
+    // Get every holding's status on a date with portfolio totals
+    getPortfolio(date = new Date()) {
+        const holdings = this.holdings.map(holding => ({ holding, ...this.getHoldingStatus(holding, date) }));
+        const total = key => holdings.reduce((sum, h) => sum + h[key], 0);
+        const costBasis = total('costBasis');
+        const marketValue = total('marketValue');
         
-        // Prepare data based on content type
-        switch (options.content) {
-            case 'transactions':
-                data = this.getTransactions(options.dateRange);
-                filename = 'transactions';
-                break;
-            case 'budgets':
-                data = this.budgets;
-                filename = 'budgets';
-                break;
-            case 'reports':
-                data = this.getMonthlySummaries();
-                filename = 'reports';
-                break;
-            case 'all':
-                data = {
-                    transactions: this.transactions,
-                    budgets: this.budgets,
-                    settings: this.settings
-                };
-                filename = 'finance-planner-export';
-                break;
-        }
+        return {
+            holdings,
+            costBasis,
+            marketValue,
+            unrealizedGain: marketValue - costBasis,
+            unrealizedPercent: costBasis > 0 ? (marketValue - costBasis) / costBasis * 100 : 0
+        };
+    }
+    
+    // Get the gains realized by sells in a year, lot by lot, split into short and long term
+    getRealizedGains(year) {
+        const sales = this.holdings
+            .flatMap(holding => this.getHoldingLots(holding).sales)
+            .filter(sale => sale.date.startsWith(`${year}-`))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const total = filter => sales.filter(filter).reduce((sum, sale) => sum + sale.gain, 0);
         
-        // Handle different export formats
-        switch (format) {
-            case 'csv':
-                return this.exportToCSV(data, filename);
-            case 'json':
-                return this.exportToJSON(data, filename);
-            case 'pdf':
-                return this.exportToPDF(data, filename, options.content);
-            default:
-                throw new Error(`Unsupported export format: ${format}`);
-        }
+        return {
+            sales,
+            proceeds: sales.reduce((sum, sale) => sum + sale.proceeds, 0),
+            cost: sales.reduce((sum, sale) => sum + sale.cost, 0),
+            shortTerm: total(sale => !sale.longTerm),
+            longTerm: total(sale => sale.longTerm),
+            total: total(() => true)
+        };
     }
     
-    // Export to CSV
-    exportToCSV(data, filename) {
-        let csvContent = '';
+    // Add a rate, replacing one for the same currencies and date
+    setExchangeRate({ date, from, to, rate }) {
+        let record = this.exchangeRates.find(r => r.date === date && r.from === from && r.to === to);
         
-        // Handle array of transactions or budgets
-        if (Array.isArray(data)) {
-            if (data.length === 0) {
-                csvContent = 'No data to export';
-            } else {
-                // Extract headers
-                const headers = Object.keys(data[0]);
-                csvContent += headers.join(',') + '\n';
-                
-                // Add rows
-                data.forEach(item => {
-                    csvContent += headers.map(header => {
-                        // Handle nested objects if needed
-                        if (typeof item[header] === 'object') {
-                            return JSON.stringify(item[header]);
-                        }
-                        return item[header];
-                    }).join(',') + '\n';
-                });
-            }
+        if (record) {
+            record.rate = rate;
         } else {
-            // Handle object (full export)
-            csvContent = 'Data Type,Content\n';
-            Object.entries(data).forEach(([key, value]) => {
-                csvContent += `${key},"${JSON.stringify(value)}"\n`;
-            });
+            record = { id: this.generateId(), date, from, to, rate };
+            this.exchangeRates.push(record);
         }
         
-        // Create download link
-        this.downloadFile(csvContent, `${filename}.csv`, 'text/csv;charset=utf-8;');
+        this.saveRecords('exchangeRates', [record]);
+        return record;
     }
     
-    // Export to JSON
-    exportToJSON(data, filename) {
-        const jsonContent = JSON.stringify(data, null, 2);
-        this.downloadFile(jsonContent, `${filename}.json`, 'application/json');
+    // Delete an exchange rate
+    deleteExchangeRate(id) {
+        const index = this.exchangeRates.findIndex(r => r.id === id);
+        if (index !== -1) {
+            this.exchangeRates.splice(index, 1);
+            this.removeRecords('exchangeRates', [id]);
+            return true;
+        }
+        return false;
     }
     
-    // Export to PDF
-    exportToPDF(data, filename, contentType) {
-        // Use jsPDF with autoTable plugin
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF();
+    // Get how many units of one currency a unit of another is worth on a date, or null if unknown.
+    // Uses the latest rate on or before the date (the earliest rate for older dates), inverse
+    // rates, and otherwise crosses through the base currency
+    getExchangeRate(from, to, date = formatDateString(new Date())) {
+        if (from === to) return 1;
         
-        // Add title
-        doc.setFontSize(18);
-        doc.text(`Finance Planner Export - ${contentType.toUpperCase()}`, 14, 15);
-        doc.setFontSize(12);
-        doc.text(`Generated on ${new Date().toLocaleDateString()}`, 14, 22);
+        const direct = (a, b) => {
+            const rates = this.exchangeRates
+                .filter(r => (r.from === a && r.to === b) || (r.from === b && r.to === a))
+                .map(r => ({ date: r.date, rate: r.from === a ? r.rate : 1 / r.rate }))
+                .sort((x, y) => x.date.localeCompare(y.date));
+            if (rates.length === 0) return null;
+            
+            const known = rates.filter(r => r.date <= date);
+            return (known.length > 0 ? known[known.length - 1] : rates[0]).rate;
+        };
         
-        // Handle different content types
-        if (Array.isArray(data)) {
-            if (data.length === 0) {
-                doc.text('No data to export', 14, 30);
-            } else {
-                // Prepare data for the table
-                const headers = Object.keys(data[0]);
-                const rows = data.map(item => {
-                    return headers.map(header => {
-                        // Format dates if needed
-                        if (header.toLowerCase().includes('date') && item[header]) {
-                            return new Date(item[header]).toLocaleDateString();
-                        }
-                        // Handle amounts
-                        if ((header === 'amount' || header === 'total' || header === 'budget' || header === 'spent' || header === 'remaining') && item[header] !== undefined) {
-                            return this.formatCurrency(item[header]);
-                        }
-                        return item[header] !== undefined ? item[header].toString() : '';
-                    });
-                });
-                
-                // Add table
-                doc.autoTable({
-                    head: [headers],
-                    body: rows,
-                    startY: 30,
-                    styles: {
-                        fontSize: 8,
-                        cellPadding: 2
-                    },
-                    headStyles: {
-                        fillColor: [78, 115, 223]
-                    }
-                });
-            }
-        } else {
-            // Handle full export
-            let y = 30;
-            Object.entries(data).forEach(([key, value]) => {
-                doc.text(`${key}:`, 14, y);
-                y += 7;
-                doc.text(JSON.stringify(value, null, 2), 20, y, { maxWidth: 180 });
-                y += 20;
-            });
-        }
+        const rate = direct(from, to);
+        if (rate !== null) return rate;
         
-        // Save the PDF
-        doc.save(`${filename}.pdf`);
+        const base = this.settings.currency;
+        if (from === base || to === base) return null;
+        
+        const toBase = direct(from, base);
+        const fromBase = direct(base, to);
+        return toBase !== null && fromBase !== null ? toBase * fromBase : null;
     }
     
-    // Helper to create download link
-    downloadFile(content, filename, mimeType) {
-        const blob = new Blob([content], { type: mimeType });
-        const url = URL.createObjectURL(blob);
+    // Convert minor units of one currency to minor units of another, or null without a rate
+    convertAmount(amount, from = this.settings.currency, to = this.settings.currency, date) {
+        if (from === to) return amount;
         
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
+        const rate = this.getExchangeRate(from, to, date);
+        if (rate === null) return null;
         
-        setTimeout(() => {
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-        }, 100);
+        return toMinorUnits(fromMinorUnits(amount, from) * rate, to);
     }
-}
-
-// Initialize the application
-function initApp() {
-    // Create the finance planner instance
-    const financePlanner = new FinancePlanner();
     
-    // Initialize UI components
-    initNavigation(financePlanner);
-    initDashboard(financePlanner);
-    initTransactionForm(financePlanner);
-    initTransactionsView(financePlanner);
-    initBudgetView(financePlanner);
-    initMonthlyReportView(financePlanner);
-    initCategoryReportView(financePlanner);
-    initExportModal(financePlanner);
-    initSettingsModal(financePlanner);
+    // Get a transaction's amount in the base currency; transactions without a rate count as zero
+    getBaseAmount(transaction) {
+        return this.convertAmount(transaction.amount, transaction.currency, this.settings.currency, transaction.date) || 0;
+    }
     
-    // Show dashboard by default
-    showView('dashboard-view');
+    // List the offered currencies followed by any others the data uses
+    getCurrencies() {
+        const used = [
+            this.settings.currency,
+            ...this.transactions.map(t => t.currency),
+            ...this.accounts.map(a => a.currency),
+            ...this.exchangeRates.flatMap(r => [r.from, r.to])
+        ];
+        return [...new Set([...CURRENCY_CODES, ...used.filter(Boolean)])];
+    }
     
-    // Load any sample data if no data exists
-    if (financePlanner.transactions.length === 0) {
-        loadSampleData(financePlanner);
+    // List the currency pairs that transactions or accounts need but have no rate for
+    getMissingExchangeRates() {
+        const base = this.settings.currency;
+        const missing = new Set();
+        
+        this.transactions.forEach(t => {
+            if (this.convertAmount(t.amount, t.currency, base, t.date) === null) {
+                missing.add(`${t.currency} → ${base}`);
+            }
+        });
+        this.accounts.forEach(a => {
+            if (this.convertAmount(0, a.currency, base) === null) {
+                missing.add(`${a.currency} → ${base}`);
+            }
+        });
+        
+        return [...missing];
     }
-}
-
-// Initialize navigation
-function initNavigation(financePlanner) {
-    // Dashboard link
-    document.getElementById('dashboard-link').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('dashboard-view');
-        refreshDashboard(financePlanner);
-    });
     
-    // Add transaction links
-    document.getElementById('add-transaction-link').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('add-transaction-view');
-        resetTransactionForm();
-    });
+    // Set a category's budget from a month (YYYY-MM, this month by default) until it is changed.
+    // Budgets cover a weekly, monthly, quarterly or yearly period, or a custom range from
+    // startDate to endDate. With rollover, what is left over (or overspent) in each period
+    // since startDate carries into the next one
+    setBudget(category, amount, options = {}) {
+        const { period = 'monthly', startDate, endDate, rollover = false, from = formatDateString(new Date()).slice(0, 7) } = options;
+        
+        if (!BUDGET_PERIODS.includes(period)) {
+            throw new Error(`Unsupported budget period: ${period}`);
+        }
+        if (period === 'custom' && !(startDate && endDate && startDate <= endDate)) {
+            throw new Error(t('A custom budget period needs a start date on or before its end date'));
+        }
+        
+        const version = { from, amount, period, rollover: period !== 'custom' && rollover };
+        if (period === 'custom') {
+            version.startDate = startDate;
+            version.endDate = endDate;
+        } else if (version.rollover) {
+            // Carrying over starts with the first period of the month unless told otherwise
+            version.startDate = startDate || this.getBudgetPeriod(version, parseDateString(`${from}-01`)).start;
+        }
+        
+        this.setBudgetVersion(category, version);
+    }
     
-    document.getElementById('quick-add-income').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('add-transaction-view');
-        document.getElementById('transaction-type').value = 'income';
-        updateCategoryDropdown(financePlanner, 'income');
-        document.getElementById('transaction-amount').focus();
-    });
+    // Record a version in a category's budget history, replacing one from the same month
+    setBudgetVersion(category, version) {
+        let budget = this.budgets.find(b => b.category === category);
+        if (!budget) {
+            budget = { category, history: [] };
+            this.budgets.push(budget);
+        }
+        
+        budget.history = budget.history
+            .filter(v => v.from !== version.from)
+            .concat(version)
+            .sort((a, b) => a.from.localeCompare(b.from));
+        this.saveRecords('budgets', [budget]);
+    }
     
-    document.getElementById('quick-add-expense').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('add-transaction-view');
-        document.getElementById('transaction-type').value = 'expense';
-        updateCategoryDropdown(financePlanner, 'expense');
-        document.getElementById('transaction-amount').focus();
-    });
+    // Stop a budget from a month (YYYY-MM) on, dropping later changes; without a month, or when
+    // it had not started before then, the budget is deleted with its history
+    deleteBudget(category, from) {
+        const index = this.budgets.findIndex(b => b.category === category);
+        if (index === -1) return false;
+        
+        const budget = this.budgets[index];
+        if (from !== undefined && budget.history.some(v => v.from < from)) {
+            budget.history = budget.history.filter(v => v.from < from);
+            this.setBudgetVersion(category, { from, removed: true });
+        } else {
+            this.budgets.splice(index, 1);
+            this.removeRecords('budgets', [category]);
+        }
+        return true;
+    }
     
-    // View transactions link
-    document.getElementById('view-transactions-link').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('view-transactions-view');
-        refreshTransactionsView(financePlanner);
-    });
+    // Get the budget in effect for a category in the month of a date, or null
+    getBudgetAt(category, date = new Date()) {
+        const budget = this.budgets.find(b => b.category === category);
+        const month = formatDateString(date).slice(0, 7);
+        const version = budget && [...budget.history].reverse().find(v => v.from <= month);
+        
+        return version && !version.removed ? { category, ...version } : null;
+    }
     
-    // Budget link
-    document.getElementById('budget-link').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('budget-view');
-        refreshBudgetView(financePlanner);
-    });
+    // Get every budget in effect in the month of a date
+    getBudgetsAt(date = new Date()) {
+        return this.budgets.map(b => this.getBudgetAt(b.category, date)).filter(Boolean);
+    }
     
-    // Quick view reports
-    document.getElementById('quick-view-reports').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('monthly-report-view');
-        refreshMonthlyReportView(financePlanner);
-    });
+    // Make a month's (YYYY-MM) budgets match a list: listed budgets are set from that month
+    // and any others stop there
+    applyBudgetSet(budgets, month) {
+        this.getBudgetsAt(parseDateString(`${month}-01`))
+            .filter(current => !budgets.some(b => b.category === current.category))
+            .forEach(current => this.deleteBudget(current.category, month));
+        
+        budgets.forEach(({ category, amount, ...options }) => {
+            this.setBudget(category, amount, { ...options, from: month });
+        });
+    }
     
-    // Quick set budget
-    document.getElementById('quick-set-budget').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('budget-view');
-        refreshBudgetView(financePlanner);
-    });
+    // Copy the budgets in effect in one month (YYYY-MM) to another
+    copyBudgets(fromMonth, toMonth) {
+        const budgets = this.getBudgetsAt(parseDateString(`${fromMonth}-01`));
+        this.applyBudgetSet(budgets, toMonth);
+        return budgets.length;
+    }
     
-    // Monthly report link
-    document.getElementById('monthly-report-link').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('monthly-report-view');
-        refreshMonthlyReportView(financePlanner);
-    });
+    // Save the budgets in effect in a month (YYYY-MM) as a named template, replacing one with the
+    // same name. Rollover restarts wherever the template is applied
+    saveBudgetTemplate(name, month) {
+        this.settings.budgetTemplates[name] = this.getBudgetsAt(parseDateString(`${month}-01`))
+            .map(({ category, amount, period, rollover, startDate, endDate }) => (period === 'custom'
+                ? { category, amount, period, rollover, startDate, endDate }
+                : { category, amount, period, rollover }));
+        this.saveSettings();
+        return this.settings.budgetTemplates[name].length;
+    }
     
-    // Category report link
-    document.getElementById('category-report-link').addEventListener('click', (e) => {
-        e.preventDefault();
-        showView('category-report-view');
-        refreshCategoryReportView(financePlanner);
-    });
+    // Set up a month's (YYYY-MM) budgets from a template
+    applyBudgetTemplate(name, month) {
+        this.applyBudgetSet(this.settings.budgetTemplates[name], month);
+    }
     
-    // Export data button
-    document.getElementById('export-data-btn').addEventListener('click', (e) => {
-        e.preventDefault();
-        const exportModal = new bootstrap.Modal(document.getElementById('exportModal'));
-        exportModal.show();
-    });
+    // Delete a budget template
+    deleteBudgetTemplate(name) {
+        delete this.settings.budgetTemplates[name];
+        this.saveSettings();
+    }
     
-    // Settings button
-    document.getElementById('settings-btn').addEventListener('click', (e) => {
-        e.preventDefault();
-        const settingsModal = new bootstrap.Modal(document.getElementById('settingsModal'));
-        settingsModal.show();
-        refreshSettingsModal(financePlanner);
-    });
-}
-
-// Initialize dashboard
-function initDashboard(financePlanner) {
-    // Set current date as default in date inputs
-    const today = new Date().toISOString().split('T')[0];
-    document.getElementById('transaction-date').value = today;
+    // Switch envelope budgeting on or off; it counts income and spending from the month it
+    // was first switched on
+    setEnvelopeBudgeting(enabled, startMonth = formatDateString(new Date()).slice(0, 7)) {
+        const envelopes = this.settings.envelopeBudgeting;
+        envelopes.enabled = enabled;
+        if (enabled && !envelopes.startMonth) {
+            envelopes.startMonth = startMonth;
+        }
+        this.saveSettings();
+    }
     
-    // Initial dashboard refresh
-    refreshDashboard(financePlanner);
+    // Get the income not yet assigned to an envelope by the end of a month (YYYY-MM). Income
+    // lands here, and assigning money in that month or before takes it out; negative when
+    // more was assigned than received
+    getReadyToAssign(month) {
+        const { startMonth } = this.settings.envelopeBudgeting;
+        const income = this.transactions
+            .filter(t => t.type === 'income' && t.date.slice(0, 7) >= startMonth && t.date.slice(0, 7) <= month)
+            .reduce((sum, t) => sum + this.getBaseAmount(t), 0);
+        const assigned = this.assignments
+            .filter(a => a.month >= startMonth && a.month <= month)
+            .reduce((sum, a) => sum + a.amount, 0);
+        
+        return income - assigned;
+    }
+    
+    // Get every envelope's balance in a month (YYYY-MM): available = carried + assigned - spent,
+    // where carried is what earlier months left in it. Envelopes keep their balance from month
+    // to month, so an overspent one stays negative until it is covered
+    getEnvelopeSummary(month) {
+        const { startMonth } = this.settings.envelopeBudgeting;
+        const inRange = value => value >= startMonth && value <= month;
+        const start = `${month}-01`;
+        const end = formatDateString(new Date(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 0));
+        
+        const expenses = this.transactions.filter(t => t.type === 'expense' && inRange(t.date.slice(0, 7)));
+        const spentBefore = this.sumByGroup(expenses.filter(t => t.date < start));
+        const spentIn = this.sumByGroup(expenses.filter(t => t.date >= start));
+        const assignedBefore = {};
+        const assignedIn = {};
+        this.assignments.filter(a => inRange(a.month)).forEach(a => {
+            const totals = a.month === month ? assignedIn : assignedBefore;
+            totals[a.category] = (totals[a.category] || 0) + a.amount;
+        });
+        
+        // Known categories first, in their usual order
+        const categories = [...new Set([
+            ...this.settings.expenseCategories,
+            ...Object.keys(assignedBefore),
+            ...Object.keys(assignedIn),
+            ...Object.keys(spentBefore),
+            ...Object.keys(spentIn)
+        ])];
+        
+        return categories
+            .filter(category => category in assignedBefore || category in assignedIn || 
+                category in spentBefore || category in spentIn)
+            .map(category => {
+                const carried = (assignedBefore[category] || 0) - (spentBefore[category] || 0);
+                const assigned = assignedIn[category] || 0;
+                const spent = spentIn[category] || 0;
+                return {
+                    category,
+                    period: 'monthly',
+                    rollover: true,
+                    start,
+                    end,
+                    budget: assigned,
+                    carried,
+                    spent,
+                    available: carried + assigned - spent
+                };
+            });
+    }
+    
+    // Get one envelope's balance in a month (YYYY-MM)
+    getEnvelope(category, month) {
+        return this.getEnvelopeSummary(month).find(e => e.category === category) || 
+            { category, budget: 0, carried: 0, spent: 0, available: 0 };
+    }
+    
+    // Move money between envelopes in a month (YYYY-MM); a null category stands for Ready to
+    // Assign, so assigning income is a move from null. Only money that is there can be moved,
+    // and balances carry forward, so it also has to be left over in every later month with
+    // assignments of its own
+    moveEnvelopeMoney(from, to, amount, month) {
+        if (!Number.isInteger(amount) || amount <= 0 || from === to) {
+            throw new Error(t('Choose two different envelopes and a positive amount.'));
+        }
+        
+        const availableIn = m => (from ? this.getEnvelope(from, m).available : this.getReadyToAssign(m));
+        const laterMonths = [...new Set(this.assignments.map(a => a.month).filter(m => m > month))].sort();
+        const limit = laterMonths.reduce((lowest, m) => {
+            const available = availableIn(m);
+            return available < lowest.available ? { month: m, available } : lowest;
+        }, { month, available: availableIn(month) });
+        
+        if (amount > limit.available) {
+            const values = { 
+                amount: this.formatCurrency(Math.max(limit.available, 0)), 
+                envelope: from || t('Ready to Assign'),
+                month: formatDate(`${limit.month}-01`, { month: 'long', year: 'numeric' })
+            };
+            throw new Error(limit.month === month
+                ? t('Only {amount} is available in {envelope}.', values)
+                : t('Only {amount} is available in {envelope}, as {month} already assigned the rest.', values));
+        }
+        
+        const createdAt = new Date().toISOString();
+        const records = [];
+        if (from) records.push({ id: this.generateId(), month, category: from, amount: -amount, createdAt });
+        if (to) records.push({ id: this.generateId(), month, category: to, amount, createdAt });
+        
+        this.assignments.push(...records);
+        this.saveRecords('assignments', records);
+        return records;
+    }
+    
+    // Add a savings goal; progress is counted from the day it was added
+    addGoal(goal) {
+        goal.id = this.generateId();
+        goal.createdAt = new Date().toISOString();
+        goal.startDate = goal.startDate || formatDateString(new Date());
+        
+        this.goals.push(goal);
+        this.saveRecords('goals', [goal]);
+        return goal;
+    }
+    
+    // Update a savings goal
+    updateGoal(id, updates) {
+        const index = this.goals.findIndex(g => g.id === id);
+        if (index !== -1) {
+            this.goals[index] = {...this.goals[index], ...updates};
+            this.saveRecords('goals', [this.goals[index]]);
+            return true;
+        }
+        return false;
+    }
+    
+    // Delete a savings goal; its contributions stay as ordinary transactions
+    deleteGoal(id) {
+        const index = this.goals.findIndex(g => g.id === id);
+        if (index === -1) return false;
+        
+        const contributions = this.transactions.filter(t => t.goalId === id);
+        contributions.forEach(t => { delete t.goalId; });
+        this.saveRecords('transactions', contributions);
+        
+        this.goals.splice(index, 1);
+        this.removeRecords('goals', [id]);
+        return true;
+    }
+    
+    // Record a contribution to a goal as a transaction. Goals linked to an account are paid
+    // into by a transfer from another account; other goals by an expense in their category
+    contributeToGoal(id, { amount, date = formatDateString(new Date()), accountId = '' }) {
+        const goal = this.goals.find(g => g.id === id);
+        if (!goal || !Number.isInteger(amount) || amount <= 0) {
+            throw new Error(t('Choose a goal and a positive amount.'));
+        }
+        
+        const transaction = { date, amount, description: goal.name, goalId: goal.id };
+        
+        if (goal.accountId) {
+            if (!accountId || accountId === goal.accountId) {
+                throw new Error(t('Choose the account the money comes from.'));
+            }
+            const account = this.accounts.find(a => a.id === accountId);
+            Object.assign(transaction, { type: 'transfer', accountId, toAccountId: goal.accountId, currency: account.currency });
+            transaction.amount = this.convertAmount(amount, this.settings.currency, account.currency, date);
+            if (transaction.amount === null) {
+                throw new Error(t('No exchange rate from {from} to {to}', { from: this.settings.currency, to: account.currency }));
+            }
+        } else {
+            // Money set aside for a goal without a category of its own is filed under Savings
+            const category = goal.category || 'Savings';
+            if (!goal.category && !this.settings.expenseCategories.includes(category)) {
+                this.settings.expenseCategories.push(category);
+                this.settings.expenseCategories.sort();
+                this.saveSettings();
+            }
+            Object.assign(transaction, { type: 'expense', category, accountId, currency: this.settings.currency });
+        }
+        
+        return this.addTransaction(transaction);
+    }
+    
+    // Get how much a transaction adds to a goal, in the base currency. Transactions marked with
+    // the goal count in full; from the goal's start date, so does anything paid into (or taken
+    // out of) its account, or spent in its category
+    getGoalContribution(goal, transaction) {
+        const isMarked = transaction.goalId === goal.id;
+        if (!isMarked && (transaction.goalId || transaction.date < goal.startDate)) return 0;
+        
+        const account = goal.accountId && this.accounts.find(a => a.id === goal.accountId);
+        if (account && (transaction.accountId === account.id || transaction.toAccountId === account.id)) {
+            const effect = this.getAccountEffect(transaction, account.id);
+            return this.convertAmount(effect, account.currency, this.settings.currency, transaction.date) || 0;
+        }
+        
+        if (goal.category && transaction.type !== 'transfer') {
+            const amount = this.getCategoryLines(transaction)
+                .filter(line => line.category === goal.category)
+                .reduce((sum, line) => sum + line.amount, 0);
+            if (amount > 0) {
+                return this.convertAmount(amount, transaction.currency, this.settings.currency, transaction.date) || 0;
+            }
+        }
+        
+        return isMarked ? this.getBaseAmount(transaction) : 0;
+    }
+    
+    // Get a goal's progress on a date. Goals are expected to fill up evenly month by month, from
+    // the month they started to the month they are due, so a goal is behind when less was saved
+    // than the months already over call for. The required monthly contribution spreads what is
+    // left over the months that remain, counting this one
+    getGoalStatus(goal, date = new Date()) {
+        const today = formatDateString(date);
+        const saved = this.transactions
+            .filter(t => t.date <= today)
+            .reduce((sum, t) => sum + this.getGoalContribution(goal, t), 0);
+        const remaining = Math.max(goal.target - saved, 0);
+        
+        const totalMonths = Math.max(getMonthsBetween(goal.startDate, goal.targetDate) + 1, 1);
+        const monthsElapsed = Math.min(Math.max(getMonthsBetween(goal.startDate, today), 0), totalMonths);
+        const expected = Math.round(goal.target * monthsElapsed / totalMonths);
+        
+        // A contribution on this day of the month still counts in the target month if it is not past the deadline
+        const monthsLeft = getMonthsBetween(today, goal.targetDate) + (goal.targetDate.slice(8) >= today.slice(8) ? 1 : 0);
+        const complete = remaining === 0;
+        
+        return {
+            ...goal,
+            saved,
+            remaining,
+            progress: goal.target > 0 ? Math.min(saved / goal.target, 1) : 1,
+            expected,
+            monthsLeft: Math.max(monthsLeft, 0),
+            monthlyContribution: complete ? 0 : Math.ceil(remaining / Math.max(monthsLeft, 1)),
+            complete,
+            overdue: !complete && today > goal.targetDate,
+            onTrack: complete || saved >= expected
+        };
+    }
+    
+    // Get every goal's progress, the soonest due first
+    getGoalsSummary(date = new Date()) {
+        return this.goals
+            .map(goal => this.getGoalStatus(goal, date))
+            .sort((a, b) => a.targetDate.localeCompare(b.targetDate) || a.name.localeCompare(b.name));
+    }
+    
+    // Warn about goals that have fallen behind, once a month per goal
+    checkGoalAlerts(date = new Date()) {
+        if (!this.settings.notifications.goalAlerts) return;
+        
+        const month = formatDateString(date).slice(0, 7);
+        const alerted = [];
+        
+        this.getGoalsSummary(date).filter(goal => !goal.onTrack && goal.alertedMonth !== month).forEach(goal => {
+            this.showAlert(goal.overdue
+                ? t('Your "{name}" goal was due on {date} and is {amount} short.', 
+                    { name: goal.name, date: formatDate(goal.targetDate), amount: this.formatCurrency(goal.remaining) })
+                : t('Your "{name}" goal is falling behind: {saved} of {target} saved. Save {amount} a month to reach it by {date}.', {
+                    name: goal.name,
+                    saved: this.formatCurrency(goal.saved),
+                    target: this.formatCurrency(goal.target),
+                    amount: this.formatCurrency(goal.monthlyContribution),
+                    date: formatDate(goal.targetDate)
+                }), { type: 'goal', link: { view: 'goals', id: goal.id } });
+            
+            const record = this.goals.find(g => g.id === goal.id);
+            record.alertedMonth = month;
+            alerted.push(record);
+        });
+        
+        this.saveRecords('goals', alerted);
+        return alerted;
+    }
+    
+    // Get the expenses coming up in the next few days that are worth a reminder: future-dated
+    // entries, recurring series not generated yet and debt payments. Only the window is looked at,
+    // since the reminder scheduler asks every minute. Keys name the bill, not its converted amount,
+    // so a new exchange rate does not make a reminded bill new again
+    getUpcomingBills(days, date = new Date()) {
+        const today = formatDateString(date);
+        const last = formatDateString(addDays(date, days));
+        const base = this.settings.currency;
+        const describe = transaction => [transaction.payee, transaction.description].filter(Boolean).join(' - ') || 
+            this.getCategoryLabel(transaction);
+        const bills = [];
+        
+        this.transactions.filter(t => t.type === 'expense' && t.date > today && t.date <= last).forEach(t => {
+            bills.push({ key: `${t.date}|${t.id}`, date: t.date, description: describe(t), amount: this.getBaseAmount(t) });
+        });
+        
+        const masters = this.getForecastSeries();
+        masters.forEach(master => {
+            const { template } = this.getSeriesRule(master);
+            if (template.type !== 'expense') return;
+            const amount = this.convertAmount(template.amount, template.currency, base, today) || 0;
+            this.getPendingOccurrences(master, last).filter(occurrence => occurrence > today).forEach(occurrence => {
+                bills.push({ key: `${occurrence}|${master.seriesId}`, date: occurrence, description: describe(template), amount });
+            });
+        });
+        
+        this.getBilledDebts(masters).forEach(debt => {
+            this.getDebtBills(debt, last).filter(bill => bill.date > today).forEach(bill => {
+                bills.push({ key: `${bill.date}|${debt.id}`, date: bill.date, description: debt.name, amount: bill.amount });
+            });
+        });
+        
+        return bills.filter(bill => bill.amount > 0).sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    // Get the reminders due at a moment. The daily reminder is due once its time has passed today,
+    // or yesterday's when the app was closed at the time; bills are reminded of once each
+    getDueReminders(now = new Date()) {
+        const notifications = this.settings.notifications;
+        if (!notifications.enabled) return [];
+        
+        const reminders = [];
+        const today = formatDateString(now);
+        const [hours, minutes] = notifications.dailyTime.split(':').map(Number);
+        const slot = now >= new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes)
+            ? today
+            : formatDateString(addDays(now, -1));
+        
+        // Nothing was missed before the first reminder was ever sent
+        const missed = notifications.lastDailyReminder 
+            ? notifications.lastDailyReminder < slot 
+            : slot === today;
+        if (missed) {
+            reminders.push({
+                id: `daily-${slot}`,
+                type: 'daily',
+                date: slot,
+                title: t('Log your spending'),
+                body: slot === today
+                    ? t("Take a minute to add today's spending.")
+                    : t('The reminder for {date} was missed while the app was closed. Take a minute to add that day\'s spending.', 
+                        { date: formatDate(slot) })
+            });
+        }
+        
+        if (notifications.billReminders) {
+            const bills = this.getUpcomingBills(notifications.billReminderDays, now)
+                .filter(bill => !notifications.remindedBills.includes(bill.key));
+            if (bills.length > 0) {
+                reminders.push({
+                    id: `bills-${today}`,
+                    type: 'bills',
+                    date: today,
+                    bills,
+                    title: t('Upcoming bills'),
+                    body: bills.map(bill => t('{description}: {amount} on {date}', {
+                        description: bill.description,
+                        amount: this.formatCurrency(bill.amount),
+                        date: formatDate(bill.date)
+                    })).join('\n')
+                });
+            }
+        }
+        
+        return reminders;
+    }
+    
+    // Remember reminders as sent so they are not raised again
+    markRemindersSent(reminders, now = new Date()) {
+        const notifications = this.settings.notifications;
+        const today = formatDateString(now);
+        
+        reminders.forEach(reminder => {
+            if (reminder.type === 'daily') {
+                notifications.lastDailyReminder = reminder.date;
+            } else {
+                notifications.remindedBills.push(...reminder.bills.map(bill => bill.key));
+            }
+        });
+        
+        // Bills that are past due cannot come up again
+        notifications.remindedBills = notifications.remindedBills.filter(key => key.slice(0, 10) >= today);
+        this.saveSettings();
+    }
+    
+    // Add a debt; its balance is what was owed on its start date
+    addDebt(debt) {
+        debt.id = this.generateId();
+        debt.createdAt = new Date().toISOString();
+        debt.startDate = debt.startDate || formatDateString(new Date());
+        
+        this.debts.push(debt);
+        this.saveRecords('debts', [debt]);
+        return debt;
+    }
+    
+    // Update a debt
+    updateDebt(id, updates) {
+        const index = this.debts.findIndex(d => d.id === id);
+        if (index !== -1) {
+            this.debts[index] = {...this.debts[index], ...updates};
+            this.saveRecords('debts', [this.debts[index]]);
+            return true;
+        }
+        return false;
+    }
+    
+    // Delete a debt; its payments stay as ordinary transactions
+    deleteDebt(id) {
+        const index = this.debts.findIndex(d => d.id === id);
+        if (index === -1) return false;
+        
+        this.debts.splice(index, 1);
+        this.removeRecords('debts', [id]);
+        
+        const payoff = this.settings.debtPayoff;
+        payoff.customOrder = payoff.customOrder.filter(debtId => debtId !== id);
+        this.saveSettings();
+        return true;
+    }
+    
+    // Get the signed amount, in the base currency, a transaction takes off a debt. From the
+    // debt's start date, money paid into its linked account (a credit card or loan account)
+    // pays it down and charges to that account add to it; so do expenses in its linked category
+    getDebtPayment(debt, transaction) {
+        if (transaction.date < debt.startDate) return 0;
+        
+        const account = debt.accountId && this.accounts.find(a => a.id === debt.accountId);
+        if (account && (transaction.accountId === account.id || transaction.toAccountId === account.id)) {
+            const effect = this.getAccountEffect(transaction, account.id);
+            return this.convertAmount(effect, account.currency, this.settings.currency, transaction.date) || 0;
+        }
+        
+        if (debt.category && transaction.type === 'expense') {
+            const amount = this.getCategoryLines(transaction)
+                .filter(line => line.category === debt.category)
+                .reduce((sum, line) => sum + line.amount, 0);
+            return this.convertAmount(amount, transaction.currency, this.settings.currency, transaction.date) || 0;
+        }
+        
+        return 0;
+    }
+    
+    // Reconcile a debt with the payments recorded since its start date. Interest is estimated:
+    // each new month adds a twelfth of the APR on what was owed, before that month's payments
+    getDebtStatus(debt, date = new Date()) {
+        const today = formatDateString(date);
+        const month = today.slice(0, 7);
+        const monthlyRate = debt.apr / 100 / 12;
+        
+        const payments = {};
+        this.transactions.filter(t => t.date <= today).forEach(t => {
+            const amount = this.getDebtPayment(debt, t);
+            if (amount !== 0) payments[t.date.slice(0, 7)] = (payments[t.date.slice(0, 7)] || 0) + amount;
+        });
+        
+        let balance = debt.balance;
+        let interest = 0;
+        let paid = 0;
+        for (let m = debt.startDate.slice(0, 7); m <= month; m = formatDateString(addMonths(parseDateString(`${m}-01`), 1)).slice(0, 7)) {
+            if (m !== debt.startDate.slice(0, 7) && balance > 0) {
+                const charge = Math.round(balance * monthlyRate);
+                balance += charge;
+                interest += charge;
+            }
+            balance -= payments[m] || 0;
+            paid += Math.max(payments[m] || 0, 0);
+        }
+        balance = Math.max(balance, 0);
+        
+        // The minimum is due on the due day, clamped to short months
+        const dueDate = day => {
+            const lastDay = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+            return formatDateString(new Date(day.getFullYear(), day.getMonth(), Math.min(debt.dueDay, lastDay)));
+        };
+        const paidThisMonth = Math.max(payments[month] || 0, 0);
+        const minimumDue = Math.min(debt.minimumPayment, balance + paidThisMonth);
+        const thisDueDate = dueDate(date);
+        const covered = paidThisMonth >= minimumDue;
+        
+        return {
+            ...debt,
+            balance,
+            interest,
+            paid,
+            paidThisMonth,
+            minimumDue,
+            nextDueDate: covered || today > thisDueDate ? dueDate(addMonths(new Date(date.getFullYear(), date.getMonth(), 1), 1)) : thisDueDate,
+            status: balance === 0 ? 'paid-off' : covered ? 'paid' : today > thisDueDate ? 'late' : 'due'
+        };
+    }
+    
+    // Get every debt reconciled with its payments, in the order a strategy pays them off:
+    // snowball clears the smallest balance first, avalanche the highest APR, custom follows the user's order
+    getDebtsSummary(strategy = this.settings.debtPayoff.strategy, date = new Date()) {
+        const debts = this.debts.map(debt => this.getDebtStatus(debt, date));
+        const customOrder = this.settings.debtPayoff.customOrder;
+        const position = debt => {
+            const index = customOrder.indexOf(debt.id);
+            return index === -1 ? customOrder.length : index;
+        };
+        const compare = {
+            snowball: (a, b) => a.balance - b.balance || b.apr - a.apr,
+            avalanche: (a, b) => b.apr - a.apr || a.balance - b.balance,
+            custom: (a, b) => position(a) - position(b)
+        };
+        
+        return debts.sort((a, b) => compare[strategy](a, b) || a.name.localeCompare(b.name));
+    }
+    
+    // Move a debt up or down the custom payoff order
+    moveDebt(id, offset) {
+        const order = this.getDebtsSummary('custom').map(d => d.id);
+        const index = order.indexOf(id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= order.length) return false;
+        
+        [order[index], order[target]] = [order[target], order[index]];
+        this.settings.debtPayoff.customOrder = order;
+        this.saveSettings();
+        return true;
+    }
+    
+    // Simulate paying off every debt month by month from next month on. Each month the minimums
+    // plus the extra payment are paid; what is left after the minimums goes to the first unpaid
+    // debt in the strategy's order, so a paid-off debt's minimum rolls over to the next one.
+    // Stops after 50 years, or as soon as the payments no longer cover the interest
+    simulateDebtPayoff(strategy, extraPayment = this.settings.debtPayoff.extraPayment, date = new Date()) {
+        const debts = this.getDebtsSummary(strategy, date)
+            .filter(d => d.balance > 0)
+            .map(d => ({ id: d.id, name: d.name, apr: d.apr, minimumPayment: d.minimumPayment, balance: d.balance, interest: 0, payoffMonth: null }));
+        const monthlyBudget = debts.reduce((sum, d) => sum + d.minimumPayment, 0) + extraPayment;
+        const total = () => debts.reduce((sum, d) => sum + d.balance, 0);
+        
+        let month = formatDateString(date).slice(0, 7);
+        const timeline = [{ month, balance: total() }];
+        let totalInterest = 0;
+        
+        for (let n = 0; n < 600 && total() > 0; n++) {
+            month = formatDateString(addMonths(parseDateString(`${month}-01`), 1)).slice(0, 7);
+            const before = total();
+            
+            debts.filter(d => d.balance > 0).forEach(d => {
+                const charge = Math.round(d.balance * d.apr / 100 / 12);
+                d.balance += charge;
+                d.interest += charge;
+                totalInterest += charge;
+            });
+            
+            let available = monthlyBudget;
+            const pay = (debt, amount) => {
+                const payment = Math.min(amount, debt.balance);
+                debt.balance -= payment;
+                available -= payment;
+                if (debt.balance === 0 && !debt.payoffMonth) debt.payoffMonth = month;
+            };
+            debts.filter(d => d.balance > 0).forEach(d => pay(d, d.minimumPayment));
+            debts.forEach(d => pay(d, available));
+            
+            timeline.push({ month, balance: total() });
+            if (total() >= before) break;
+        }
+        
+        const paidOff = total() === 0;
+        return {
+            strategy,
+            extraPayment,
+            paidOff,
+            debtFreeMonth: paidOff ? month : null,
+            months: paidOff ? timeline.length - 1 : null,
+            totalInterest,
+            debts,
+            timeline
+        };
+    }
+    
+    // Get transactions filtered by various criteria
+    getTransactions(filter = {}) {
+        let filtered = [...this.transactions];
+        
+        // Filter by month and year if specified
+        if (filter.month !== undefined && filter.year !== undefined) {
+            filtered = filtered.filter(t => {
+                const date = new Date(t.date);
+                return date.getMonth() === filter.month && date.getFullYear() === filter.year;
+            });
+        } else if (filter.year !== undefined) {
+            filtered = filtered.filter(t => new Date(t.date).getFullYear() === filter.year);
+        }
+        
+        // Filter by type if specified
+        if (filter.type) {
+            filtered = filtered.filter(t => t.type === filter.type);
+        }
+        
+        // Filter by category if specified
+        if (filter.category && filter.category !== 'all') {
+            filtered = filtered.filter(t => this.getCategoryLines(t).some(line => line.category === filter.category));
+        }
+        
+        // Filter by payee if specified, ignoring case
+        if (filter.payee) {
+            const payee = filter.payee.toLowerCase();
+            filtered = filtered.filter(t => (t.payee || '').toLowerCase() === payee);
+        }
+        
+        // Filter by tags if specified; transactions must carry all of them
+        if (filter.tags && filter.tags.length > 0) {
+            const tags = parseTags(filter.tags);
+            filtered = filtered.filter(t => tags.every(tag => (t.tags || []).includes(tag)));
+        }
+        
+        // Filter by date range if specified
+        if (filter.startDate && filter.endDate) {
+            filtered = filtered.filter(t => {
+                const date = new Date(t.date);
+                return date >= new Date(filter.startDate) && date <= new Date(filter.endDate);
+            });
+        }
+        
+        // Filter by a search query if specified
+        if (filter.query) {
+            filtered = filtered.filter(this.compileSearch(filter.query));
+        }
+        
+        // Sort by date (newest first) unless another order is asked for
+        return this.sortTransactions(filtered, filter.sortBy, filter.sortDirection);
+    }
+    
+    // Turn a search query into a test for transactions. Terms are combined with AND and a
+    // leading "-" negates one; see parseSearchQuery for the syntax. Invalid terms throw
+    compileSearch(query) {
+        const listFields = {
+            category: t => this.getCategoryLines(t).map(line => line.category).filter(Boolean),
+            payee: t => (t.payee ? [t.payee] : []),
+            tag: t => t.tags || [],
+            type: t => [t.type],
+            account: t => [t.accountId, t.toAccountId].filter(Boolean).map(id => this.getAccountName(id)),
+            currency: t => [t.currency]
+        };
+        
+        const tests = parseSearchQuery(query).map(({ field, operator, value, negate }) => {
+            let test;
+            
+            if (!field) {
+                // Free text matches the description and payee
+                const text = value.toLowerCase();
+                test = t => [t.description, t.payee].some(part => (part || '').toLowerCase().includes(text));
+            } else if (listFields[field]) {
+                if (operator !== ':' && operator !== '=') {
+                    throw new Error(t('"{field}" can only be matched with ":"', { field }));
+                }
+                // Any of the listed values matches; an empty value matches any value at all
+                const wanted = field === 'tag' 
+                    ? parseTags(value) 
+                    : value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+                test = t => {
+                    const values = listFields[field](t).map(v => v.toLowerCase());
+                    return wanted.length === 0 ? values.length > 0 : values.some(v => wanted.includes(v));
+                };
+            } else if (field === 'amount') {
+                test = this.compileAmountSearch(operator, value);
+            } else if (field === 'date') {
+                test = compileDateSearch(operator, value);
+            }
+            
+            return negate ? t => !test(t) : test;
+        });
+        
+        return transaction => tests.every(test => test(transaction));
+    }
+    
+    // Compare base currency amounts with an amount search such as amount>100 or amount:10..50
+    compileAmountSearch(operator, value) {
+        const parse = part => {
+            const amount = part.trim() === '' ? NaN : Number(part);
+            if (isNaN(amount)) {
+                throw new Error(t('Invalid amount in search: {value}', { value }));
+            }
+            return this.toMinorUnits(amount);
+        };
+        
+        if (operator === ':' && value.includes('..')) {
+            const [from, to] = value.split('..');
+            const min = from ? parse(from) : -Infinity;
+            const max = to ? parse(to) : Infinity;
+            return t => this.getBaseAmount(t) >= min && this.getBaseAmount(t) <= max;
+        }
+        
+        const limit = parse(value);
+        const compare = {
+            ':': (a, b) => a === b,
+            '=': (a, b) => a === b,
+            '>': (a, b) => a > b,
+            '<': (a, b) => a < b,
+            '>=': (a, b) => a >= b,
+            '<=': (a, b) => a <= b
+        }[operator];
+        return t => compare(this.getBaseAmount(t), limit);
+    }
+    
+    // Sort transactions by date, description, category, amount or type; ties keep the newest first
+    sortTransactions(transactions, sortBy = 'date', direction = 'desc') {
+        const keys = {
+            date: t => t.date,
+            description: t => (t.payee || t.description || '').toLowerCase(),
+            category: t => this.getCategoryLabel(t).toLowerCase(),
+            amount: t => this.getBaseAmount(t),
+            type: t => t.type
+        };
+        const key = keys[sortBy] || keys.date;
+        const sign = direction === 'asc' ? 1 : -1;
+        
+        return [...transactions].sort((a, b) => {
+            const x = key(a);
+            const y = key(b);
+            const order = typeof x === 'number' ? x - y : x.localeCompare(y, activeLocale);
+            return sign * order || b.date.localeCompare(a.date);
+        });
+    }
+    
+    // Save a named search, replacing one with the same name
+    saveSearch(name, query) {
+        this.settings.savedSearches[name] = query;
+        this.saveSettings();
+    }
+    
+    // Delete a named search
+    deleteSavedSearch(name) {
+        delete this.settings.savedSearches[name];
+        this.saveSettings();
+    }
+    
+    // Add a categorization rule at the end of the list; invalid regular expressions throw
+    addRule(rule) {
+        this.checkRule(rule);
+        rule.id = this.generateId();
+        this.settings.categoryRules.push(rule);
+        this.saveSettings();
+        return rule;
+    }
+    
+    // Update a categorization rule
+    updateRule(id, updates) {
+        const index = this.settings.categoryRules.findIndex(r => r.id === id);
+        if (index === -1) return false;
+        
+        const rule = { ...this.settings.categoryRules[index], ...updates };
+        this.checkRule(rule);
+        this.settings.categoryRules[index] = rule;
+        this.saveSettings();
+        return true;
+    }
+    
+    // Delete a categorization rule
+    deleteRule(id) {
+        this.settings.categoryRules = this.settings.categoryRules.filter(r => r.id !== id);
+        this.saveSettings();
+    }
+    
+    // Move a rule up (-1) or down (1); earlier rules win
+    moveRule(id, offset) {
+        const rules = this.settings.categoryRules;
+        const index = rules.findIndex(r => r.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= rules.length) return false;
+        
+        [rules[index], rules[target]] = [rules[target], rules[index]];
+        this.saveSettings();
+        return true;
+    }
+    
+    // A rule needs a condition and an action, and its pattern must compile
+    checkRule(rule) {
+        const { conditions = {}, actions = {} } = rule;
+        
+        if (!conditions.pattern && conditions.minAmount === undefined && 
+            conditions.maxAmount === undefined && !conditions.accountId) {
+            throw new Error(t('A rule needs at least one condition'));
+        }
+        if (!actions.category && !actions.payee && !(actions.tags && actions.tags.length > 0)) {
+            throw new Error(t('A rule needs at least one action'));
+        }
+        if (conditions.match === 'regex') {
+            try {
+                new RegExp(conditions.pattern, 'i');
+            } catch (error) {
+                throw new Error(t('Invalid regular expression: {pattern}', { pattern: conditions.pattern }));
+            }
+        }
+    }
+    
+    // Check a transaction against a rule's conditions: text in the description and/or payee
+    // (plain text or regex, case-insensitive), base currency amount range and account
+    ruleMatches(rule, transaction) {
+        const { field = 'any', match = 'contains', pattern, minAmount, maxAmount, accountId } = rule.conditions;
+        
+        if (pattern) {
+            const texts = {
+                description: [transaction.description],
+                payee: [transaction.payee],
+                any: [transaction.description, transaction.payee]
+            }[field].filter(Boolean);
+            
+            let test;
+            if (match === 'regex') {
+                try {
+                    const regex = new RegExp(pattern, 'i');
+                    test = text => regex.test(text);
+                } catch (error) {
+                    return false;
+                }
+            } else {
+                test = text => text.toLowerCase().includes(pattern.toLowerCase());
+            }
+            if (!texts.some(test)) return false;
+        }
+        
+        const amount = this.getBaseAmount(transaction);
+        if (minAmount !== undefined && amount < minAmount) return false;
+        if (maxAmount !== undefined && amount > maxAmount) return false;
+        
+        return !accountId || transaction.accountId === accountId;
+    }
+    
+    // Work out what the rules would change on a transaction. Rules run in order: the first
+    // matching rule that sets a category or payee wins, and tags from every match are added.
+    // Unless overwriting, an existing category or payee is kept. Transfers have no category
+    // and split transactions keep their lines
+    getRuleUpdates(transaction, overwrite = false) {
+        const updates = {};
+        if (transaction.type === 'transfer') return updates;
+        
+        const categories = transaction.type === 'income' 
+            ? this.settings.incomeCategories 
+            : this.settings.expenseCategories;
+        let category = overwrite || !transaction.category ? undefined : transaction.category;
+        let payee = overwrite || !transaction.payee ? undefined : transaction.payee;
+        const tags = [...(transaction.tags || [])];
+        
+        this.settings.categoryRules
+            .filter(rule => rule.enabled !== false && this.ruleMatches(rule, transaction))
+            .forEach(({ actions }) => {
+                // A category of the other type cannot apply
+                if (!category && categories.includes(actions.category)) {
+                    category = actions.category;
+                }
+                if (!payee && actions.payee) {
+                    payee = actions.payee;
+                }
+                (actions.tags || []).forEach(tag => {
+                    if (!tags.includes(tag)) tags.push(tag);
+                });
+            });
+        
+        if (category && category !== transaction.category && !transaction.splits) {
+            updates.category = category;
+        }
+        if (payee && payee !== transaction.payee) {
+            updates.payee = payee;
+        }
+        if (tags.length > (transaction.tags || []).length) {
+            updates.tags = tags;
+        }
+        
+        return updates;
+    }
+    
+    // List the changes re-applying the rules would make to existing transactions
+    previewRuleChanges() {
+        return this.transactions
+            .map(transaction => ({ transaction, updates: this.getRuleUpdates(transaction, true) }))
+            .filter(change => Object.keys(change.updates).length > 0);
+    }
+    
+    // Apply previewed rule changes to existing transactions
+    applyRuleChanges(changes) {
+        const updated = changes.map(({ transaction, updates }) => Object.assign(transaction, updates));
+        this.saveRecords('transactions', updated);
+        return updated.length;
+    }
+    
+    // Get summary data for the dashboard
+    getSummary() {
+        const now = new Date();
+        const currentMonth = now.getMonth();
+        const currentYear = now.getFullYear();
+        
+        // Get current month transactions
+        const monthlyTransactions = this.getTransactions({ month: currentMonth, year: currentYear });
+        
+        // Calculate totals
+        const income = monthlyTransactions
+            .filter(t => t.type === 'income')
+            .reduce((sum, t) => sum + this.getBaseAmount(t), 0);
+            
+        const expenses = monthlyTransactions
+            .filter(t => t.type === 'expense')
+            .reduce((sum, t) => sum + this.getBaseAmount(t), 0);
+            
+        const balance = income - expenses;
+        
+        // What is actually held across the accounts today, or null without accounts; entries dated
+        // later have not happened yet
+        const accountsBalance = this.accounts.length > 0
+            ? this.getAccountsSummary(formatDateString(new Date())).reduce((sum, a) => sum + (a.baseBalance || 0), 0)
+            : null;
+        
+        // Get recent transactions (last 5)
+        const recentTransactions = [...this.transactions]
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 5);
+            
+        // Get expenses by category for the chart
+        const expensesByCategory = this.getMonthlyExpensesByCategory(currentMonth, currentYear);
+        
+        return {
+            income,
+            expenses,
+            balance,
+            accountsBalance,
+            recentTransactions,
+            expensesByCategory
+        };
+    }
+    
+    // Get monthly expenses grouped by category
+    getMonthlyExpensesByCategory(month, year) {
+        const monthlyExpenses = this.getTransactions({ 
+            month, 
+            year, 
+            type: 'expense' 
+        });
+        
+        // Split transactions count towards each of their categories
+        const categoryMap = this.sumByGroup(monthlyExpenses);
+        
+        return Object.entries(categoryMap).map(([category, total]) => ({
+            category,
+            total
+        })).sort((a, b) => b.total - a.total);
+    }
+    
+    // Get the start and end dates (YYYY-MM-DD) of the budget period containing a date
+    getBudgetPeriod(budget, date = new Date()) {
+        if (budget.period === 'custom') {
+            return { start: budget.startDate, end: budget.endDate };
+        }
+        return getPeriodRange(budget.period, date, this.settings.firstDayOfWeek);
+    }
+    
+    // Get the base currency amount spent in a category between two dates
+    getBudgetSpent(category, start, end) {
+        const expenses = this.getTransactions({ type: 'expense', category, startDate: start, endDate: end });
+        return this.sumByGroup(expenses)[category] || 0;
+    }
+    
+    // Get what earlier periods of a rollover budget leave for the period starting on a date;
+    // negative when they were overspent
+    getBudgetCarryover(budget, periodStart) {
+        if (!budget.rollover || !budget.startDate) return 0;
+        
+        let carried = 0;
+        let period = this.getBudgetPeriod(budget, parseDateString(budget.startDate));
+        while (period.end < periodStart) {
+            // Each period counts against the budget that was in effect when it started
+            const version = this.getBudgetAt(budget.category, parseDateString(period.start));
+            carried += (version ? version.amount : 0) - this.getBudgetSpent(budget.category, period.start, period.end);
+            
+            const next = parseDateString(period.end);
+            next.setDate(next.getDate() + 1);
+            period = this.getBudgetPeriod(budget, next);
+        }
+        
+        return carried;
+    }
+    
+    // Get how a budget stands in the period containing a date: available = budgeted + carried - spent
+    getBudgetStatus(budget, date = new Date()) {
+        const { start, end } = this.getBudgetPeriod(budget, date);
+        const spent = this.getBudgetSpent(budget.category, start, end);
+        const carried = this.getBudgetCarryover(budget, start);
+        
+        return {
+            category: budget.category,
+            period: budget.period,
+            rollover: budget.rollover,
+            start,
+            end,
+            budget: budget.amount,
+            carried,
+            spent,
+            available: budget.amount + carried - spent
+        };
+    }
+    
+    // Get budget summary for the budgets in effect on a date and their periods containing it;
+    // with envelope budgeting, the envelope balances of the date's month
+    getBudgetSummary(date = new Date()) {
+        if (this.settings.envelopeBudgeting.enabled) {
+            return this.getEnvelopeSummary(formatDateString(date).slice(0, 7));
+        }
+        return this.getBudgetsAt(date).map(budget => this.getBudgetStatus(budget, date));
+    }
+    
+    // Get monthly summaries for all months with data. Occurrences of recurring series can be left
+    // out, and each month's income and expenses can be broken down by category
+    getMonthlySummaries({ excludeRecurring = false, byCategory = false } = {}) {
+        const ledger = excludeRecurring ? this.transactions.filter(t => !t.seriesId) : this.transactions;
+        if (ledger.length === 0) return [];
+        
+        // Get all unique month/year combinations
+        const monthYears = {};
+        ledger.forEach(t => {
+            const date = new Date(t.date);
+            const key = `${date.getFullYear()}-${date.getMonth()}`;
+            monthYears[key] = { year: date.getFullYear(), month: date.getMonth() };
+        });
+        
+        // Calculate summary for each month
+        return Object.values(monthYears)
+            .map(({ year, month }) => {
+                const transactions = this.getTransactions({ month, year })
+                    .filter(t => !excludeRecurring || !t.seriesId);
+                
+                const income = transactions
+                    .filter(t => t.type === 'income')
+                    .reduce((sum, t) => sum + this.getBaseAmount(t), 0);
+                    
+                const expenses = transactions
+                    .filter(t => t.type === 'expense')
+                    .reduce((sum, t) => sum + this.getBaseAmount(t), 0);
+                    
+                const summary = {
+                    year,
+                    month,
+                    income,
+                    expenses,
+                    savings: income - expenses,
+                    transactionCount: transactions.length
+                };
+                
+                if (byCategory) {
+                    summary.incomeByCategory = this.sumByGroup(transactions.filter(t => t.type === 'income'));
+                    summary.expensesByCategory = this.sumByGroup(transactions.filter(t => t.type === 'expense'));
+                }
+                
+                return summary;
+            })
+            .sort((a, b) => {
+                // Sort by year and month (newest first)
+                if (a.year !== b.year) return b.year - a.year;
+                return b.month - a.month;
+            });
+    }
+    
+    // Add a hypothetical transaction to the forecast. What-ifs are kept in memory only and never
+    // reach the ledger; one with a frequency repeats like a recurring transaction
+    addWhatIf(whatIf) {
+        whatIf.id = this.generateId();
+        this.whatIfs.push(whatIf);
+        return whatIf;
+    }
+    
+    // Remove a what-if transaction, or all of them without an ID
+    removeWhatIf(id) {
+        this.whatIfs = id ? this.whatIfs.filter(w => w.id !== id) : [];
+    }
+    
+    // Project the total balance day by day for the next few months. It moves with the
+    // transactions already entered for future dates, the recurring series not generated yet,
+    // the minimum payments of debts paid by expenses and not by a recurring series, the what-ifs,
+    // and the average monthly income and spending outside recurring series, by category, over the
+    // last six complete months, spread evenly over the days. Transfers only move money between
+    // accounts, so they leave the total alone
+    getCashFlowForecast(months = 3, date = new Date()) {
+        const today = formatDateString(date);
+        const end = formatDateString(addMonths(date, months));
+        const base = this.settings.currency;
+        const sign = type => (type === 'income' ? 1 : -1);
+        const describe = transaction => [transaction.payee, transaction.description].filter(Boolean).join(' - ') || 
+            this.getCategoryLabel(transaction);
+        
+        const events = [];
+        const add = (eventDate, amount, description, source) => {
+            if (eventDate > today && eventDate <= end && amount !== 0) {
+                events.push({ date: eventDate, amount, description, source });
+            }
+        };
+        
+        // Entries dated in the future
+        this.transactions.filter(t => t.date > today && t.type !== 'transfer').forEach(t => {
+            add(t.date, sign(t.type) * this.getBaseAmount(t), describe(t), 'scheduled');
+        });
+        
+        // Occurrences of recurring series that have not been generated yet
+        const masters = this.getForecastSeries();
+        masters.forEach(master => {
+            const { template } = this.getSeriesRule(master);
+            const amount = sign(template.type) * (this.convertAmount(template.amount, template.currency, base, today) || 0);
+            this.getPendingOccurrences(master, end).forEach(occurrence => {
+                add(occurrence, amount, describe(template), 'recurring');
+            });
+        });
+        
+        // Debt payments
+        const billedDebts = this.getBilledDebts(masters);
+        billedDebts.forEach(debt => {
+            this.getDebtBills(debt, end).forEach(bill => add(bill.date, -bill.amount, debt.name, 'bill'));
+        });
+        
+        // What-ifs, repeated up to the end of the forecast
+        this.whatIfs.forEach(whatIf => {
+            const amount = sign(whatIf.type) * whatIf.amount;
+            for (let i = 0; ; i++) {
+                const occurrence = whatIf.frequency ? getOccurrenceDate(whatIf.date, whatIf.frequency, i) : whatIf.date;
+                if (occurrence > end) break;
+                add(occurrence, amount, whatIf.description, 'what-if');
+                if (!whatIf.frequency) break;
+            }
+        });
+        
+        events.sort((a, b) => a.date.localeCompare(b.date));
+        
+        // Monthly averages of what happens outside recurring series
+        const firstDay = summary => formatDateString(new Date(summary.year, summary.month, 1));
+        const history = this.getMonthlySummaries({ excludeRecurring: true, byCategory: true })
+            .filter(summary => firstDay(summary) < `${today.slice(0, 7)}-01`)
+            .slice(0, 6);
+        const monthsCounted = history.length > 0 ? getMonthsBetween(firstDay(history[history.length - 1]), today) : 0;
+        const average = key => {
+            const totals = {};
+            history.forEach(summary => Object.entries(summary[key]).forEach(([category, amount]) => {
+                totals[category] = (totals[category] || 0) + amount;
+            }));
+            Object.keys(totals).forEach(category => { totals[category] = Math.round(totals[category] / monthsCounted); });
+            return totals;
+        };
+        const averages = { income: average('incomeByCategory'), expenses: average('expensesByCategory') };
+        
+        // Past payments of a billed debt are in its category's spending; the bill events already cover them
+        billedDebts.forEach(debt => {
+            if (debt.category) delete averages.expenses[debt.category];
+        });
+        const sum = totals => Object.values(totals).reduce((total, amount) => total + amount, 0);
+        const averageNet = sum(averages.income) - sum(averages.expenses);
+        
+        // Start from what the accounts hold, or without accounts from everything recorded so far
+        const openingBalance = this.accounts.length > 0
+            ? this.getAccountsSummary(today).reduce((total, a) => total + (a.baseBalance || 0), 0)
+            : this.transactions.filter(t => t.date <= today && t.type !== 'transfer')
+                .reduce((total, t) => total + sign(t.type) * this.getBaseAmount(t), 0);
+        
+        let balance = openingBalance;
+        let averageCarry = 0;
+        let index = 0;
+        const days = [];
+        for (let day = addDays(date, 1); formatDateString(day) <= end; day = addDays(day, 1)) {
+            const dayString = formatDateString(day);
+            const daysInMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+            
+            // Whole minor units only; the remainders carry over to the next day
+            averageCarry += averageNet / daysInMonth;
+            const averageToday = Math.trunc(averageCarry);
+            averageCarry -= averageToday;
+            balance += averageToday;
+            
+            let eventsTotal = 0;
+            for (; index < events.length && events[index].date === dayString; index++) {
+                eventsTotal += events[index].amount;
+                balance += events[index].amount;
+                events[index].balance = balance;
+            }
+            
+            days.push({ date: dayString, balance, average: averageToday, events: eventsTotal });
+        }
+        
+        const lowest = days.reduce((low, day) => (day.balance < low.balance ? day : low), { date: today, balance: openingBalance });
+        const negativeDays = days.filter(day => day.balance < 0);
+        
+        return {
+            start: today,
+            end,
+            openingBalance,
+            closingBalance: balance,
+            days,
+            events,
+            averages,
+            lowest,
+            negativeDays
+        };
+    }
+    
+    // Get the recurring series the forecast carries forward: every series except transfers
+    getForecastSeries() {
+        return this.transactions.filter(t => t.recurring && this.getSeriesRule(t).template.type !== 'transfer');
+    }
+    
+    // Get the dates of a series' occurrences up to an end date that have not been generated or skipped
+    getPendingOccurrences(master, end) {
+        const { frequency, endDate, iterations, skipped = [], offset = 0 } = master.recurring;
+        const { startDate } = this.getSeriesRule(master);
+        const existing = new Set(this.transactions
+            .filter(t => t.seriesId === master.seriesId)
+            .map(t => t.occurrenceIndex));
+        
+        const dates = [];
+        for (let i = 1; !iterations || i < iterations; i++) {
+            const occurrence = getOccurrenceDate(startDate, frequency, offset + i);
+            if (occurrence > end || (endDate && occurrence > endDate)) break;
+            if (existing.has(i) || skipped.includes(i)) continue;
+            dates.push(occurrence);
+        }
+        return dates;
+    }
+    
+    // Get the debts whose minimum payments are bills of their own: a debt paid through its own account
+    // is already in the balance, and one paid by a recurring expense is already in that series
+    getBilledDebts(masters = this.getForecastSeries()) {
+        if (this.debts.length === 0) return [];
+        
+        return this.getDebtsSummary().filter(debt => debt.balance > 0 && !debt.accountId && 
+            !masters.some(master => {
+                const { template } = this.getSeriesRule(master);
+                return template.type === 'expense' && this.getDebtPayment(debt, template) > 0;
+            }));
+    }
+    
+    // Get a debt's minimum payments from its next due date up to an end date, while a balance is left.
+    // Each due date comes from the due day, so a day 31 clamped in February is the 31st again in March
+    getDebtBills(debt, end) {
+        const firstDue = parseDateString(debt.nextDueDate);
+        const bills = [];
+        let owed = debt.balance;
+        for (let i = 0; owed > 0; i++) {
+            const month = new Date(firstDue.getFullYear(), firstDue.getMonth() + i, 1);
+            const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+            const dueDate = formatDateString(new Date(month.getFullYear(), month.getMonth(), Math.min(debt.dueDay, lastDay)));
+            if (dueDate > end) break;
+            const amount = Math.min(debt.minimumPayment, owed);
+            if (amount <= 0) break;
+            bills.push({ date: dueDate, amount });
+            owed -= amount;
+        }
+        return bills;
+    }
+    
+    // Get category analysis data, grouped by category, payee or tag
+    getCategoryAnalysis(type, period, groupBy = 'category') {
+        let transactions = [];
+        const now = new Date();
+        
+        // Determine date range based on period
+        switch (period) {
+            case 'current':
+                transactions = this.getTransactions({ 
+                    month: now.getMonth(), 
+                    year: now.getFullYear(), 
+                    type 
+                });
+                break;
+            case 'last-3':
+                transactions = this.getLastNMonthsTransactions(3, type);
+                break;
+            case 'last-6':
+                transactions = this.getLastNMonthsTransactions(6, type);
+                break;
+            case 'last-12':
+                transactions = this.getLastNMonthsTransactions(12, type);
+                break;
+            case 'all':
+                transactions = this.getTransactions({ type });
+                break;
+        }
+        
+        // Group by category (line by line for split transactions), payee or tag
+        const categoryMap = this.sumByGroup(transactions, groupBy);
+        
+        // Convert to array and sort
+        const categories = Object.entries(categoryMap)
+            .map(([category, total]) => ({ category, total }))
+            .sort((a, b) => b.total - a.total);
+            
+        // Calculate total for percentages; tags can overlap, so this is taken from the transactions
+        const grandTotal = transactions.reduce((sum, t) => sum + this.getBaseAmount(t), 0);
+        
+        // Add percentage to each category
+        categories.forEach(c => {
+            c.percentage = grandTotal > 0 ? (c.total / grandTotal) * 100 : 0;
+        });
+        
+        return {
+            categories,
+            grandTotal,
+            period,
+            type,
+            groupBy
+        };
+    }
+    
+    // Get transactions for the last N months
+    getLastNMonthsTransactions(n, type) {
+        const now = new Date();
+        let result = [];
+        
+        for (let i = 0; i < n; i++) {
+            const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+            const monthTransactions = this.getTransactions({ 
+                month: date.getMonth(), 
+                year: date.getFullYear(), 
+                type 
+            });
+            result = result.concat(monthTransactions);
+        }
+        
+        return result;
+    }
+    
+    // Get trend data of a category, payee or tag
+    getCategoryTrends(category, type, groupBy = 'category') {
+        const now = new Date();
+        const trendData = [];
+        
+        // Get data for last 12 months
+        for (let i = 11; i >= 0; i--) {
+            const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
+            const monthKey = formatDate(date, { month: 'short', year: 'numeric' });
+            
+            const monthlyTransactions = this.getTransactions({ 
+                month: date.getMonth(), 
+                year: date.getFullYear(), 
+                type 
+            });
+            
+            const categoryTotal = this.sumByGroup(monthlyTransactions, groupBy)[category] || 0;
+                
+            trendData.push({
+                month: monthKey,
+                total: categoryTotal
+            });
+        }
+        
+        return trendData;
+    }
+    
+    // Format minor units of a currency, the base currency by default, for the active locale
+    formatCurrency(amount, currency = this.settings.currency) {
+        return formatNumber(this.fromMinorUnits(amount, currency), { style: 'currency', currency });
+    }
+    
+    // Convert a decimal amount (number or string) to minor units, of the base currency by default
+    toMinorUnits(amount, currency = this.settings.currency) {
+        return toMinorUnits(amount, currency);
+    }
+    
+    // Convert minor units back to a decimal amount, of the base currency by default
+    fromMinorUnits(amount, currency = this.settings.currency) {
+        return fromMinorUnits(amount, currency);
+    }
+    
+    // Convert a decimal unit price to minor units, keeping fractions of a minor unit
+    toMinorUnitPrice(price, currency = this.settings.currency) {
+        return roundPrice(Number(price) * 10 ** getCurrencyDecimals(currency));
+    }
+    
+    // Format a unit price, showing the digits below the currency's minor unit when it has them
+    formatPrice(price, currency = this.settings.currency) {
+        return formatNumber(this.fromMinorUnits(price, currency), { 
+            style: 'currency', 
+            currency, 
+            maximumFractionDigits: getCurrencyDecimals(currency) + 6 
+        });
+    }
+    
+    // Switch the base currency; budgets and the large expense threshold are converted
+    // at today's rate, or keep their value when there is no rate
+    changeCurrency(currency) {
+        const convert = amount => {
+            const converted = this.convertAmount(amount, this.settings.currency, currency);
+            return converted !== null ? converted : toMinorUnits(this.fromMinorUnits(amount), currency);
+        };
+        // Unit prices keep their fractions of a minor unit
+        const rate = this.getExchangeRate(this.settings.currency, currency);
+        const convertPrice = price => this.toMinorUnitPrice(this.fromMinorUnits(price) * (rate !== null ? rate : 1), currency);
+        
+        this.budgets.forEach(b => b.history.forEach(v => {
+            if (!v.removed) v.amount = convert(v.amount);
+        }));
+        Object.values(this.settings.budgetTemplates).forEach(template => template.forEach(b => { b.amount = convert(b.amount); }));
+        this.assignments.forEach(a => { a.amount = convert(a.amount); });
+        this.goals.forEach(g => { g.target = convert(g.target); });
+        this.debts.forEach(d => {
+            d.balance = convert(d.balance);
+            d.minimumPayment = convert(d.minimumPayment);
+        });
+        this.settings.debtPayoff.extraPayment = convert(this.settings.debtPayoff.extraPayment);
+        this.netWorthItems.forEach(i => i.valuations.forEach(v => { v.value = convert(v.value); }));
+        this.holdings.forEach(h => {
+            h.trades.forEach(trade => {
+                trade.price = convertPrice(trade.price);
+                trade.fees = convert(trade.fees);
+            });
+            h.prices.forEach(p => { p.price = convertPrice(p.price); });
+        });
+        this.settings.notifications.largeExpenseThreshold = convert(this.settings.notifications.largeExpenseThreshold);
+        
+        this.settings.currency = currency;
+    }
+    
+    // Export data in various formats
+    exportData(format, options = {}) {
+        let data, filename, mimeType;
+        
+        // Prepare data based on content type
+        switch (options.content) {
+            case 'transactions':
+                data = this.getTransactions(options.dateRange);
+                filename = 'transactions';
+                break;
+            case 'budgets':
+                // One row per budget change
+                data = this.budgets.flatMap(({ category, history }) => history.map(v => ({
+                    category,
+                    from: v.from,
+                    amount: v.amount,
+                    period: v.removed ? 'removed' : v.period,
+                    rollover: v.rollover,
+                    startDate: v.startDate,
+                    endDate: v.endDate
+                })));
+                filename = 'budgets';
+                break;
+            case 'reports':
+                data = this.getMonthlySummaries();
+                filename = 'reports';
+                break;
+            case 'all':
+                data = {
+                    transactions: this.transactions,
+                    budgets: this.budgets,
+                    accounts: this.accounts,
+                    exchangeRates: this.exchangeRates,
+                    assignments: this.assignments,
+                    goals: this.goals,
+                    debts: this.debts,
+                    netWorthItems: this.netWorthItems,
+                    holdings: this.holdings,
+                    settings: this.settings,
+                    schemaVersion: SCHEMA_VERSION
+                };
+                filename = 'finance-planner-export';
+                break;
+        }
+        
+        // Handle different export formats
+        switch (format) {
+            case 'csv':
+                return this.exportToCSV(data, filename);
+            case 'json':
+                return this.exportToJSON(data, filename);
+            case 'pdf':
+                return this.exportToPDF(data, filename, options.content);
+            case 'qif':
+                return this.exportToQIF(data, filename, options.content);
+            default:
+                throw new Error(t('Unsupported export format: {format}', { format }));
+        }
+    }
+    
+    // Export to CSV
+    exportToCSV(data, filename) {
+        let csvContent = '';
+        
+        // Handle array of transactions or budgets
+        if (Array.isArray(data)) {
+            if (data.length === 0) {
+                csvContent = 'No data to export';
+            } else {
+                // Extract headers
+                const headers = Object.keys(data[0]);
+                csvContent += headers.join(',') + '\n';
+                
+                // Add rows
+                data.forEach(item => {
+                    csvContent += headers.map(header => {
+                        // Handle nested objects if needed
+                        if (typeof item[header] === 'object') {
+                            return JSON.stringify(item[header]);
+                        }
+                        // Write amounts as decimals of their record's currency rather than minor units
+                        if (MONEY_FIELDS.includes(header) && typeof item[header] === 'number') {
+                            const currency = item.currency || this.settings.currency;
+                            return this.fromMinorUnits(item[header], currency).toFixed(getCurrencyDecimals(currency));
+                        }
+                        return item[header];
+                    }).join(',') + '\n';
+                });
+            }
+        } else {
+            // Handle object (full export)
+            csvContent = 'Data Type,Content\n';
+            Object.entries(data).forEach(([key, value]) => {
+                csvContent += `${key},"${JSON.stringify(value)}"\n`;
+            });
+        }
+        
+        // Create download link
+        this.downloadFile(csvContent, `${filename}.csv`, 'text/csv;charset=utf-8;');
+    }
+    
+    // Export to JSON
+    exportToJSON(data, filename) {
+        const jsonContent = JSON.stringify(data, null, 2);
+        this.downloadFile(jsonContent, `${filename}.json`, 'application/json');
+    }
+    
+    // Export transactions to QIF, one section per account
+    exportToQIF(data, filename, contentType) {
+        if (contentType !== 'transactions' && contentType !== 'all') {
+            throw new Error(t('QIF export only supports transactions'));
+        }
+        
+        const transactions = Array.isArray(data) ? data : data.transactions;
+        const accountTypes = { checking: 'Bank', savings: 'Bank', 'credit-card': 'CCard', cash: 'Cash' };
+        // Group by account; transfers are written once, from the sending account
+        const sections = {};
+        transactions.forEach(t => {
+            const key = t.accountId || '';
+            if (!sections[key]) sections[key] = [];
+            sections[key].push(t);
+        });
+        
+        let qifContent = '';
+        Object.entries(sections).forEach(([accountId, accountTransactions]) => {
+            const account = this.accounts.find(a => a.id === accountId);
+            const qifType = account ? accountTypes[account.type] : 'Bank';
+            
+            if (account) {
+                qifContent += `!Account\nN${account.name}\nT${qifType}\n^\n`;
+            }
+            qifContent += `!Type:${qifType}\n`;
+            
+            [...accountTransactions]
+                .sort((a, b) => new Date(a.date) - new Date(b.date))
+                .forEach(t => {
+                    const [year, month, day] = t.date.split('-');
+                    const signedAmount = t.type === 'income' ? t.amount : -t.amount;
+                    const category = t.type === 'transfer' 
+                        ? `[${this.getAccountName(t.toAccountId)}]` 
+                        : t.category;
+                    
+                    qifContent += `D${month}/${day}/${year}\n`;
+                    qifContent += `T${this.fromMinorUnits(signedAmount, t.currency).toFixed(getCurrencyDecimals(t.currency))}\n`;
+                    if (t.payee) {
+                        qifContent += `P${t.payee}\n`;
+                        if (t.description) qifContent += `M${t.description}\n`;
+                    } else if (t.description) {
+                        qifContent += `P${t.description}\n`;
+                    }
+                    if (t.splits) {
+                        // Split lines carry the sign of the whole transaction
+                        t.splits.forEach(line => {
+                            const signedLine = t.type === 'income' ? line.amount : -line.amount;
+                            qifContent += `S${line.category}\n`;
+                            qifContent += `$${this.fromMinorUnits(signedLine, t.currency).toFixed(getCurrencyDecimals(t.currency))}\n`;
+                        });
+                    } else {
+                        qifContent += `L${category}\n`;
+                    }
+                    qifContent += '^\n';
+                });
+        });
+        
+        this.downloadFile(qifContent, `${filename}.qif`, 'application/qif');
+    }
+    
+    // Export to PDF
+    exportToPDF(data, filename, contentType) {
+        // jsPDF's standard fonts only cover Latin script, so other scripts are exported in English
+        const catalog = getMessageCatalog();
+        if (catalog && catalog.script !== 'Latn') {
+            return withLocale('en-US', () => this.exportToPDF(data, filename, contentType));
+        }
+        
+        // Use jsPDF with autoTable plugin
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        
+        // Add title
+        doc.setFontSize(18);
+        doc.text(t('Finance Planner Export - {content}', { content: contentType.toUpperCase() }), 14, 15);
+        doc.setFontSize(12);
+        doc.text(t('Generated on {date}', { date: formatDate(new Date()) }), 14, 22);
+        
+        // Handle different content types
+        if (Array.isArray(data)) {
+            if (data.length === 0) {
+                doc.text(t('No data to export'), 14, 30);
+            } else {
+                // Prepare data for the table
+                const headers = Object.keys(data[0]);
+                const rows = data.map(item => {
+                    return headers.map(header => {
+                        // Format dates if needed
+                        if (header.toLowerCase().includes('date') && item[header]) {
+                            return formatDate(item[header]);
+                        }
+                        // Handle amounts
+                        if (MONEY_FIELDS.includes(header) && item[header] !== undefined) {
+                            return this.formatCurrency(item[header], item.currency);
+                        }
+                        return item[header] !== undefined ? item[header].toString() : '';
+                    });
+                });
+                
+                // Add table
+                doc.autoTable({
+                    head: [headers],
+                    body: rows,
+                    startY: 30,
+                    styles: {
+                        fontSize: 8,
+                        cellPadding: 2
+                    },
+                    headStyles: {
+                        fillColor: [78, 115, 223]
+                    }
+                });
+            }
+        } else {
+            // Handle full export
+            let y = 30;
+            Object.entries(data).forEach(([key, value]) => {
+                doc.text(`${key}:`, 14, y);
+                y += 7;
+                doc.text(JSON.stringify(value, null, 2), 20, y, { maxWidth: 180 });
+                y += 20;
+            });
+        }
+        
+        // Save the PDF
+        doc.save(`${filename}.pdf`);
+    }
+    
+    // Helper to create download link
+    downloadFile(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        
+        setTimeout(() => {
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+    
+    // Parse CSV content into rows of fields, detecting the delimiter from the first line
+    parseCSV(content) {
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = [';', '\t'].reduce((best, candidate) => 
+            firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+        
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        // Drop blank lines
+        return rows.filter(r => r.some(f => f.trim() !== ''));
+    }
+    
+    // Parse an amount from a statement, e.g. "-1.234,50 €" with a comma decimal separator
+    parseImportedAmount(value, decimalSeparator = '.') {
+        if (value === undefined || value.trim() === '') return NaN;
+        
+        let cleaned = value.trim().replace(/[^\d,.()+-]/g, '');
+        const isNegative = /^\(.*\)$/.test(cleaned) || cleaned.includes('-');
+        const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+        
+        cleaned = cleaned
+            .replace(/[()+-]/g, '')
+            .split(thousandsSeparator).join('')
+            .replace(decimalSeparator, '.');
+        
+        if (cleaned === '') return NaN;
+        const amount = Number(cleaned);
+        return isNegative ? -amount : amount;
+    }
+    
+    // Parse a statement date in the given field order into YYYY-MM-DD, or null if invalid
+    parseImportedDate(value, dateFormat = 'YYYY-MM-DD') {
+        if (!value) return null;
+        
+        // Any non-digit separates the parts, so "05.01.2026" and "05/01/2026" read the same
+        const parts = value.trim().split(/\D+/).filter(Boolean).map(Number);
+        if (parts.length < 3) return null;
+        
+        const fieldOrder = {
+            'YYYY-MM-DD': [0, 1, 2],
+            'DD/MM/YYYY': [2, 1, 0],
+            'MM/DD/YYYY': [2, 0, 1]
+        }[dateFormat];
+        if (!fieldOrder) return null;
+        
+        let [year, month, day] = fieldOrder.map(i => parts[i]);
+        // Two-digit years fall in the century that puts them at most ten years ahead, so '98 is 1998
+        if (year < 100) {
+            year += year <= new Date().getFullYear() % 100 + 10 ? 2000 : 1900;
+        }
+        
+        // Reject dates that roll over, such as 31/02
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        
+        return formatDateString(date);
+    }
+    
+    // Match an imported category name to a known category of the given type; undefined leaves it to the rules
+    matchImportedCategory(value, type) {
+        const categories = type === 'income' 
+            ? this.settings.incomeCategories 
+            : this.settings.expenseCategories;
+        
+        return value ? categories.find(c => c.toLowerCase() === value.trim().toLowerCase()) : undefined;
+    }
+    
+    // Category for transactions nothing else categorized
+    getFallbackCategory(type) {
+        const categories = type === 'income' 
+            ? this.settings.incomeCategories 
+            : this.settings.expenseCategories;
+        const fallback = type === 'income' ? 'Other Income' : 'Other Expenses';
+        return categories.includes(fallback) ? fallback : categories[0];
+    }
+    
+    // Check whether a transaction with the same date, amount, type and description already exists
+    isDuplicateTransaction(transaction, existing = this.transactions) {
+        return existing.some(t => 
+            t.date === transaction.date &&
+            t.amount === transaction.amount &&
+            t.currency === transaction.currency &&
+            t.type === transaction.type &&
+            (t.description || '') === (transaction.description || ''));
+    }
+    
+    // Create transactions from parsed CSV rows using a column mapping
+    importCSVTransactions(rows, mapping) {
+        const { columns, hasHeader, dateFormat, decimalSeparator, accountId } = mapping;
+        const existing = [...this.transactions];
+        const result = { imported: [], skipped: [] };
+        const account = this.accounts.find(a => a.id === accountId);
+        const currency = account ? account.currency : this.settings.currency;
+        
+        const getField = (row, name) => 
+            columns[name] !== undefined && columns[name] !== '' ? row[columns[name]] : undefined;
+        
+        // One alert per imported row would bury the rest
+        this.holdAlerts();
+        try {
+            rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+                const rowNumber = index + (hasHeader ? 2 : 1);
+                const skip = reason => result.skipped.push({ row: rowNumber, reason });
+                
+                const date = this.parseImportedDate(getField(row, 'date'), dateFormat);
+                if (!date) return skip('Invalid or missing date');
+                
+                // Either one signed amount column, or separate debit and credit columns
+                let amount;
+                if (columns.amount !== undefined && columns.amount !== '') {
+                    amount = this.parseImportedAmount(getField(row, 'amount'), decimalSeparator);
+                } else {
+                    const debit = this.parseImportedAmount(getField(row, 'debit'), decimalSeparator);
+                    const credit = this.parseImportedAmount(getField(row, 'credit'), decimalSeparator);
+                    amount = isNaN(debit) && isNaN(credit)
+                        ? NaN
+                        : (isNaN(credit) ? 0 : Math.abs(credit)) - (isNaN(debit) ? 0 : Math.abs(debit));
+                }
+                if (isNaN(amount) || amount === 0) return skip('Invalid or missing amount');
+                
+                const type = amount < 0 ? 'expense' : 'income';
+                const description = (getField(row, 'description') || '').trim();
+                
+                const transaction = {
+                    type,
+                    date,
+                    amount: toMinorUnits(Math.abs(amount), currency),
+                    currency,
+                    category: this.matchImportedCategory(getField(row, 'category'), type),
+                    description: description || undefined,
+                    accountId: accountId || undefined
+                };
+                
+                if (this.isDuplicateTransaction(transaction, existing)) return skip('Already recorded');
+                
+                result.imported.push(this.addTransaction(transaction));
+            });
+            
+        } finally {
+            this.releaseAlerts();
+        }
+        return result;
+    }
+    
+    // Parse an OFX/QFX statement (SGML or XML) into its bank transactions
+    parseOFX(content) {
+        // Leaf elements may be unclosed in SGML, so read each value up to the next tag or line break
+        const getValue = (block, tag) => {
+            const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+            return match ? decodeEntities(match[1].trim()) : undefined;
+        };
+        
+        if (!/<OFX>/i.test(content)) {
+            throw new Error(t('Not an OFX/QFX file'));
+        }
+        
+        const accountBlock = content.match(/<(BANKACCTFROM|CCACCTFROM)>([\s\S]*?)<\/\1>/i);
+        const transactionBlocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+        const currency = getValue(content, 'CURDEF');
+        
+        return {
+            accountId: accountBlock ? getValue(accountBlock[2], 'ACCTID') : undefined,
+            currency: /^[A-Z]{3}$/i.test(currency || '') ? currency.toUpperCase() : undefined,
+            transactions: transactionBlocks.map(block => ({
+                fitId: getValue(block, 'FITID'),
+                type: getValue(block, 'TRNTYPE'),
+                // DTPOSTED is YYYYMMDD followed by an optional time and timezone
+                date: (getValue(block, 'DTPOSTED') || '').replace(/^(\d{4})(\d{2})(\d{2}).*$/, '$1-$2-$3'),
+                amount: parseFloat((getValue(block, 'TRNAMT') || '').replace(',', '.')),
+                name: getValue(block, 'NAME'),
+                memo: getValue(block, 'MEMO')
+            }))
+        };
+    }
+    
+    // Create transactions from a parsed OFX statement, skipping FITIDs already imported
+    importOFXTransactions(statement, options = {}) {
+        const result = { imported: [], skipped: [] };
+        // The statement's default currency wins over the account it is imported into
+        const account = this.accounts.find(a => a.id === options.accountId);
+        const currency = statement.currency || (account ? account.currency : this.settings.currency);
+        
+        this.holdAlerts();
+        try {
+            statement.transactions.forEach((record, index) => {
+                const skip = reason => result.skipped.push({ row: index + 1, reason });
+                
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date)) return skip('Invalid or missing date');
+                if (isNaN(record.amount) || record.amount === 0) return skip('Invalid or missing amount');
+                
+                // FITIDs are only unique within the bank account they came from
+                if (record.fitId && this.transactions.some(t => 
+                    t.fitId === record.fitId && t.ofxAccountId === statement.accountId)) {
+                    return skip('Already imported');
+                }
+                
+                const type = record.amount < 0 ? 'expense' : 'income';
+                const description = [record.name, record.memo]
+                    .filter((part, i, parts) => part && parts.indexOf(part) === i)
+                    .join(' - ');
+                
+                result.imported.push(this.addTransaction({
+                    type,
+                    date: record.date,
+                    amount: toMinorUnits(Math.abs(record.amount), currency),
+                    currency,
+                    description: description || undefined,
+                    accountId: options.accountId || undefined,
+                    fitId: record.fitId,
+                    ofxAccountId: statement.accountId
+                }));
+            });
+            
+        } finally {
+            this.releaseAlerts();
+        }
+        return result;
+    }
+    
+    // Check that parsed JSON has the structure written by exportData('json', { content: 'all' })
+    validateBackup(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(t('The file does not contain a backup object'));
+        }
+        
+        if (!Array.isArray(data.transactions) || !Array.isArray(data.budgets) || 
+            !data.settings || typeof data.settings !== 'object') {
+            throw new Error(t('The backup must contain transactions, budgets and settings'));
+        }
+        
+        if (data.accounts !== undefined && !Array.isArray(data.accounts)) {
+            throw new Error(t('The backup accounts must be a list'));
+        }
+        
+        if (data.exchangeRates !== undefined && !Array.isArray(data.exchangeRates)) {
+            throw new Error(t('The backup exchange rates must be a list'));
+        }
+        
+        if (data.assignments !== undefined && !Array.isArray(data.assignments)) {
+            throw new Error(t('The backup envelope assignments must be a list'));
+        }
+        
+        if (data.goals !== undefined && !Array.isArray(data.goals)) {
+            throw new Error(t('The backup savings goals must be a list'));
+        }
+        
+        if (data.debts !== undefined && !Array.isArray(data.debts)) {
+            throw new Error(t('The backup debts must be a list'));
+        }
+        
+        if (data.netWorthItems !== undefined && !Array.isArray(data.netWorthItems)) {
+            throw new Error(t('The backup assets and liabilities must be a list'));
+        }
+        
+        if (data.holdings !== undefined && !Array.isArray(data.holdings)) {
+            throw new Error(t('The backup investment holdings must be a list'));
+        }
+        
+        // Bring older backups up to date; refuses backups from a newer version
+        this.migrateData(data);
+        
+        data.transactions.forEach((transaction, index) => {
+            if (!transaction || !transaction.id || !['income', 'expense', 'transfer'].includes(transaction.type) || 
+                !/^\d{4}-\d{2}-\d{2}$/.test(transaction.date) || !Number.isInteger(transaction.amount) || !(transaction.amount > 0) ||
+                (transaction.splits !== undefined && !this.isValidSplit(transaction.amount, transaction.splits)) ||
+                (transaction.payee !== undefined && typeof transaction.payee !== 'string') ||
+                (transaction.tags !== undefined && !(Array.isArray(transaction.tags) && transaction.tags.every(tag => typeof tag === 'string')))) {
+                throw new Error(t('Transaction {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        const isValidBudgetVersion = v => v && /^\d{4}-\d{2}$/.test(v.from) && (v.removed || 
+            (Number.isInteger(v.amount) && BUDGET_PERIODS.includes(v.period) && (v.period !== 'custom' || 
+                (/^\d{4}-\d{2}-\d{2}$/.test(v.startDate) && /^\d{4}-\d{2}-\d{2}$/.test(v.endDate)))));
+        data.budgets.forEach((b, index) => {
+            if (!b || !b.category || !Array.isArray(b.history) || b.history.length === 0 || !b.history.every(isValidBudgetVersion)) {
+                throw new Error(t('Budget {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        data.exchangeRates.forEach((r, index) => {
+            if (!r || !/^\d{4}-\d{2}-\d{2}$/.test(r.date) || !r.from || !r.to || !(r.rate > 0)) {
+                throw new Error(t('Exchange rate {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        data.assignments.forEach((a, index) => {
+            if (!a || !a.id || !/^\d{4}-\d{2}$/.test(a.month) || !a.category || !Number.isInteger(a.amount)) {
+                throw new Error(t('Envelope assignment {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        data.goals.forEach((g, index) => {
+            if (!g || !g.id || !g.name || !Number.isInteger(g.target) || !(g.target > 0) || 
+                !/^\d{4}-\d{2}-\d{2}$/.test(g.targetDate) || !/^\d{4}-\d{2}-\d{2}$/.test(g.startDate)) {
+                throw new Error(t('Savings goal {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        data.debts.forEach((d, index) => {
+            if (!d || !d.id || !d.name || !Number.isInteger(d.balance) || !Number.isInteger(d.minimumPayment) || 
+                typeof d.apr !== 'number' || !(d.apr >= 0) || !(d.dueDay >= 1 && d.dueDay <= 31) || 
+                !/^\d{4}-\d{2}-\d{2}$/.test(d.startDate)) {
+                throw new Error(t('Debt {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        const isValidValuation = v => v && /^\d{4}-\d{2}-\d{2}$/.test(v.date) && Number.isInteger(v.value) && v.value >= 0;
+        data.netWorthItems.forEach((item, index) => {
+            if (!item || !item.id || !item.name || !NET_WORTH_TYPES[item.kind] || 
+                !Array.isArray(item.valuations) || item.valuations.length === 0 || !item.valuations.every(isValidValuation)) {
+                throw new Error(t('Asset or liability {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        const isValidTrade = trade => trade && trade.id && ['buy', 'sell'].includes(trade.type) && 
+            /^\d{4}-\d{2}-\d{2}$/.test(trade.date) && trade.quantity > 0 && 
+            Number.isFinite(trade.price) && trade.price >= 0 && Number.isInteger(trade.fees) && trade.fees >= 0;
+        const isValidPrice = p => p && /^\d{4}-\d{2}-\d{2}$/.test(p.date) && Number.isFinite(p.price) && p.price >= 0;
+        data.holdings.forEach((holding, index) => {
+            if (!holding || !holding.id || !holding.symbol || !Array.isArray(holding.trades) || !holding.trades.every(isValidTrade) || 
+                !Array.isArray(holding.prices) || !holding.prices.every(isValidPrice)) {
+                throw new Error(t('Investment holding {number} in the backup is invalid', { number: index + 1 }));
+            }
+            
+            // Sells must not take more than the lots hold
+            try {
+                this.getHoldingLots(holding);
+            } catch (error) {
+                throw new Error(t('Investment holding {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        ['incomeCategories', 'expenseCategories', 'categoryRules'].forEach(key => {
+            if (data.settings[key] !== undefined && !Array.isArray(data.settings[key])) {
+                throw new Error(t('The backup setting "{key}" must be a list', { key }));
+            }
+        });
+        
+        // Every transaction added runs through the rules, so one broken rule would stop them all
+        const isOptionalAmount = amount => amount === undefined || Number.isInteger(amount);
+        (data.settings.categoryRules || []).forEach((rule, index) => {
+            const valid = rule && rule.id && rule.conditions && typeof rule.conditions === 'object' && 
+                rule.actions && typeof rule.actions === 'object' && 
+                ['any', 'description', 'payee'].includes(rule.conditions.field || 'any') && 
+                ['contains', 'regex'].includes(rule.conditions.match || 'contains') && 
+                (rule.conditions.pattern === undefined || typeof rule.conditions.pattern === 'string') && 
+                isOptionalAmount(rule.conditions.minAmount) && isOptionalAmount(rule.conditions.maxAmount) && 
+                (rule.actions.tags === undefined || (Array.isArray(rule.actions.tags) && rule.actions.tags.every(tag => typeof tag === 'string')));
+            try {
+                if (!valid) throw new Error();
+                this.checkRule(rule);
+            } catch (error) {
+                throw new Error(t('Category rule {number} in the backup is invalid', { number: index + 1 }));
+            }
+        });
+        
+        return data;
+    }
+    
+    // Compare a backup with the current data
+    diffBackup(data) {
+        // Key order differs between records written at different times
+        const serialize = record => JSON.stringify(Object.keys(record).sort()
+            .reduce((sorted, key) => ({ ...sorted, [key]: record[key] }), {}));
+        
+        const diff = {
+            transactions: { new: [], changed: [], conflicting: [], unchanged: 0 },
+            budgets: { new: [], changed: [], unchanged: 0 },
+            accounts: { new: [], changed: [], unchanged: 0 },
+            exchangeRates: { new: [], changed: [], unchanged: 0 },
+            assignments: { new: [], changed: [], unchanged: 0 },
+            goals: { new: [], changed: [], unchanged: 0 },
+            debts: { new: [], changed: [], unchanged: 0 },
+            netWorthItems: { new: [], changed: [], unchanged: 0 },
+            holdings: { new: [], changed: [], unchanged: 0 },
+            categories: { income: [], expense: [] }
+        };
+        
+        data.transactions.forEach(t => {
+            const local = this.transactions.find(l => l.id === t.id);
+            if (local) {
+                if (serialize(local) === serialize(t)) {
+                    diff.transactions.unchanged++;
+                } else {
+                    diff.transactions.changed.push(t);
+                }
+            } else if (this.isDuplicateTransaction(t)) {
+                // Same transaction recorded separately here; merging it would count it twice
+                diff.transactions.conflicting.push(t);
+            } else {
+                diff.transactions.new.push(t);
+            }
+        });
+        
+        data.budgets.forEach(b => {
+            const local = this.budgets.find(l => l.category === b.category);
+            if (!local) {
+                diff.budgets.new.push(b);
+            } else if (serialize(local) !== serialize(b)) {
+                diff.budgets.changed.push(b);
+            } else {
+                diff.budgets.unchanged++;
+            }
+        });
+        
+        data.accounts.forEach(a => {
+            const local = this.accounts.find(l => l.id === a.id);
+            if (!local) {
+                diff.accounts.new.push(a);
+            } else if (serialize(local) !== serialize(a)) {
+                diff.accounts.changed.push(a);
+            } else {
+                diff.accounts.unchanged++;
+            }
+        });
+        
+        // Rates are identified by their date and currencies, since each install numbers them itself
+        data.exchangeRates.forEach(r => {
+            const local = this.exchangeRates.find(l => l.date === r.date && l.from === r.from && l.to === r.to);
+            if (!local) {
+                diff.exchangeRates.new.push(r);
+            } else if (local.rate !== r.rate) {
+                diff.exchangeRates.changed.push(r);
+            } else {
+                diff.exchangeRates.unchanged++;
+            }
+        });
+        
+        data.assignments.forEach(a => {
+            const local = this.assignments.find(l => l.id === a.id);
+            if (!local) {
+                diff.assignments.new.push(a);
+            } else if (serialize(local) !== serialize(a)) {
+                diff.assignments.changed.push(a);
+            } else {
+                diff.assignments.unchanged++;
+            }
+        });
+        
+        data.goals.forEach(g => {
+            const local = this.goals.find(l => l.id === g.id);
+            if (!local) {
+                diff.goals.new.push(g);
+            } else if (serialize(local) !== serialize(g)) {
+                diff.goals.changed.push(g);
+            } else {
+                diff.goals.unchanged++;
+            }
+        });
+        
+        data.debts.forEach(d => {
+            const local = this.debts.find(l => l.id === d.id);
+            if (!local) {
+                diff.debts.new.push(d);
+            } else if (serialize(local) !== serialize(d)) {
+                diff.debts.changed.push(d);
+            } else {
+                diff.debts.unchanged++;
+            }
+        });
+        
+        data.netWorthItems.forEach(item => {
+            const local = this.netWorthItems.find(l => l.id === item.id);
+            if (!local) {
+                diff.netWorthItems.new.push(item);
+            } else if (serialize(local) !== serialize(item)) {
+                diff.netWorthItems.changed.push(item);
+            } else {
+                diff.netWorthItems.unchanged++;
+            }
+        });
+        
+        data.holdings.forEach(holding => {
+            const local = this.holdings.find(l => l.id === holding.id);
+            if (!local) {
+                diff.holdings.new.push(holding);
+            } else if (serialize(local) !== serialize(holding)) {
+                diff.holdings.changed.push(holding);
+            } else {
+                diff.holdings.unchanged++;
+            }
+        });
+        
+        diff.categories.income = (data.settings.incomeCategories || [])
+            .filter(c => !this.settings.incomeCategories.includes(c));
+        diff.categories.expense = (data.settings.expenseCategories || [])
+            .filter(c => !this.settings.expenseCategories.includes(c));
+        
+        return diff;
+    }
+    
+    // Restore a validated backup, either replacing all data or merging it into the current data.
+    // A merge keeps the current version of records that differ from the backup's unless
+    // overwriteChanged is set, since there is no telling which side was edited last
+    restoreBackup(data, mode = 'merge', { overwriteChanged = false } = {}) {
+        if (mode === 'replace') {
+            this.transactions = data.transactions;
+            this.budgets = data.budgets;
+            this.accounts = data.accounts;
+            this.exchangeRates = data.exchangeRates;
+            this.assignments = data.assignments;
+            this.goals = data.goals;
+            this.debts = data.debts;
+            this.netWorthItems = data.netWorthItems;
+            this.holdings = data.holdings;
+            this.settings = mergeDefaults(this.settings, data.settings);
+        } else {
+            // Amounts are minor units of each side's currency, so they only compare within one currency
+            if (data.settings.currency !== this.settings.currency) {
+                throw new Error(t('The backup is in {currency}; replace the current data to restore it', { currency: data.settings.currency }));
+            }
+            
+            const diff = this.diffBackup(data);
+            const changed = key => (overwriteChanged ? diff[key].changed : []);
+            
+            // Conflicting transactions are left out so nothing is double-counted
+            diff.transactions.new.forEach(t => this.transactions.push(t));
+            changed('transactions').forEach(t => {
+                const index = this.transactions.findIndex(l => l.id === t.id);
+                this.transactions[index] = t;
+            });
+            
+            diff.budgets.new.forEach(b => this.budgets.push(b));
+            changed('budgets').forEach(b => {
+                const index = this.budgets.findIndex(l => l.category === b.category);
+                this.budgets[index] = b;
+            });
+            
+            diff.accounts.new.forEach(a => this.accounts.push(a));
+            changed('accounts').forEach(a => {
+                const index = this.accounts.findIndex(l => l.id === a.id);
+                this.accounts[index] = a;
+            });
+            
+            [...diff.exchangeRates.new, ...changed('exchangeRates')].forEach(r => {
+                const local = this.exchangeRates.find(l => l.date === r.date && l.from === r.from && l.to === r.to);
+                if (local) {
+                    local.rate = r.rate;
+                } else {
+                    this.exchangeRates.push({ ...r, id: this.generateId() });
+                }
+            });
+            
+            diff.assignments.new.forEach(a => this.assignments.push(a));
+            changed('assignments').forEach(a => {
+                const index = this.assignments.findIndex(l => l.id === a.id);
+                this.assignments[index] = a;
+            });
+            
+            diff.goals.new.forEach(g => this.goals.push(g));
+            changed('goals').forEach(g => {
+                const index = this.goals.findIndex(l => l.id === g.id);
+                this.goals[index] = g;
+            });
+            
+            diff.debts.new.forEach(d => this.debts.push(d));
+            changed('debts').forEach(d => {
+                const index = this.debts.findIndex(l => l.id === d.id);
+                this.debts[index] = d;
+            });
+            
+            diff.netWorthItems.new.forEach(item => this.netWorthItems.push(item));
+            changed('netWorthItems').forEach(item => {
+                const index = this.netWorthItems.findIndex(l => l.id === item.id);
+                this.netWorthItems[index] = item;
+            });
+            
+            diff.holdings.new.forEach(holding => this.holdings.push(holding));
+            changed('holdings').forEach(holding => {
+                const index = this.holdings.findIndex(l => l.id === holding.id);
+                this.holdings[index] = holding;
+            });
+            
+            // New categories go after the user's own, which keep their order
+            this.settings.incomeCategories = [...this.settings.incomeCategories, ...diff.categories.income];
+            this.settings.expenseCategories = [...this.settings.expenseCategories, ...diff.categories.expense];
+        }
+        
+        this.saveData();
+        this.generateRecurringTransactions();
+        this.applySettings();
+    }
+    
+    // Parse the bank, credit card and cash records of a QIF file
+    parseQIF(content) {
+        const statement = { transactions: [] };
+        let sectionType = null;
+        let accountName;
+        let inAccountBlock = false;
+        let record = null;
+        
+        content.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+            
+            // Headers switch between account definitions and typed record lists
+            if (line.startsWith('!')) {
+                const header = line.toLowerCase();
+                inAccountBlock = header === '!account';
+                if (header.startsWith('!type:')) {
+                    sectionType = header.slice(6);
+                }
+                return;
+            }
+            
+            const code = line[0];
+            const value = decodeEntities(line.slice(1).trim());
+            
+            if (inAccountBlock) {
+                if (code === 'N') accountName = value;
+                return;
+            }
+            
+            // Investment, category and other lists are not transactions
+            if (!['bank', 'ccard', 'cash'].includes(sectionType)) return;
+            
+            if (!record) {
+                record = { accountName, splits: [] };
+            }
+            
+            const split = record.splits[record.splits.length - 1];
+            switch (code) {
+                case 'D': record.date = value; break;
+                case 'T':
+                case 'U': record.amount = this.parseImportedAmount(value); break;
+                case 'P': record.payee = value; break;
+                case 'M': record.memo = value; break;
+                case 'L': record.category = value; break;
+                case 'S': record.splits.push({ category: value }); break;
+                case 'E': if (split) split.memo = value; break;
+                case '$': if (split) split.amount = this.parseImportedAmount(value); break;
+                case '^':
+                    statement.transactions.push(record);
+                    record = null;
+                    break;
+            }
+        });
+        
+        return statement;
+    }
+    
+    // Map a QIF category such as "Auto:Fuel/Business" onto a planner category
+    matchQIFCategory(value, type) {
+        // Anything after a slash is a QIF class, not part of the category
+        const category = (value || '').split('/')[0];
+        const parts = category.split(':');
+        const candidates = [category, parts[parts.length - 1], parts[0]];
+        
+        const categories = type === 'income' 
+            ? this.settings.incomeCategories 
+            : this.settings.expenseCategories;
+        const match = candidates.find(c => categories.some(known => known.toLowerCase() === c.toLowerCase()));
+        
+        return this.matchImportedCategory(match, type);
+    }
+    
+    // Build one split transaction from a QIF record's split lines, or null when the lines
+    // do not fit the planner's model (transfers, mixed signs or lines that miss the total)
+    getQIFSplitTransaction(record, date, currency, accountId) {
+        const sign = record.splits.every(line => line.amount < 0) ? -1 : 1;
+        if (record.splits.some(line => isNaN(line.amount) || !line.amount || Math.sign(line.amount) !== sign || 
+            /^\[.+\]$/.test(line.category || ''))) {
+            return null;
+        }
+        
+        // Lines whose category the planner does not know keep their amount under the fallback category
+        const type = sign < 0 ? 'expense' : 'income';
+        const splits = record.splits.map(line => ({
+            category: this.matchQIFCategory(line.category, type) || this.getFallbackCategory(type),
+            amount: toMinorUnits(Math.abs(line.amount), currency)
+        }));
+        const amount = isNaN(record.amount) || record.amount === undefined
+            ? splits.reduce((sum, line) => sum + line.amount, 0)
+            : toMinorUnits(Math.abs(record.amount), currency);
+        if (!this.isValidSplit(amount, splits)) return null;
+        
+        return {
+            type,
+            date,
+            amount,
+            currency,
+            splits,
+            description: [record.payee, record.memo]
+                .filter((part, i, parts) => part && parts.indexOf(part) === i)
+                .join(' - ') || undefined,
+            accountId
+        };
+    }
+    
+    // Create transactions from a parsed QIF file; split lines become one split transaction
+    // where they fit, and one transaction each otherwise
+    importQIFTransactions(statement, options = {}) {
+        const existing = [...this.transactions];
+        const result = { imported: [], skipped: [] };
+        const findAccount = name => name && this.accounts.find(a => a.name.toLowerCase() === name.toLowerCase());
+        
+        this.holdAlerts();
+        try {
+            statement.transactions.forEach((record, index) => {
+                const skip = reason => result.skipped.push({ row: index + 1, reason });
+                
+                const date = this.parseImportedDate(record.date, options.dateFormat || 'MM/DD/YYYY');
+                if (!date) return skip('Invalid or missing date');
+                
+                const account = findAccount(record.accountName) || this.accounts.find(a => a.id === options.accountId);
+                const accountId = account ? account.id : undefined;
+                const currency = account ? account.currency : this.settings.currency;
+                
+                const splitTransaction = record.splits.length > 0 && this.getQIFSplitTransaction(record, date, currency, accountId);
+                if (splitTransaction) {
+                    if (this.isDuplicateTransaction(splitTransaction, existing)) return skip('Already recorded');
+                    result.imported.push(this.addTransaction(splitTransaction));
+                    return;
+                }
+                
+                const lines = record.splits.length > 0 
+                    ? record.splits.map(split => ({ ...split, memo: split.memo || record.memo }))
+                    : [{ category: record.category, amount: record.amount, memo: record.memo }];
+                
+                lines.forEach(line => {
+                    if (isNaN(line.amount) || !line.amount) return skip('Invalid or missing amount');
+                    
+                    const description = [record.payee, line.memo]
+                        .filter((part, i, parts) => part && parts.indexOf(part) === i)
+                        .join(' - ') || undefined;
+                    
+                    // "[Account]" categories are transfers to or from another account
+                    const transferMatch = (line.category || '').match(/^\[(.+)\]$/);
+                    const otherAccount = transferMatch && findAccount(transferMatch[1]);
+                    
+                    let transaction;
+                    if (otherAccount && accountId && otherAccount.id !== accountId) {
+                        transaction = {
+                            type: 'transfer',
+                            date,
+                            amount: toMinorUnits(Math.abs(line.amount), currency),
+                            currency,
+                            description,
+                            accountId: line.amount < 0 ? accountId : otherAccount.id,
+                            toAccountId: line.amount < 0 ? otherAccount.id : accountId
+                        };
+                        
+                        // Both accounts' sections list the same transfer
+                        if (existing.concat(result.imported).some(t => t.type === 'transfer' && t.date === date && 
+                            t.amount === transaction.amount && t.accountId === transaction.accountId && 
+                            t.toAccountId === transaction.toAccountId)) {
+                            return skip('Already recorded');
+                        }
+                    } else {
+                        const type = line.amount < 0 ? 'expense' : 'income';
+                        transaction = {
+                            type,
+                            date,
+                            amount: toMinorUnits(Math.abs(line.amount), currency),
+                            currency,
+                            category: this.matchQIFCategory(line.category, type),
+                            description,
+                            accountId
+                        };
+                        
+                        if (this.isDuplicateTransaction(transaction, existing)) return skip('Already recorded');
+                    }
+                    
+                    result.imported.push(this.addTransaction(transaction));
+                });
+            });
+            
+        } finally {
+            this.releaseAlerts();
+        }
+        return result;
+    }
+    
+    // Import dated rates from CSV rows of date, from, to and rate, or date, from and rate into the base currency
+    importExchangeRates(content) {
+        const result = { imported: [], skipped: [] };
+        
+        this.parseCSV(content).forEach((row, index) => {
+            const skip = reason => result.skipped.push({ row: index + 1, reason });
+            const fields = row.map(f => f.trim());
+            
+            // A header row has no date in its first column
+            if (index === 0 && !this.parseImportedDate(fields[0], 'YYYY-MM-DD')) return;
+            
+            const [dateValue, from, to, rateValue] = fields.length >= 4 
+                ? fields 
+                : [fields[0], fields[1], this.settings.currency, fields[2]];
+            const date = this.parseImportedDate(dateValue, 'YYYY-MM-DD');
+            const rate = Number(rateValue);
+            
+            if (!date) return skip('Invalid or missing date');
+            if (!/^[A-Z]{3}$/i.test(from || '') || !/^[A-Z]{3}$/i.test(to || '') || from.toUpperCase() === to.toUpperCase()) {
+                return skip('Invalid currencies');
+            }
+            if (!(rate > 0)) return skip('Invalid or missing rate');
+            
+            result.imported.push(this.setExchangeRate({ date, from: from.toUpperCase(), to: to.toUpperCase(), rate }));
+        });
+        
+        return result;
+    }
+    
+    // Remember a CSV column mapping for a bank
+    saveImportMapping(bankName, mapping) {
+        this.settings.importMappings[bankName] = mapping;
+        this.saveSettings();
+    }
+}
+
+// Initialize the application
+function initApp() {
+    // Create the finance planner instance
+    const financePlanner = new FinancePlanner();
+    
+    // Wait for stored data before rendering anything
+    financePlanner.ready.then(() => {
+        // Initialize UI components
+        initNavigation(financePlanner);
+        initNotificationCenter(financePlanner);
+        initDashboard(financePlanner);
+        initTransactionForm(financePlanner);
+        initTransactionsView(financePlanner);
+        initBudgetView(financePlanner);
+        initAccountsView(financePlanner);
+        initGoalsView(financePlanner);
+        initDebtsView(financePlanner);
+        initNetWorthView(financePlanner);
+        initInvestmentsView(financePlanner);
+        initMonthlyReportView(financePlanner);
+        initCategoryReportView(financePlanner);
+        initForecastView(financePlanner);
+        initExportModal(financePlanner);
+        initImportModal(financePlanner);
+        initSettingsModal(financePlanner);
+        initRecurringScheduler(financePlanner);
+        
+        // Show dashboard by default
+        showView('dashboard-view');
+        
+        // Warn about goals that fell behind while the app was closed
+        financePlanner.checkGoalAlerts();
+        
+        // Load any sample data if no data exists
+        if (financePlanner.transactions.length === 0) {
+            loadSampleData(financePlanner);
+        }
+        
+        // Daily and bill reminders, catching up on any missed while the app was closed
+        initReminderScheduler(financePlanner);
+    }).catch(error => {
+        // Nothing is rendered or saved, so the stored data stays untouched
+        console.error('Failed to load data:', error);
+        document.querySelector('.container-fluid.mt-4').innerHTML = 
+            `<div class="alert alert-danger">${error.message}</div>`;
+    });
+}
+
+// Periodically materialize recurring transactions while the app stays open
+function initRecurringScheduler(financePlanner) {
+    setInterval(() => {
+        const generated = financePlanner.generateRecurringTransactions();
+        if (generated.length > 0) {
+            refreshDashboard(financePlanner);
+            showToast(t('{count} recurring transaction(s) added', { count: generated.length }), 'info');
+        }
+        
+        // Goals fall behind as months go by
+        financePlanner.checkGoalAlerts();
+    }, 60 * 60 * 1000); // Hourly
+}
+
+// Initialize the notification center: alerts pop up as toasts, or as reminders, and are kept in
+// the bell menu until cleared
+function initNotificationCenter(financePlanner) {
+    const toastTypes = { budget: 'warning', 'large-expense': 'warning', goal: 'info', storage: 'danger' };
+    const announce = alert => {
+        if (alert.type === 'reminder') {
+            deliverReminder(financePlanner, alert);
+        } else {
+            showToast(alert.message, toastTypes[alert.type] || 'info');
+        }
+    };
+    
+    financePlanner.onAlert = alert => {
+        announce(alert);
+        refreshNotificationCenter(financePlanner);
+    };
+    
+    // Storage problems found while loading were raised before anything could show them
+    financePlanner.alerts.filter(a => a.type === 'storage' && !a.read).forEach(announce);
+    
+    // Open what an alert is about
+    document.getElementById('notification-list').addEventListener('click', (e) => {
+        const item = e.target.closest('[data-id]');
+        if (!item) return;
+        
+        const alert = financePlanner.alerts.find(a => a.id === item.dataset.id);
+        financePlanner.markAlertsRead(alert.id);
+        refreshNotificationCenter(financePlanner);
+        
+        if (alert.link) {
+            bootstrap.Dropdown.getOrCreateInstance(document.getElementById('notification-bell')).hide();
+            openAlertLink(financePlanner, alert.link);
+        }
+    });
+    
+    document.getElementById('mark-alerts-read').addEventListener('click', () => {
+        financePlanner.markAlertsRead();
+        refreshNotificationCenter(financePlanner);
+    });
+    
+    document.getElementById('clear-alerts').addEventListener('click', () => {
+        financePlanner.clearAlerts();
+        refreshNotificationCenter(financePlanner);
+    });
+    
+    // Muted types are still kept, without popping up
+    document.getElementById('notification-mutes').addEventListener('change', (e) => {
+        const type = e.target.dataset.type;
+        const muted = financePlanner.settings.notifications.muted.filter(m => m !== type);
+        financePlanner.settings.notifications.muted = e.target.checked ? muted : [...muted, type];
+        financePlanner.saveSettings();
+    });
+    
+    refreshNotificationCenter(financePlanner);
+}
+
+// Refresh the unread count, the alert history and the mute choices
+function refreshNotificationCenter(financePlanner) {
+    const alertTypes = {
+        budget: { label: t('Budgets'), icon: 'fa-chart-pie', color: 'text-warning' },
+        'large-expense': { label: t('Large expenses'), icon: 'fa-exclamation-circle', color: 'text-danger' },
+        goal: { label: t('Savings goals'), icon: 'fa-bullseye', color: 'text-info' },
+        reminder: { label: t('Reminders'), icon: 'fa-bell', color: 'text-primary' }
+    };
+    const otherType = { icon: 'fa-exclamation-triangle', color: 'text-danger' };
+    
+    const unread = financePlanner.getUnreadAlertCount();
+    const badge = document.getElementById('notification-count');
+    badge.textContent = unread > 99 ? '99+' : formatNumber(unread);
+    badge.classList.toggle('d-none', unread === 0);
+    
+    // Newest first
+    const list = document.getElementById('notification-list');
+    list.innerHTML = financePlanner.alerts.length === 0 
+        ? `<div class="list-group-item text-muted text-center py-4">${t('No notifications')}</div>` 
+        : '';
+    [...financePlanner.alerts].reverse().forEach(alert => {
+        const type = alertTypes[alert.type] || otherType;
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `list-group-item list-group-item-action d-flex${alert.read ? '' : ' bg-body-tertiary'}`;
+        item.dataset.id = alert.id;
+        item.innerHTML = `
+            <i class="fas ${type.icon} ${type.color} me-2 mt-1"></i>
+            <div class="flex-grow-1">
+                ${alert.title ? '<div class="fw-semibold notification-title"></div>' : ''}
+                <div class="small notification-message${alert.read ? '' : ' fw-semibold'}" style="white-space: pre-line"></div>
+                <small class="text-muted">${formatDate(alert.createdAt, { dateStyle: 'medium', timeStyle: 'short' })}</small>
+            </div>
+            ${alert.read ? '' : `<span class="badge rounded-pill bg-primary align-self-center ms-2">${t('Unread')}</span>`}
+        `;
+        // Titles and messages name categories, payees and goals, some of them imported, so they stay text
+        if (alert.title) item.querySelector('.notification-title').textContent = alert.title;
+        item.querySelector('.notification-message').textContent = alert.message;
+        list.appendChild(item);
+    });
+    
+    const mutes = document.getElementById('notification-mutes');
+    mutes.innerHTML = '';
+    Object.entries(alertTypes).forEach(([type, { label }]) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-check form-check-inline';
+        wrapper.innerHTML = `
+            <input class="form-check-input" type="checkbox" id="unmute-${type}" data-type="${type}" 
+                ${financePlanner.settings.notifications.muted.includes(type) ? '' : 'checked'}>
+            <label class="form-check-label small" for="unmute-${type}">${label}</label>
+        `;
+        mutes.appendChild(wrapper);
+    });
+}
+
+// Open the view an alert links to, showing the record it is about
+function openAlertLink(financePlanner, link) {
+    switch (link.view) {
+        case 'transaction':
+            if (financePlanner.transactions.some(t => t.id === link.id)) {
+                editTransaction(financePlanner, link.id);
+            } else {
+                document.getElementById('view-transactions-link').click();
+            }
+            break;
+        case 'budget': {
+            document.getElementById('budget-month').value = link.month;
+            document.getElementById('budget-link').click();
+            const button = document.querySelector(`#budget-summary-table [data-category="${CSS.escape(link.category)}"]`);
+            if (button) {
+                const row = button.closest('tr');
+                row.classList.add('table-warning');
+                row.scrollIntoView({ block: 'center' });
+            }
+            break;
+        }
+        case 'transactions':
+            document.getElementById('view-transactions-link').click();
+            break;
+        case 'goals':
+            document.getElementById('goals-link').click();
+            break;
+        case 'forecast':
+            document.getElementById('forecast-link').click();
+            break;
+        case 'add-transaction':
+            document.getElementById('add-transaction-link').click();
+            break;
+    }
+}
+
+// Raise due reminders when the app opens, every minute while it stays open, and whenever the tab
+// comes back into view, so reminders missed while the tab was closed or asleep still show up.
+// They go through the notification center like other alerts
+function initReminderScheduler(financePlanner) {
+    const check = () => {
+        const reminders = financePlanner.getDueReminders();
+        if (reminders.length === 0) return;
+        
+        reminders.forEach(reminder => financePlanner.showAlert(reminder.body, {
+            type: 'reminder',
+            title: reminder.title,
+            link: { view: reminder.type === 'daily' ? 'add-transaction' : 'forecast' }
+        }));
+        financePlanner.markRemindersSent(reminders);
+    };
+    
+    check();
+    setInterval(check, 60 * 1000); // Every minute
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') check();
+    });
+}
+
+// Show a reminder alert as a browser notification when permitted, or as a banner in the app
+function deliverReminder(financePlanner, alert) {
+    const open = () => {
+        financePlanner.markAlertsRead(alert.id);
+        refreshNotificationCenter(financePlanner);
+        openAlertLink(financePlanner, alert.link);
+    };
+    
+    if ('Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification(alert.title, { body: alert.message, tag: alert.id });
+        notification.onclick = () => {
+            window.focus();
+            open();
+            notification.close();
+        };
+        return;
+    }
+    
+    const actions = { 'add-transaction': t('Add Transaction'), forecast: t('View Forecast') };
+    const banner = document.createElement('div');
+    banner.className = 'alert alert-info alert-dismissible fade show';
+    banner.setAttribute('role', 'alert');
+    banner.innerHTML = `
+        <i class="fas fa-bell me-2"></i>
+        <strong class="reminder-title"></strong>
+        <div class="reminder-message" style="white-space: pre-line"></div>
+        <button type="button" class="btn btn-sm btn-primary mt-2 open-reminder">${actions[alert.link.view]}</button>
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="${t('Close')}"></button>
+    `;
+    banner.querySelector('.reminder-title').textContent = alert.title;
+    banner.querySelector('.reminder-message').textContent = alert.message;
+    banner.querySelector('.open-reminder').addEventListener('click', () => {
+        open();
+        banner.remove();
+    });
+    
+    // A newer reminder of the same kind replaces the one still showing
+    document.querySelectorAll(`#reminder-banners [data-reminder-view="${alert.link.view}"]`).forEach(old => old.remove());
+    banner.dataset.reminderView = alert.link.view;
+    document.getElementById('reminder-banners').appendChild(banner);
+}
+
+// Initialize navigation
+function initNavigation(financePlanner) {
+    // Dashboard link
+    document.getElementById('dashboard-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('dashboard-view');
+        refreshDashboard(financePlanner);
+    });
+    
+    // Add transaction links
+    document.getElementById('add-transaction-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('add-transaction-view');
+        resetTransactionForm();
+    });
+    
+    document.getElementById('quick-add-income').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('add-transaction-view');
+        document.getElementById('transaction-type').value = 'income';
+        updateTransactionFormForType(financePlanner, 'income');
+        document.getElementById('transaction-amount').focus();
+    });
+    
+    document.getElementById('quick-add-expense').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('add-transaction-view');
+        document.getElementById('transaction-type').value = 'expense';
+        updateTransactionFormForType(financePlanner, 'expense');
+        document.getElementById('transaction-amount').focus();
+    });
+    
+    // View transactions link
+    document.getElementById('view-transactions-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('view-transactions-view');
+        refreshTransactionsView(financePlanner);
+    });
+    
+    // Budget link
+    document.getElementById('budget-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('budget-view');
+        refreshBudgetView(financePlanner);
+    });
+    
+    // Accounts link
+    document.getElementById('accounts-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('accounts-view');
+        refreshAccountsView(financePlanner);
+    });
+    
+    // Goals link
+    document.getElementById('goals-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('goals-view');
+        refreshGoalsView(financePlanner);
+    });
+    
+    // Debts link
+    document.getElementById('debts-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('debts-view');
+        refreshDebtsView(financePlanner);
+    });
+    
+    // Net worth link
+    document.getElementById('net-worth-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('net-worth-view');
+        refreshNetWorthView(financePlanner);
+    });
+    
+    // Investments link
+    document.getElementById('investments-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('investments-view');
+        refreshInvestmentsView(financePlanner);
+    });
+    
+    // Quick view reports
+    document.getElementById('quick-view-reports').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('monthly-report-view');
+        refreshMonthlyReportView(financePlanner);
+    });
+    
+    // Quick set budget
+    document.getElementById('quick-set-budget').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('budget-view');
+        refreshBudgetView(financePlanner);
+    });
+    
+    // Monthly report link
+    document.getElementById('monthly-report-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('monthly-report-view');
+        refreshMonthlyReportView(financePlanner);
+    });
+    
+    // Category report link
+    document.getElementById('category-report-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('category-report-view');
+        refreshCategoryReportView(financePlanner);
+    });
+    
+    // Cash-flow forecast link
+    document.getElementById('forecast-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        showView('forecast-view');
+        refreshForecastView(financePlanner);
+    });
+    
+    // Import data button
+    document.getElementById('import-data-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        const importModal = new bootstrap.Modal(document.getElementById('importModal'));
+        importModal.show();
+    });
+    
+    // Export data button
+    document.getElementById('export-data-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        const exportModal = new bootstrap.Modal(document.getElementById('exportModal'));
+        exportModal.show();
+    });
+    
+    // Settings button
+    document.getElementById('settings-btn').addEventListener('click', (e) => {
+        e.preventDefault();
+        const settingsModal = new bootstrap.Modal(document.getElementById('settingsModal'));
+        settingsModal.show();
+        refreshSettingsModal(financePlanner);
+    });
+}
+
+// Initialize dashboard
+function initDashboard(financePlanner) {
+    // Set current date as default in date inputs
+    const today = new Date().toISOString().split('T')[0];
+    document.getElementById('transaction-date').value = today;
+    
+    // Initial dashboard refresh
+    refreshDashboard(financePlanner);
+}
+
+// Refresh dashboard data
+// Show which currencies have no exchange rate. The warning sits above every view, since
+// budgets, envelopes, goals and the forecast leave those amounts out just like the dashboard
+function refreshMissingRatesAlert(financePlanner) {
+    const missingRates = financePlanner.getMissingExchangeRates();
+    const missingRatesAlert = document.getElementById('missing-rates-alert');
+    missingRatesAlert.style.display = missingRates.length > 0 ? 'block' : 'none';
+    missingRatesAlert.textContent = t('No exchange rate for {currencies}, so those amounts are left out of totals, budgets, envelopes, goals and the forecast. Add rates under Settings → Exchange Rates.', 
+        { currencies: missingRates.join(', ') });
+}
+
+function refreshDashboard(financePlanner) {
+    const summary = financePlanner.getSummary();
+    
+    // Update summary cards
+    document.getElementById('total-income').textContent = financePlanner.formatCurrency(summary.income);
+    document.getElementById('total-expenses').textContent = financePlanner.formatCurrency(summary.expenses);
+    document.getElementById('current-balance').textContent = financePlanner.formatCurrency(summary.balance);
+    document.getElementById('accounts-balance-card').style.display = summary.accountsBalance === null ? 'none' : 'block';
+    if (summary.accountsBalance !== null) {
+        document.getElementById('accounts-balance').textContent = financePlanner.formatCurrency(summary.accountsBalance);
+        document.getElementById('accounts-balance-count').textContent = 
+            t('Across {count} account(s)', { count: financePlanner.accounts.length });
+    }
+    
+    // Net worth counts what is owned and owed besides the accounts
+    const netWorth = financePlanner.getNetWorth();
+    document.getElementById('net-worth').textContent = financePlanner.formatCurrency(netWorth.netWorth);
+    document.getElementById('net-worth-breakdown').textContent = t('{assets} owned, {liabilities} owed', {
+        assets: financePlanner.formatCurrency(netWorth.assets),
+        liabilities: financePlanner.formatCurrency(netWorth.liabilities)
+    });
+    
+    refreshMissingRatesAlert(financePlanner);
+    
+    // Update recent transactions table
+    const recentTransactionsTable = document.getElementById('recent-transactions-table').querySelector('tbody');
+    recentTransactionsTable.innerHTML = '';
+    
+    summary.recentTransactions.forEach(transaction => {
+        const row = document.createElement('tr');
+        row.innerHTML = renderTransactionCells(financePlanner, transaction);
+        recentTransactionsTable.appendChild(row);
+    });
+    
+    // Update goal progress
+    const goalsList = document.getElementById('dashboard-goals');
+    const goals = financePlanner.getGoalsSummary();
+    goalsList.innerHTML = goals.length === 0 
+        ? `<p class="text-muted mb-0">${t('No savings goals yet')}</p>` 
+        : goals.map(goal => `
+            <div class="mb-3">
+                <div class="d-flex justify-content-between">
+                    <strong>${escapeHTML(goal.name)}</strong>
+                    <small class="text-muted">${goal.complete || goal.overdue ? formatDate(goal.targetDate) 
+                        : t('{amount} a month until {date}', { amount: financePlanner.formatCurrency(goal.monthlyContribution), date: formatDate(goal.targetDate) })}</small>
+                </div>
+                ${renderGoalProgress(financePlanner, goal)}
+            </div>
+        `).join('');
+    
+    // Update spending chart
+    updateSpendingChart(financePlanner, summary.expensesByCategory);
+}
+
+// Update spending chart
+function updateSpendingChart(financePlanner, expensesByCategory) {
+    const ctx = document.getElementById('spendingChart').getContext('2d');
+    
+    // Destroy previous chart if it exists
+    if (financePlanner.spendingChart) {
+        financePlanner.spendingChart.destroy();
+    }
+    
+    const labels = expensesByCategory.map(item => item.category);
+    const data = expensesByCategory.map(item => item.total);
+    const backgroundColors = generateColors(labels.length);
+    
+    financePlanner.spendingChart = new Chart(ctx, {
+        type: 'doughnut',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: data,
+                backgroundColor: backgroundColors,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    position: 'right',
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const label = context.label || '';
+                            const value = context.raw || 0;
+                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                            const percentage = formatNumber(value / total, { style: 'percent' });
+                            return `${label}: ${financePlanner.formatCurrency(value)} (${percentage})`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Initialize transaction form
+function initTransactionForm(financePlanner) {
+    const form = document.getElementById('transaction-form');
+    const transactionType = document.getElementById('transaction-type');
+    const recurringCheckbox = document.getElementById('recurring-transaction');
+    
+    // Populate account, payee and currency choices
+    updateAccountDropdowns(financePlanner);
+    updatePayeeSuggestions(financePlanner);
+    populateCurrencySelect(financePlanner, document.getElementById('transaction-currency'), financePlanner.settings.currency, false);
+    initTransactionCurrency(financePlanner);
+    initTransactionSplits(financePlanner);
+    
+    // Update category dropdown when transaction type changes
+    transactionType.addEventListener('change', () => {
+        const type = transactionType.value;
+        updateTransactionFormForType(financePlanner, type);
+    });
+    
+    // Show/hide recurring options
+    recurringCheckbox.addEventListener('change', () => {
+        document.getElementById('recurring-options').style.display = 
+            recurringCheckbox.checked ? 'block' : 'none';
+    });
+    
+    // Form submission
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const isRecurring = document.getElementById('recurring-transaction').checked;
+        
+        // Create transaction object
+        const transaction = readTransactionForm(financePlanner);
+        if (!transaction) return;
+        const { type, amount, currency } = transaction;
+        
+        // Handle recurring transactions if needed
+        if (isRecurring) {
+            transaction.recurring = readRecurringOptions();
+        }
+        
+        // Add the transaction
+        financePlanner.addTransaction(transaction);
+        updatePayeeSuggestions(financePlanner);
+        
+        // Reset form and show success message
+        resetTransactionForm();
+        showView('dashboard-view');
+        refreshDashboard(financePlanner);
+        
+        // Show success alert
+        const alertMessage = {
+            income: 'Successfully added income of {amount}',
+            expense: 'Successfully added expense of {amount}',
+            transfer: 'Successfully added transfer of {amount}'
+        }[type];
+        showToast(t(alertMessage, { amount: financePlanner.formatCurrency(amount, currency) }), 'success');
+    });
+    
+    // Cancel button
+    document.getElementById('cancel-transaction').addEventListener('click', () => {
+        resetTransactionForm();
+        showView('dashboard-view');
+    });
+}
+
+// Read and validate the transaction fields from the form
+function readTransactionForm(financePlanner) {
+    const type = document.getElementById('transaction-type').value;
+    const date = document.getElementById('transaction-date').value;
+    const currency = document.getElementById('transaction-currency').value;
+    const amount = financePlanner.toMinorUnits(document.getElementById('transaction-amount').value, currency);
+    let category = document.getElementById('transaction-category').value;
+    const description = document.getElementById('transaction-description').value;
+    const payee = document.getElementById('transaction-payee').value.trim();
+    const tags = parseTags(document.getElementById('transaction-tags').value);
+    const accountId = document.getElementById('transaction-account').value;
+    const toAccountId = document.getElementById('transaction-to-account').value;
+    const isSplit = type !== 'transfer' && document.getElementById('transaction-split').checked;
+    
+    // Without a category, let the rules choose one
+    if (!category && type !== 'transfer' && !isSplit) {
+        category = financePlanner.getRuleUpdates({ type, date, amount, currency, description, payee, accountId }).category;
+    }
+    
+    // Basic validation
+    if (!type || !date || isNaN(amount) || amount <= 0 || (type !== 'transfer' && !isSplit && !category)) {
+        showToast(t('Please fill in all required fields with valid values.'), 'danger');
+        return null;
+    }
+    
+    const splits = isSplit ? readSplitLines(financePlanner, currency) : undefined;
+    if (isSplit && !financePlanner.isValidSplit(amount, splits)) {
+        showToast(t('Each split line needs a category and an amount, and the lines must add up to the total.'), 'danger');
+        return null;
+    }
+    
+    if (type === 'transfer' && (!accountId || !toAccountId || accountId === toAccountId)) {
+        showToast(t('Please select two different accounts for the transfer.'), 'danger');
+        return null;
+    }
+    
+    return {
+        type,
+        date,
+        amount,
+        currency,
+        category: type === 'transfer' || isSplit ? undefined : category,
+        splits,
+        payee: payee || undefined,
+        tags: tags.length > 0 ? tags : undefined,
+        description: description || undefined,
+        accountId: accountId || undefined,
+        toAccountId: type === 'transfer' ? toAccountId : undefined
+    };
+}
+
+// Read the recurring options from the transaction form
+function readRecurringOptions() {
+    const frequency = document.getElementById('recurring-frequency').value;
+    const endDate = document.getElementById('recurring-end-date').value || undefined;
+    const iterations = document.getElementById('recurring-iterations').value || undefined;
+    
+    return {
+        frequency,
+        endDate,
+        iterations: iterations ? parseInt(iterations) : undefined
+    };
+}
+
+// Reset transaction form
+function resetTransactionForm() {
+    document.getElementById('transaction-form').reset();
+    document.getElementById('recurring-options').style.display = 'none';
+    document.getElementById('recurring-edit-scope-group').style.display = 'none';
+    document.getElementById('transaction-date').value = new Date().toISOString().split('T')[0];
+    document.getElementById('transaction-splits').innerHTML = '';
+    toggleTransferFields(false);
+}
+
+// Follow the chosen account's currency, and let the amount accept that currency's minor unit
+function initTransactionCurrency(financePlanner) {
+    const currencySelect = document.getElementById('transaction-currency');
+    const updateAmountStep = () => {
+        const step = (1 / 10 ** getCurrencyDecimals(currencySelect.value)).toString();
+        document.querySelectorAll('#transaction-amount, #transaction-splits .split-amount').forEach(input => {
+            input.step = step;
+        });
+    };
+    
+    document.getElementById('transaction-account').addEventListener('change', (e) => {
+        const account = financePlanner.accounts.find(a => a.id === e.target.value);
+        currencySelect.value = account ? account.currency : financePlanner.settings.currency;
+        updateAmountStep();
+    });
+    currencySelect.addEventListener('change', updateAmountStep);
+    updateAmountStep();
+}
+
+// Show the account fields of a transfer in place of the category
+function toggleTransferFields(isTransfer) {
+    document.getElementById('transaction-category-group').style.display = isTransfer ? 'none' : 'block';
+    document.getElementById('transaction-to-account-group').style.display = isTransfer ? 'block' : 'none';
+    setTranslatedText(document.getElementById('transaction-account-label'), isTransfer ? 'From Account' : 'Account');
+    updateSplitFields();
+}
+
+// Wire up the split lines of the transaction form
+function initTransactionSplits(financePlanner) {
+    const splitCheckbox = document.getElementById('transaction-split');
+    const splitLines = document.getElementById('transaction-splits');
+    const updateRemaining = () => updateSplitRemaining(financePlanner);
+    
+    splitCheckbox.addEventListener('change', () => {
+        // Start from the category and amount already entered
+        if (splitCheckbox.checked && splitLines.children.length === 0) {
+            addSplitLine(document.getElementById('transaction-category').value, document.getElementById('transaction-amount').value);
+            addSplitLine();
+        }
+        updateSplitFields();
+        updateRemaining();
+    });
+    
+    document.getElementById('add-split-line').addEventListener('click', () => {
+        addSplitLine();
+        updateRemaining();
+    });
+    
+    splitLines.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.remove-split-line');
+        if (removeButton) {
+            removeButton.closest('.split-line').remove();
+            updateRemaining();
+        }
+    });
+    splitLines.addEventListener('input', updateRemaining);
+    document.getElementById('transaction-amount').addEventListener('input', updateRemaining);
+    document.getElementById('transaction-currency').addEventListener('change', updateRemaining);
+}
+
+// Show the split lines in place of the single category while a transaction is split
+function updateSplitFields() {
+    const isTransfer = document.getElementById('transaction-type').value === 'transfer';
+    const isSplit = !isTransfer && document.getElementById('transaction-split').checked;
+    const categorySelect = document.getElementById('transaction-category');
+    
+    categorySelect.style.display = isSplit ? 'none' : '';
+    document.getElementById('transaction-split-group').style.display = isSplit ? 'block' : 'none';
+}
+
+// Add a category and amount line to the split transaction form
+function addSplitLine(category = '', amount = '') {
+    const row = document.createElement('div');
+    row.className = 'input-group mb-2 split-line';
+    row.innerHTML = `
+        <select class="form-select split-category" aria-label="${t('Category')}">
+            ${document.getElementById('transaction-category').innerHTML}
+        </select>
+        <input type="number" class="form-control money-input split-amount" placeholder="0.00" aria-label="${t('Amount')}">
+        <button type="button" class="btn btn-outline-danger remove-split-line" title="${t('Remove line')}">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    row.querySelector('.split-category').value = category;
+    row.querySelector('.split-amount').value = amount;
+    row.querySelector('.split-amount').step = document.getElementById('transaction-amount').step;
+    document.getElementById('transaction-splits').appendChild(row);
+}
+
+// Read the split lines of the transaction form as minor units of the given currency
+function readSplitLines(financePlanner, currency) {
+    return [...document.querySelectorAll('#transaction-splits .split-line')].map(row => ({
+        category: row.querySelector('.split-category').value,
+        amount: financePlanner.toMinorUnits(row.querySelector('.split-amount').value, currency)
+    }));
+}
+
+// Show how much of the total the split lines leave unassigned
+function updateSplitRemaining(financePlanner) {
+    const currency = document.getElementById('transaction-currency').value;
+    const total = financePlanner.toMinorUnits(document.getElementById('transaction-amount').value, currency) || 0;
+    const assigned = readSplitLines(financePlanner, currency).reduce((sum, line) => sum + (line.amount || 0), 0);
+    const remaining = document.getElementById('split-remaining');
+    
+    remaining.textContent = t('Remaining to assign: {amount}', { amount: financePlanner.formatCurrency(total - assigned, currency) });
+    remaining.className = total === assigned ? 'text-success' : 'text-danger';
+}
+
+// Adjust the transaction form to the selected transaction type
+function updateTransactionFormForType(financePlanner, type) {
+    toggleTransferFields(type === 'transfer');
+    updateCategoryDropdown(financePlanner, type);
+}
+
+// Update account dropdowns in the transaction form
+function updateAccountDropdowns(financePlanner) {
+    ['transaction-account', 'transaction-to-account', 'contribution-account'].forEach(selectId => {
+        const accountSelect = document.getElementById(selectId);
+        const currentValue = accountSelect.value;
+        accountSelect.innerHTML = `<option value="">${t('No account')}</option>`;
+        
+        financePlanner.accounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.name;
+            accountSelect.appendChild(option);
+        });
+        
+        accountSelect.value = currentValue;
+    });
+}
+
+// Offer the payees used so far as suggestions in the transaction form
+function updatePayeeSuggestions(financePlanner) {
+    const suggestions = document.getElementById('payee-suggestions');
+    suggestions.innerHTML = '';
+    
+    financePlanner.getPayees().forEach(payee => {
+        const option = document.createElement('option');
+        option.value = payee;
+        suggestions.appendChild(option);
+    });
+}
+
+// Update category dropdown based on transaction type
+function updateCategoryDropdown(financePlanner, type) {
+    const categorySelect = document.getElementById('transaction-category');
+    categorySelect.innerHTML = `<option value="">${t('Select category')}</option>`;
+    
+    const categories = type === 'income' 
+        ? financePlanner.settings.incomeCategories 
+        : financePlanner.settings.expenseCategories;
+    
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        categorySelect.appendChild(option);
+    });
+    
+    // Split lines choose from the same categories
+    document.querySelectorAll('#transaction-splits .split-category').forEach(select => {
+        const currentValue = select.value;
+        select.innerHTML = categorySelect.innerHTML;
+        select.value = currentValue;
+    });
+    
+    // Left empty, the category is chosen by the rules
+    document.getElementById('transaction-category-hint').style.display = 
+        financePlanner.settings.categoryRules.length > 0 ? 'block' : 'none';
+}
+
+// Initialize transactions view
+function initTransactionsView(financePlanner) {
+    // Month filter
+    document.getElementById('transactions-filter-month').addEventListener('change', () => {
+        refreshTransactionsView(financePlanner);
+    });
+    
+    // Type filter
+    document.getElementById('transactions-filter-type').addEventListener('change', () => {
+        refreshTransactionsView(financePlanner);
+    });
+    
+    // Category filter
+    document.getElementById('transactions-filter-category').addEventListener('change', () => {
+        refreshTransactionsView(financePlanner);
+    });
+    
+    // Payee and tag filters
+    document.getElementById('transactions-filter-payee').addEventListener('change', () => {
+        refreshTransactionsView(financePlanner);
+    });
+    document.getElementById('transactions-filter-tag').addEventListener('change', () => {
+        refreshTransactionsView(financePlanner);
+    });
+    
+    // Search as you type; picking a saved search fills in its query
+    const searchInput = document.getElementById('transactions-search');
+    const savedSearchSelect = document.getElementById('saved-searches');
+    searchInput.addEventListener('input', () => {
+        savedSearchSelect.value = financePlanner.settings.savedSearches[savedSearchSelect.value] === searchInput.value 
+            ? savedSearchSelect.value 
+            : '';
+        refreshTransactionsView(financePlanner);
+    });
+    
+    savedSearchSelect.addEventListener('change', () => {
+        if (savedSearchSelect.value) {
+            searchInput.value = financePlanner.settings.savedSearches[savedSearchSelect.value];
+            refreshTransactionsView(financePlanner);
+        }
+    });
+    
+    document.getElementById('save-search-btn').addEventListener('click', () => {
+        const query = searchInput.value.trim();
+        if (!query) {
+            showToast(t('Enter a search to save.'), 'danger');
+            return;
+        }
+        
+        const name = (prompt(t('Name this search:'), savedSearchSelect.value) || '').trim();
+        if (!name) return;
+        
+        financePlanner.saveSearch(name, query);
+        updateSavedSearchesDropdown(financePlanner);
+        savedSearchSelect.value = name;
+        showToast(t('Search "{name}" saved', { name }), 'success');
+    });
+    
+    document.getElementById('delete-saved-search').addEventListener('click', () => {
+        const name = savedSearchSelect.value;
+        if (!name) return;
+        
+        if (confirm(t('Delete the saved search "{name}"?', { name }))) {
+            financePlanner.deleteSavedSearch(name);
+            updateSavedSearchesDropdown(financePlanner);
+        }
+    });
+    
+    // Clicking a column header sorts by it; clicking it again reverses the order
+    const table = document.getElementById('all-transactions-table');
+    table.querySelectorAll('th.sortable').forEach(header => {
+        header.addEventListener('click', () => {
+            const sortBy = header.dataset.sort;
+            table.dataset.sortDirection = table.dataset.sortBy === sortBy && table.dataset.sortDirection === 'asc' ? 'desc' : 'asc';
+            table.dataset.sortBy = sortBy;
+            refreshTransactionsView(financePlanner);
+        });
+    });
+}
+
+// Refresh transactions view
+function refreshTransactionsView(financePlanner) {
+    const monthFilter = document.getElementById('transactions-filter-month').value;
+    const typeFilter = document.getElementById('transactions-filter-type').value;
+    const categoryFilter = document.getElementById('transactions-filter-category').value;
+    const payeeFilter = document.getElementById('transactions-filter-payee').value;
+    const tagFilter = document.getElementById('transactions-filter-tag').value;
+    const searchInput = document.getElementById('transactions-search');
+    const table = document.getElementById('all-transactions-table');
+    
+    // Get filtered transactions
+    let filter = {
+        query: searchInput.value.trim(),
+        sortBy: table.dataset.sortBy,
+        sortDirection: table.dataset.sortDirection
+    };
+    
+    if (monthFilter === 'current') {
+        const now = new Date();
+        filter.month = now.getMonth();
+        filter.year = now.getFullYear();
+    } else if (monthFilter !== 'all') {
+        const [year, month] = monthFilter.split('-').map(Number);
+        filter.month = month;
+        filter.year = year;
+    }
+    
+    if (typeFilter !== 'all') {
+        filter.type = typeFilter;
+    }
+    
+    if (categoryFilter !== 'all') {
+        filter.category = categoryFilter;
+    }
+    
+    if (payeeFilter !== 'all') {
+        filter.payee = payeeFilter;
+    }
+    
+    if (tagFilter !== 'all') {
+        filter.tags = [tagFilter];
+    }
+    
+    // A query that cannot be understood shows why instead of results
+    let transactions;
+    try {
+        transactions = financePlanner.getTransactions(filter);
+        searchInput.classList.remove('is-invalid');
+    } catch (error) {
+        transactions = [];
+        searchInput.classList.add('is-invalid');
+        document.getElementById('transactions-search-error').textContent = error.message;
+    }
+    
+    // Update month, category, payee, tag and saved search dropdowns
+    updateMonthFilterDropdown(financePlanner);
+    updateCategoryFilterDropdown(financePlanner, typeFilter);
+    updatePayeeTagFilterDropdowns(financePlanner);
+    updateSavedSearchesDropdown(financePlanner);
+    
+    // Show which column the table is sorted by
+    table.querySelectorAll('th.sortable').forEach(header => {
+        const icon = header.querySelector('.sort-icon');
+        const isSorted = header.dataset.sort === table.dataset.sortBy;
+        icon.className = `fas sort-icon ${isSorted ? (table.dataset.sortDirection === 'asc' ? 'fa-sort-up' : 'fa-sort-down') : 'fa-sort'}`;
+    });
+    
+    // Update transactions table
+    const transactionsTable = document.getElementById('all-transactions-table').querySelector('tbody');
+    transactionsTable.innerHTML = '';
+    
+    if (transactions.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="6" class="text-center py-4">${t('No transactions found')}</td>`;
+        transactionsTable.appendChild(row);
+    } else {
+        transactions.forEach(transaction => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                ${renderTransactionCells(financePlanner, transaction)}
+                <td>
+                    <button class="btn btn-sm btn-outline-primary edit-transaction" data-id="${transaction.id}">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger delete-transaction" data-id="${transaction.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            transactionsTable.appendChild(row);
+        });
+        
+        // Add event listeners to edit/delete buttons
+        document.querySelectorAll('.edit-transaction').forEach(btn => {
+            btn.addEventListener('click', () => editTransaction(financePlanner, btn.dataset.id));
+        });
+        
+        document.querySelectorAll('.delete-transaction').forEach(btn => {
+            btn.addEventListener('click', () => deleteTransaction(financePlanner, btn.dataset.id));
+        });
+    }
+}
+
+// Offer each month with transactions in the month filter
+function updateMonthFilterDropdown(financePlanner) {
+    const monthSelect = document.getElementById('transactions-filter-month');
+    const currentValue = monthSelect.value;
+    
+    // Keep the "All Time" and "Current Month" options
+    while (monthSelect.options.length > 2) {
+        monthSelect.remove(2);
+    }
+    
+    financePlanner.getMonthlySummaries().forEach(summary => {
+        const option = document.createElement('option');
+        option.value = `${summary.year}-${summary.month}`;
+        option.textContent = formatDate(new Date(summary.year, summary.month, 1), { month: 'long', year: 'numeric' });
+        monthSelect.appendChild(option);
+    });
+    
+    monthSelect.value = [...monthSelect.options].some(option => option.value === currentValue) ? currentValue : 'all';
+}
+
+// List the saved searches in their dropdown
+function updateSavedSearchesDropdown(financePlanner) {
+    const select = document.getElementById('saved-searches');
+    const currentValue = select.value;
+    select.innerHTML = `<option value="">${t('Saved searches')}</option>`;
+    
+    Object.keys(financePlanner.settings.savedSearches).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    
+    select.value = currentValue in financePlanner.settings.savedSearches ? currentValue : '';
+}
+
+// Update payee and tag filter dropdowns with the values in use
+function updatePayeeTagFilterDropdowns(financePlanner) {
+    [
+        { id: 'transactions-filter-payee', label: t('All Payees'), values: financePlanner.getPayees().sort() },
+        { id: 'transactions-filter-tag', label: t('All Tags'), values: financePlanner.getTags() }
+    ].forEach(({ id, label, values }) => {
+        const select = document.getElementById(id);
+        const currentValue = select.value;
+        select.innerHTML = `<option value="all">${label}</option>`;
+        
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = id === 'transactions-filter-tag' ? `#${value}` : value;
+            select.appendChild(option);
+        });
+        
+        // Keep the selection while it still exists
+        select.value = values.includes(currentValue) ? currentValue : 'all';
+    });
+}
+
+// Update category filter dropdown
+function updateCategoryFilterDropdown(financePlanner, typeFilter) {
+    const categorySelect = document.getElementById('transactions-filter-category');
+    const currentValue = categorySelect.value;
+    
+    categorySelect.innerHTML = `<option value="all">${t('All Categories')}</option>`;
+    
+    let categories = [];
+    if (typeFilter === 'income' || typeFilter === 'all') {
+        categories = categories.concat(financePlanner.settings.incomeCategories);
+    }
+    if (typeFilter === 'expense' || typeFilter === 'all') {
+        categories = categories.concat(financePlanner.settings.expenseCategories);
+    }
+    
+    // Remove duplicates and sort
+    categories = [...new Set(categories)].sort();
+    
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        categorySelect.appendChild(option);
+    });
+    
+    // Restore previous selection if still available
+    if (categories.includes(currentValue)) {
+        categorySelect.value = currentValue;
+    }
+}
+
+// Edit transaction
+function editTransaction(financePlanner, id) {
+    const transaction = financePlanner.transactions.find(t => t.id === id);
+    if (!transaction) return;
+    
+    // Show the add transaction view
+    showView('add-transaction-view');
+    
+    // Change form to update mode
+    const form = document.getElementById('transaction-form');
+    form.dataset.editMode = 'true';
+    form.dataset.editId = id;
+    
+    // Change submit button text
+    setTranslatedText(form.querySelector('button[type="submit"]'), 'Update Transaction');
+    
+    // Remove existing submit listener
+    const newForm = form.cloneNode(true);
+    form.parentNode.replaceChild(newForm, form);
+    
+    // Populate the form (select values do not survive the clone)
+    document.getElementById('transaction-type').value = transaction.type;
+    document.getElementById('transaction-date').value = transaction.date;
+    document.getElementById('transaction-currency').value = transaction.currency;
+    document.getElementById('transaction-amount').value = financePlanner.fromMinorUnits(transaction.amount, transaction.currency);
+    document.getElementById('transaction-description').value = transaction.description || '';
+    document.getElementById('transaction-payee').value = transaction.payee || '';
+    document.getElementById('transaction-tags').value = (transaction.tags || []).map(tag => `#${tag}`).join(' ');
+    document.getElementById('transaction-account').value = transaction.accountId || '';
+    document.getElementById('transaction-to-account').value = transaction.toAccountId || '';
+    
+    // Update category dropdown
+    document.getElementById('transaction-split').checked = !!transaction.splits;
+    document.getElementById('transaction-splits').innerHTML = '';
+    updateTransactionFormForType(financePlanner, transaction.type);
+    setTimeout(() => {
+        document.getElementById('transaction-category').value = transaction.category || '';
+    }, 0);
+    (transaction.splits || []).forEach(line => {
+        addSplitLine(line.category, financePlanner.fromMinorUnits(line.amount, transaction.currency));
+    });
+    
+    // Occurrences of a series can be edited alone or together with all later occurrences
+    const master = financePlanner.getSeriesMaster(transaction);
+    document.getElementById('recurring-edit-scope-group').style.display = master ? 'block' : 'none';
+    document.getElementById('recurring-edit-scope').value = 'this';
+    document.getElementById('recurring-transaction').checked = !!master;
+    
+    if (master) {
+        const { frequency, endDate, iterations } = master.recurring;
+        document.getElementById('recurring-frequency').value = frequency;
+        document.getElementById('recurring-end-date').value = endDate || '';
+        // Iterations count from the occurrence being edited
+        document.getElementById('recurring-iterations').value = 
+            iterations ? iterations - transaction.occurrenceIndex : '';
+    }
+    
+    // Re-attach listeners lost with the clone
+    initTransactionCurrency(financePlanner);
+    initTransactionSplits(financePlanner);
+    updateSplitRemaining(financePlanner);
+    
+    const transactionType = document.getElementById('transaction-type');
+    transactionType.addEventListener('change', () => {
+        updateTransactionFormForType(financePlanner, transactionType.value);
+    });
+    
+    const recurringCheckbox = document.getElementById('recurring-transaction');
+    const editScope = document.getElementById('recurring-edit-scope');
+    const updateRecurringOptionsVisibility = () => {
+        document.getElementById('recurring-options').style.display = 
+            recurringCheckbox.checked && editScope.value === 'future' ? 'block' : 'none';
+    };
+    recurringCheckbox.addEventListener('change', updateRecurringOptionsVisibility);
+    editScope.addEventListener('change', updateRecurringOptionsVisibility);
+    updateRecurringOptionsVisibility();
+    
+    // Add new submit listener for update
+    newForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        // Update the transaction
+        const updates = readTransactionForm(financePlanner);
+        if (!updates) return;
+        
+        let updated;
+        if (master && editScope.value === 'future') {
+            updates.recurring = recurringCheckbox.checked ? readRecurringOptions() : undefined;
+            updated = financePlanner.updateRecurringSeries(id, updates);
+        } else {
+            updated = financePlanner.updateTransaction(id, updates);
+        }
+        
+        if (updated) {
+            updatePayeeSuggestions(financePlanner);
+            
+            // Reset form and show dashboard
+            resetTransactionForm();
+            showView('dashboard-view');
+            refreshDashboard(financePlanner);
+            
+            // Show success alert
+            showToast(t('Transaction updated successfully'), 'success');
+        } else {
+            showToast(t('Failed to update transaction'), 'danger');
+        }
+    });
+    
+    // Cancel button
+    document.getElementById('cancel-transaction').addEventListener('click', () => {
+        resetTransactionForm();
+        showView('view-transactions-view');
+        refreshTransactionsView(financePlanner);
+    });
+}
+
+// Delete transaction
+function deleteTransaction(financePlanner, id) {
+    // Without other occurrences nothing is left to carry a series on
+    const transaction = financePlanner.transactions.find(t => t.id === id);
+    const endsSeries = transaction && transaction.recurring && 
+        !financePlanner.transactions.some(t => t.seriesId === transaction.seriesId && t !== transaction);
+    const question = endsSeries
+        ? t('This is the only transaction of its recurring series so far, so deleting it also stops the series. Delete it?')
+        : t('Are you sure you want to delete this transaction?');
+    
+    if (confirm(question)) {
+        if (financePlanner.deleteTransaction(id)) {
+            refreshTransactionsView(financePlanner);
+            refreshDashboard(financePlanner);
+            showToast(t('Transaction deleted successfully'), 'success');
+        } else {
+            showToast(t('Failed to delete transaction'), 'danger');
+        }
+    }
+}
+
+// Initialize budget view
+// Initialize budget view
+function initBudgetView(financePlanner) {
+    // Budget form submission
+    document.getElementById('budget-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const category = document.getElementById('budget-category').value;
+        const amount = financePlanner.toMinorUnits(document.getElementById('budget-amount').value);
+        
+        if (!category || isNaN(amount) || amount <= 0) {
+            showToast(t('Please select a category and enter a valid amount.'), 'danger');
+            return;
+        }
+        
+        try {
+            financePlanner.setBudget(category, amount, {
+                from: getBudgetMonth(),
+                period: document.getElementById('budget-period').value,
+                startDate: document.getElementById('budget-start-date').value || undefined,
+                endDate: document.getElementById('budget-end-date').value || undefined,
+                rollover: document.getElementById('budget-rollover').checked
+            });
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        document.getElementById('budget-form').reset();
+        updateBudgetPeriodFields(financePlanner);
+        refreshBudgetView(financePlanner);
+        showToast(t('Budget set for {category}', { category }), 'success');
+    });
+    
+    // Show the settings of a category's budget in the chosen month when it is chosen
+    document.getElementById('budget-category').addEventListener('change', (e) => {
+        const budget = financePlanner.getBudgetAt(e.target.value, getBudgetViewDate());
+        if (budget) {
+            document.getElementById('budget-amount').value = financePlanner.fromMinorUnits(budget.amount);
+            document.getElementById('budget-period').value = budget.period;
+            document.getElementById('budget-rollover').checked = budget.rollover;
+            document.getElementById('budget-start-date').value = budget.startDate || '';
+            document.getElementById('budget-end-date').value = budget.endDate || '';
+        }
+        updateBudgetPeriodFields(financePlanner);
+    });
+    
+    document.getElementById('budget-period').addEventListener('change', () => updateBudgetPeriodFields(financePlanner));
+    document.getElementById('budget-rollover').addEventListener('change', () => updateBudgetPeriodFields(financePlanner));
+    
+    // Any month's budgets can be viewed and changed
+    document.getElementById('budget-month').addEventListener('change', () => refreshBudgetView(financePlanner));
+    
+    // Start a month with the budgets of the month before
+    document.getElementById('copy-previous-budgets-btn').addEventListener('click', () => {
+        const month = getBudgetMonth();
+        const previous = formatDateString(addMonths(parseDateString(`${month}-01`), -1)).slice(0, 7);
+        const values = { month: formatBudgetMonth(month), previous: formatBudgetMonth(previous) };
+        
+        if (financePlanner.getBudgetsAt(parseDateString(`${previous}-01`)).length === 0) {
+            showToast(t('There are no budgets in {previous} to copy.', values), 'danger');
+            return;
+        }
+        if (financePlanner.getBudgetsAt(parseDateString(`${month}-01`)).length > 0 && 
+            !confirm(t('Replace the budgets of {month} with those of {previous}?', values))) {
+            return;
+        }
+        
+        const count = financePlanner.copyBudgets(previous, month);
+        refreshBudgetView(financePlanner);
+        showToast(t('Copied {count} budgets from {previous}', { ...values, count }), 'success');
+    });
+    
+    // Budget templates
+    document.getElementById('save-budget-template-btn').addEventListener('click', () => {
+        const month = getBudgetMonth();
+        if (financePlanner.getBudgetsAt(parseDateString(`${month}-01`)).length === 0) {
+            showToast(t('There are no budgets in {month} to save.', { month: formatBudgetMonth(month) }), 'danger');
+            return;
+        }
+        
+        const name = (prompt(t('Name this template:')) || '').trim();
+        if (!name) return;
+        
+        financePlanner.saveBudgetTemplate(name, month);
+        updateBudgetTemplatesDropdown(financePlanner);
+        document.getElementById('budget-template').value = name;
+        showToast(t('Template "{name}" saved', { name }), 'success');
+    });
+    
+    document.getElementById('apply-budget-template-btn').addEventListener('click', () => {
+        const name = document.getElementById('budget-template').value;
+        const month = getBudgetMonth();
+        if (!name) {
+            showToast(t('Choose a template to apply.'), 'danger');
+            return;
+        }
+        if (financePlanner.getBudgetsAt(parseDateString(`${month}-01`)).length > 0 && 
+            !confirm(t('Replace the budgets of {month} with the "{name}" template?', { name, month: formatBudgetMonth(month) }))) {
+            return;
+        }
+        
+        try {
+            financePlanner.applyBudgetTemplate(name, month);
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        refreshBudgetView(financePlanner);
+        showToast(t('Template "{name}" applied to {month}', { name, month: formatBudgetMonth(month) }), 'success');
+    });
+    
+    document.getElementById('delete-budget-template-btn').addEventListener('click', () => {
+        const name = document.getElementById('budget-template').value;
+        if (!name || !confirm(t('Delete the template "{name}"?', { name }))) return;
+        
+        financePlanner.deleteBudgetTemplate(name);
+        updateBudgetTemplatesDropdown(financePlanner);
+    });
+    
+    // Switch between budget limits and envelopes; envelopes start with the month on show
+    document.getElementById('envelope-mode').addEventListener('change', (e) => {
+        financePlanner.setEnvelopeBudgeting(e.target.checked, getBudgetMonth());
+        refreshBudgetView(financePlanner);
+    });
+    
+    // Assign, unassign and move money between envelopes
+    document.getElementById('envelope-move-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const from = document.getElementById('envelope-move-from').value || null;
+        const to = document.getElementById('envelope-move-to').value || null;
+        const amount = financePlanner.toMinorUnits(document.getElementById('envelope-move-amount').value);
+        
+        try {
+            financePlanner.moveEnvelopeMoney(from, to, amount, getBudgetMonth());
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        document.getElementById('envelope-move-form').reset();
+        refreshBudgetView(financePlanner);
+        showToast(t('Moved {amount} from {from} to {to}', { 
+            amount: financePlanner.formatCurrency(amount), 
+            from: from || t('Ready to Assign'), 
+            to: to || t('Ready to Assign') 
+        }), 'success');
+    });
+    
+    // Cover an overspent envelope: the move form is filled in and the source is left to choose
+    document.getElementById('budget-summary-table').addEventListener('click', (e) => {
+        const button = e.target.closest('.cover-envelope');
+        if (!button) return;
+        
+        document.getElementById('envelope-move-to').value = button.dataset.category;
+        document.getElementById('envelope-move-amount').value = button.dataset.amount;
+        document.getElementById('envelope-move-from').focus();
+    });
+    
+    // Stop a budget from the chosen month on
+    document.getElementById('budget-summary-table').addEventListener('click', (e) => {
+        const button = e.target.closest('.delete-budget');
+        if (!button) return;
+        
+        const category = button.dataset.category;
+        const month = getBudgetMonth();
+        if (confirm(t('Stop the {category} budget from {month} on?', { category, month: formatBudgetMonth(month) }))) {
+            financePlanner.deleteBudget(category, month);
+            refreshBudgetView(financePlanner);
+        }
+    });
+    
+    // Initial refresh
+    updateBudgetPeriodFields(financePlanner);
+    refreshBudgetView(financePlanner);
+}
+
+// Custom budgets need both dates; rollover budgets carry over from a start date, which defaults to
+// the current period. Custom ranges are a single period, so nothing rolls over
+function updateBudgetPeriodFields(financePlanner) {
+    const period = document.getElementById('budget-period').value;
+    const isCustom = period === 'custom';
+    const rollover = !isCustom && document.getElementById('budget-rollover').checked;
+    const startDate = document.getElementById('budget-start-date');
+    
+    document.getElementById('budget-rollover-group').style.display = isCustom ? 'none' : 'block';
+    document.getElementById('budget-dates-group').style.display = isCustom || rollover ? 'flex' : 'none';
+    document.getElementById('budget-end-date-group').style.display = isCustom ? 'block' : 'none';
+    setTranslatedText(document.getElementById('budget-start-date-label'), isCustom ? 'Start Date' : 'Roll Over Since');
+    
+    if (rollover && !startDate.value) {
+        startDate.value = financePlanner.getBudgetPeriod({ period }, parseDateString(`${getBudgetMonth()}-01`)).start;
+    }
+}
+
+// Get the month (YYYY-MM) picked in the budget view, this month by default
+function getBudgetMonth() {
+    const monthInput = document.getElementById('budget-month');
+    if (!monthInput.value) {
+        monthInput.value = formatDateString(new Date()).slice(0, 7);
+    }
+    return monthInput.value;
+}
+
+// Show this month's budgets as of today, past months' as of their last day and future months'
+// as of their first, so each budget's period is one that falls in the month
+function getBudgetViewDate() {
+    const month = getBudgetMonth();
+    const today = formatDateString(new Date());
+    if (today.startsWith(month)) return new Date();
+    
+    const start = parseDateString(`${month}-01`);
+    return today < month ? start : new Date(start.getFullYear(), start.getMonth() + 1, 0);
+}
+
+// Format a YYYY-MM month for messages
+function formatBudgetMonth(month) {
+    return formatDate(`${month}-01`, { month: 'long', year: 'numeric' });
+}
+
+// Refresh the budget template choices
+function updateBudgetTemplatesDropdown(financePlanner) {
+    const templateSelect = document.getElementById('budget-template');
+    const currentValue = templateSelect.value;
+    templateSelect.innerHTML = `<option value="">${t('Choose a template')}</option>`;
+    
+    Object.keys(financePlanner.settings.budgetTemplates).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        templateSelect.appendChild(option);
+    });
+    
+    templateSelect.value = financePlanner.settings.budgetTemplates[currentValue] ? currentValue : '';
+}
+
+// Refresh budget view
+function refreshBudgetView(financePlanner) {
+    refreshMissingRatesAlert(financePlanner);
+    
+    const month = getBudgetMonth();
+    const budgetSummary = financePlanner.getBudgetSummary(getBudgetViewDate());
+    const isEnvelopes = financePlanner.settings.envelopeBudgeting.enabled;
+    
+    // Envelopes replace the limits form, copying and templates
+    document.getElementById('envelope-mode').checked = isEnvelopes;
+    document.getElementById('envelope-card').style.display = isEnvelopes ? 'block' : 'none';
+    document.querySelectorAll('.budget-limits-only').forEach(el => {
+        el.style.display = isEnvelopes ? 'none' : '';
+    });
+    setTranslatedText(document.getElementById('budget-amount-header'), isEnvelopes ? 'Assigned' : 'Budget');
+    if (isEnvelopes) {
+        refreshEnvelopes(financePlanner, month, budgetSummary);
+    }
+    const periodLabels = { weekly: t('Weekly'), monthly: t('Monthly'), quarterly: t('Quarterly'), yearly: t('Yearly'), custom: t('Custom Dates') };
+    
+    // Update category dropdown in budget form
+    const categorySelect = document.getElementById('budget-category');
+    const selectedCategory = categorySelect.value;
+    categorySelect.innerHTML = `<option value="">${t('Select category')}</option>`;
+    
+    financePlanner.settings.expenseCategories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        categorySelect.appendChild(option);
+    });
+    categorySelect.value = selectedCategory;
+    
+    // Budgets set in the form apply from the chosen month
+    document.getElementById('budget-from-hint').textContent = 
+        t('Applies from {month} until you change it.', { month: formatBudgetMonth(month) });
+    updateBudgetTemplatesDropdown(financePlanner);
+    
+    // Update budget summary table
+    const budgetTable = document.getElementById('budget-summary-table').querySelector('tbody');
+    budgetTable.innerHTML = '';
+    
+    if (budgetSummary.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="6" class="text-center py-4">${isEnvelopes ? t('Nothing assigned or spent this month') : t('No budgets set')}</td>`;
+        budgetTable.appendChild(row);
+    } else {
+        budgetSummary.forEach(budget => {
+            const row = document.createElement('tr');
+            // Carried amounts raise or lower what can be spent this period
+            const limit = budget.budget + budget.carried;
+            const percentage = limit > 0 ? (budget.spent / limit) * 100 : (budget.spent > 0 ? 200 : 0);
+            const isOver = percentage > 100;
+            
+            row.innerHTML = `
+                <td>
+                    ${budget.category}
+                    <div class="small text-muted">
+                        ${periodLabels[budget.period]}: ${formatDate(budget.start)} – ${formatDate(budget.end)}
+                    </div>
+                </td>
+                <td>${financePlanner.formatCurrency(budget.budget)}</td>
+                <td class="${budget.carried < 0 ? 'text-danger' : ''}">
+                    ${budget.rollover ? financePlanner.formatCurrency(budget.carried) : '-'}
+                </td>
+                <td>${financePlanner.formatCurrency(budget.spent)}</td>
+                <td>
+                    <div class="${budget.available < 0 ? 'text-danger' : ''}">${financePlanner.formatCurrency(budget.available)}</div>
+                    <div class="d-flex align-items-center">
+                        <div class="progress flex-grow-1" style="height: 20px;">
+                            <div class="progress-bar ${isOver ? 'bg-danger' : 'bg-success'}" 
+                                 role="progressbar" 
+                                 style="width: ${Math.min(percentage, 100)}%" 
+                                 aria-valuenow="${percentage}" 
+                                 aria-valuemin="0" 
+                                 aria-valuemax="100">
+                            </div>
+                            ${isOver ? `
+                            <div class="progress-bar-over" 
+                                 style="width: ${percentage - 100}%">
+                            </div>
+                            ` : ''}
+                        </div>
+                        <small class="ms-2">${Math.round(percentage)}%</small>
+                    </div>
+                </td>
+                <td class="text-end">
+                    ${!isEnvelopes ? `
+                    <button class="btn btn-sm btn-outline-danger delete-budget" data-category="${budget.category}" title="${t('Stop this budget from this month on')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                    ` : budget.available < 0 ? `
+                    <button class="btn btn-sm btn-outline-warning cover-envelope" data-category="${budget.category}" data-amount="${financePlanner.fromMinorUnits(-budget.available)}">
+                        ${t('Cover')}
+                    </button>
+                    ` : ''}
+                </td>
+            `;
+            budgetTable.appendChild(row);
+        });
+    }
+    
+    // Update budget chart
+    updateBudgetChart(financePlanner, budgetSummary);
+}
+
+// Show what is ready to assign and which envelopes need covering, and offer the envelopes to move between
+function refreshEnvelopes(financePlanner, month, envelopes) {
+    const readyToAssign = financePlanner.getReadyToAssign(month);
+    const readyElement = document.getElementById('ready-to-assign');
+    readyElement.textContent = financePlanner.formatCurrency(readyToAssign);
+    readyElement.className = `h3 ${readyToAssign < 0 ? 'text-danger' : 'text-success'}`;
+    
+    const overspent = envelopes.filter(e => e.available < 0);
+    const warning = document.getElementById('envelope-overspent-warning');
+    warning.style.display = overspent.length > 0 ? 'block' : 'none';
+    warning.textContent = t('{count} envelopes are overspent by {amount} in total. Cover them by moving money from another envelope.', {
+        count: overspent.length,
+        amount: financePlanner.formatCurrency(-overspent.reduce((sum, e) => sum + e.available, 0))
+    });
+    
+    ['envelope-move-from', 'envelope-move-to'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        const currentValue = select.value;
+        select.innerHTML = `<option value="">${t('Ready to Assign')}</option>`;
+        
+        financePlanner.settings.expenseCategories.forEach(category => {
+            const envelope = envelopes.find(e => e.category === category);
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = `${category} (${financePlanner.formatCurrency(envelope ? envelope.available : 0)})`;
+            select.appendChild(option);
+        });
+        
+        select.value = currentValue;
+    });
+}
+
+// Update budget chart
+function updateBudgetChart(financePlanner, budgetSummary) {
+    const ctx = document.getElementById('budgetChart').getContext('2d');
+    
+    // Destroy previous chart if it exists
+    if (financePlanner.budgetChart) {
+        financePlanner.budgetChart.destroy();
+    }
+    
+    const labels = budgetSummary.map(item => item.category);
+    const budgetData = budgetSummary.map(item => item.budget + item.carried);
+    const spentData = budgetSummary.map(item => item.spent);
+    
+    financePlanner.budgetChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [
+                {
+                    label: t('Budget + Carried Over'),
+                    data: budgetData,
+                    backgroundColor: 'rgba(78, 115, 223, 0.5)',
+                    borderColor: 'rgba(78, 115, 223, 1)',
+                    borderWidth: 1
+                },
+                {
+                    label: t('Spent'),
+                    data: spentData,
+                    backgroundColor: 'rgba(231, 74, 59, 0.5)',
+                    borderColor: 'rgba(231, 74, 59, 1)',
+                    borderWidth: 1
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return financePlanner.formatCurrency(value);
+                        }
+                    }
+                }
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const label = context.dataset.label || '';
+                            const value = context.raw || 0;
+                            return `${label}: ${financePlanner.formatCurrency(value)}`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Initialize accounts view
+function initAccountsView(financePlanner) {
+    // Show the opening balance in the chosen currency
+    const currencySelect = document.getElementById('account-currency');
+    const updateAccountCurrencySymbol = () => {
+        document.getElementById('account-currency-symbol').textContent = getCurrencySymbol(currencySelect.value);
+        document.getElementById('account-opening-balance').step = (1 / 10 ** getCurrencyDecimals(currencySelect.value)).toString();
+    };
+    populateCurrencySelect(financePlanner, currencySelect, financePlanner.settings.currency);
+    currencySelect.addEventListener('change', updateAccountCurrencySymbol);
+    updateAccountCurrencySymbol();
+    
+    // Account form submission
+    document.getElementById('account-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const name = document.getElementById('account-name').value.trim();
+        const type = document.getElementById('account-type').value;
+        const currency = document.getElementById('account-currency').value;
+        const openingBalance = financePlanner.toMinorUnits(document.getElementById('account-opening-balance').value || '0', currency);
+        
+        if (!name || isNaN(openingBalance)) {
+            showToast(t('Please enter an account name and a valid opening balance.'), 'danger');
+            return;
+        }
+        
+        if (financePlanner.accounts.some(a => a.name === name)) {
+            showToast(t('An account named "{name}" already exists.', { name }), 'danger');
+            return;
+        }
+        
+        financePlanner.addAccount({ name, type, currency, openingBalance });
+        document.getElementById('account-form').reset();
+        updateAccountCurrencySymbol();
+        refreshAccountsView(financePlanner);
+        updateAccountDropdowns(financePlanner);
+        showToast(t('Account "{name}" added', { name }), 'success');
+    });
+    
+    // Register account selection
+    document.getElementById('account-register-select').addEventListener('change', () => {
+        refreshAccountRegister(financePlanner);
+    });
+    
+    // Initial refresh
+    refreshAccountsView(financePlanner);
+}
+
+// Refresh accounts view
+function refreshAccountsView(financePlanner) {
+    const typeLabels = { checking: t('Checking'), savings: t('Savings'), 'credit-card': t('Credit Card'), cash: t('Cash') };
+    const accounts = financePlanner.getAccountsSummary();
+    
+    // Update account balances table
+    const accountsTable = document.getElementById('accounts-table').querySelector('tbody');
+    accountsTable.innerHTML = '';
+    
+    if (accounts.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="4" class="text-center py-4">${t('No accounts added')}</td>`;
+        accountsTable.appendChild(row);
+    } else {
+        accounts.forEach(account => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${escapeHTML(account.name)}</td>
+                <td>${typeLabels[account.type]}</td>
+                <td class="${account.balance < 0 ? 'expense-amount' : ''}">
+                    ${financePlanner.formatCurrency(account.balance, account.currency)}
+                    ${account.currency !== financePlanner.settings.currency && account.baseBalance !== null 
+                        ? `<small class="d-block text-muted">${financePlanner.formatCurrency(account.baseBalance)}</small>` 
+                        : ''}
+                </td>
+                <td>
+                    <button class="btn btn-sm btn-outline-primary view-account-register" data-id="${account.id}">
+                        <i class="fas fa-list"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-danger delete-account" data-id="${account.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            accountsTable.appendChild(row);
+        });
+        
+        // Add event listeners to register/delete buttons
+        document.querySelectorAll('.view-account-register').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.getElementById('account-register-select').value = btn.dataset.id;
+                refreshAccountRegister(financePlanner);
+            });
+        });
+        
+        document.querySelectorAll('.delete-account').forEach(btn => {
+            btn.addEventListener('click', () => deleteAccount(financePlanner, btn.dataset.id));
+        });
+    }
+    
+    // Update register account dropdown
+    const registerSelect = document.getElementById('account-register-select');
+    const currentValue = registerSelect.value;
+    registerSelect.innerHTML = '';
+    
+    accounts.forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = account.name;
+        registerSelect.appendChild(option);
+    });
+    
+    if (accounts.some(a => a.id === currentValue)) {
+        registerSelect.value = currentValue;
+    }
+    
+    refreshAccountRegister(financePlanner);
+}
+
+// Refresh the running balance register of the selected account
+function refreshAccountRegister(financePlanner) {
+    const accountId = document.getElementById('account-register-select').value;
+    const register = financePlanner.getAccountRegister(accountId);
+    const account = financePlanner.accounts.find(a => a.id === accountId);
+    const currency = account ? account.currency : financePlanner.settings.currency;
+    
+    const registerTable = document.getElementById('account-register-table').querySelector('tbody');
+    registerTable.innerHTML = '';
+    
+    if (register.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="5" class="text-center py-4">${t('No transactions for this account')}</td>`;
+        registerTable.appendChild(row);
+        return;
+    }
+    
+    // Show newest first, like the other transaction tables
+    [...register].reverse().forEach(({ transaction, amount, balance }) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${formatDate(transaction.date)}</td>
+            <td>${[transaction.payee, transaction.description].filter(Boolean).join(' - ') || '-'}</td>
+            <td>${transaction.type === 'transfer' ? t('Transfer') : financePlanner.getCategoryLabel(transaction)}</td>
+            <td class="${amount < 0 ? 'expense-amount' : 'income-amount'}">
+                ${amount < 0 ? '-' : '+'}${financePlanner.formatCurrency(Math.abs(amount), currency)}
+            </td>
+            <td>${financePlanner.formatCurrency(balance, currency)}</td>
+        `;
+        registerTable.appendChild(row);
+    });
+}
+
+// Delete account
+function deleteAccount(financePlanner, id) {
+    const name = financePlanner.getAccountName(id);
+    
+    if (confirm(t('Are you sure you want to delete the "{name}" account?', { name }))) {
+        if (financePlanner.deleteAccount(id)) {
+            refreshAccountsView(financePlanner);
+            updateAccountDropdowns(financePlanner);
+            refreshDashboard(financePlanner);
+            showToast(t('Account deleted successfully'), 'success');
+        } else {
+            showToast(t('Cannot delete "{name}" while transactions still use it', { name }), 'danger');
+        }
+    }
+}
+
+// Initialize goals view
+function initGoalsView(financePlanner) {
+    document.getElementById('contribution-date').value = formatDateString(new Date());
+    
+    // Add a goal, or save the one being edited
+    document.getElementById('goal-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('goal-id').value;
+        const goal = {
+            name: document.getElementById('goal-name').value.trim(),
+            target: financePlanner.toMinorUnits(document.getElementById('goal-target').value),
+            targetDate: document.getElementById('goal-target-date').value,
+            accountId: document.getElementById('goal-account').value,
+            category: document.getElementById('goal-category').value
+        };
+        
+        if (!goal.name || !(goal.target > 0) || !goal.targetDate) {
+            showToast(t('Please enter a goal name, a positive target amount and a target date.'), 'danger');
+            return;
+        }
+        
+        if (id) {
+            financePlanner.updateGoal(id, goal);
+            showToast(t('Goal "{name}" updated', { name: goal.name }), 'success');
+        } else {
+            financePlanner.addGoal(goal);
+            showToast(t('Goal "{name}" added', { name: goal.name }), 'success');
+        }
+        resetGoalForm();
+        refreshGoalsView(financePlanner);
+        refreshDashboard(financePlanner);
+    });
+    
+    document.getElementById('cancel-goal-edit').addEventListener('click', resetGoalForm);
+    
+    // Record a contribution as a transaction
+    document.getElementById('goal-contribution-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('contribution-goal').value;
+        const amount = financePlanner.toMinorUnits(document.getElementById('contribution-amount').value);
+        
+        try {
+            financePlanner.contributeToGoal(id, {
+                amount,
+                date: document.getElementById('contribution-date').value,
+                accountId: document.getElementById('contribution-account').value
+            });
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        document.getElementById('contribution-amount').value = '';
+        refreshGoalsView(financePlanner);
+        refreshDashboard(financePlanner);
+        showToast(t('Added {amount} to "{name}"', { 
+            amount: financePlanner.formatCurrency(amount), 
+            name: financePlanner.goals.find(g => g.id === id).name 
+        }), 'success');
+    });
+    
+    // Contribute, edit and delete buttons
+    document.getElementById('goals-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (!button) return;
+        
+        const goal = financePlanner.goals.find(g => g.id === button.dataset.id);
+        if (button.classList.contains('contribute-goal')) {
+            document.getElementById('contribution-goal').value = goal.id;
+            document.getElementById('contribution-amount').focus();
+        } else if (button.classList.contains('edit-goal')) {
+            document.getElementById('goal-id').value = goal.id;
+            document.getElementById('goal-name').value = goal.name;
+            document.getElementById('goal-target').value = financePlanner.fromMinorUnits(goal.target);
+            document.getElementById('goal-target-date').value = goal.targetDate;
+            document.getElementById('goal-account').value = goal.accountId || '';
+            document.getElementById('goal-category').value = goal.category || '';
+            setTranslatedText(document.getElementById('goal-form-title'), 'Edit Goal');
+            setTranslatedText(document.getElementById('goal-submit-btn'), 'Save Goal');
+            document.getElementById('cancel-goal-edit').style.display = 'inline-block';
+            document.getElementById('goal-name').focus();
+        } else if (button.classList.contains('delete-goal')) {
+            if (confirm(t('Delete the "{name}" goal? Its contributions are kept as transactions.', { name: goal.name }))) {
+                financePlanner.deleteGoal(goal.id);
+                resetGoalForm();
+                refreshGoalsView(financePlanner);
+                refreshDashboard(financePlanner);
+            }
+        }
+    });
+    
+    // Initial refresh
+    refreshGoalsView(financePlanner);
+}
+
+// Put the goal form back into adding a new goal
+function resetGoalForm() {
+    document.getElementById('goal-form').reset();
+    document.getElementById('goal-id').value = '';
+    setTranslatedText(document.getElementById('goal-form-title'), 'Add Goal');
+    setTranslatedText(document.getElementById('goal-submit-btn'), 'Add Goal');
+    document.getElementById('cancel-goal-edit').style.display = 'none';
+}
+
+// Refresh goals view
+function refreshGoalsView(financePlanner) {
+    refreshMissingRatesAlert(financePlanner);
+    
+    const goals = financePlanner.getGoalsSummary();
+    
+    // Linked account and category choices
+    const accountSelect = document.getElementById('goal-account');
+    const categorySelect = document.getElementById('goal-category');
+    const goalSelect = document.getElementById('contribution-goal');
+    const selected = [accountSelect.value, categorySelect.value, goalSelect.value];
+    
+    accountSelect.innerHTML = `<option value="">${t('None')}</option>`;
+    financePlanner.accounts.forEach(account => {
+        accountSelect.appendChild(new Option(account.name, account.id));
+    });
+    
+    categorySelect.innerHTML = `<option value="">${t('None')}</option>`;
+    financePlanner.settings.expenseCategories.forEach(category => {
+        categorySelect.appendChild(new Option(category, category));
+    });
+    
+    goalSelect.innerHTML = '';
+    goals.forEach(goal => goalSelect.appendChild(new Option(goal.name, goal.id)));
+    
+    [accountSelect.value, categorySelect.value] = selected;
+    if (goals.some(g => g.id === selected[2])) goalSelect.value = selected[2];
+    
+    // Goals table
+    const goalsTable = document.getElementById('goals-table').querySelector('tbody');
+    goalsTable.innerHTML = '';
+    
+    if (goals.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="5" class="text-center py-4">${t('No savings goals yet')}</td>`;
+        goalsTable.appendChild(row);
+        return;
+    }
+    
+    goals.forEach(goal => {
+        const links = [
+            goal.accountId ? financePlanner.getAccountName(goal.accountId) : '',
+            goal.category || ''
+        ].filter(Boolean).join(', ');
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                ${escapeHTML(goal.name)}
+                ${links ? `<small class="d-block text-muted">${escapeHTML(links)}</small>` : ''}
+            </td>
+            <td style="min-width: 12rem;">${renderGoalProgress(financePlanner, goal)}</td>
+            <td>${formatDate(goal.targetDate)}</td>
+            <td>${goal.complete ? '-' : financePlanner.formatCurrency(goal.monthlyContribution)}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-success contribute-goal" data-id="${goal.id}" title="${t('Add Contribution')}">
+                    <i class="fas fa-plus"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-primary edit-goal" data-id="${goal.id}">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger delete-goal" data-id="${goal.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        goalsTable.appendChild(row);
+    });
+}
+
+// Render a goal's progress bar, with the amount saved and whether it is on track
+function renderGoalProgress(financePlanner, goal) {
+    const [label, color] = goal.complete ? [t('Reached'), 'bg-success']
+        : goal.overdue ? [t('Overdue'), 'bg-danger']
+        : goal.onTrack ? [t('On track'), 'bg-primary']
+        : [t('Behind'), 'bg-warning'];
+    const percent = Math.round(goal.progress * 100);
+    
+    return `
+        <div class="progress" role="progressbar" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100">
+            <div class="progress-bar ${color}" style="width: ${percent}%"></div>
+        </div>
+        <small class="d-flex justify-content-between">
+            <span>${t('{saved} of {target}', { saved: financePlanner.formatCurrency(goal.saved), target: financePlanner.formatCurrency(goal.target) })}</span>
+            <span>${label}</span>
+        </small>
+    `;
+}
+
+// Initialize debts view
+function initDebtsView(financePlanner) {
+    document.getElementById('debt-start-date').value = formatDateString(new Date());
+    
+    // Add a debt, or save the one being edited
+    document.getElementById('debt-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('debt-id').value;
+        const debt = {
+            name: document.getElementById('debt-name').value.trim(),
+            balance: financePlanner.toMinorUnits(document.getElementById('debt-balance').value),
+            startDate: document.getElementById('debt-start-date').value,
+            apr: parseFloat(document.getElementById('debt-apr').value),
+            dueDay: parseInt(document.getElementById('debt-due-day').value),
+            minimumPayment: financePlanner.toMinorUnits(document.getElementById('debt-minimum-payment').value),
+            accountId: document.getElementById('debt-account').value,
+            category: document.getElementById('debt-category').value
+        };
+        
+        if (!debt.name || !(debt.balance >= 0) || !debt.startDate || !(debt.apr >= 0) || 
+            !(debt.dueDay >= 1 && debt.dueDay <= 31) || !(debt.minimumPayment >= 0)) {
+            showToast(t('Please enter a debt name, balance, APR, minimum payment and a due day between 1 and 31.'), 'danger');
+            return;
+        }
+        
+        if (id) {
+            financePlanner.updateDebt(id, debt);
+            showToast(t('Debt "{name}" updated', { name: debt.name }), 'success');
+        } else {
+            financePlanner.addDebt(debt);
+            showToast(t('Debt "{name}" added', { name: debt.name }), 'success');
+        }
+        resetDebtForm();
+        refreshDebtsView(financePlanner);
+    });
+    
+    document.getElementById('cancel-debt-edit').addEventListener('click', resetDebtForm);
+    
+    // Strategy and extra payment are remembered for next time
+    document.getElementById('debt-strategy').addEventListener('change', (e) => {
+        financePlanner.settings.debtPayoff.strategy = e.target.value;
+        financePlanner.saveSettings();
+        refreshDebtsView(financePlanner);
+    });
+    
+    document.getElementById('debt-extra-payment').addEventListener('change', (e) => {
+        financePlanner.settings.debtPayoff.extraPayment = Math.max(financePlanner.toMinorUnits(e.target.value || '0') || 0, 0);
+        financePlanner.saveSettings();
+        refreshDebtsView(financePlanner);
+    });
+    
+    // Reorder, edit and delete buttons
+    document.getElementById('debts-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (!button) return;
+        
+        const debt = financePlanner.debts.find(d => d.id === button.dataset.id);
+        if (button.classList.contains('move-debt')) {
+            financePlanner.moveDebt(debt.id, parseInt(button.dataset.offset));
+            refreshDebtsView(financePlanner);
+        } else if (button.classList.contains('edit-debt')) {
+            document.getElementById('debt-id').value = debt.id;
+            document.getElementById('debt-name').value = debt.name;
+            document.getElementById('debt-balance').value = financePlanner.fromMinorUnits(debt.balance);
+            document.getElementById('debt-start-date').value = debt.startDate;
+            document.getElementById('debt-apr').value = debt.apr;
+            document.getElementById('debt-due-day').value = debt.dueDay;
+            document.getElementById('debt-minimum-payment').value = financePlanner.fromMinorUnits(debt.minimumPayment);
+            document.getElementById('debt-account').value = debt.accountId || '';
+            document.getElementById('debt-category').value = debt.category || '';
+            setTranslatedText(document.getElementById('debt-form-title'), 'Edit Debt');
+            setTranslatedText(document.getElementById('debt-submit-btn'), 'Save Debt');
+            document.getElementById('cancel-debt-edit').style.display = 'inline-block';
+            document.getElementById('debt-name').focus();
+        } else if (button.classList.contains('delete-debt')) {
+            if (confirm(t('Delete the "{name}" debt? Its payments are kept as transactions.', { name: debt.name }))) {
+                financePlanner.deleteDebt(debt.id);
+                resetDebtForm();
+                refreshDebtsView(financePlanner);
+            }
+        }
+    });
+    
+    // Initial refresh
+    refreshDebtsView(financePlanner);
+}
+
+// Put the debt form back into adding a new debt
+function resetDebtForm() {
+    document.getElementById('debt-form').reset();
+    document.getElementById('debt-id').value = '';
+    document.getElementById('debt-start-date').value = formatDateString(new Date());
+    setTranslatedText(document.getElementById('debt-form-title'), 'Add Debt');
+    setTranslatedText(document.getElementById('debt-submit-btn'), 'Add Debt');
+    document.getElementById('cancel-debt-edit').style.display = 'none';
+}
+
+// Refresh debts view
+function refreshDebtsView(financePlanner) {
+    const { strategy, extraPayment } = financePlanner.settings.debtPayoff;
+    const strategyLabels = { snowball: t('Snowball'), avalanche: t('Avalanche'), custom: t('Custom order') };
+    const debts = financePlanner.getDebtsSummary(strategy);
+    
+    document.getElementById('debt-strategy').value = strategy;
+    document.getElementById('debt-extra-payment').value = extraPayment ? financePlanner.fromMinorUnits(extraPayment) : '';
+    
+    // Linked account and category choices
+    const accountSelect = document.getElementById('debt-account');
+    const categorySelect = document.getElementById('debt-category');
+    const selected = [accountSelect.value, categorySelect.value];
+    
+    accountSelect.innerHTML = `<option value="">${t('None')}</option>`;
+    financePlanner.accounts.forEach(account => {
+        accountSelect.appendChild(new Option(account.name, account.id));
+    });
+    
+    categorySelect.innerHTML = `<option value="">${t('None')}</option>`;
+    financePlanner.settings.expenseCategories.forEach(category => {
+        categorySelect.appendChild(new Option(category, category));
+    });
+    
+    [accountSelect.value, categorySelect.value] = selected;
+    
+    // Debts in the order the chosen strategy pays them off, reconciled with the recorded payments
+    const statusLabels = { 
+        'paid-off': [t('Paid off'), 'bg-success'], 
+        paid: [t('Paid'), 'bg-success'], 
+        due: [t('Due'), 'bg-secondary'], 
+        late: [t('Late'), 'bg-danger'] 
+    };
+    const debtsTable = document.getElementById('debts-table').querySelector('tbody');
+    debtsTable.innerHTML = '';
+    
+    if (debts.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="6" class="text-center py-4">${t('No debts added')}</td>`;
+        debtsTable.appendChild(row);
+    }
+    
+    debts.forEach((debt, index) => {
+        const [statusLabel, statusColor] = statusLabels[debt.status];
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                ${escapeHTML(debt.name)}
+                <small class="d-block text-muted">${t('Minimum {amount} on day {day}', { amount: financePlanner.formatCurrency(debt.minimumPayment), day: debt.dueDay })}</small>
+            </td>
+            <td>
+                ${financePlanner.formatCurrency(debt.balance)}
+                <small class="d-block text-muted">${t('{paid} paid, {interest} interest', { paid: financePlanner.formatCurrency(debt.paid), interest: financePlanner.formatCurrency(debt.interest) })}</small>
+            </td>
+            <td>${formatNumber(debt.apr / 100, { style: 'percent', maximumFractionDigits: 2 })}</td>
+            <td>
+                <span class="badge ${statusColor}">${statusLabel}</span>
+                <small class="d-block text-muted">${t('{paid} of {minimum}', { paid: financePlanner.formatCurrency(debt.paidThisMonth), minimum: financePlanner.formatCurrency(debt.minimumDue) })}</small>
+            </td>
+            <td>${debt.status === 'paid-off' ? '-' : formatDate(debt.nextDueDate)}</td>
+            <td class="text-nowrap">
+                ${strategy === 'custom' ? `
+                    <button class="btn btn-sm btn-outline-secondary move-debt" data-id="${debt.id}" data-offset="-1" title="${t('Move up')}" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="btn btn-sm btn-outline-secondary move-debt" data-id="${debt.id}" data-offset="1" title="${t('Move down')}" ${index === debts.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                ` : ''}
+                <button class="btn btn-sm btn-outline-primary edit-debt" data-id="${debt.id}">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger delete-debt" data-id="${debt.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        debtsTable.appendChild(row);
+    });
+    
+    // Compare the strategies with the same extra payment
+    const plans = DEBT_STRATEGIES.map(s => financePlanner.simulateDebtPayoff(s, extraPayment));
+    const strategiesTable = document.getElementById('debt-strategies-table').querySelector('tbody');
+    strategiesTable.innerHTML = '';
+    
+    plans.forEach(plan => {
+        const row = document.createElement('tr');
+        if (plan.strategy === strategy) row.classList.add('table-active');
+        row.innerHTML = `
+            <td>${strategyLabels[plan.strategy]}</td>
+            <td>${plan.paidOff 
+                ? `${formatBudgetMonth(plan.debtFreeMonth)} <small class="d-block text-muted">${t('{count} months', { count: plan.months })}</small>` 
+                : `<span class="text-danger">${t('Never: the payments do not cover the interest')}</span>`}</td>
+            <td>${financePlanner.formatCurrency(plan.totalInterest)}</td>
+            <td>${plan.debts.map(d => d.payoffMonth ? `${escapeHTML(d.name)} (${formatBudgetMonth(d.payoffMonth)})` : escapeHTML(d.name)).join(' → ') || '-'}</td>
+        `;
+        strategiesTable.appendChild(row);
+    });
+    
+    updateDebtPayoffChart(financePlanner, plans);
+}
+
+// Chart the total balance left month by month under each strategy
+function updateDebtPayoffChart(financePlanner, plans) {
+    const ctx = document.getElementById('debtPayoffChart').getContext('2d');
+    const strategyLabels = { snowball: t('Snowball'), avalanche: t('Avalanche'), custom: t('Custom order') };
+    const colors = { snowball: '78, 115, 223', avalanche: '28, 200, 138', custom: '246, 194, 62' };
+    
+    // Destroy previous chart if it exists
+    if (financePlanner.debtPayoffChart) {
+        financePlanner.debtPayoffChart.destroy();
+    }
+    
+    const longest = plans.reduce((a, b) => (b.timeline.length > a.timeline.length ? b : a));
+    
+    financePlanner.debtPayoffChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: longest.timeline.map(item => formatBudgetMonth(item.month)),
+            datasets: plans.map(plan => ({
+                label: t('{strategy}: {interest} interest', { 
+                    strategy: strategyLabels[plan.strategy], 
+                    interest: financePlanner.formatCurrency(plan.totalInterest) 
+                }),
+                data: plan.timeline.map(item => item.balance),
+                backgroundColor: `rgba(${colors[plan.strategy]}, 0.1)`,
+                borderColor: `rgba(${colors[plan.strategy]}, 1)`,
+                borderWidth: 2,
+                tension: 0.1,
+                pointRadius: 0
+            }))
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('Balance Left by Strategy'),
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${strategyLabels[plans[context.datasetIndex].strategy]}: ${financePlanner.formatCurrency(context.raw)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return financePlanner.formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Initialize net worth view
+function initNetWorthView(financePlanner) {
+    const today = formatDateString(new Date());
+    document.getElementById('net-worth-item-date').value = today;
+    document.getElementById('valuation-date').value = today;
+    
+    // The types on offer follow the kind
+    document.getElementById('net-worth-item-kind').addEventListener('change', updateNetWorthTypeOptions);
+    updateNetWorthTypeOptions();
+    
+    // Add an asset or liability
+    document.getElementById('net-worth-item-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const item = {
+            name: document.getElementById('net-worth-item-name').value.trim(),
+            kind: document.getElementById('net-worth-item-kind').value,
+            type: document.getElementById('net-worth-item-type').value,
+            value: financePlanner.toMinorUnits(document.getElementById('net-worth-item-value').value),
+            date: document.getElementById('net-worth-item-date').value
+        };
+        
+        if (!item.name || !(item.value >= 0) || !item.date) {
+            showToast(t('Please enter a name, a value and the date it was valued on.'), 'danger');
+            return;
+        }
+        
+        financePlanner.addNetWorthItem(item);
+        document.getElementById('net-worth-item-name').value = '';
+        document.getElementById('net-worth-item-value').value = '';
+        refreshNetWorthView(financePlanner);
+        refreshDashboard(financePlanner);
+        showToast(t('"{name}" added', { name: item.name }), 'success');
+    });
+    
+    // Record a new valuation
+    document.getElementById('valuation-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('valuation-item').value;
+        const value = financePlanner.toMinorUnits(document.getElementById('valuation-value').value);
+        const date = document.getElementById('valuation-date').value;
+        
+        if (!id || !(value >= 0) || !date) {
+            showToast(t('Please enter a name, a value and the date it was valued on.'), 'danger');
+            return;
+        }
+        
+        financePlanner.addValuation(id, date, value);
+        document.getElementById('valuation-value').value = '';
+        refreshNetWorthView(financePlanner);
+        refreshDashboard(financePlanner);
+        showToast(t('Valuation recorded'), 'success');
+    });
+    
+    // Valuation history and delete buttons
+    document.getElementById('net-worth-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (!button) return;
+        
+        const item = financePlanner.netWorthItems.find(i => i.id === button.dataset.id);
+        if (button.classList.contains('toggle-valuations')) {
+            const history = document.querySelector(`#net-worth-table .valuation-history[data-id="${item.id}"]`);
+            history.classList.toggle('d-none');
+        } else if (button.classList.contains('delete-valuation')) {
+            if (!financePlanner.deleteValuation(item.id, button.dataset.date)) {
+                showToast(t('An asset or liability needs at least one valuation'), 'danger');
+                return;
+            }
+            refreshNetWorthView(financePlanner, item.id);
+            refreshDashboard(financePlanner);
+        } else if (button.classList.contains('delete-net-worth-item')) {
+            if (confirm(t('Delete "{name}" and all its valuations?', { name: item.name }))) {
+                financePlanner.deleteNetWorthItem(item.id);
+                refreshNetWorthView(financePlanner);
+                refreshDashboard(financePlanner);
+            }
+        }
+    });
+}
+
+// Offer the asset or liability types of the chosen kind
+function updateNetWorthTypeOptions() {
+    const kind = document.getElementById('net-worth-item-kind').value;
+    const typeSelect = document.getElementById('net-worth-item-type');
+    typeSelect.innerHTML = '';
+    NET_WORTH_TYPES[kind].forEach(type => typeSelect.appendChild(new Option(getNetWorthTypeLabel(type, kind), type)));
+}
+
+// Get the display name of an account, asset or liability type
+function getNetWorthTypeLabel(type, kind) {
+    const labels = {
+        checking: t('Checking'),
+        savings: t('Savings'),
+        'credit-card': t('Credit Card'),
+        cash: t('Cash'),
+        property: t('Property'),
+        vehicle: t('Vehicle'),
+        investment: t('Investment'),
+        loan: t('Loan'),
+        mortgage: t('Mortgage'),
+        debt: t('Debt'),
+        other: kind === 'liability' ? t('Other liability') : t('Other asset')
+    };
+    return labels[type] || type;
+}
+
+// Refresh net worth view; the valuation history of openItemId is left open
+function refreshNetWorthView(financePlanner, openItemId) {
+    const netWorth = financePlanner.getNetWorth();
+    
+    document.getElementById('net-worth-assets').textContent = financePlanner.formatCurrency(netWorth.assets);
+    document.getElementById('net-worth-liabilities').textContent = financePlanner.formatCurrency(netWorth.liabilities);
+    document.getElementById('net-worth-total').textContent = financePlanner.formatCurrency(netWorth.netWorth);
+    
+    // Items that can be revalued
+    const itemSelect = document.getElementById('valuation-item');
+    const currentValue = itemSelect.value;
+    itemSelect.innerHTML = '';
+    financePlanner.netWorthItems.forEach(item => itemSelect.appendChild(new Option(item.name, item.id)));
+    if (financePlanner.netWorthItems.some(i => i.id === currentValue)) itemSelect.value = currentValue;
+    
+    // Everything owned and owed; accounts and debts are managed in their own views
+    const table = document.getElementById('net-worth-table').querySelector('tbody');
+    table.innerHTML = '';
+    
+    if (netWorth.lines.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="5" class="text-center py-4">${t('No assets or liabilities yet')}</td>`;
+        table.appendChild(row);
+    }
+    
+    const sourceLabels = { account: t('Account'), holding: t('Investments'), debt: t('Debts') };
+    netWorth.lines.forEach(line => {
+        const value = financePlanner.formatCurrency(line.value);
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                ${escapeHTML(line.name)}
+                <small class="d-block text-muted">${line.source === 'item' 
+                    ? t('Valued on {date}', { date: formatDate(line.valuedOn) }) 
+                    : sourceLabels[line.source]}</small>
+            </td>
+            <td>${getNetWorthTypeLabel(line.type, line.kind)}</td>
+            <td class="income-amount">${line.kind === 'asset' ? value : ''}</td>
+            <td class="expense-amount">${line.kind === 'liability' ? value : ''}</td>
+            <td>${line.source === 'item' ? `
+                <button class="btn btn-sm btn-outline-primary toggle-valuations" data-id="${line.id}" title="${t('Valuations')}">
+                    <i class="fas fa-history"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger delete-net-worth-item" data-id="${line.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            ` : ''}</td>
+        `;
+        table.appendChild(row);
+        
+        if (line.source !== 'item') return;
+        
+        // Valuation history, newest first
+        const item = financePlanner.netWorthItems.find(i => i.id === line.id);
+        const history = document.createElement('tr');
+        history.className = `valuation-history${line.id === openItemId ? '' : ' d-none'}`;
+        history.dataset.id = line.id;
+        history.innerHTML = `
+            <td colspan="5">
+                <ul class="list-group list-group-flush">
+                    ${[...item.valuations].reverse().map(v => `
+                        <li class="list-group-item d-flex justify-content-between align-items-center">
+                            <span>${formatDate(v.date)}</span>
+                            <span>
+                                ${financePlanner.formatCurrency(v.value)}
+                                <button class="btn btn-sm btn-outline-danger ms-2 delete-valuation" data-id="${item.id}" data-date="${v.date}" 
+                                    title="${t('Delete valuation')}" ${item.valuations.length === 1 ? 'disabled' : ''}>
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </td>
+        `;
+        table.appendChild(history);
+    });
+    
+    updateNetWorthChart(financePlanner, financePlanner.getNetWorthHistory());
+}
+
+// Chart net worth over time, with the assets and liabilities it is made of
+function updateNetWorthChart(financePlanner, history) {
+    const ctx = document.getElementById('netWorthChart').getContext('2d');
+    
+    // Destroy previous chart if it exists
+    if (financePlanner.netWorthChart) {
+        financePlanner.netWorthChart.destroy();
+    }
+    
+    financePlanner.netWorthChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: history.map(point => formatDate(point.date, { month: 'short', year: 'numeric' })),
+            datasets: [{
+                type: 'line',
+                label: t('Net Worth'),
+                data: history.map(point => point.netWorth),
+                borderColor: 'rgba(78, 115, 223, 1)',
+                backgroundColor: 'rgba(78, 115, 223, 0.1)',
+                borderWidth: 2,
+                tension: 0.1
+            }, {
+                label: t('Assets'),
+                data: history.map(point => point.assets),
+                backgroundColor: 'rgba(28, 200, 138, 0.5)'
+            }, {
+                label: t('Liabilities'),
+                data: history.map(point => -point.liabilities),
+                backgroundColor: 'rgba(231, 74, 59, 0.5)'
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('Net Worth Over Time'),
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${financePlanner.formatCurrency(Math.abs(context.raw))}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    ticks: {
+                        callback: function(value) {
+                            return financePlanner.formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Initialize investments view
+function initInvestmentsView(financePlanner) {
+    const today = formatDateString(new Date());
+    document.getElementById('trade-date').value = today;
+    document.getElementById('holding-price-date').value = today;
+    
+    // Add a holding
+    document.getElementById('holding-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        let holding;
+        try {
+            holding = financePlanner.addHolding({
+                symbol: document.getElementById('holding-symbol').value,
+                name: document.getElementById('holding-name').value
+            });
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        
+        document.getElementById('holding-form').reset();
+        refreshInvestmentsView(financePlanner);
+        document.getElementById('trade-holding').value = holding.id;
+        updateTradeLotOptions(financePlanner);
+        showToast(t('"{name}" added', { name: holding.symbol }), 'success');
+    });
+    
+    // Sells can name the lot they sell from
+    document.getElementById('trade-type').addEventListener('change', () => updateTradeLotOptions(financePlanner));
+    document.getElementById('trade-holding').addEventListener('change', () => updateTradeLotOptions(financePlanner));
+    document.getElementById('trade-date').addEventListener('change', () => updateTradeLotOptions(financePlanner));
+    
+    // Record a buy or a sell
+    document.getElementById('trade-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('trade-holding').value;
+        const quantity = Number(document.getElementById('trade-quantity').value);
+        const lotId = document.getElementById('trade-lot').value;
+        const trade = {
+            type: document.getElementById('trade-type').value,
+            date: document.getElementById('trade-date').value,
+            quantity,
+            price: financePlanner.toMinorUnitPrice(document.getElementById('trade-price').value),
+            fees: financePlanner.toMinorUnits(document.getElementById('trade-fees').value || 0),
+            lots: lotId ? [{ lotId, quantity }] : undefined
+        };
+        
+        try {
+            if (!financePlanner.addTrade(id, trade)) return;
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        
+        ['trade-quantity', 'trade-price', 'trade-fees'].forEach(field => { document.getElementById(field).value = ''; });
+        refreshInvestmentsView(financePlanner);
+        refreshDashboard(financePlanner);
+        showToast(trade.type === 'buy' ? t('Buy recorded') : t('Sell recorded'), 'success');
+    });
+    
+    // Record a price
+    document.getElementById('holding-price-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('holding-price-holding').value;
+        const price = financePlanner.toMinorUnitPrice(document.getElementById('holding-price-value').value);
+        const date = document.getElementById('holding-price-date').value;
+        
+        if (!id || !(price >= 0) || !date) {
+            showToast(t('Please enter a date and a price.'), 'danger');
+            return;
+        }
+        
+        financePlanner.setHoldingPrice(id, date, price);
+        document.getElementById('holding-price-value').value = '';
+        refreshInvestmentsView(financePlanner);
+        refreshDashboard(financePlanner);
+        showToast(t('Price recorded'), 'success');
+    });
+    
+    // Import prices from a CSV file
+    document.getElementById('holding-price-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = financePlanner.importHoldingPrices(reader.result);
+            e.target.value = '';
+            refreshInvestmentsView(financePlanner);
+            refreshDashboard(financePlanner);
+            
+            let message = t('Imported {count} prices', { count: result.imported.length });
+            if (result.skipped.length > 0) {
+                const reasons = result.skipped.map(s => t('row {row}: {reason}', { row: s.row, reason: t(s.reason) })).join('; ');
+                message += ` (${t('{count} rows skipped: {reasons}', { count: result.skipped.length, reasons })})`;
+            }
+            showToast(message, result.imported.length > 0 ? 'success' : 'danger');
+        };
+        reader.readAsText(file);
+    });
+    
+    document.getElementById('realized-gains-year').addEventListener('change', () => refreshInvestmentsView(financePlanner));
+    
+    // Lot details, trade and holding delete buttons
+    document.getElementById('holdings-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (!button) return;
+        
+        const holding = financePlanner.holdings.find(h => h.id === button.dataset.id);
+        if (button.classList.contains('toggle-lots')) {
+            document.querySelector(`#holdings-table .holding-details[data-id="${holding.id}"]`).classList.toggle('d-none');
+        } else if (button.classList.contains('delete-trade')) {
+            if (!confirm(t('Delete this trade?'))) return;
+            try {
+                financePlanner.deleteTrade(holding.id, button.dataset.trade);
+            } catch (error) {
+                showToast(error.message, 'danger');
+                return;
+            }
+            refreshInvestmentsView(financePlanner, holding.id);
+            refreshDashboard(financePlanner);
+        } else if (button.classList.contains('delete-holding')) {
+            if (confirm(t('Delete "{name}" with all its trades and prices?', { name: holding.symbol }))) {
+                financePlanner.deleteHolding(holding.id);
+                refreshInvestmentsView(financePlanner);
+                refreshDashboard(financePlanner);
+            }
+        }
+    });
+}
+
+// Offer the open lots of the chosen holding when recording a sell
+function updateTradeLotOptions(financePlanner) {
+    const isSell = document.getElementById('trade-type').value === 'sell';
+    const holding = financePlanner.holdings.find(h => h.id === document.getElementById('trade-holding').value);
+    const lotSelect = document.getElementById('trade-lot');
+    
+    document.getElementById('trade-lot-group').classList.toggle('d-none', !isSell);
+    lotSelect.innerHTML = '';
+    lotSelect.appendChild(new Option(t('Oldest lots first (FIFO)'), ''));
+    if (!isSell || !holding) return;
+    
+    const date = document.getElementById('trade-date').value || formatDateString(new Date());
+    financePlanner.getHoldingLots(holding, date).lots.filter(lot => lot.remaining > 0).forEach(lot => {
+        lotSelect.appendChild(new Option(t('Lot bought {date}: {quantity} left at {cost}', {
+            date: formatDate(lot.date),
+            quantity: formatNumber(lot.remaining),
+            cost: financePlanner.formatCurrency(Math.round(lot.remainingCost / lot.remaining))
+        }), lot.id));
+    });
+}
+
+// Refresh investments view; the details of openHoldingId are left open
+function refreshInvestmentsView(financePlanner, openHoldingId) {
+    const portfolio = financePlanner.getPortfolio();
+    const gainClass = amount => amount < 0 ? 'expense-amount' : 'income-amount';
+    const formatGain = (amount, percent) => `${financePlanner.formatCurrency(amount)} (${formatNumber(percent / 100, { style: 'percent', maximumFractionDigits: 1 })})`;
+    
+    // Holding choices in the forms
+    ['trade-holding', 'holding-price-holding'].forEach(id => {
+        const select = document.getElementById(id);
+        const currentValue = select.value;
+        select.innerHTML = '';
+        financePlanner.holdings.forEach(h => select.appendChild(new Option(h.name ? `${h.symbol} - ${h.name}` : h.symbol, h.id)));
+        if (financePlanner.holdings.some(h => h.id === currentValue)) select.value = currentValue;
+    });
+    updateTradeLotOptions(financePlanner);
+    
+    // Years with sells, newest first, and always the current one
+    const yearSelect = document.getElementById('realized-gains-year');
+    const currentYear = String(new Date().getFullYear());
+    const selectedYear = yearSelect.value || currentYear;
+    const years = [...new Set([currentYear, selectedYear, ...financePlanner.holdings.flatMap(h => 
+        h.trades.filter(trade => trade.type === 'sell').map(trade => trade.date.slice(0, 4)))])].sort().reverse();
+    yearSelect.innerHTML = '';
+    years.forEach(year => yearSelect.appendChild(new Option(year, year)));
+    yearSelect.value = selectedYear;
+    
+    const realized = financePlanner.getRealizedGains(selectedYear);
+    const realizedThisYear = selectedYear === currentYear ? realized : financePlanner.getRealizedGains(currentYear);
+    
+    document.getElementById('portfolio-value').textContent = financePlanner.formatCurrency(portfolio.marketValue);
+    document.getElementById('portfolio-cost').textContent = financePlanner.formatCurrency(portfolio.costBasis);
+    const unrealized = document.getElementById('portfolio-unrealized');
+    unrealized.textContent = formatGain(portfolio.unrealizedGain, portfolio.unrealizedPercent);
+    unrealized.className = `card-text ${gainClass(portfolio.unrealizedGain)}`;
+    const realizedCard = document.getElementById('portfolio-realized');
+    realizedCard.textContent = financePlanner.formatCurrency(realizedThisYear.total);
+    realizedCard.className = `card-text ${gainClass(realizedThisYear.total)}`;
+    
+    // Holdings with their open lots and trades
+    const table = document.getElementById('holdings-table').querySelector('tbody');
+    table.innerHTML = '';
+    
+    if (portfolio.holdings.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="7" class="text-center py-4">${t('No holdings yet')}</td>`;
+        table.appendChild(row);
+    }
+    
+    portfolio.holdings.forEach(status => {
+        const holding = status.holding;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>
+                <strong>${escapeHTML(holding.symbol)}</strong>
+                ${holding.name ? `<small class="d-block text-muted">${escapeHTML(holding.name)}</small>` : ''}
+            </td>
+            <td>${formatNumber(status.quantity)}</td>
+            <td>${status.quantity > 0 ? financePlanner.formatPrice(status.averageCost) : '-'}</td>
+            <td>
+                ${status.price !== null ? financePlanner.formatPrice(status.price) : '-'}
+                ${status.priceDate ? `<small class="d-block text-muted">${formatDate(status.priceDate)}</small>` : ''}
+            </td>
+            <td>${financePlanner.formatCurrency(status.marketValue)}</td>
+            <td class="${gainClass(status.unrealizedGain)}">${status.quantity > 0 ? formatGain(status.unrealizedGain, status.unrealizedPercent) : '-'}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary toggle-lots" data-id="${holding.id}" title="${t('Lots and trades')}">
+                    <i class="fas fa-layer-group"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger delete-holding" data-id="${holding.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        table.appendChild(row);
+        
+        const details = document.createElement('tr');
+        details.className = `holding-details${holding.id === openHoldingId ? '' : ' d-none'}`;
+        details.dataset.id = holding.id;
+        details.innerHTML = `
+            <td colspan="7">
+                <h6>${t('Open Lots')}</h6>
+                <ul class="list-group list-group-flush mb-3">
+                    ${status.openLots.map(lot => `
+                        <li class="list-group-item d-flex justify-content-between">
+                            <span>${formatDate(lot.date)}</span>
+                            <span>${t('{quantity} costing {cost}', { 
+                                quantity: formatNumber(lot.remaining), 
+                                cost: financePlanner.formatCurrency(lot.remainingCost) 
+                            })}</span>
+                        </li>
+                    `).join('') || `<li class="list-group-item text-muted">${t('No open lots')}</li>`}
+                </ul>
+                <h6>${t('Trades')}</h6>
+                <ul class="list-group list-group-flush">
+                    ${[...holding.trades].reverse().map(trade => `
+                        <li class="list-group-item d-flex justify-content-between align-items-center">
+                            <span>${formatDate(trade.date)} ${trade.type === 'buy' ? t('Buy') : t('Sell')}</span>
+                            <span>
+                                ${t('{quantity} at {price}', { 
+                                    quantity: formatNumber(trade.quantity), 
+                                    price: financePlanner.formatPrice(trade.price) 
+                                })}
+                                ${trade.fees > 0 ? `<small class="text-muted">${t('+ {fees} fees', { fees: financePlanner.formatCurrency(trade.fees) })}</small>` : ''}
+                                <button class="btn btn-sm btn-outline-danger ms-2 delete-trade" data-id="${holding.id}" data-trade="${trade.id}" title="${t('Delete trade')}">
+                                    <i class="fas fa-times"></i>
+                                </button>
+                            </span>
+                        </li>
+                    `).join('') || `<li class="list-group-item text-muted">${t('No trades yet')}</li>`}
+                </ul>
+            </td>
+        `;
+        table.appendChild(details);
+    });
+    
+    // Gains realized in the chosen year, lot by lot
+    const salesTable = document.getElementById('realized-gains-table');
+    const salesBody = salesTable.querySelector('tbody');
+    salesBody.innerHTML = '';
+    
+    if (realized.sales.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="8" class="text-center py-4">${t('No sells in {year}', { year: selectedYear })}</td>`;
+        salesBody.appendChild(row);
+    }
+    
+    realized.sales.forEach(sale => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${escapeHTML(sale.symbol)}</td>
+            <td>${formatDate(sale.acquired)}</td>
+            <td>${formatDate(sale.date)}</td>
+            <td>${formatNumber(sale.quantity)}</td>
+            <td>${financePlanner.formatCurrency(sale.proceeds)}</td>
+            <td>${financePlanner.formatCurrency(sale.cost)}</td>
+            <td class="${gainClass(sale.gain)}">${financePlanner.formatCurrency(sale.gain)}</td>
+            <td>${sale.longTerm ? t('Long term') : t('Short term')}</td>
+        `;
+        salesBody.appendChild(row);
+    });
+    
+    salesTable.querySelector('tfoot').innerHTML = realized.sales.length === 0 ? '' : `
+        <tr>
+            <th colspan="4">${t('Total')}</th>
+            <th>${financePlanner.formatCurrency(realized.proceeds)}</th>
+            <th>${financePlanner.formatCurrency(realized.cost)}</th>
+            <th class="${gainClass(realized.total)}">${financePlanner.formatCurrency(realized.total)}</th>
+            <th><small>${t('{short} short term, {long} long term', {
+                short: financePlanner.formatCurrency(realized.shortTerm),
+                long: financePlanner.formatCurrency(realized.longTerm)
+            })}</small></th>
+        </tr>
+    `;
+}
+
+// Initialize monthly report view
+function initMonthlyReportView(financePlanner) {
+    // Month selection change
+    document.getElementById('report-month-select').addEventListener('change', () => {
+        refreshMonthlyReportView(financePlanner);
+    });
+    
+    // Initial refresh
+    refreshMonthlyReportView(financePlanner);
+}
+
+// Refresh monthly report view
+function refreshMonthlyReportView(financePlanner) {
+    const monthSelect = document.getElementById('report-month-select');
+    
+    // Populate month dropdown if empty
+    if (monthSelect.options.length <= 1) {
+        const monthlySummaries = financePlanner.getMonthlySummaries();
+        
+        // Clear existing options except the first one
+        while (monthSelect.options.length > 1) {
+            monthSelect.remove(1);
+        }
+        
+        // Add options for each month with data
+        monthlySummaries.forEach(summary => {
+            const date = new Date(summary.year, summary.month, 1);
+            const option = document.createElement('option');
+            option.value = `${summary.year}-${summary.month}`;
+            option.textContent = formatDate(date, { month: 'long', year: 'numeric' });
+            
+            // Select current month by default
+            const now = new Date();
+            if (summary.month === now.getMonth() && summary.year === now.getFullYear()) {
+                option.selected = true;
+            }
+            
+            monthSelect.appendChild(option);
+        });
+    }
+    
+    // Get selected month and year
+    const selectedOption = monthSelect.options[monthSelect.selectedIndex].value;
+    const [year, month] = selectedOption.split('-').map(Number);
+    
+    // Get transactions for selected month
+    const transactions = financePlanner.getTransactions({ month, year });
+    const incomeTransactions = transactions.filter(t => t.type === 'income');
+    const expenseTransactions = transactions.filter(t => t.type === 'expense');
+    
+    // Calculate totals
+    const totalIncome = incomeTransactions.reduce((sum, t) => sum + financePlanner.getBaseAmount(t), 0);
+    const totalExpenses = expenseTransactions.reduce((sum, t) => sum + financePlanner.getBaseAmount(t), 0);
+    const netSavings = totalIncome - totalExpenses;
+    
+    // Update summary cards
+    document.getElementById('report-total-income').textContent = financePlanner.formatCurrency(totalIncome);
+    document.getElementById('report-total-expenses').textContent = financePlanner.formatCurrency(totalExpenses);
+    document.getElementById('report-net-savings').textContent = financePlanner.formatCurrency(netSavings);
+    
+    // Update transactions table
+    const transactionsTable = document.getElementById('monthly-transactions-table').querySelector('tbody');
+    transactionsTable.innerHTML = '';
+    
+    transactions.forEach(transaction => {
+        const row = document.createElement('tr');
+        row.innerHTML = renderTransactionCells(financePlanner, transaction);
+        transactionsTable.appendChild(row);
+    });
+    
+    // Update income and expense charts
+    updateIncomeChart(financePlanner, incomeTransactions);
+    updateExpenseChart(financePlanner, expenseTransactions);
+}
+
+// Update income chart
+function updateIncomeChart(financePlanner, incomeTransactions) {
+    const ctx = document.getElementById('incomeChart').getContext('2d');
+    
+    // Group income by category
+    const incomeByCategory = financePlanner.sumByGroup(incomeTransactions);
+    
+    const labels = Object.keys(incomeByCategory);
+    const data = Object.values(incomeByCategory);
+    const backgroundColors = generateColors(labels.length);
+    
+    // Destroy previous chart if it exists
+    if (financePlanner.incomeChart) {
+        financePlanner.incomeChart.destroy();
+    }
+    
+    financePlanner.incomeChart = new Chart(ctx, {
+        type: 'pie',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: data,
+                backgroundColor: backgroundColors,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    position: 'right',
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const label = context.label || '';
+                            const value = context.raw || 0;
+                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                            const percentage = formatNumber(value / total, { style: 'percent' });
+                            return `${label}: ${financePlanner.formatCurrency(value)} (${percentage})`;
+                        }
+                    }
+                }
+            }
+        }
+    });
 }
 
-// Refresh dashboard data
-function refreshDashboard(financePlanner) {
-    const summary = financePlanner.getSummary();
-    
-    // Update summary cards
-    document.getElementById('total-income').textContent = financePlanner.formatCurrency(summary.income);
-    document.getElementById('total-expenses').textContent = financePlanner.formatCurrency(summary.expenses);
-    document.getElementById('current-balance').textContent = financePlanner.formatCurrency(summary.balance);
-    
-    // Update recent transactions table
-    const recentTransactionsTable = document.getElementById('recent-transactions-table').querySelector('tbody');
-    recentTransactionsTable.innerHTML = '';
+// Update expense chart
+function updateExpenseChart(financePlanner, expenseTransactions) {
+    const ctx = document.getElementById('expenseChart').getContext('2d');
     
-    summary.recentTransactions.forEach(transaction => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${new Date(transaction.date).toLocaleDateString()}</td>
-            <td>${transaction.description || '-'}</td>
-            <td>${transaction.category}</td>
-            <td class="${transaction.type === 'income' ? 'income-amount' : 'expense-amount'}">
-                ${transaction.type === 'income' ? '+' : '-'}${financePlanner.formatCurrency(transaction.amount)}
-            </td>
-            <td><span class="badge ${transaction.type === 'income' ? 'badge-income' : 'badge-expense'}">
-                ${transaction.type === 'income' ? 'Income' : 'Expense'}
-            </span></td>
-        `;
-        recentTransactionsTable.appendChild(row);
-    });
+    // Group expenses by category
+    const expenseByCategory = financePlanner.sumByGroup(expenseTransactions);
     
-    // Update spending chart
-    updateSpendingChart(financePlanner, summary.expensesByCategory);
-}
-
-// Update spending chart
-function updateSpendingChart(financePlanner, expensesByCategory) {
-    const ctx = document.getElementById('spendingChart').getContext('2d');
+    const labels = Object.keys(expenseByCategory);
+    const data = Object.values(expenseByCategory);
+    const backgroundColors = generateColors(labels.length);
     
     // Destroy previous chart if it exists
-    if (financePlanner.spendingChart) {
-        financePlanner.spendingChart.destroy();
+    if (financePlanner.expenseChart) {
+        financePlanner.expenseChart.destroy();
     }
     
-    const labels = expensesByCategory.map(item => item.category);
-    const data = expensesByCategory.map(item => item.total);
-    const backgroundColors = generateColors(labels.length);
-    
-    financePlanner.spendingChart = new Chart(ctx, {
-        type: 'doughnut',
+    financePlanner.expenseChart = new Chart(ctx, {
+        type: 'pie',
         data: {
             labels: labels,
             datasets: [{
@@ -793,8 +7313,8 @@ function updateSpendingChart(financePlanner, expensesByCategory) {
                             const label = context.label || '';
                             const value = context.raw || 0;
                             const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                            const percentage = Math.round((value / total) * 100);
-                            return `${label}: ${financePlanner.formatCurrency(value)} (${percentage}%)`;
+                            const percentage = formatNumber(value / total, { style: 'percent' });
+                            return `${label}: ${financePlanner.formatCurrency(value)} (${percentage})`;
                         }
                     }
                 }
@@ -803,955 +7323,1447 @@ function updateSpendingChart(financePlanner, expensesByCategory) {
     });
 }
 
-// Initialize transaction form
-function initTransactionForm(financePlanner) {
-    const form = document.getElementById('transaction-form');
-    const transactionType = document.getElementById('transaction-type');
-    const recurringCheckbox = document.getElementById('recurring-transaction');
-    
-    // Update category dropdown when transaction type changes
-    transactionType.addEventListener('change', () => {
-        const type = transactionType.value;
-        updateCategoryDropdown(financePlanner, type);
+// Initialize category report view
+function initCategoryReportView(financePlanner) {
+    // Report type change
+    document.getElementById('category-report-type').addEventListener('change', () => {
+        refreshCategoryReportView(financePlanner);
     });
     
-    // Show/hide recurring options
-    recurringCheckbox.addEventListener('change', () => {
-        document.getElementById('recurring-options').style.display = 
-            recurringCheckbox.checked ? 'block' : 'none';
+    // Period change
+    document.getElementById('category-report-period').addEventListener('change', () => {
+        refreshCategoryReportView(financePlanner);
     });
     
-    // Form submission
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        
-        const type = document.getElementById('transaction-type').value;
-        const date = document.getElementById('transaction-date').value;
-        const amount = parseFloat(document.getElementById('transaction-amount').value);
-        const category = document.getElementById('transaction-category').value;
-        const description = document.getElementById('transaction-description').value;
-        const isRecurring = document.getElementById('recurring-transaction').checked;
-        
-        // Basic validation
-        if (!type || !date || isNaN(amount) || amount <= 0 || !category) {
-            alert('Please fill in all required fields with valid values.');
-            return;
-        }
-        
-        // Create transaction object
-        const transaction = {
-            type,
-            date,
-            amount,
-            category,
-            description: description || undefined
-        };
-        
-        // Handle recurring transactions if needed
-        if (isRecurring) {
-            const frequency = document.getElementById('recurring-frequency').value;
-            const endDate = document.getElementById('recurring-end-date').value || undefined;
-            const iterations = document.getElementById('recurring-iterations').value || undefined;
-            
-            transaction.recurring = {
-                frequency,
-                endDate,
-                iterations: iterations ? parseInt(iterations) : undefined
-            };
-        }
-        
-        // Add the transaction
-        financePlanner.addTransaction(transaction);
-        
-        // Reset form and show success message
-        resetTransactionForm();
-        showView('dashboard-view');
-        refreshDashboard(financePlanner);
-        
-        // Show success alert
-        const alertMessage = `Successfully added ${type} of ${financePlanner.formatCurrency(amount)}`;
-        showToast(alertMessage, 'success');
+    // Grouping change
+    document.getElementById('category-report-group').addEventListener('change', () => {
+        refreshCategoryReportView(financePlanner);
     });
     
-    // Cancel button
-    document.getElementById('cancel-transaction').addEventListener('click', () => {
-        resetTransactionForm();
-        showView('dashboard-view');
-    });
-}
-
-// Reset transaction form
-function resetTransactionForm() {
-    document.getElementById('transaction-form').reset();
-    document.getElementById('recurring-options').style.display = 'none';
-    document.getElementById('transaction-date').value = new Date().toISOString().split('T')[0];
+    // Initial refresh
+    refreshCategoryReportView(financePlanner);
 }
 
-// Update category dropdown based on transaction type
-function updateCategoryDropdown(financePlanner, type) {
-    const categorySelect = document.getElementById('transaction-category');
-    categorySelect.innerHTML = '<option value="">Select category</option>';
+// Refresh category report view
+function refreshCategoryReportView(financePlanner) {
+    const type = document.getElementById('category-report-type').value;
+    const period = document.getElementById('category-report-period').value;
+    const groupBy = document.getElementById('category-report-group').value;
     
-    const categories = type === 'income' 
-        ? financePlanner.settings.incomeCategories 
-        : financePlanner.settings.expenseCategories;
+    const analysis = financePlanner.getCategoryAnalysis(type, period, groupBy);
     
-    categories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categorySelect.appendChild(option);
-    });
-}
-
-// Initialize transactions view
-function initTransactionsView(financePlanner) {
-    // Month filter
-    document.getElementById('transactions-filter-month').addEventListener('change', () => {
-        refreshTransactionsView(financePlanner);
-    });
+    // Update category distribution chart
+    updateCategoryChart(financePlanner, analysis);
     
-    // Type filter
-    document.getElementById('transactions-filter-type').addEventListener('change', () => {
-        refreshTransactionsView(financePlanner);
-    });
+    // Update top categories table
+    const groupHeaders = { category: 'Category', payee: 'Payee', tag: 'Tag' };
+    setTranslatedText(document.getElementById('top-categories-group-header'), groupHeaders[groupBy]);
+    const topCategoriesTable = document.getElementById('top-categories-table').querySelector('tbody');
+    topCategoriesTable.innerHTML = '';
     
-    // Category filter
-    document.getElementById('transactions-filter-category').addEventListener('change', () => {
-        refreshTransactionsView(financePlanner);
+    analysis.categories.forEach(category => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${formatGroupName(category.category, groupBy)}</td>
+            <td>${financePlanner.formatCurrency(category.total)}</td>
+            <td>${formatNumber(category.percentage / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })}</td>
+        `;
+        topCategoriesTable.appendChild(row);
     });
-}
-
-// Refresh transactions view
-function refreshTransactionsView(financePlanner) {
-    const monthFilter = document.getElementById('transactions-filter-month').value;
-    const typeFilter = document.getElementById('transactions-filter-type').value;
-    const categoryFilter = document.getElementById('transactions-filter-category').value;
-    
-    // Get filtered transactions
-    let filter = {};
     
-    if (monthFilter === 'current') {
-        const now = new Date();
-        filter.month = now.getMonth();
-        filter.year = now.getFullYear();
-    } else if (monthFilter !== 'all') {
-        // Handle specific month selection if implemented
+    // Update trend chart with the first category
+    if (analysis.categories.length > 0) {
+        updateCategoryTrendChart(financePlanner, analysis.categories[0].category, type, groupBy);
     }
+}
+
+// Label a category, payee or tag of the category report
+function formatGroupName(name, groupBy) {
+    if (groupBy === 'tag') return name ? `#${name}` : t('Untagged');
+    if (groupBy === 'payee') return name || t('No payee');
+    return name;
+}
+
+// Update category chart
+function updateCategoryChart(financePlanner, analysis) {
+    const ctx = document.getElementById('categoryChart').getContext('2d');
     
-    if (typeFilter !== 'all') {
-        filter.type = typeFilter;
-    }
+    // Prepare data
+    const labels = analysis.categories.map(item => formatGroupName(item.category, analysis.groupBy));
+    const data = analysis.categories.map(item => item.total);
+    const backgroundColors = generateColors(labels.length);
     
-    if (categoryFilter !== 'all') {
-        filter.category = categoryFilter;
+    // Destroy previous chart if it exists
+    if (financePlanner.categoryChart) {
+        financePlanner.categoryChart.destroy();
     }
     
-    const transactions = financePlanner.getTransactions(filter);
-    
-    // Update category dropdown in filter
-    updateCategoryFilterDropdown(financePlanner, typeFilter);
-    
-    // Update transactions table
-    const transactionsTable = document.getElementById('all-transactions-table').querySelector('tbody');
-    transactionsTable.innerHTML = '';
-    
-    if (transactions.length === 0) {
-        const row = document.createElement('tr');
-        row.innerHTML = `<td colspan="6" class="text-center py-4">No transactions found</td>`;
-        transactionsTable.appendChild(row);
-    } else {
-        transactions.forEach(transaction => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${new Date(transaction.date).toLocaleDateString()}</td>
-                <td>${transaction.description || '-'}</td>
-                <td>${transaction.category}</td>
-                <td class="${transaction.type === 'income' ? 'income-amount' : 'expense-amount'}">
-                    ${transaction.type === 'income' ? '+' : '-'}${financePlanner.formatCurrency(transaction.amount)}
-                </td>
-                <td><span class="badge ${transaction.type === 'income' ? 'badge-income' : 'badge-expense'}">
-                    ${transaction.type === 'income' ? 'Income' : 'Expense'}
-                </span></td>
-                <td>
-                    <button class="btn btn-sm btn-outline-primary edit-transaction" data-id="${transaction.id}">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="btn btn-sm btn-outline-danger delete-transaction" data-id="${transaction.id}">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </td>
-            `;
-            transactionsTable.appendChild(row);
-        });
-        
-        // Add event listeners to edit/delete buttons
-        document.querySelectorAll('.edit-transaction').forEach(btn => {
-            btn.addEventListener('click', () => editTransaction(financePlanner, btn.dataset.id));
-        });
-        
-        document.querySelectorAll('.delete-transaction').forEach(btn => {
-            btn.addEventListener('click', () => deleteTransaction(financePlanner, btn.dataset.id));
-        });
-    }
+    financePlanner.categoryChart = new Chart(ctx, {
+        type: analysis.categories.length > 5 ? 'bar' : 'pie',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: data,
+                backgroundColor: backgroundColors,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                legend: {
+                    position: analysis.categories.length > 5 ? 'top' : 'right',
+                },
+                title: {
+                    display: true,
+                    text: t({
+                        income: { category: 'Income by Category', payee: 'Income by Payee', tag: 'Income by Tag' },
+                        expense: { category: 'Expenses by Category', payee: 'Expenses by Payee', tag: 'Expenses by Tag' }
+                    }[analysis.type][analysis.groupBy]),
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const label = context.label || '';
+                            const value = context.raw || 0;
+                            return `${label}: ${financePlanner.formatCurrency(value)} (${formatNumber(context.dataset.data[context.dataIndex] / analysis.grandTotal, { style: 'percent', maximumFractionDigits: 1 })})`;
+                        }
+                    }
+                }
+            },
+            scales: analysis.categories.length > 5 ? {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return financePlanner.formatCurrency(value);
+                        }
+                    }
+                }
+            } : undefined
+        }
+    });
 }
 
-// Update category filter dropdown
-function updateCategoryFilterDropdown(financePlanner, typeFilter) {
-    const categorySelect = document.getElementById('transactions-filter-category');
-    const currentValue = categorySelect.value;
-    
-    categorySelect.innerHTML = '<option value="all">All Categories</option>';
+// Update category trend chart
+function updateCategoryTrendChart(financePlanner, category, type, groupBy = 'category') {
+    const ctx = document.getElementById('categoryTrendChart').getContext('2d');
+    const trendData = financePlanner.getCategoryTrends(category, type, groupBy);
+    const name = formatGroupName(category, groupBy);
     
-    let categories = [];
-    if (typeFilter === 'income' || typeFilter === 'all') {
-        categories = categories.concat(financePlanner.settings.incomeCategories);
-    }
-    if (typeFilter === 'expense' || typeFilter === 'all') {
-        categories = categories.concat(financePlanner.settings.expenseCategories);
+    // Destroy previous chart if it exists
+    if (financePlanner.categoryTrendChart) {
+        financePlanner.categoryTrendChart.destroy();
     }
     
-    // Remove duplicates and sort
-    categories = [...new Set(categories)].sort();
-    
-    categories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categorySelect.appendChild(option);
+    financePlanner.categoryTrendChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: trendData.map(item => item.month),
+            datasets: [{
+                label: `${name} (${type === 'income' ? t('Income') : t('Expense')})`,
+                data: trendData.map(item => item.total),
+                backgroundColor: 'rgba(78, 115, 223, 0.1)',
+                borderColor: 'rgba(78, 115, 223, 1)',
+                borderWidth: 2,
+                tension: 0.1,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: t('{category} Trend Over Time', { category: name }),
+                    font: {
+                        size: 16
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${financePlanner.formatCurrency(context.raw)}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        callback: function(value) {
+                            return financePlanner.formatCurrency(value);
+                        }
+                    }
+                }
+            }
+        }
     });
-    
-    // Restore previous selection if still available
-    if (categories.includes(currentValue)) {
-        categorySelect.value = currentValue;
-    }
 }
 
-// Edit transaction
-function editTransaction(financePlanner, id) {
-    const transaction = financePlanner.transactions.find(t => t.id === id);
-    if (!transaction) return;
-    
-    // Show the add transaction view
-    showView('add-transaction-view');
-    
-    // Populate the form
-    document.getElementById('transaction-type').value = transaction.type;
-    document.getElementById('transaction-date').value = transaction.date;
-    document.getElementById('transaction-amount').value = transaction.amount;
-    document.getElementById('transaction-description').value = transaction.description || '';
-    
-    // Update category dropdown
-    updateCategoryDropdown(financePlanner, transaction.type);
-    setTimeout(() => {
-        document.getElementById('transaction-category').value = transaction.category;
-    }, 0);
-    
-    // Change form to update mode
-    const form = document.getElementById('transaction-form');
-    form.dataset.editMode = 'true';
-    form.dataset.editId = id;
-    
-    // Change submit button text
-    form.querySelector('button[type="submit"]').textContent = 'Update Transaction';
+// Initialize cash-flow forecast view
+function initForecastView(financePlanner) {
+    document.getElementById('what-if-date').value = formatDateString(addDays(new Date(), 1));
     
-    // Remove existing submit listener
-    const newForm = form.cloneNode(true);
-    form.parentNode.replaceChild(newForm, form);
+    // Forecast period change
+    document.getElementById('forecast-horizon').addEventListener('change', () => {
+        refreshForecastView(financePlanner);
+    });
     
-    // Add new submit listener for update
-    newForm.addEventListener('submit', (e) => {
+    // Add a what-if transaction
+    document.getElementById('what-if-form').addEventListener('submit', (e) => {
         e.preventDefault();
         
-        const type = document.getElementById('transaction-type').value;
-        const date = document.getElementById('transaction-date').value;
-        const amount = parseFloat(document.getElementById('transaction-amount').value);
-        const category = document.getElementById('transaction-category').value;
-        const description = document.getElementById('transaction-description').value;
+        const whatIf = {
+            description: document.getElementById('what-if-description').value.trim(),
+            type: document.getElementById('what-if-type').value,
+            amount: financePlanner.toMinorUnits(document.getElementById('what-if-amount').value),
+            date: document.getElementById('what-if-date').value,
+            frequency: document.getElementById('what-if-frequency').value
+        };
         
-        // Basic validation
-        if (!type || !date || isNaN(amount) || amount <= 0 || !category) {
-            alert('Please fill in all required fields with valid values.');
+        if (!whatIf.description || !(whatIf.amount > 0) || !whatIf.date) {
+            showToast(t('Please enter a description, a positive amount and a date.'), 'danger');
             return;
         }
         
-        // Update the transaction
-        const updates = {
-            type,
-            date,
-            amount,
-            category,
-            description: description || undefined
-        };
-        
-        if (financePlanner.updateTransaction(id, updates)) {
-            // Reset form and show dashboard
-            resetTransactionForm();
-            showView('dashboard-view');
-            refreshDashboard(financePlanner);
-            
-            // Show success alert
-            showToast('Transaction updated successfully', 'success');
-        } else {
-            showToast('Failed to update transaction', 'danger');
-        }
+        financePlanner.addWhatIf(whatIf);
+        document.getElementById('what-if-description').value = '';
+        document.getElementById('what-if-amount').value = '';
+        refreshForecastView(financePlanner);
     });
     
-    // Cancel button
-    document.getElementById('cancel-transaction').addEventListener('click', () => {
-        resetTransactionForm();
-        showView('view-transactions-view');
-        refreshTransactionsView(financePlanner);
+    document.getElementById('clear-what-ifs').addEventListener('click', () => {
+        financePlanner.removeWhatIf();
+        refreshForecastView(financePlanner);
     });
-}
-
-// Delete transaction
-function deleteTransaction(financePlanner, id) {
-    if (confirm('Are you sure you want to delete this transaction?')) {
-        if (financePlanner.deleteTransaction(id)) {
-            refreshTransactionsView(financePlanner);
-            refreshDashboard(financePlanner);
-            showToast('Transaction deleted successfully', 'success');
-        } else {
-            showToast('Failed to delete transaction', 'danger');
-        }
-    }
-}
-
-// Initialize budget view
-// Initialize budget view
-function initBudgetView(financePlanner) {
-    // Budget form submission
-    document.getElementById('budget-form').addEventListener('submit', (e) => {
-        e.preventDefault();
-        
-        const category = document.getElementById('budget-category').value;
-        const amount = parseFloat(document.getElementById('budget-amount').value);
-        
-        if (!category || isNaN(amount) || amount <= 0) {
-            alert('Please select a category and enter a valid amount.');
-            return;
-        }
+    
+    document.getElementById('what-if-list').addEventListener('click', (e) => {
+        const button = e.target.closest('.remove-what-if');
+        if (!button) return;
         
-        financePlanner.setBudget(category, amount);
-        document.getElementById('budget-form').reset();
-        refreshBudgetView(financePlanner);
-        showToast(`Budget set for ${category}`, 'success');
+        financePlanner.removeWhatIf(button.dataset.id);
+        refreshForecastView(financePlanner);
     });
-    
-    // Initial refresh
-    refreshBudgetView(financePlanner);
 }
 
-// Refresh budget view
-function refreshBudgetView(financePlanner) {
-    const now = new Date();
-    const budgetSummary = financePlanner.getBudgetSummary(now.getMonth(), now.getFullYear());
+// Refresh cash-flow forecast view
+function refreshForecastView(financePlanner) {
+    refreshMissingRatesAlert(financePlanner);
     
-    // Update category dropdown in budget form
-    const categorySelect = document.getElementById('budget-category');
-    categorySelect.innerHTML = '<option value="">Select category</option>';
+    const months = parseInt(document.getElementById('forecast-horizon').value);
+    const forecast = financePlanner.getCashFlowForecast(months);
+    const sourceLabels = { 
+        scheduled: [t('Scheduled'), 'bg-secondary'], 
+        recurring: [t('Recurring'), 'bg-primary'], 
+        bill: [t('Debt payment'), 'bg-warning text-dark'], 
+        'what-if': [t('What if'), 'bg-info text-dark'] 
+    };
+    const frequencyLabels = { 
+        weekly: t('Weekly'), 
+        'bi-weekly': t('Bi-Weekly'), 
+        monthly: t('Monthly'), 
+        quarterly: t('Quarterly'), 
+        yearly: t('Yearly') 
+    };
+    const setBalance = (id, amount) => {
+        const el = document.getElementById(id);
+        el.textContent = financePlanner.formatCurrency(amount);
+        el.classList.toggle('text-danger', amount < 0);
+    };
     
-    financePlanner.settings.expenseCategories.forEach(category => {
-        const option = document.createElement('option');
-        option.value = category;
-        option.textContent = category;
-        categorySelect.appendChild(option);
-    });
+    // Summary cards
+    setBalance('forecast-opening-balance', forecast.openingBalance);
+    setBalance('forecast-lowest-balance', forecast.lowest.balance);
+    setBalance('forecast-closing-balance', forecast.closingBalance);
+    document.getElementById('forecast-lowest-date').textContent = formatDate(forecast.lowest.date);
+    document.getElementById('forecast-end-date').textContent = formatDate(forecast.end);
     
-    // Update budget summary table
-    const budgetTable = document.getElementById('budget-summary-table').querySelector('tbody');
-    budgetTable.innerHTML = '';
+    // Warn about days the money would run out
+    const negativeAlert = document.getElementById('forecast-negative-alert');
+    negativeAlert.style.display = forecast.negativeDays.length > 0 ? 'block' : 'none';
+    if (forecast.negativeDays.length > 0) {
+        negativeAlert.textContent = t('The balance would go below zero on {count} day(s), first on {date}, and reach its lowest of {amount} on {lowest}.', {
+            count: forecast.negativeDays.length,
+            date: formatDate(forecast.negativeDays[0].date),
+            amount: financePlanner.formatCurrency(forecast.lowest.balance),
+            lowest: formatDate(forecast.lowest.date)
+        });
+    }
     
-    if (budgetSummary.length === 0) {
+    // Projected transactions, with the balance at the end of their day
+    const eventsTable = document.getElementById('forecast-events-table').querySelector('tbody');
+    eventsTable.innerHTML = '';
+    
+    if (forecast.events.length === 0) {
         const row = document.createElement('tr');
-        row.innerHTML = `<td colspan="4" class="text-center py-4">No budgets set</td>`;
-        budgetTable.appendChild(row);
-    } else {
-        budgetSummary.forEach(budget => {
-            const row = document.createElement('tr');
-            const percentage = (budget.spent / budget.budget) * 100;
-            const isOver = percentage > 100;
-            
-            row.innerHTML = `
-                <td>${budget.category}</td>
-                <td>${financePlanner.formatCurrency(budget.budget)}</td>
-                <td>${financePlanner.formatCurrency(budget.spent)}</td>
-                <td>
-                    <div class="d-flex align-items-center">
-                        <div class="progress flex-grow-1" style="height: 20px;">
-                            <div class="progress-bar ${isOver ? 'bg-danger' : 'bg-success'}" 
-                                 role="progressbar" 
-                                 style="width: ${Math.min(percentage, 100)}%" 
-                                 aria-valuenow="${percentage}" 
-                                 aria-valuemin="0" 
-                                 aria-valuemax="100">
-                            </div>
-                            ${isOver ? `
-                            <div class="progress-bar-over" 
-                                 style="width: ${percentage - 100}%">
-                            </div>
-                            ` : ''}
-                        </div>
-                        <small class="ms-2">${Math.round(percentage)}%</small>
-                    </div>
-                </td>
-            `;
-            budgetTable.appendChild(row);
-        });
+        row.innerHTML = `<td colspan="5" class="text-center py-4">${t('Nothing scheduled in this period')}</td>`;
+        eventsTable.appendChild(row);
     }
     
-    // Update budget chart
-    updateBudgetChart(financePlanner, budgetSummary);
+    const closingBalances = Object.fromEntries(forecast.days.map(day => [day.date, day.balance]));
+    forecast.events.forEach(event => {
+        const [sourceLabel, sourceColor] = sourceLabels[event.source];
+        const balance = closingBalances[event.date];
+        const row = document.createElement('tr');
+        if (balance < 0) row.classList.add('table-danger');
+        row.innerHTML = `
+            <td>${formatDate(event.date)}</td>
+            <td>${escapeHTML(event.description)}</td>
+            <td><span class="badge ${sourceColor}">${sourceLabel}</span></td>
+            <td class="${event.amount < 0 ? 'expense-amount' : 'income-amount'}">
+                ${event.amount < 0 ? '-' : '+'}${financePlanner.formatCurrency(Math.abs(event.amount))}
+            </td>
+            <td>${financePlanner.formatCurrency(balance)}</td>
+        `;
+        eventsTable.appendChild(row);
+    });
+    
+    // What-if list
+    const whatIfList = document.getElementById('what-if-list');
+    whatIfList.innerHTML = financePlanner.whatIfs.map(whatIf => `
+        <li class="list-group-item d-flex justify-content-between align-items-center">
+            <span>
+                ${escapeHTML(whatIf.description)}
+                <small class="d-block text-muted">${formatDate(whatIf.date)}${whatIf.frequency ? ` · ${frequencyLabels[whatIf.frequency]}` : ''}</small>
+            </span>
+            <span>
+                <span class="${whatIf.type === 'expense' ? 'expense-amount' : 'income-amount'}">
+                    ${whatIf.type === 'expense' ? '-' : '+'}${financePlanner.formatCurrency(whatIf.amount)}
+                </span>
+                <button class="btn btn-sm btn-outline-danger ms-2 remove-what-if" data-id="${whatIf.id}" title="${t('Remove')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </span>
+        </li>
+    `).join('');
+    
+    // Averages behind the projection
+    const averagesTable = document.getElementById('forecast-averages-table').querySelector('tbody');
+    const averages = [
+        ...Object.entries(forecast.averages.income).map(([category, amount]) => [category, amount]),
+        ...Object.entries(forecast.averages.expenses).map(([category, amount]) => [category, -amount])
+    ];
+    averagesTable.innerHTML = averages.length === 0 
+        ? `<tr><td class="text-muted">${t('Not enough history yet')}</td></tr>`
+        : averages.map(([category, amount]) => `
+            <tr>
+                <td>${category}</td>
+                <td class="text-end ${amount < 0 ? 'expense-amount' : 'income-amount'}">
+                    ${amount < 0 ? '-' : '+'}${financePlanner.formatCurrency(Math.abs(amount))}
+                </td>
+            </tr>
+        `).join('');
+    
+    updateForecastChart(financePlanner, forecast);
 }
 
-// Update budget chart
-function updateBudgetChart(financePlanner, budgetSummary) {
-    const ctx = document.getElementById('budgetChart').getContext('2d');
+// Chart the projected daily balance, drawing the stretches below zero in red
+function updateForecastChart(financePlanner, forecast) {
+    const ctx = document.getElementById('forecastChart').getContext('2d');
     
     // Destroy previous chart if it exists
-    if (financePlanner.budgetChart) {
-        financePlanner.budgetChart.destroy();
+    if (financePlanner.forecastChart) {
+        financePlanner.forecastChart.destroy();
     }
     
-    const labels = budgetSummary.map(item => item.category);
-    const budgetData = budgetSummary.map(item => item.budget);
-    const spentData = budgetSummary.map(item => item.spent);
+    const days = [{ date: forecast.start, balance: forecast.openingBalance }, ...forecast.days];
     
-    financePlanner.budgetChart = new Chart(ctx, {
-        type: 'bar',
+    financePlanner.forecastChart = new Chart(ctx, {
+        type: 'line',
         data: {
-            labels: labels,
-            datasets: [
-                {
-                    label: 'Budget',
-                    data: budgetData,
-                    backgroundColor: 'rgba(78, 115, 223, 0.5)',
-                    borderColor: 'rgba(78, 115, 223, 1)',
-                    borderWidth: 1
-                },
-                {
-                    label: 'Spent',
-                    data: spentData,
-                    backgroundColor: 'rgba(231, 74, 59, 0.5)',
-                    borderColor: 'rgba(231, 74, 59, 1)',
-                    borderWidth: 1
+            labels: days.map(day => formatDate(day.date, { month: 'short', day: 'numeric' })),
+            datasets: [{
+                label: t('Projected Balance'),
+                data: days.map(day => day.balance),
+                backgroundColor: 'rgba(78, 115, 223, 0.1)',
+                borderColor: 'rgba(78, 115, 223, 1)',
+                borderWidth: 2,
+                tension: 0.1,
+                pointRadius: 0,
+                fill: true,
+                segment: {
+                    borderColor: context => (context.p1.parsed.y < 0 ? 'rgba(231, 74, 59, 1)' : undefined)
                 }
-            ]
+            }]
         },
         options: {
             responsive: true,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${financePlanner.formatCurrency(context.raw)}`;
+                        }
+                    }
+                }
+            },
             scales: {
                 y: {
-                    beginAtZero: true,
                     ticks: {
                         callback: function(value) {
                             return financePlanner.formatCurrency(value);
                         }
                     }
                 }
-            },
-            plugins: {
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const label = context.dataset.label || '';
-                            const value = context.raw || 0;
-                            return `${label}: ${financePlanner.formatCurrency(value)}`;
-                        }
-                    }
-                }
             }
         }
     });
 }
 
-// Initialize monthly report view
-function initMonthlyReportView(financePlanner) {
-    // Month selection change
-    document.getElementById('report-month-select').addEventListener('change', () => {
-        refreshMonthlyReportView(financePlanner);
+// Initialize export modal
+function initExportModal(financePlanner) {
+    // Date range change
+    document.getElementById('export-date-range').addEventListener('change', (e) => {
+        document.getElementById('custom-date-range').style.display = 
+            e.target.value === 'custom' ? 'flex' : 'none';
     });
     
-    // Initial refresh
-    refreshMonthlyReportView(financePlanner);
+    // Export confirmation button
+    document.getElementById('export-confirm-btn').addEventListener('click', () => {
+        const format = document.getElementById('export-format').value;
+        const dateRange = document.getElementById('export-date-range').value;
+        const content = document.getElementById('export-content').value;
+        
+        // Prepare options
+        const options = {
+            content,
+            dateRange: {}
+        };
+        
+        // Set date range based on selection
+        const now = new Date();
+        switch (dateRange) {
+            case 'current-month':
+                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth(), 1);
+                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+                break;
+            case 'last-month':
+                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth(), 0);
+                break;
+            case 'last-3-months':
+                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth() - 3, 1);
+                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+                break;
+            case 'last-6-months':
+                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth() - 6, 1);
+                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+                break;
+            case 'current-year':
+                options.dateRange.startDate = new Date(now.getFullYear(), 0, 1);
+                options.dateRange.endDate = new Date(now.getFullYear(), 11, 31);
+                break;
+            case 'custom':
+                const startDate = document.getElementById('export-start-date').value;
+                const endDate = document.getElementById('export-end-date').value;
+                if (!startDate || !endDate) {
+                    showToast(t('Please select both start and end dates for custom range.'), 'danger');
+                    return;
+                }
+                options.dateRange.startDate = new Date(startDate);
+                options.dateRange.endDate = new Date(endDate);
+                break;
+            case 'all':
+                // No date range needed
+                break;
+        }
+        
+        // Perform export
+        try {
+            financePlanner.exportData(format, options);
+            
+            // Close modal
+            const exportModal = bootstrap.Modal.getInstance(document.getElementById('exportModal'));
+            exportModal.hide();
+            
+            showToast(t('Export completed successfully'), 'success');
+        } catch (error) {
+            showToast(t('Export failed: {error}', { error: error.message }), 'danger');
+        }
+    });
 }
 
-// Refresh monthly report view
-function refreshMonthlyReportView(financePlanner) {
-    const monthSelect = document.getElementById('report-month-select');
+// Initialize import modal
+function initImportModal(financePlanner) {
+    const columnFields = ['date', 'amount', 'description', 'debit', 'credit', 'category'];
+    const confirmBtn = document.getElementById('import-confirm-btn');
+    let rows = [];
+    let statement = null;
+    let statementFormat = null;
     
-    // Populate month dropdown if empty
-    if (monthSelect.options.length <= 1) {
-        const monthlySummaries = financePlanner.getMonthlySummaries();
+    // Reset the wizard each time the modal opens
+    document.getElementById('importModal').addEventListener('show.bs.modal', () => {
+        rows = [];
+        statement = null;
+        statementFormat = null;
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-step-file').style.display = 'block';
+        document.getElementById('import-step-statement').style.display = 'none';
+        document.getElementById('import-step-mapping').style.display = 'none';
+        document.getElementById('import-step-summary').style.display = 'none';
+        confirmBtn.style.display = 'inline-block';
+        confirmBtn.disabled = true;
         
-        // Clear existing options except the first one
-        while (monthSelect.options.length > 1) {
-            monthSelect.remove(1);
-        }
+        // Offer banks with a saved mapping
+        const bankList = document.getElementById('import-bank-list');
+        bankList.innerHTML = '';
+        Object.keys(financePlanner.settings.importMappings).forEach(bankName => {
+            const option = document.createElement('option');
+            option.value = bankName;
+            bankList.appendChild(option);
+        });
         
-        // Add options for each month with data
-        monthlySummaries.forEach(summary => {
-            const date = new Date(summary.year, summary.month, 1);
+        // Offer accounts to import into
+        const accountSelect = document.getElementById('import-account');
+        accountSelect.innerHTML = `<option value="">${t('No account')}</option>`;
+        financePlanner.accounts.forEach(account => {
             const option = document.createElement('option');
-            option.value = `${summary.year}-${summary.month}`;
-            option.textContent = date.toLocaleDateString('default', { month: 'long', year: 'numeric' });
+            option.value = account.id;
+            option.textContent = account.name;
+            accountSelect.appendChild(option);
+        });
+    });
+    
+    // Read and preview the selected file
+    document.getElementById('import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            rows = [];
+            statement = null;
+            statementFormat = null;
+            document.getElementById('import-step-statement').style.display = 'none';
+            document.getElementById('import-step-mapping').style.display = 'none';
+            confirmBtn.disabled = true;
             
-            // Select current month by default
-            const now = new Date();
-            if (summary.month === now.getMonth() && summary.year === now.getFullYear()) {
-                option.selected = true;
+            // OFX/QFX statements carry their own structure and need no column mapping
+            if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(reader.result)) {
+                try {
+                    statement = financePlanner.parseOFX(reader.result);
+                    statementFormat = 'ofx';
+                } catch (error) {
+                    showToast(t('Could not read statement: {error}', { error: error.message }), 'danger');
+                    return;
+                }
+                
+                showStatementDetails(statement, statementFormat);
+                confirmBtn.disabled = statement.transactions.length === 0;
+                return;
             }
             
-            monthSelect.appendChild(option);
-        });
-    }
-    
-    // Get selected month and year
-    const selectedOption = monthSelect.options[monthSelect.selectedIndex].value;
-    const [year, month] = selectedOption.split('-').map(Number);
+            // QIF files start with a type or account header
+            if (/\.qif$/i.test(file.name) || /^\s*!(Type|Account)/i.test(reader.result)) {
+                statement = financePlanner.parseQIF(reader.result);
+                statementFormat = 'qif';
+                showStatementDetails(statement, statementFormat);
+                confirmBtn.disabled = statement.transactions.length === 0;
+                return;
+            }
+            
+            rows = financePlanner.parseCSV(reader.result);
+            if (rows.length === 0) {
+                showToast(t('The selected file contains no rows'), 'danger');
+                return;
+            }
+            
+            const savedMapping = financePlanner.settings.importMappings[document.getElementById('import-bank-name').value.trim()];
+            populateImportColumns(rows, columnFields, savedMapping);
+            refreshImportPreview(rows);
+            
+            document.getElementById('import-step-mapping').style.display = 'block';
+            confirmBtn.disabled = false;
+        };
+        reader.readAsText(file);
+    });
     
-    // Get transactions for selected month
-    const transactions = financePlanner.getTransactions({ month, year });
-    const incomeTransactions = transactions.filter(t => t.type === 'income');
-    const expenseTransactions = transactions.filter(t => t.type === 'expense');
+    // A bank named after the file was chosen brings its saved mapping along
+    document.getElementById('import-bank-name').addEventListener('change', () => {
+        const savedMapping = financePlanner.settings.importMappings[document.getElementById('import-bank-name').value.trim()];
+        if (rows.length === 0 || !savedMapping) return;
+        populateImportColumns(rows, columnFields, savedMapping);
+        refreshImportPreview(rows);
+    });
     
-    // Calculate totals
-    const totalIncome = incomeTransactions.reduce((sum, t) => sum + t.amount, 0);
-    const totalExpenses = expenseTransactions.reduce((sum, t) => sum + t.amount, 0);
-    const netSavings = totalIncome - totalExpenses;
+    // Column names change with the header setting
+    document.getElementById('import-has-header').addEventListener('change', () => {
+        if (rows.length === 0) return;
+        populateImportColumns(rows, columnFields, readImportMapping(columnFields));
+        refreshImportPreview(rows);
+    });
     
-    // Update summary cards
-    document.getElementById('report-total-income').textContent = financePlanner.formatCurrency(totalIncome);
-    document.getElementById('report-total-expenses').textContent = financePlanner.formatCurrency(totalExpenses);
-    document.getElementById('report-net-savings').textContent = financePlanner.formatCurrency(netSavings);
+    // Import confirmation button
+    confirmBtn.addEventListener('click', () => {
+        const accountId = document.getElementById('import-account').value;
+        
+        if (statementFormat === 'ofx') {
+            finishImport(financePlanner, financePlanner.importOFXTransactions(statement, { accountId }));
+            return;
+        }
+        
+        if (statementFormat === 'qif') {
+            const dateFormat = document.getElementById('import-qif-date-format').value;
+            finishImport(financePlanner, financePlanner.importQIFTransactions(statement, { accountId, dateFormat }));
+            return;
+        }
+        
+        const mapping = readImportMapping(columnFields);
+        const { columns } = mapping;
+        
+        if (columns.date === '' || (columns.amount === '' && columns.debit === '' && columns.credit === '')) {
+            showToast(t('Please map the date column and either the amount or the debit/credit columns.'), 'danger');
+            return;
+        }
+        
+        const bankName = document.getElementById('import-bank-name').value.trim();
+        if (bankName) {
+            financePlanner.saveImportMapping(bankName, mapping);
+        }
+        
+        finishImport(financePlanner, financePlanner.importCSVTransactions(rows, { ...mapping, accountId }));
+    });
+}
+
+// Show the import summary and refresh the views that list transactions
+function finishImport(financePlanner, result) {
+    showImportSummary(result);
+    document.getElementById('import-confirm-btn').style.display = 'none';
     
-    // Update transactions table
-    const transactionsTable = document.getElementById('monthly-transactions-table').querySelector('tbody');
-    transactionsTable.innerHTML = '';
+    refreshDashboard(financePlanner);
+    refreshTransactionsView(financePlanner);
+    refreshAccountsView(financePlanner);
+    refreshGoalsView(financePlanner);
+    refreshDebtsView(financePlanner);
+    refreshNetWorthView(financePlanner);
+    refreshInvestmentsView(financePlanner);
+}
+
+// Show what an OFX or QIF statement contains before importing it
+function showStatementDetails(statement, format) {
+    const details = document.getElementById('import-step-statement');
     
-    transactions.forEach(transaction => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${new Date(transaction.date).toLocaleDateString()}</td>
-            <td>${transaction.description || '-'}</td>
-            <td>${transaction.category}</td>
-            <td class="${transaction.type === 'income' ? 'income-amount' : 'expense-amount'}">
-                ${transaction.type === 'income' ? '+' : '-'}${financePlanner.formatCurrency(transaction.amount)}
-            </td>
-            <td><span class="badge ${transaction.type === 'income' ? 'badge-income' : 'badge-expense'}">
-                ${transaction.type === 'income' ? 'Income' : 'Expense'}
-            </span></td>
+    if (format === 'qif') {
+        // QIF dates carry no format marker, so the order has to be chosen
+        details.innerHTML = `
+            <div class="alert alert-info">
+                ${t('Found {count} QIF transaction(s). Split transactions keep their split lines and already recorded transactions are skipped.', 
+                    { count: statement.transactions.length })}
+            </div>
+            <div class="mb-3">
+                <label for="import-qif-date-format" class="form-label">${t('Date Format')}</label>
+                <select class="form-select" id="import-qif-date-format">
+                    <option value="MM/DD/YYYY">MM/DD/YYYY</option>
+                    <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                    <option value="YYYY-MM-DD">YYYY-MM-DD</option>
+                </select>
+            </div>
         `;
-        transactionsTable.appendChild(row);
-    });
+    } else {
+        const dates = statement.transactions.map(t => t.date).filter(Boolean).sort();
+        details.innerHTML = `
+            <div class="alert alert-info">
+                ${t('Found {count} transaction(s).', { count: statement.transactions.length })}
+                ${statement.accountId ? t('Account ending {digits}.', { digits: statement.accountId.slice(-4) }) : ''}
+                ${dates.length > 0 ? t('Dates from {from} to {to}.', { from: formatDate(dates[0]), to: formatDate(dates[dates.length - 1]) }) : ''}
+                ${t('Transactions imported before are skipped.')}
+            </div>
+        `;
+    }
     
-    // Update income and expense charts
-    updateIncomeChart(financePlanner, incomeTransactions);
-    updateExpenseChart(financePlanner, expenseTransactions);
+    details.style.display = 'block';
 }
 
-// Update income chart
-function updateIncomeChart(financePlanner, incomeTransactions) {
-    const ctx = document.getElementById('incomeChart').getContext('2d');
+// Fill the column mapping dropdowns, preferring a saved mapping over guesses from the header
+function populateImportColumns(rows, columnFields, savedMapping) {
+    const hasHeader = savedMapping ? savedMapping.hasHeader : document.getElementById('import-has-header').checked;
+    const headers = getImportColumnNames(rows, hasHeader);
+    const guesses = {
+        date: /date/i,
+        amount: /amount|value|sum/i,
+        description: /desc|memo|payee|details|narrative|reference/i,
+        debit: /debit|withdrawal|out/i,
+        credit: /credit|deposit|in$/i,
+        category: /categ/i
+    };
     
-    // Group income by category
-    const incomeByCategory = {};
-    incomeTransactions.forEach(t => {
-        if (!incomeByCategory[t.category]) {
-            incomeByCategory[t.category] = 0;
+    document.getElementById('import-has-header').checked = hasHeader;
+    
+    columnFields.forEach(field => {
+        const columnSelect = document.getElementById(`import-col-${field}`);
+        columnSelect.innerHTML = `<option value="">${t('Not mapped')}</option>`;
+        
+        headers.forEach((header, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = header;
+            columnSelect.appendChild(option);
+        });
+        
+        if (savedMapping) {
+            columnSelect.value = savedMapping.columns[field];
+        } else if (hasHeader) {
+            const guess = headers.findIndex(h => guesses[field].test(h));
+            columnSelect.value = guess !== -1 ? guess : '';
         }
-        incomeByCategory[t.category] += t.amount;
     });
     
-    const labels = Object.keys(incomeByCategory);
-    const data = Object.values(incomeByCategory);
-    const backgroundColors = generateColors(labels.length);
+    // A signed amount column takes precedence over debit/credit guesses
+    if (!savedMapping && document.getElementById('import-col-amount').value !== '') {
+        document.getElementById('import-col-debit').value = '';
+        document.getElementById('import-col-credit').value = '';
+    }
     
-    // Destroy previous chart if it exists
-    if (financePlanner.incomeChart) {
-        financePlanner.incomeChart.destroy();
+    if (savedMapping) {
+        document.getElementById('import-date-format').value = savedMapping.dateFormat;
+        document.getElementById('import-decimal-separator').value = savedMapping.decimalSeparator;
     }
+}
+
+// Get display names for the columns of a parsed file
+function getImportColumnNames(rows, hasHeader) {
+    const columnCount = Math.max(...rows.map(r => r.length));
+    return Array.from({ length: columnCount }, (_, i) => 
+        hasHeader && rows[0][i] ? rows[0][i].trim() : t('Column {number}', { number: i + 1 }));
+}
+
+// Show the first rows of a parsed file
+function refreshImportPreview(rows) {
+    const hasHeader = document.getElementById('import-has-header').checked;
+    const headers = getImportColumnNames(rows, hasHeader);
+    const previewTable = document.getElementById('import-preview-table');
     
-    financePlanner.incomeChart = new Chart(ctx, {
-        type: 'pie',
-        data: {
-            labels: labels,
-            datasets: [{
-                data: data,
-                backgroundColor: backgroundColors,
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: {
-                    position: 'right',
-                },
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const label = context.label || '';
-                            const value = context.raw || 0;
-                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                            const percentage = Math.round((value / total) * 100);
-                            return `${label}: ${financePlanner.formatCurrency(value)} (${percentage}%)`;
-                        }
-                    }
-                }
-            }
-        }
+    // File contents are text, never markup
+    const createRow = (cells, tag) => {
+        const row = document.createElement('tr');
+        cells.forEach(text => {
+            const cell = document.createElement(tag);
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        return row;
+    };
+    
+    const head = previewTable.querySelector('thead');
+    head.innerHTML = '';
+    head.appendChild(createRow(headers, 'th'));
+    
+    const body = previewTable.querySelector('tbody');
+    body.innerHTML = '';
+    rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + 5)
+        .forEach(row => body.appendChild(createRow(headers.map((_, i) => row[i] || ''), 'td')));
+}
+
+// Read the column mapping from the import form
+function readImportMapping(columnFields) {
+    const columns = {};
+    columnFields.forEach(field => {
+        columns[field] = document.getElementById(`import-col-${field}`).value;
     });
+    
+    return {
+        columns,
+        hasHeader: document.getElementById('import-has-header').checked,
+        dateFormat: document.getElementById('import-date-format').value,
+        decimalSeparator: document.getElementById('import-decimal-separator').value
+    };
 }
 
-// Update expense chart
-function updateExpenseChart(financePlanner, expenseTransactions) {
-    const ctx = document.getElementById('expenseChart').getContext('2d');
+// Show what an import created and what it skipped
+function showImportSummary(result) {
+    const summary = document.getElementById('import-step-summary');
+    
+    summary.innerHTML = `
+        <div class="alert ${result.imported.length > 0 ? 'alert-success' : 'alert-warning'}">
+            ${t('Imported {imported} transaction(s), skipped {skipped}.', { imported: result.imported.length, skipped: result.skipped.length })}
+        </div>
+        ${result.skipped.length > 0 ? `
+        <div class="table-responsive">
+            <table class="table table-sm">
+                <thead>
+                    <tr>
+                        <th>${t('Row')}</th>
+                        <th>${t('Reason')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.skipped.map(s => `<tr><td>${s.row}</td><td>${t(s.reason)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+        ` : ''}
+    `;
+    
+    document.getElementById('import-step-file').style.display = 'none';
+    document.getElementById('import-step-statement').style.display = 'none';
+    document.getElementById('import-step-mapping').style.display = 'none';
+    summary.style.display = 'block';
+}
+
+// Initialize settings modal
+function initSettingsModal(financePlanner) {
+    // Add income category
+    document.getElementById('add-income-category').addEventListener('click', () => {
+        const newCategory = document.getElementById('new-income-category').value.trim();
+        if (newCategory && !financePlanner.settings.incomeCategories.includes(newCategory)) {
+            financePlanner.settings.incomeCategories.push(newCategory);
+            financePlanner.settings.incomeCategories.sort();
+            financePlanner.saveSettings();
+            document.getElementById('new-income-category').value = '';
+            refreshSettingsModal(financePlanner);
+            showToast(t('Income category added'), 'success');
+        }
+    });
     
-    // Group expenses by category
-    const expenseByCategory = {};
-    expenseTransactions.forEach(t => {
-        if (!expenseByCategory[t.category]) {
-            expenseByCategory[t.category] = 0;
+    // Add expense category
+    document.getElementById('add-expense-category').addEventListener('click', () => {
+        const newCategory = document.getElementById('new-expense-category').value.trim();
+        if (newCategory && !financePlanner.settings.expenseCategories.includes(newCategory)) {
+            financePlanner.settings.expenseCategories.push(newCategory);
+            financePlanner.settings.expenseCategories.sort();
+            financePlanner.saveSettings();
+            document.getElementById('new-expense-category').value = '';
+            refreshSettingsModal(financePlanner);
+            showToast(t('Expense category added'), 'success');
         }
-        expenseByCategory[t.category] += t.amount;
     });
     
-    const labels = Object.keys(expenseByCategory);
-    const data = Object.values(expenseByCategory);
-    const backgroundColors = generateColors(labels.length);
+    // Categorization rules
+    initCategoryRules(financePlanner);
     
-    // Destroy previous chart if it exists
-    if (financePlanner.expenseChart) {
-        financePlanner.expenseChart.destroy();
-    }
+    // Exchange rates
+    initExchangeRates(financePlanner);
     
-    financePlanner.expenseChart = new Chart(ctx, {
-        type: 'pie',
-        data: {
-            labels: labels,
-            datasets: [{
-                data: data,
-                backgroundColor: backgroundColors,
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: {
-                    position: 'right',
-                },
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const label = context.label || '';
-                            const value = context.raw || 0;
-                            const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                            const percentage = Math.round((value / total) * 100);
-                            return `${label}: ${financePlanner.formatCurrency(value)} (${percentage}%)`;
-                        }
-                    }
-                }
-            }
+    // Restore from backup
+    initRestoreBackup(financePlanner);
+    
+    // Save settings
+    document.getElementById('save-settings-btn').addEventListener('click', () => {
+        // Budgets are kept in the base currency, so switching it converts them
+        const currency = document.getElementById('currency').value;
+        const currencyChanged = currency !== financePlanner.settings.currency;
+        if (currencyChanged) {
+            financePlanner.changeCurrency(currency);
+        }
+        
+        // General settings
+        const locale = document.getElementById('locale').value;
+        const localeChanged = locale !== financePlanner.settings.locale;
+        financePlanner.settings.locale = locale;
+        financePlanner.settings.firstDayOfWeek = parseInt(document.getElementById('first-day-of-week').value);
+        financePlanner.settings.darkMode = document.getElementById('dark-mode').checked;
+        
+        // Notification settings
+        financePlanner.settings.notifications.enabled = document.getElementById('enable-notifications').checked;
+        financePlanner.settings.notifications.dailyTime = document.getElementById('notification-time').value || '18:00';
+        financePlanner.settings.notifications.budgetAlerts = document.getElementById('budget-alerts').checked;
+        financePlanner.settings.notifications.largeExpenseAlerts = document.getElementById('large-expense-alerts').checked;
+        financePlanner.settings.notifications.largeExpenseThreshold = 
+            financePlanner.toMinorUnits(document.getElementById('large-expense-threshold').value) || financePlanner.toMinorUnits(100);
+        financePlanner.settings.notifications.goalAlerts = document.getElementById('goal-alerts').checked;
+        financePlanner.settings.notifications.billReminders = document.getElementById('bill-reminders').checked;
+        financePlanner.settings.notifications.billReminderDays = 
+            Math.min(14, Math.max(1, parseInt(document.getElementById('bill-reminder-days').value) || 3));
+        
+        // Browsers only ask for permission in response to the user
+        if (financePlanner.settings.notifications.enabled && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        
+        if (currencyChanged) {
+            financePlanner.saveData();
+        } else {
+            financePlanner.saveSettings();
         }
+        financePlanner.applySettings();
+        
+        // Currency names follow the locale
+        if (currencyChanged || localeChanged) {
+            populateCurrencySelect(financePlanner, document.getElementById('transaction-currency'), currency, false);
+            populateCurrencySelect(financePlanner, document.getElementById('account-currency'), currency);
+        }
+        
+        // Amounts are shown in the new currency and locale
+        refreshDashboard(financePlanner);
+        refreshTransactionsView(financePlanner);
+        refreshBudgetView(financePlanner);
+        refreshAccountsView(financePlanner);
+        refreshGoalsView(financePlanner);
+        refreshDebtsView(financePlanner);
+        refreshNetWorthView(financePlanner);
+        refreshInvestmentsView(financePlanner);
+        
+        // Close modal
+        const settingsModal = bootstrap.Modal.getInstance(document.getElementById('settingsModal'));
+        settingsModal.hide();
+        
+        showToast(t('Settings saved successfully'), 'success');
     });
 }
 
-// Initialize category report view
-function initCategoryReportView(financePlanner) {
-    // Report type change
-    document.getElementById('category-report-type').addEventListener('change', () => {
-        refreshCategoryReportView(financePlanner);
-    });
+// Initialize exchange rate entry and import in the settings modal
+function initExchangeRates(financePlanner) {
+    // Converted amounts change with the rates
+    const refreshConvertedViews = () => {
+        refreshExchangeRates(financePlanner);
+        refreshDashboard(financePlanner);
+        refreshTransactionsView(financePlanner);
+        refreshBudgetView(financePlanner);
+        refreshAccountsView(financePlanner);
+        refreshGoalsView(financePlanner);
+        refreshDebtsView(financePlanner);
+        refreshNetWorthView(financePlanner);
+        refreshInvestmentsView(financePlanner);
+    };
     
-    // Period change
-    document.getElementById('category-report-period').addEventListener('change', () => {
-        refreshCategoryReportView(financePlanner);
+    // Manual entry
+    document.getElementById('exchange-rate-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const date = document.getElementById('exchange-rate-date').value;
+        const from = document.getElementById('exchange-rate-from').value;
+        const to = document.getElementById('exchange-rate-to').value;
+        const rate = parseFloat(document.getElementById('exchange-rate-value').value);
+        
+        if (!date || from === to || !(rate > 0)) {
+            showToast(t('Please enter a date, two different currencies and a positive rate.'), 'danger');
+            return;
+        }
+        
+        financePlanner.setExchangeRate({ date, from, to, rate });
+        document.getElementById('exchange-rate-value').value = '';
+        refreshConvertedViews();
+        showToast(t('Exchange rate saved'), 'success');
     });
     
-    // Initial refresh
-    refreshCategoryReportView(financePlanner);
+    // Import from a CSV file
+    document.getElementById('exchange-rate-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = financePlanner.importExchangeRates(reader.result);
+            e.target.value = '';
+            refreshConvertedViews();
+            
+            let message = t('Imported {count} exchange rates', { count: result.imported.length });
+            if (result.skipped.length > 0) {
+                const reasons = result.skipped.map(s => t('row {row}: {reason}', { row: s.row, reason: t(s.reason) })).join('; ');
+                message += ` (${t('{count} rows skipped: {reasons}', { count: result.skipped.length, reasons })})`;
+            }
+            showToast(message, result.imported.length > 0 ? 'success' : 'danger');
+        };
+        reader.readAsText(file);
+    });
 }
 
-// Refresh category report view
-function refreshCategoryReportView(financePlanner) {
-    const type = document.getElementById('category-report-type').value;
-    const period = document.getElementById('category-report-period').value;
+// Refresh the exchange rate choices and table
+function refreshExchangeRates(financePlanner) {
+    refreshMissingRatesAlert(financePlanner);
     
-    const analysis = financePlanner.getCategoryAnalysis(type, period);
+    const base = financePlanner.settings.currency;
+    const fromSelect = document.getElementById('exchange-rate-from');
+    const toSelect = document.getElementById('exchange-rate-to');
+    const dateInput = document.getElementById('exchange-rate-date');
     
-    // Update category distribution chart
-    updateCategoryChart(financePlanner, analysis);
+    populateCurrencySelect(financePlanner, fromSelect, fromSelect.value && fromSelect.value !== base 
+        ? fromSelect.value 
+        : financePlanner.getCurrencies().find(c => c !== base), false);
+    populateCurrencySelect(financePlanner, toSelect, base, false);
+    if (!dateInput.value) {
+        dateInput.value = formatDateString(new Date());
+    }
     
-    // Update top categories table
-    const topCategoriesTable = document.getElementById('top-categories-table').querySelector('tbody');
-    topCategoriesTable.innerHTML = '';
+    const ratesTable = document.getElementById('exchange-rates-table').querySelector('tbody');
+    ratesTable.innerHTML = '';
     
-    analysis.categories.forEach(category => {
+    if (financePlanner.exchangeRates.length === 0) {
         const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${category.category}</td>
-            <td>${financePlanner.formatCurrency(category.total)}</td>
-            <td>${category.percentage.toFixed(1)}%</td>
-        `;
-        topCategoriesTable.appendChild(row);
-    });
-    
-    // Update trend chart with the first category
-    if (analysis.categories.length > 0) {
-        updateCategoryTrendChart(financePlanner, analysis.categories[0].category, type);
+        row.innerHTML = `<td colspan="3" class="text-center py-3">${t('No exchange rates added')}</td>`;
+        ratesTable.appendChild(row);
+        return;
     }
+    
+    [...financePlanner.exchangeRates]
+        .sort((a, b) => b.date.localeCompare(a.date) || a.from.localeCompare(b.from))
+        .forEach(rate => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${formatDate(rate.date)}</td>
+                <td>${formatNumber(1)} ${rate.from} = ${formatNumber(rate.rate, { maximumFractionDigits: 10 })} ${rate.to}</td>
+                <td class="text-end">
+                    <button class="btn btn-sm btn-outline-danger delete-exchange-rate" data-id="${rate.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            ratesTable.appendChild(row);
+        });
+    
+    document.querySelectorAll('.delete-exchange-rate').forEach(btn => {
+        btn.addEventListener('click', () => {
+            financePlanner.deleteExchangeRate(btn.dataset.id);
+            refreshExchangeRates(financePlanner);
+            refreshDashboard(financePlanner);
+            refreshTransactionsView(financePlanner);
+            refreshBudgetView(financePlanner);
+            refreshAccountsView(financePlanner);
+            refreshGoalsView(financePlanner);
+            refreshDebtsView(financePlanner);
+            refreshNetWorthView(financePlanner);
+            refreshInvestmentsView(financePlanner);
+        });
+    });
 }
 
-// Update category chart
-function updateCategoryChart(financePlanner, analysis) {
-    const ctx = document.getElementById('categoryChart').getContext('2d');
+// Initialize the categorization rules manager in the settings modal
+function initCategoryRules(financePlanner) {
+    const form = document.getElementById('rule-form');
+    let ruleChanges = [];
     
-    // Prepare data
-    const labels = analysis.categories.map(item => item.category);
-    const data = analysis.categories.map(item => item.total);
-    const backgroundColors = generateColors(labels.length);
+    const resetRuleForm = () => {
+        form.reset();
+        document.getElementById('rule-id').value = '';
+        setTranslatedText(document.getElementById('rule-form-title'), 'New Rule');
+        setTranslatedText(document.getElementById('save-rule-btn'), 'Add Rule');
+        document.getElementById('cancel-rule-edit').style.display = 'none';
+    };
     
-    // Destroy previous chart if it exists
-    if (financePlanner.categoryChart) {
-        financePlanner.categoryChart.destroy();
-    }
+    const hideRuleChanges = () => {
+        ruleChanges = [];
+        document.getElementById('rule-changes-preview').style.display = 'none';
+    };
     
-    financePlanner.categoryChart = new Chart(ctx, {
-        type: analysis.categories.length > 5 ? 'bar' : 'pie',
-        data: {
-            labels: labels,
-            datasets: [{
-                data: data,
-                backgroundColor: backgroundColors,
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                legend: {
-                    position: analysis.categories.length > 5 ? 'top' : 'right',
-                },
-                title: {
-                    display: true,
-                    text: `${analysis.type === 'income' ? 'Income' : 'Expenses'} by Category`,
-                    font: {
-                        size: 16
-                    }
-                },
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            const label = context.label || '';
-                            const value = context.raw || 0;
-                            return `${label}: ${financePlanner.formatCurrency(value)} (${context.dataset.data[context.dataIndex] / analysis.grandTotal * 100}%)`;
-                        }
-                    }
-                }
+    // Add a rule, or save the one being edited
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        
+        const id = document.getElementById('rule-id').value;
+        const amountValue = inputId => {
+            const value = document.getElementById(inputId).value;
+            return value === '' ? undefined : financePlanner.toMinorUnits(value);
+        };
+        const rule = {
+            conditions: {
+                field: document.getElementById('rule-field').value,
+                match: document.getElementById('rule-match').value,
+                pattern: document.getElementById('rule-pattern').value.trim() || undefined,
+                minAmount: amountValue('rule-min-amount'),
+                maxAmount: amountValue('rule-max-amount'),
+                accountId: document.getElementById('rule-account').value || undefined
             },
-            scales: analysis.categories.length > 5 ? {
-                y: {
-                    beginAtZero: true,
-                    ticks: {
-                        callback: function(value) {
-                            return financePlanner.formatCurrency(value);
-                        }
-                    }
-                }
-            } : undefined
+            actions: {
+                category: document.getElementById('rule-category').value || undefined,
+                payee: document.getElementById('rule-payee').value.trim() || undefined,
+                tags: parseTags(document.getElementById('rule-tags').value)
+            }
+        };
+        
+        try {
+            if (id) {
+                financePlanner.updateRule(id, rule);
+            } else {
+                financePlanner.addRule({ ...rule, enabled: true });
+            }
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
         }
+        
+        resetRuleForm();
+        hideRuleChanges();
+        refreshCategoryRules(financePlanner);
+        showToast(id ? t('Rule saved') : t('Rule added'), 'success');
     });
-}
-
-// Update category trend chart
-function updateCategoryTrendChart(financePlanner, category, type) {
-    const ctx = document.getElementById('categoryTrendChart').getContext('2d');
-    const trendData = financePlanner.getCategoryTrends(category, type);
     
-    // Destroy previous chart if it exists
-    if (financePlanner.categoryTrendChart) {
-        financePlanner.categoryTrendChart.destroy();
-    }
+    document.getElementById('cancel-rule-edit').addEventListener('click', resetRuleForm);
     
-    financePlanner.categoryTrendChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: trendData.map(item => item.month),
-            datasets: [{
-                label: `${category} (${type})`,
-                data: trendData.map(item => item.total),
-                backgroundColor: 'rgba(78, 115, 223, 0.1)',
-                borderColor: 'rgba(78, 115, 223, 1)',
-                borderWidth: 2,
-                tension: 0.1,
-                fill: true
-            }]
-        },
-        options: {
-            responsive: true,
-            plugins: {
-                title: {
-                    display: true,
-                    text: `${category} Trend Over Time`,
-                    font: {
-                        size: 16
-                    }
-                },
-                tooltip: {
-                    callbacks: {
-                        label: function(context) {
-                            return `${context.dataset.label}: ${financePlanner.formatCurrency(context.raw)}`;
-                        }
-                    }
-                }
-            },
-            scales: {
-                y: {
-                    beginAtZero: true,
-                    ticks: {
-                        callback: function(value) {
-                            return financePlanner.formatCurrency(value);
-                        }
-                    }
-                }
+    // Toggle, reorder, edit and delete rules
+    document.getElementById('rules-table').addEventListener('change', (e) => {
+        if (e.target.classList.contains('rule-enabled')) {
+            financePlanner.updateRule(e.target.dataset.id, { enabled: e.target.checked });
+            hideRuleChanges();
+        }
+    });
+    
+    document.getElementById('rules-table').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-id]');
+        if (!button) return;
+        const rule = financePlanner.settings.categoryRules.find(r => r.id === button.dataset.id);
+        if (!rule) return;
+        
+        if (button.classList.contains('move-rule')) {
+            financePlanner.moveRule(rule.id, parseInt(button.dataset.offset));
+        } else if (button.classList.contains('edit-rule')) {
+            const { conditions, actions } = rule;
+            document.getElementById('rule-id').value = rule.id;
+            document.getElementById('rule-field').value = conditions.field || 'any';
+            document.getElementById('rule-match').value = conditions.match || 'contains';
+            document.getElementById('rule-pattern').value = conditions.pattern || '';
+            document.getElementById('rule-min-amount').value = conditions.minAmount !== undefined 
+                ? financePlanner.fromMinorUnits(conditions.minAmount) : '';
+            document.getElementById('rule-max-amount').value = conditions.maxAmount !== undefined 
+                ? financePlanner.fromMinorUnits(conditions.maxAmount) : '';
+            document.getElementById('rule-account').value = conditions.accountId || '';
+            document.getElementById('rule-category').value = actions.category || '';
+            document.getElementById('rule-payee').value = actions.payee || '';
+            document.getElementById('rule-tags').value = (actions.tags || []).join(', ');
+            setTranslatedText(document.getElementById('rule-form-title'), 'Edit Rule');
+            setTranslatedText(document.getElementById('save-rule-btn'), 'Save Rule');
+            document.getElementById('cancel-rule-edit').style.display = 'inline-block';
+            return;
+        } else if (button.classList.contains('delete-rule')) {
+            if (!confirm(t('Delete this rule?'))) return;
+            financePlanner.deleteRule(rule.id);
+            if (document.getElementById('rule-id').value === rule.id) {
+                resetRuleForm();
             }
         }
+        
+        hideRuleChanges();
+        refreshCategoryRules(financePlanner);
+    });
+    
+    // Preview what re-applying the rules would change, then apply on confirmation
+    document.getElementById('preview-rules-btn').addEventListener('click', () => {
+        ruleChanges = financePlanner.previewRuleChanges();
+        if (ruleChanges.length === 0) {
+            hideRuleChanges();
+            showToast(t('The rules would not change any transactions'), 'info');
+            return;
+        }
+        showRuleChanges(financePlanner, ruleChanges);
+    });
+    
+    document.getElementById('discard-rule-changes-btn').addEventListener('click', hideRuleChanges);
+    
+    document.getElementById('apply-rule-changes-btn').addEventListener('click', () => {
+        const count = financePlanner.applyRuleChanges(ruleChanges);
+        hideRuleChanges();
+        
+        // Categories, payees and tags show up throughout the app
+        updatePayeeSuggestions(financePlanner);
+        refreshDashboard(financePlanner);
+        refreshTransactionsView(financePlanner);
+        refreshBudgetView(financePlanner);
+        refreshCategoryReportView(financePlanner);
+        
+        showToast(t('Updated {count} transactions', { count }), 'success');
     });
 }
 
-// Initialize export modal
-function initExportModal(financePlanner) {
-    // Date range change
-    document.getElementById('export-date-range').addEventListener('change', (e) => {
-        document.getElementById('custom-date-range').style.display = 
-            e.target.value === 'custom' ? 'flex' : 'none';
+// Refresh the rules table and the choices of the rule form
+function refreshCategoryRules(financePlanner) {
+    const rules = financePlanner.settings.categoryRules;
+    
+    // Accounts and categories may have changed since the form was last shown
+    const accountSelect = document.getElementById('rule-account');
+    const accountValue = accountSelect.value;
+    accountSelect.innerHTML = `<option value="">${t('Any account')}</option>`;
+    financePlanner.accounts.forEach(account => {
+        const option = document.createElement('option');
+        option.value = account.id;
+        option.textContent = account.name;
+        accountSelect.appendChild(option);
     });
+    accountSelect.value = accountValue;
     
-    // Export confirmation button
-    document.getElementById('export-confirm-btn').addEventListener('click', () => {
-        const format = document.getElementById('export-format').value;
-        const dateRange = document.getElementById('export-date-range').value;
-        const content = document.getElementById('export-content').value;
-        
-        // Prepare options
-        const options = {
-            content,
-            dateRange: {}
-        };
+    const categorySelect = document.getElementById('rule-category');
+    const categoryValue = categorySelect.value;
+    categorySelect.innerHTML = `<option value="">${t('Keep category')}</option>`;
+    [['Income', financePlanner.settings.incomeCategories], ['Expenses', financePlanner.settings.expenseCategories]]
+        .forEach(([label, categories]) => {
+            const group = document.createElement('optgroup');
+            group.label = t(label);
+            categories.forEach(category => {
+                const option = document.createElement('option');
+                option.value = category;
+                option.textContent = category;
+                group.appendChild(option);
+            });
+            categorySelect.appendChild(group);
+        });
+    categorySelect.value = categoryValue;
+    
+    // The transaction form can leave the category to the rules once there are some
+    document.getElementById('transaction-category-hint').style.display = rules.length > 0 ? 'block' : 'none';
+    
+    const rulesTable = document.getElementById('rules-table').querySelector('tbody');
+    rulesTable.innerHTML = '';
+    
+    if (rules.length === 0) {
+        const row = document.createElement('tr');
+        row.innerHTML = `<td colspan="4" class="text-center py-3">${t('No rules added')}</td>`;
+        rulesTable.appendChild(row);
+        return;
+    }
+    
+    rules.forEach((rule, index) => {
+        const { conditions, actions } = rule;
+        const fieldLabels = { any: t('Description or payee'), description: t('Description'), payee: t('Payee') };
+        const formatAmount = amount => financePlanner.formatCurrency(amount);
         
-        // Set date range based on selection
-        const now = new Date();
-        switch (dateRange) {
-            case 'current-month':
-                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-                break;
-            case 'last-month':
-                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth(), 0);
-                break;
-            case 'last-3-months':
-                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth() - 3, 1);
-                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-                break;
-            case 'last-6-months':
-                options.dateRange.startDate = new Date(now.getFullYear(), now.getMonth() - 6, 1);
-                options.dateRange.endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-                break;
-            case 'current-year':
-                options.dateRange.startDate = new Date(now.getFullYear(), 0, 1);
-                options.dateRange.endDate = new Date(now.getFullYear(), 11, 31);
-                break;
-            case 'custom':
-                const startDate = document.getElementById('export-start-date').value;
-                const endDate = document.getElementById('export-end-date').value;
-                if (!startDate || !endDate) {
-                    alert('Please select both start and end dates for custom range.');
-                    return;
-                }
-                options.dateRange.startDate = new Date(startDate);
-                options.dateRange.endDate = new Date(endDate);
-                break;
-            case 'all':
-                // No date range needed
-                break;
+        const when = [];
+        if (conditions.pattern) {
+            const field = fieldLabels[conditions.field || 'any'];
+            when.push(conditions.match === 'regex' 
+                ? t('{field} matches /{pattern}/', { field, pattern: conditions.pattern })
+                : t('{field} contains "{pattern}"', { field, pattern: conditions.pattern }));
+        }
+        if (conditions.minAmount !== undefined && conditions.maxAmount !== undefined) {
+            when.push(t('Amount {min} to {max}', { min: formatAmount(conditions.minAmount), max: formatAmount(conditions.maxAmount) }));
+        } else if (conditions.minAmount !== undefined) {
+            when.push(t('Amount at least {amount}', { amount: formatAmount(conditions.minAmount) }));
+        } else if (conditions.maxAmount !== undefined) {
+            when.push(t('Amount at most {amount}', { amount: formatAmount(conditions.maxAmount) }));
+        }
+        if (conditions.accountId) {
+            when.push(t('Account is {account}', { account: financePlanner.getAccountName(conditions.accountId) }));
         }
         
-        // Perform export
-        try {
-            financePlanner.exportData(format, options);
-            
-            // Close modal
-            const exportModal = bootstrap.Modal.getInstance(document.getElementById('exportModal'));
-            exportModal.hide();
-            
-            showToast('Export completed successfully', 'success');
-        } catch (error) {
-            showToast(`Export failed: ${error.message}`, 'danger');
+        const then = [];
+        if (actions.category) then.push(t('Category: {category}', { category: actions.category }));
+        if (actions.payee) then.push(t('Payee: {payee}', { payee: actions.payee }));
+        if (actions.tags && actions.tags.length > 0) {
+            then.push(t('Tags: {tags}', { tags: actions.tags.map(tag => `#${tag}`).join(' ') }));
         }
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="checkbox" class="form-check-input rule-enabled" data-id="${rule.id}" aria-label="${t('Enabled')}"></td>
+            <td class="rule-when"></td>
+            <td class="rule-then"></td>
+            <td class="text-end text-nowrap">
+                <button class="btn btn-sm btn-outline-secondary move-rule" data-id="${rule.id}" data-offset="-1" title="${t('Move up')}" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-secondary move-rule" data-id="${rule.id}" data-offset="1" title="${t('Move down')}" ${index === rules.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-primary edit-rule" data-id="${rule.id}" title="${t('Edit')}">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger delete-rule" data-id="${rule.id}" title="${t('Delete')}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        `;
+        // Patterns are user text, so they are never parsed as HTML
+        row.querySelector('.rule-when').textContent = when.join('; ');
+        row.querySelector('.rule-then').textContent = then.join(', ');
+        row.querySelector('.rule-enabled').checked = rule.enabled !== false;
+        rulesTable.appendChild(row);
     });
 }
 
-// Initialize settings modal
-function initSettingsModal(financePlanner) {
-    // Add income category
-    document.getElementById('add-income-category').addEventListener('click', () => {
-        const newCategory = document.getElementById('new-income-category').value.trim();
-        if (newCategory && !financePlanner.settings.incomeCategories.includes(newCategory)) {
-            financePlanner.settings.incomeCategories.push(newCategory);
-            financePlanner.settings.incomeCategories.sort();
-            financePlanner.saveData();
-            document.getElementById('new-income-category').value = '';
-            refreshSettingsModal(financePlanner);
-            showToast('Income category added', 'success');
-        }
+// List the previewed rule changes with the old and new values
+function showRuleChanges(financePlanner, changes) {
+    const changesTable = document.getElementById('rule-changes-table').querySelector('tbody');
+    changesTable.innerHTML = '';
+    
+    changes.forEach(({ transaction, updates }) => {
+        const describe = {
+            category: () => `${financePlanner.getCategoryLabel(transaction) || '-'} → ${updates.category}`,
+            payee: () => `${transaction.payee || t('No payee')} → ${updates.payee}`,
+            tags: () => updates.tags.filter(tag => !(transaction.tags || []).includes(tag)).map(tag => `+#${tag}`).join(' ')
+        };
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `<td>${formatDate(transaction.date)}</td><td></td><td></td>`;
+        row.children[1].textContent = transaction.description || transaction.payee || '-';
+        row.children[2].textContent = Object.keys(updates).map(field => describe[field]()).join('; ');
+        changesTable.appendChild(row);
     });
     
-    // Add expense category
-    document.getElementById('add-expense-category').addEventListener('click', () => {
-        const newCategory = document.getElementById('new-expense-category').value.trim();
-        if (newCategory && !financePlanner.settings.expenseCategories.includes(newCategory)) {
-            financePlanner.settings.expenseCategories.push(newCategory);
-            financePlanner.settings.expenseCategories.sort();
-            financePlanner.saveData();
-            document.getElementById('new-expense-category').value = '';
-            refreshSettingsModal(financePlanner);
-            showToast('Expense category added', 'success');
-        }
+    document.getElementById('apply-rule-changes-btn').textContent = t('Apply {count} Changes', { count: changes.length });
+    document.getElementById('rule-changes-preview').style.display = 'block';
+}
+
+// Initialize backup restore in the settings modal
+function initRestoreBackup(financePlanner) {
+    let backup = null;
+    
+    // Validate the selected backup and summarize what it would change
+    document.getElementById('restore-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        backup = null;
+        document.getElementById('restore-overwrite-changed').checked = false;
+        document.getElementById('restore-options').style.display = 'none';
+        document.getElementById('restore-summary').innerHTML = '';
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                backup = financePlanner.validateBackup(JSON.parse(reader.result));
+            } catch (error) {
+                const message = document.createElement('div');
+                message.className = 'alert alert-danger';
+                message.textContent = t('Invalid backup: {error}', { error: error.message });
+                document.getElementById('restore-summary').appendChild(message);
+                return;
+            }
+            
+            showRestoreSummary(financePlanner.diffBackup(backup));
+            document.getElementById('restore-options').style.display = 'block';
+        };
+        reader.readAsText(file);
     });
     
-    // Save settings
-    document.getElementById('save-settings-btn').addEventListener('click', () => {
-        // General settings
-        financePlanner.settings.currencySymbol = document.getElementById('currency-symbol').value;
-        financePlanner.settings.firstDayOfWeek = parseInt(document.getElementById('first-day-of-week').value);
-        financePlanner.settings.darkMode = document.getElementById('dark-mode').checked;
+    // Restore confirmation button
+    document.getElementById('restore-confirm-btn').addEventListener('click', () => {
+        if (!backup) return;
         
-        // Notification settings
-        financePlanner.settings.notifications.enabled = document.getElementById('enable-notifications').checked;
-        financePlanner.settings.notifications.dailyTime = document.getElementById('notification-time').value;
-        financePlanner.settings.notifications.budgetAlerts = document.getElementById('budget-alerts').checked;
-        financePlanner.settings.notifications.largeExpenseAlerts = document.getElementById('large-expense-alerts').checked;
-        financePlanner.settings.notifications.largeExpenseThreshold = parseFloat(document.getElementById('large-expense-threshold').value) || 100.00;
+        const mode = document.querySelector('input[name="restore-mode"]:checked').value;
+        if (mode === 'replace' && !confirm(t('Replace all current transactions, budgets, accounts and settings with the backup?'))) {
+            return;
+        }
         
-        financePlanner.saveData();
-        financePlanner.applySettings();
+        try {
+            financePlanner.restoreBackup(backup, mode, { 
+                overwriteChanged: document.getElementById('restore-overwrite-changed').checked 
+            });
+        } catch (error) {
+            showToast(error.message, 'danger');
+            return;
+        }
+        backup = null;
+        document.getElementById('restore-file').value = '';
+        document.getElementById('restore-overwrite-changed').checked = false;
+        document.getElementById('restore-options').style.display = 'none';
+        document.getElementById('restore-summary').innerHTML = '';
         
-        // Close modal
-        const settingsModal = bootstrap.Modal.getInstance(document.getElementById('settingsModal'));
-        settingsModal.hide();
+        // Refresh everything that shows restored data
+        refreshSettingsModal(financePlanner);
+        updateAccountDropdowns(financePlanner);
+        refreshDashboard(financePlanner);
+        refreshTransactionsView(financePlanner);
+        refreshBudgetView(financePlanner);
+        refreshAccountsView(financePlanner);
+        refreshGoalsView(financePlanner);
+        refreshDebtsView(financePlanner);
+        refreshNetWorthView(financePlanner);
+        refreshInvestmentsView(financePlanner);
+        refreshCategoryReportView(financePlanner);
         
-        showToast('Settings saved successfully', 'success');
+        showToast(mode === 'replace' ? t('Backup restored') : t('Backup merged'), 'success');
     });
 }
 
+// Show what restoring a backup would change
+function showRestoreSummary(diff) {
+    const categoryCount = diff.categories.income.length + diff.categories.expense.length;
+    const changedCount = Object.values(diff).reduce((sum, counts) => sum + (counts.changed ? counts.changed.length : 0), 0);
+    
+    document.getElementById('restore-summary').innerHTML = `
+        <table class="table table-sm">
+            <thead>
+                <tr>
+                    <th></th>
+                    <th>${t('New')}</th>
+                    <th>${t('Changed')}</th>
+                    <th>${t('Conflicting')}</th>
+                    <th>${t('Unchanged')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td>${t('Transactions')}</td>
+                    <td>${diff.transactions.new.length}</td>
+                    <td>${diff.transactions.changed.length}</td>
+                    <td>${diff.transactions.conflicting.length}</td>
+                    <td>${diff.transactions.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Budgets')}</td>
+                    <td>${diff.budgets.new.length}</td>
+                    <td>${diff.budgets.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.budgets.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Accounts')}</td>
+                    <td>${diff.accounts.new.length}</td>
+                    <td>${diff.accounts.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.accounts.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Exchange rates')}</td>
+                    <td>${diff.exchangeRates.new.length}</td>
+                    <td>${diff.exchangeRates.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.exchangeRates.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Envelope assignments')}</td>
+                    <td>${diff.assignments.new.length}</td>
+                    <td>${diff.assignments.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.assignments.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Savings goals')}</td>
+                    <td>${diff.goals.new.length}</td>
+                    <td>${diff.goals.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.goals.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Debts')}</td>
+                    <td>${diff.debts.new.length}</td>
+                    <td>${diff.debts.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.debts.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Assets and liabilities')}</td>
+                    <td>${diff.netWorthItems.new.length}</td>
+                    <td>${diff.netWorthItems.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.netWorthItems.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Investment holdings')}</td>
+                    <td>${diff.holdings.new.length}</td>
+                    <td>${diff.holdings.changed.length}</td>
+                    <td>-</td>
+                    <td>${diff.holdings.unchanged}</td>
+                </tr>
+                <tr>
+                    <td>${t('Categories')}</td>
+                    <td>${categoryCount}</td>
+                    <td>-</td>
+                    <td>-</td>
+                    <td>-</td>
+                </tr>
+            </tbody>
+        </table>
+        ${diff.transactions.conflicting.length > 0 ? `
+        <p class="small text-muted">
+            ${t('Conflicting transactions match one you already recorded separately and are skipped when merging.')}
+        </p>
+        ` : ''}
+        ${changedCount > 0 ? `
+        <p class="small text-muted">
+            ${t('Changed records differ between the backup and the current data. Merging keeps the current version unless you choose the backup\'s below.')}
+        </p>
+        ` : ''}
+    `;
+    document.getElementById('restore-overwrite-changed-option').style.display = changedCount > 0 ? 'block' : 'none';
+}
+
 // Refresh settings modal
 function refreshSettingsModal(financePlanner) {
     // General settings
-    document.getElementById('currency-symbol').value = financePlanner.settings.currencySymbol;
+    populateCurrencySelect(financePlanner, document.getElementById('currency'), financePlanner.settings.currency);
+    populateLocaleSelect(document.getElementById('locale'), financePlanner.settings.locale);
     document.getElementById('first-day-of-week').value = financePlanner.settings.firstDayOfWeek;
     document.getElementById('dark-mode').checked = financePlanner.settings.darkMode;
     
@@ -1760,7 +8772,10 @@ function refreshSettingsModal(financePlanner) {
     document.getElementById('notification-time').value = financePlanner.settings.notifications.dailyTime;
     document.getElementById('budget-alerts').checked = financePlanner.settings.notifications.budgetAlerts;
     document.getElementById('large-expense-alerts').checked = financePlanner.settings.notifications.largeExpenseAlerts;
-    document.getElementById('large-expense-threshold').value = financePlanner.settings.notifications.largeExpenseThreshold;
+    document.getElementById('large-expense-threshold').value = financePlanner.fromMinorUnits(financePlanner.settings.notifications.largeExpenseThreshold);
+    document.getElementById('goal-alerts').checked = financePlanner.settings.notifications.goalAlerts;
+    document.getElementById('bill-reminders').checked = financePlanner.settings.notifications.billReminders;
+    document.getElementById('bill-reminder-days').value = financePlanner.settings.notifications.billReminderDays;
     
     // Income categories
     const incomeCategoriesList = document.getElementById('income-categories-list');
@@ -1790,13 +8805,21 @@ function refreshSettingsModal(financePlanner) {
         expenseCategoriesList.appendChild(item);
     });
     
+    // Categorization rules
+    refreshCategoryRules(financePlanner);
+    
+    // Exchange rates
+    refreshExchangeRates(financePlanner);
+    
     // Add event listeners to delete buttons
     document.querySelectorAll('.delete-category').forEach(btn => {
         btn.addEventListener('click', function() {
             const type = this.dataset.type;
             const category = this.dataset.category;
             
-            if (confirm(`Are you sure you want to delete the "${category}" ${type} category?`)) {
+            if (confirm(type === 'income' 
+                ? t('Are you sure you want to delete the "{category}" income category?', { category }) 
+                : t('Are you sure you want to delete the "{category}" expense category?', { category }))) {
                 if (type === 'income') {
                     const index = financePlanner.settings.incomeCategories.indexOf(category);
                     if (index !== -1) {
@@ -1809,9 +8832,9 @@ function refreshSettingsModal(financePlanner) {
                     }
                 }
                 
-                financePlanner.saveData();
+                financePlanner.saveSettings();
                 refreshSettingsModal(financePlanner);
-                showToast('Category deleted', 'success');
+                showToast(t('Category deleted'), 'success');
             }
         });
     });
@@ -1839,8 +8862,97 @@ function showView(viewId) {
 
 // Show a toast notification
 function showToast(message, type = 'info') {
-    // In a real app, you might use a proper toast library
-    alert(`${type.toUpperCase()}: ${message}`);
+    const toast = document.createElement('div');
+    toast.className = `toast align-items-center text-bg-${type} border-0`;
+    toast.setAttribute('role', type === 'danger' ? 'alert' : 'status');
+    toast.setAttribute('aria-live', type === 'danger' ? 'assertive' : 'polite');
+    toast.setAttribute('aria-atomic', 'true');
+    
+    // Light backgrounds need the dark close button
+    const closeClass = ['info', 'warning', 'light'].includes(type) ? '' : ' btn-close-white';
+    toast.innerHTML = `
+        <div class="d-flex">
+            <div class="toast-body"></div>
+            <button type="button" class="btn-close${closeClass} me-2 m-auto" data-bs-dismiss="toast" aria-label="${t('Close')}"></button>
+        </div>
+    `;
+    toast.querySelector('.toast-body').textContent = message;
+    
+    document.getElementById('toast-container').appendChild(toast);
+    toast.addEventListener('hidden.bs.toast', () => toast.remove());
+    // Errors stay up longer so there is time to read them
+    new bootstrap.Toast(toast, { delay: type === 'danger' ? 8000 : 4000 }).show();
+}
+
+// Render the date, description, category, amount and type cells of a transaction row
+function renderTransactionCells(financePlanner, transaction) {
+    const typeLabels = { income: t('Income'), expense: t('Expense'), transfer: t('Transfer') };
+    const signs = { income: '+', expense: '-', transfer: '' };
+    
+    // Transfers have no category; show where the money moved instead. Split lines are listed with their amounts
+    let category = escapeHTML(transaction.category || '');
+    if (transaction.type === 'transfer') {
+        category = `${escapeHTML(financePlanner.getAccountName(transaction.accountId))} &rarr; ${escapeHTML(financePlanner.getAccountName(transaction.toAccountId))}`;
+    } else if (transaction.splits) {
+        category = transaction.splits.map(line => 
+            `${escapeHTML(line.category)} <small class="text-muted">${financePlanner.formatCurrency(line.amount, transaction.currency)}</small>`
+        ).join('<br>');
+    }
+    
+    // Foreign-currency amounts are shown converted, with the original underneath
+    const sign = signs[transaction.type];
+    const original = `${sign}${financePlanner.formatCurrency(transaction.amount, transaction.currency)}`;
+    let amount = original;
+    if (transaction.currency && transaction.currency !== financePlanner.settings.currency) {
+        const converted = financePlanner.convertAmount(transaction.amount, transaction.currency, financePlanner.settings.currency, transaction.date);
+        amount = converted !== null
+            ? `${sign}${financePlanner.formatCurrency(converted)}<small class="d-block text-muted">${original}</small>`
+            : `${original}<small class="d-block text-muted">${t('No exchange rate')}</small>`;
+    }
+    
+    return `
+        <td>${formatDate(transaction.date)}</td>
+        <td>
+            ${transaction.payee ? `<div class="fw-semibold">${escapeHTML(transaction.payee)}</div>` : ''}
+            ${escapeHTML(transaction.description || (transaction.payee ? '' : '-'))}
+            ${transaction.seriesId ? `<i class="fas fa-redo ms-1 text-muted" title="${t('Recurring')}"></i>` : ''}
+            ${(transaction.tags || []).map(tag => `<span class="badge rounded-pill text-bg-light border me-1">#${escapeHTML(tag)}</span>`).join('')}
+        </td>
+        <td>${category}</td>
+        <td class="${transaction.type}-amount">
+            ${amount}
+        </td>
+        <td><span class="badge badge-${transaction.type}">
+            ${typeLabels[transaction.type]}
+        </span></td>
+    `;
+}
+
+// Select the saved locale, adding it to the list when it is not one of the built-in choices
+function populateLocaleSelect(select, locale) {
+    if (![...select.options].some(option => option.value === locale)) {
+        const option = document.createElement('option');
+        option.value = locale;
+        option.textContent = new Intl.DisplayNames([locale], { type: 'language' }).of(locale);
+        select.appendChild(option);
+    }
+    select.value = locale;
+}
+
+// Fill a select with the currencies, making the given one the default that form resets return to
+function populateCurrencySelect(financePlanner, select, selected, showNames = true) {
+    const names = new Intl.DisplayNames([activeLocale], { type: 'currency' });
+    select.innerHTML = '';
+    
+    financePlanner.getCurrencies().forEach(code => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = showNames ? `${names.of(code)} (${code})` : code;
+        option.defaultSelected = code === selected;
+        select.appendChild(option);
+    });
+    
+    select.value = selected;
 }
 
 // Generate random colors for charts
@@ -1856,9 +8968,324 @@ function generateColors(count) {
     return colors;
 }
 
+// Merge saved values over defaults, recursing into nested objects so new default keys survive
+function mergeDefaults(defaults, saved) {
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const result = { ...defaults };
+    
+    Object.entries(saved || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(defaults[key])
+            ? mergeDefaults(defaults[key], value)
+            : value;
+    });
+    
+    return result;
+}
+
+// Active locale for formatting and translation; applySettings sets it from the settings
+let activeLocale = 'en-US';
+
+// Get the message catalog for a locale, by exact tag or by language (es-MX uses es); null for English
+function getMessageCatalog(locale = activeLocale) {
+    const catalogs = window.MESSAGE_CATALOGS || {};
+    return catalogs[locale] || catalogs[locale.split('-')[0]] || null;
+}
+
+// Translate an English UI string into the active locale and fill in its {name} placeholders;
+// strings missing from the catalog stay in English
+function t(message, values = {}) {
+    const catalog = getMessageCatalog();
+    const translated = (catalog && catalog.messages[message]) || message;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+// Switch the locale: page language and direction, chart number formats and static page text
+function setLocale(locale) {
+    try {
+        activeLocale = Intl.getCanonicalLocales(locale)[0] || 'en-US';
+    } catch (error) {
+        activeLocale = 'en-US';
+    }
+    const catalog = getMessageCatalog();
+    const dir = catalog ? catalog.dir : 'ltr';
+    
+    document.documentElement.lang = activeLocale;
+    document.documentElement.dir = dir;
+    
+    // Bootstrap ships a mirrored stylesheet for right-to-left layouts
+    const bootstrapStylesheet = document.getElementById('bootstrap-css');
+    if (bootstrapStylesheet) {
+        bootstrapStylesheet.href = bootstrapStylesheet.href.replace(/bootstrap(\.rtl)?\.min\.css$/, 
+            dir === 'rtl' ? 'bootstrap.rtl.min.css' : 'bootstrap.min.css');
+    }
+    
+    if (window.Chart) {
+        Chart.defaults.locale = activeLocale;
+    }
+    
+    translatePage();
+}
+
+// Translate the elements marked with data-i18n and all placeholders, titles and ARIA labels.
+// The English source is kept on the element so the page can be translated again later
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        if (el.dataset.i18nSource === undefined) {
+            el.dataset.i18nSource = el.textContent.trim();
+        }
+        el.textContent = t(el.dataset.i18nSource);
+    });
+    
+    ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+        document.querySelectorAll(`[${attribute}]`).forEach(el => {
+            const sourceAttribute = `data-i18n-${attribute}`;
+            if (!el.hasAttribute(sourceAttribute)) {
+                el.setAttribute(sourceAttribute, el.getAttribute(attribute));
+            }
+            el.setAttribute(attribute, t(el.getAttribute(sourceAttribute)));
+        });
+    });
+}
+
+// Run a callback with another active locale, restoring the current one afterwards
+function withLocale(locale, callback) {
+    const previous = activeLocale;
+    activeLocale = locale;
+    try {
+        return callback();
+    } finally {
+        activeLocale = previous;
+    }
+}
+
+// Set the text of a translatable element, keeping its English source for later locale switches
+function setTranslatedText(el, message) {
+    el.dataset.i18nSource = message;
+    el.textContent = t(message);
+}
+
+// Format a date for the active locale; YYYY-MM-DD strings are read as local dates
+function formatDate(value, options = {}) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseDateString(value) : new Date(value);
+    return new Intl.DateTimeFormat(activeLocale, options).format(date);
+}
+
+// Format a plain number for the active locale
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(activeLocale, options).format(value);
+}
+
+// Number of minor-unit decimals of an ISO 4217 currency (JPY 0, USD 2, KWD 3)
+function getCurrencyDecimals(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+// Narrow display symbol of an ISO 4217 currency in the active locale, falling back to its code
+function getCurrencySymbol(currency) {
+    const part = new Intl.NumberFormat(activeLocale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+        .formatToParts(0)
+        .find(p => p.type === 'currency');
+    return part ? part.value : currency;
+}
+
+// Convert a decimal amount (number or string) to integer minor units of a currency
+function toMinorUnits(amount, currency) {
+    const scaled = Number(amount) * 10 ** getCurrencyDecimals(currency);
+    // toPrecision drops binary noise such as 1.005 * 100 = 100.49999999999999;
+    // halves round away from zero so negative balances round like positive ones (+ 0 turns -0 into 0)
+    return Math.sign(scaled) * Math.round(Math.abs(Number(scaled.toPrecision(15)))) + 0;
+}
+
+// Convert integer minor units of a currency back to a decimal amount
+function fromMinorUnits(amount, currency) {
+    return amount / 10 ** getCurrencyDecimals(currency);
+}
+
+// Parse a YYYY-MM-DD string as a local date
+function parseDateString(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+// Format a date as a local YYYY-MM-DD string
+function formatDateString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Parse tags from text such as "#vacation-2026, #Reimbursable" or from a list; tags are kept
+// lowercase without the leading "#", so the same tag always matches
+function parseTags(value) {
+    const tags = (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/))
+        .map(tag => tag.trim().replace(/^#+/, '').toLowerCase())
+        .filter(Boolean);
+    return [...new Set(tags)];
+}
+
+// Escape text for HTML markup; payees, descriptions and names can come from imported files
+function escapeHTML(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// Decode the character references that OFX and QIF files use in text, such as "&amp;" or "&#233;"
+function decodeEntities(value) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] !== '#') return named[name.toLowerCase()] || entity;
+        
+        const code = /^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    });
+}
+
+// Split a search query into terms. Free text matches the description and payee; field terms are
+// amount>100, amount:10..50, date:2026-01..2026-03, date>=2026-02, category:Food,Rent, payee:,
+// tag:vacation-2026, type:expense, account:Main and currency:EUR. An empty list value such as
+// "tag:" means any value, "-" in front negates a term and double quotes keep spaces in a value
+function parseSearchQuery(query) {
+    const fields = ['amount', 'date', 'category', 'payee', 'tag', 'type', 'account', 'currency'];
+    const pattern = /(-?)(?:([a-z]+)(:|>=|<=|>|<|=))?("[^"]*"?|\S*)/gi;
+    const terms = [];
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[0] === '') {
+            pattern.lastIndex++;
+            continue;
+        }
+        
+        const [token, negate, field, operator, rawValue] = match;
+        if (field && fields.includes(field.toLowerCase())) {
+            terms.push({ field: field.toLowerCase(), operator, value: rawValue.replace(/^"|"$/g, ''), negate: negate === '-' });
+        } else {
+            // Words that only look like fields, such as "http://example.com", are searched as text
+            const text = token.slice(negate.length).replace(/"/g, '');
+            if (text) terms.push({ field: null, value: text, negate: negate === '-' });
+        }
+    }
+    
+    return terms;
+}
+
+// Turn a date search such as date:2026-01..2026-03 or date>=2026-02-15 into a test for transactions;
+// years and months cover all of their days
+function compileDateSearch(operator, value) {
+    const getRange = part => {
+        const match = part.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+        if (!match || (match[2] && (match[2] < 1 || match[2] > 12))) {
+            throw new Error(t('Invalid date in search: {value}', { value }));
+        }
+        const [, year, month, day] = match;
+        if (day) return { start: part, end: part };
+        if (month) return { start: `${year}-${month}-01`, end: formatDateString(new Date(year, month, 0)) };
+        return { start: `${year}-01-01`, end: `${year}-12-31` };
+    };
+    
+    if (operator === ':' && value.includes('..')) {
+        const [from, to] = value.split('..');
+        const start = from ? getRange(from).start : '';
+        const end = to ? getRange(to).end : '9999-12-31';
+        return t => t.date >= start && t.date <= end;
+    }
+    
+    const { start, end } = getRange(value);
+    const tests = {
+        ':': t => t.date >= start && t.date <= end,
+        '=': t => t.date >= start && t.date <= end,
+        '>': t => t.date > end,
+        '<': t => t.date < start,
+        '>=': t => t.date >= start,
+        '<=': t => t.date <= end
+    };
+    return tests[operator];
+}
+
+// Add months to a date, clamping to the last day of shorter months
+function addMonths(date, months) {
+    const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(date.getDate(), lastDay));
+    return result;
+}
+
+// Add days to a date
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Count the month boundaries between two YYYY-MM-DD dates, e.g. 1 from 2026-01-31 to 2026-02-01
+function getMonthsBetween(from, to) {
+    return (Number(to.slice(0, 4)) - Number(from.slice(0, 4))) * 12 + Number(to.slice(5, 7)) - Number(from.slice(5, 7));
+}
+
+// Round a quantity of shares or units, dropping the floating point noise of adding fractions
+function roundQuantity(quantity) {
+    return Math.round(quantity * 1e8) / 1e8;
+}
+
+// Round a unit price in minor units to the precision of quantities. Fund and crypto prices go
+// below a cent, so prices keep fractions and only totals are rounded to whole minor units
+function roundPrice(price) {
+    return Math.round(price * 1e8) / 1e8;
+}
+
+// Get the weekly, monthly, quarterly or yearly period (YYYY-MM-DD dates) containing a date;
+// weeks start on firstDayOfWeek (0 is Sunday)
+function getPeriodRange(period, date, firstDayOfWeek = 1) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    let start;
+    let end;
+    
+    switch (period) {
+        case 'weekly':
+            start = new Date(year, month, date.getDate() - (date.getDay() - firstDayOfWeek + 7) % 7);
+            end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+            break;
+        case 'monthly':
+            start = new Date(year, month, 1);
+            end = new Date(year, month + 1, 0);
+            break;
+        case 'quarterly':
+            start = new Date(year, month - month % 3, 1);
+            end = new Date(year, month - month % 3 + 3, 0);
+            break;
+        case 'yearly':
+            start = new Date(year, 0, 1);
+            end = new Date(year, 11, 31);
+            break;
+        default:
+            throw new Error(`Unsupported budget period: ${period}`);
+    }
+    
+    return { start: formatDateString(start), end: formatDateString(end) };
+}
+
+// Get the date (YYYY-MM-DD) of the nth occurrence after a recurring start date
+function getOccurrenceDate(startDate, frequency, n) {
+    const start = parseDateString(startDate);
+    
+    switch (frequency) {
+        case 'weekly':
+            return formatDateString(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * n));
+        case 'bi-weekly':
+            return formatDateString(new Date(start.getFullYear(), start.getMonth(), start.getDate() + 14 * n));
+        case 'monthly':
+            return formatDateString(addMonths(start, n));
+        case 'quarterly':
+            return formatDateString(addMonths(start, 3 * n));
+        case 'yearly':
+            return formatDateString(addMonths(start, 12 * n));
+        default:
+            throw new Error(`Unsupported recurring frequency: ${frequency}`);
+    }
+}
+
 // Load sample data if no data exists
 function loadSampleData(financePlanner) {
-    if (confirm('Would you like to load sample data to get started?')) {
+    if (confirm(t('Would you like to load sample data to get started?'))) {
         const now = new Date();
         const currentMonth = now.getMonth();
         const currentYear = now.getFullYear();
@@ -1867,7 +9294,7 @@ function loadSampleData(financePlanner) {
         financePlanner.addTransaction({
             type: 'income',
             date: new Date(currentYear, currentMonth, 1).toISOString().split('T')[0],
-            amount: 3000,
+            amount: financePlanner.toMinorUnits(3000),
             category: 'Salary',
             description: 'Monthly salary'
         });
@@ -1875,7 +9302,7 @@ function loadSampleData(financePlanner) {
         financePlanner.addTransaction({
             type: 'income',
             date: new Date(currentYear, currentMonth, 15).toISOString().split('T')[0],
-            amount: 500,
+            amount: financePlanner.toMinorUnits(500),
             category: 'Freelance',
             description: 'Website project'
         });
@@ -1884,7 +9311,7 @@ function loadSampleData(financePlanner) {
         financePlanner.addTransaction({
             type: 'expense',
             date: new Date(currentYear, currentMonth, 2).toISOString().split('T')[0],
-            amount: 1200,
+            amount: financePlanner.toMinorUnits(1200),
             category: 'Rent',
             description: 'Apartment rent'
         });
@@ -1892,7 +9319,7 @@ function loadSampleData(financePlanner) {
         financePlanner.addTransaction({
             type: 'expense',
             date: new Date(currentYear, currentMonth, 5).toISOString().split('T')[0],
-            amount: 350,
+            amount: financePlanner.toMinorUnits(350),
             category: 'Food',
             description: 'Groceries'
         });
@@ -1900,7 +9327,7 @@ function loadSampleData(financePlanner) {
         financePlanner.addTransaction({
             type: 'expense',
             date: new Date(currentYear, currentMonth, 10).toISOString().split('T')[0],
-            amount: 80,
+            amount: financePlanner.toMinorUnits(80),
             category: 'Transportation',
             description: 'Monthly bus pass'
         });
@@ -1908,16 +9335,16 @@ function loadSampleData(financePlanner) {
         financePlanner.addTransaction({
             type: 'expense',
             date: new Date(currentYear, currentMonth, 12).toISOString().split('T')[0],
-            amount: 150,
+            amount: financePlanner.toMinorUnits(150),
             category: 'Entertainment',
             description: 'Movie tickets and dinner'
         });
         
         // Sample budgets
-        financePlanner.setBudget('Rent', 1200);
-        financePlanner.setBudget('Food', 400);
-        financePlanner.setBudget('Transportation', 100);
-        financePlanner.setBudget('Entertainment', 200);
+        financePlanner.setBudget('Rent', financePlanner.toMinorUnits(1200));
+        financePlanner.setBudget('Food', financePlanner.toMinorUnits(400));
+        financePlanner.setBudget('Transportation', financePlanner.toMinorUnits(100));
+        financePlanner.setBudget('Entertainment', financePlanner.toMinorUnits(200));
         
         // Refresh all views
         refreshDashboard(financePlanner);
@@ -1926,7 +9353,7 @@ function loadSampleData(financePlanner) {
         refreshMonthlyReportView(financePlanner);
         refreshCategoryReportView(financePlanner);
         
-        showToast('Sample data loaded successfully', 'success');
+        showToast(t('Sample data loaded successfully'), 'success');
     }
 }
 function exportChart() {
@@ -1935,11 +9362,11 @@ function exportChart() {
   const exportCategory = document.querySelector('#export-category').value;
 
   if (!exportFormat) {
-    alert("Please select an export format (PNG/JPEG/PDF)!");
+    showToast(t('Please select an export format (PNG/JPEG/PDF)!'), 'danger');
     return;
   }
   if (!exportCategory) {
-    alert("Please select a category to export!");
+    showToast(t('Please select a category to export!'), 'danger');
     return;
   }
 
@@ -0,0 +1,637 @@
+// Arabic messages, keyed by the English text they translate
+window.MESSAGE_CATALOGS = window.MESSAGE_CATALOGS || {};
+MESSAGE_CATALOGS.ar = {
+    dir: 'rtl',
+    script: 'Arab',
+    messages: {
+        'Personal Finance Planner': 'مخطط الشؤون المالية الشخصية',
+        'Finance Planner': 'المخطط المالي',
+        'Dashboard': 'لوحة المعلومات',
+        'Transactions': 'المعاملات',
+        'Add Transaction': 'إضافة معاملة',
+        'View All': 'عرض الكل',
+        'Budget': 'الميزانية',
+        'Accounts': 'الحسابات',
+        'Reports': 'التقارير',
+        'Monthly Summary': 'الملخص الشهري',
+        'Category Analysis': 'تحليل الفئات',
+        'Import': 'استيراد',
+        'Export': 'تصدير',
+        'Total Income': 'إجمالي الدخل',
+        'This month': 'هذا الشهر',
+        'Total Expenses': 'إجمالي المصروفات',
+        'Current Balance': 'الرصيد الحالي',
+        'Updated just now': 'تم التحديث الآن',
+        'Recent Transactions': 'أحدث المعاملات',
+        'Date': 'التاريخ',
+        'Description': 'الوصف',
+        'Category': 'الفئة',
+        'Amount': 'المبلغ',
+        'Type': 'النوع',
+        'Quick Actions': 'إجراءات سريعة',
+        'Add Income': 'إضافة دخل',
+        'Add Expense': 'إضافة مصروف',
+        'View Reports': 'عرض التقارير',
+        'Set Budget': 'تحديد الميزانية',
+        'Monthly Spending by Category': 'الإنفاق الشهري حسب الفئة',
+        'Add New Transaction': 'إضافة معاملة جديدة',
+        'Transaction Type': 'نوع المعاملة',
+        'Select type': 'اختر النوع',
+        'Income': 'دخل',
+        'Expense': 'مصروف',
+        'Transfer': 'تحويل',
+        'Select category': 'اختر الفئة',
+        'Account': 'الحساب',
+        'No account': 'بدون حساب',
+        'To Account': 'إلى الحساب',
+        'Apply Changes To': 'تطبيق التغييرات على',
+        'This occurrence only': 'هذا التكرار فقط',
+        'This and all future occurrences': 'هذا التكرار وكل التكرارات اللاحقة',
+        'This is a recurring transaction': 'هذه معاملة متكررة',
+        'Frequency': 'التكرار',
+        'Weekly': 'أسبوعي',
+        'Bi-Weekly': 'كل أسبوعين',
+        'Monthly': 'شهري',
+        'Quarterly': 'ربع سنوي',
+        'Yearly': 'سنوي',
+        'End Date (optional)': 'تاريخ الانتهاء (اختياري)',
+        'Number of occurrences (optional)': 'عدد التكرارات (اختياري)',
+        'Cancel': 'إلغاء',
+        'Save Transaction': 'حفظ المعاملة',
+        'All Transactions': 'كل المعاملات',
+        'All Time': 'كل الفترات',
+        'Current Month': 'الشهر الحالي',
+        'All Types': 'كل الأنواع',
+        'Expenses': 'المصروفات',
+        'Transfers': 'التحويلات',
+        'All Categories': 'كل الفئات',
+        'Actions': 'الإجراءات',
+        'Monthly Budget': 'الميزانية الشهرية',
+        'Set Budget Limits': 'تحديد حدود الميزانية',
+        'Monthly Limit': 'الحد الشهري',
+        'Budget Summary': 'ملخص الميزانية',
+        'Spent': 'المُنفَق',
+        'Remaining': 'المتبقي',
+        'Budget vs Actual Spending': 'الميزانية مقابل الإنفاق الفعلي',
+        'Add Account': 'إضافة حساب',
+        'Name': 'الاسم',
+        'Checking': 'حساب جارٍ',
+        'Savings': 'توفير',
+        'Credit Card': 'بطاقة ائتمان',
+        'Cash': 'نقد',
+        'Currency': 'العملة',
+        'Opening Balance': 'الرصيد الافتتاحي',
+        'Use a negative amount for money owed, e.g. a credit card balance.': 'استخدم مبلغًا سالبًا للمبالغ المستحقة عليك، مثل رصيد بطاقة الائتمان.',
+        'Account Balances': 'أرصدة الحسابات',
+        'Balance': 'الرصيد',
+        'Account Register': 'سجل الحساب',
+        'Net Savings': 'صافي المدخرات',
+        'Income Breakdown': 'تفصيل الدخل',
+        'Expense Breakdown': 'تفصيل المصروفات',
+        'Monthly Transactions': 'معاملات الشهر',
+        'Last 3 Months': 'آخر 3 أشهر',
+        'Last 6 Months': 'آخر 6 أشهر',
+        'Last 12 Months': 'آخر 12 شهرًا',
+        'Category Distribution': 'التوزيع حسب الفئة',
+        'Top Categories': 'أعلى الفئات',
+        '% of Total': '% من الإجمالي',
+        'Trend Over Time': 'الاتجاه عبر الزمن',
+        'Export Data': 'تصدير البيانات',
+        'Format': 'التنسيق',
+        'CSV (Excel compatible)': 'CSV (متوافق مع Excel)',
+        'PDF (Print)': 'PDF (للطباعة)',
+        'QIF (Quicken, transactions only)': 'QIF (Quicken، المعاملات فقط)',
+        'Date Range': 'الفترة',
+        'Last Month': 'الشهر الماضي',
+        'Current Year': 'السنة الحالية',
+        'All Data': 'كل البيانات',
+        'Custom Range': 'فترة مخصصة',
+        'Start Date': 'تاريخ البدء',
+        'End Date': 'تاريخ الانتهاء',
+        'Content': 'المحتوى',
+        'Budgets': 'الميزانيات',
+        'Summary Reports': 'تقارير موجزة',
+        'Import Bank Statement': 'استيراد كشف حساب بنكي',
+        'Bank': 'البنك',
+        'The column mapping is remembered for each bank.': 'يتم تذكر ربط الأعمدة لكل بنك.',
+        'Statement File': 'ملف الكشف',
+        'CSV, OFX, QFX or QIF': 'CSV أو OFX أو QFX أو QIF',
+        'Into Account': 'إلى الحساب',
+        'Preview': 'معاينة',
+        'First row contains column names': 'الصف الأول يحتوي على أسماء الأعمدة',
+        'Column Mapping': 'ربط الأعمدة',
+        'Amount (signed)': 'المبلغ (بإشارة)',
+        'Debit (money out)': 'مدين (أموال خارجة)',
+        'Credit (money in)': 'دائن (أموال داخلة)',
+        'Date Format': 'تنسيق التاريخ',
+        'Decimal Separator': 'الفاصل العشري',
+        'Point (1,234.56)': 'نقطة (1,234.56)',
+        'Comma (1.234,56)': 'فاصلة (1.234,56)',
+        'Close': 'إغلاق',
+        'Settings': 'الإعدادات',
+        'General': 'عام',
+        'Categories': 'الفئات',
+        'Notifications': 'الإشعارات',
+        'Exchange Rates': 'أسعار الصرف',
+        'Backup': 'النسخ الاحتياطي',
+        'Base Currency': 'العملة الأساسية',
+        'Budgets, totals and reports are shown in this currency.': 'تُعرض الميزانيات والإجماليات والتقارير بهذه العملة.',
+        'First Day of Week': 'أول يوم في الأسبوع',
+        'Sunday': 'الأحد',
+        'Monday': 'الاثنين',
+        'Saturday': 'السبت',
+        'Dark Mode': 'الوضع الداكن',
+        'Income Categories': 'فئات الدخل',
+        'Add': 'إضافة',
+        'Expense Categories': 'فئات المصروفات',
+        'Enable Notifications': 'تفعيل الإشعارات',
+        'Daily Reminder Time': 'وقت التذكير اليومي',
+        'Budget Limit Alerts': 'تنبيهات حد الميزانية',
+        'Large Expense Alerts': 'تنبيهات المصروفات الكبيرة',
+        'Large Expense Threshold': 'حد المصروف الكبير',
+        '1 unit of': 'وحدة واحدة من',
+        'Is worth': 'تساوي',
+        'Of': 'من',
+        'Import Rates': 'استيراد الأسعار',
+        'A CSV file with date (YYYY-MM-DD), from, to and rate columns; leave out "to" for rates into the base currency.': 'ملف CSV بأعمدة التاريخ (YYYY-MM-DD) والعملة المصدر والعملة الهدف والسعر؛ احذف العملة الهدف للأسعار مقابل العملة الأساسية.',
+        'Rate': 'السعر',
+        'Restore from Backup': 'الاستعادة من نسخة احتياطية',
+        'Use a file created with Export, format JSON, content All Data.': 'استخدم ملفًا أُنشئ عبر التصدير بتنسيق JSON ومحتوى كل البيانات.',
+        'Merge into current data': 'الدمج مع البيانات الحالية',
+        'Replace all current data': 'استبدال كل البيانات الحالية',
+        'Restore': 'استعادة',
+        'Save Settings': 'حفظ الإعدادات',
+        'Optional description': 'وصف اختياري',
+        'Leave blank for indefinite': 'اتركه فارغًا لمدة غير محددة',
+        'e.g. Main Checking': 'مثال: الحساب الجاري الرئيسي',
+        'e.g. My Bank': 'مثال: بنكي',
+        'New income category': 'فئة دخل جديدة',
+        'New expense category': 'فئة مصروفات جديدة',
+        'Language & Region': 'اللغة والمنطقة',
+        'Dates, numbers and amounts are formatted for this locale.': 'تُنسَّق التواريخ والأرقام والمبالغ وفق هذه الإعدادات الإقليمية.',
+        'IndexedDB is not available': 'IndexedDB غير متاح',
+        'Your browser does not allow this app to save data. Changes will be lost when the page is closed.': 'لا يسمح متصفحك لهذا التطبيق بحفظ البيانات. ستضيع التغييرات عند إغلاق الصفحة.',
+        'This data was saved by a newer version of Finance Planner (schema {version}, this app supports {supported}). Please update the app.': 'حُفظت هذه البيانات بإصدار أحدث من المخطط المالي (المخطط {version}، ويدعم هذا التطبيق {supported}). يُرجى تحديث التطبيق.',
+        'Storage is full, so recent changes were not saved. Export a backup and delete old data to free up space.': 'مساحة التخزين ممتلئة، لذا لم تُحفظ التغييرات الأخيرة. صدّر نسخة احتياطية واحذف البيانات القديمة لتحرير المساحة.',
+        'Recent changes could not be saved: {error}': 'تعذّر حفظ التغييرات الأخيرة: {error}',
+        'unknown error': 'خطأ غير معروف',
+        'Large expense recorded: {amount} for {category}': 'تم تسجيل مصروف كبير: {amount} في {category}',
+        'Budget exceeded for {category}! You\'ve spent {spent} of your {budget} budget.': 'تم تجاوز ميزانية {category}! أنفقت {spent} من ميزانيتك البالغة {budget}.',
+        'Approaching budget limit for {category}. You\'ve spent {spent} of your {budget} budget.': 'تقترب من حد ميزانية {category}. أنفقت {spent} من ميزانيتك البالغة {budget}.',
+        'Unsupported export format: {format}': 'تنسيق تصدير غير مدعوم: {format}',
+        'QIF export only supports transactions': 'تصدير QIF يدعم المعاملات فقط',
+        'No data to export': 'لا توجد بيانات للتصدير',
+        'Not an OFX/QFX file': 'ليس ملف OFX/QFX',
+        'The file does not contain a backup object': 'لا يحتوي الملف على نسخة احتياطية',
+        'The backup must contain transactions, budgets and settings': 'يجب أن تحتوي النسخة الاحتياطية على المعاملات والميزانيات والإعدادات',
+        'The backup accounts must be a list': 'يجب أن تكون حسابات النسخة الاحتياطية قائمة',
+        'The backup exchange rates must be a list': 'يجب أن تكون أسعار الصرف في النسخة الاحتياطية قائمة',
+        'Transaction {number} in the backup is invalid': 'المعاملة {number} في النسخة الاحتياطية غير صالحة',
+        'Budget {number} in the backup is invalid': 'الميزانية {number} في النسخة الاحتياطية غير صالحة',
+        'Exchange rate {number} in the backup is invalid': 'سعر الصرف {number} في النسخة الاحتياطية غير صالح',
+        'The backup setting "{key}" must be a list': 'يجب أن يكون الإعداد "{key}" في النسخة الاحتياطية قائمة',
+        'The backup is in {currency}; replace the current data to restore it': 'النسخة الاحتياطية بعملة {currency}؛ استبدل البيانات الحالية لاستعادتها',
+        '{count} recurring transaction(s) added': 'تمت إضافة {count} من المعاملات المتكررة',
+        'No exchange rate for {currencies}, so those amounts are left out of totals, budgets, envelopes, goals and the forecast. Add rates under Settings → Exchange Rates.': 'لا يوجد سعر صرف لـ {currencies}، لذا استُبعدت هذه المبالغ من الإجماليات والميزانيات والمظاريف والأهداف والتوقعات. أضف الأسعار من الإعدادات ← أسعار الصرف.',
+        'Please fill in all required fields with valid values.': 'يُرجى ملء كل الحقول المطلوبة بقيم صالحة.',
+        'Please select two different accounts for the transfer.': 'يُرجى اختيار حسابين مختلفين للتحويل.',
+        'No transactions found': 'لم يتم العثور على معاملات',
+        'Transaction updated successfully': 'تم تحديث المعاملة بنجاح',
+        'Failed to update transaction': 'تعذّر تحديث المعاملة',
+        'Are you sure you want to delete this transaction?': 'هل تريد بالتأكيد حذف هذه المعاملة؟',
+        'Transaction deleted successfully': 'تم حذف المعاملة بنجاح',
+        'Failed to delete transaction': 'تعذّر حذف المعاملة',
+        'Please select a category and enter a valid amount.': 'يُرجى اختيار فئة وإدخال مبلغ صالح.',
+        'Budget set for {category}': 'تم تحديد ميزانية {category}',
+        'No budgets set': 'لا توجد ميزانيات',
+        'Please enter an account name and a valid opening balance.': 'يُرجى إدخال اسم الحساب ورصيد افتتاحي صالح.',
+        'An account named "{name}" already exists.': 'يوجد حساب باسم "{name}" بالفعل.',
+        'Account "{name}" added': 'تمت إضافة الحساب "{name}"',
+        'No accounts added': 'لا توجد حسابات',
+        'No transactions for this account': 'لا توجد معاملات لهذا الحساب',
+        'Are you sure you want to delete the "{name}" account?': 'هل تريد بالتأكيد حذف الحساب "{name}"؟',
+        'Account deleted successfully': 'تم حذف الحساب بنجاح',
+        'Cannot delete "{name}" while transactions still use it': 'لا يمكن حذف "{name}" ما دامت هناك معاملات تستخدمه',
+        'Income by Category': 'الدخل حسب الفئة',
+        'Expenses by Category': 'المصروفات حسب الفئة',
+        '{category} Trend Over Time': 'اتجاه {category} عبر الزمن',
+        'Please select both start and end dates for custom range.': 'يُرجى اختيار تاريخي البدء والانتهاء للفترة المخصصة.',
+        'Export completed successfully': 'تم التصدير بنجاح',
+        'Export failed: {error}': 'فشل التصدير: {error}',
+        'Could not read statement: {error}': 'تعذّرت قراءة الكشف: {error}',
+        'The selected file contains no rows': 'الملف المحدد لا يحتوي على صفوف',
+        'Please map the date column and either the amount or the debit/credit columns.': 'يُرجى ربط عمود التاريخ وإما عمود المبلغ أو عمودي المدين والدائن.',
+        'Found {count} QIF transaction(s). Split transactions keep their split lines and already recorded transactions are skipped.': 'تم العثور على {count} من معاملات QIF. تحتفظ المعاملات المقسّمة ببنودها وتُتخطى المعاملات المسجلة مسبقًا.',
+        'Found {count} transaction(s).': 'تم العثور على {count} من المعاملات.',
+        'Account ending {digits}.': 'الحساب المنتهي بـ {digits}.',
+        'Dates from {from} to {to}.': 'التواريخ من {from} إلى {to}.',
+        'Transactions imported before are skipped.': 'تُتخطى المعاملات المستوردة سابقًا.',
+        'Not mapped': 'غير مربوط',
+        'Column {number}': 'العمود {number}',
+        'Imported {imported} transaction(s), skipped {skipped}.': 'تم استيراد {imported} من المعاملات وتخطي {skipped}.',
+        'Row': 'الصف',
+        'Reason': 'السبب',
+        'Income category added': 'تمت إضافة فئة الدخل',
+        'Expense category added': 'تمت إضافة فئة المصروفات',
+        'Settings saved successfully': 'تم حفظ الإعدادات بنجاح',
+        'Please enter a date, two different currencies and a positive rate.': 'يُرجى إدخال تاريخ وعملتين مختلفتين وسعر موجب.',
+        'Exchange rate saved': 'تم حفظ سعر الصرف',
+        'Imported {count} exchange rates': 'تم استيراد {count} من أسعار الصرف',
+        'row {row}: {reason}': 'الصف {row}: {reason}',
+        '{count} rows skipped: {reasons}': 'تم تخطي {count} من الصفوف: {reasons}',
+        'No exchange rates added': 'لا توجد أسعار صرف',
+        'Replace all current transactions, budgets, accounts and settings with the backup?': 'هل تريد استبدال كل المعاملات والميزانيات والحسابات والإعدادات الحالية بالنسخة الاحتياطية؟',
+        'Backup restored': 'تمت استعادة النسخة الاحتياطية',
+        'Backup merged': 'تم دمج النسخة الاحتياطية',
+        'New': 'جديد',
+        'Changed': 'معدّل',
+        'Conflicting': 'متعارض',
+        'Unchanged': 'بلا تغيير',
+        'Exchange rates': 'أسعار الصرف',
+        'Conflicting transactions match one you already recorded separately and are skipped when merging.': 'المعاملات المتعارضة تطابق معاملة سجلتها بشكل منفصل، وتُتخطى عند الدمج.',
+        'Are you sure you want to delete the "{category}" income category?': 'هل تريد بالتأكيد حذف فئة الدخل "{category}"؟',
+        'Are you sure you want to delete the "{category}" expense category?': 'هل تريد بالتأكيد حذف فئة المصروفات "{category}"؟',
+        'Category deleted': 'تم حذف الفئة',
+        'No exchange rate': 'لا يوجد سعر صرف',
+        'Recurring': 'متكررة',
+        'Would you like to load sample data to get started?': 'هل تريد تحميل بيانات تجريبية للبدء؟',
+        'Sample data loaded successfully': 'تم تحميل البيانات التجريبية بنجاح',
+        'Please select an export format (PNG/JPEG/PDF)!': 'يُرجى اختيار تنسيق التصدير (PNG/JPEG/PDF)!',
+        'Please select a category to export!': 'يُرجى اختيار فئة للتصدير!',
+        'Invalid or missing date': 'تاريخ غير صالح أو مفقود',
+        'Invalid or missing amount': 'مبلغ غير صالح أو مفقود',
+        'Already recorded': 'مسجلة مسبقًا',
+        'Already imported': 'مستوردة مسبقًا',
+        'Invalid currencies': 'عملات غير صالحة',
+        'Invalid or missing rate': 'سعر غير صالح أو مفقود',
+        'From Account': 'من الحساب',
+        'Update Transaction': 'تحديث المعاملة',
+        'Successfully added income of {amount}': 'تمت إضافة دخل بقيمة {amount}',
+        'Successfully added expense of {amount}': 'تمت إضافة مصروف بقيمة {amount}',
+        'Successfully added transfer of {amount}': 'تمت إضافة تحويل بقيمة {amount}',
+        'Split across categories': 'تقسيم على عدة فئات',
+        'Split Lines': 'بنود التقسيم',
+        'Add Line': 'إضافة بند',
+        'Remove line': 'إزالة البند',
+        'Remaining to assign: {amount}': 'المتبقي للتوزيع: {amount}',
+        'Each split line needs a category and an amount, and the lines must add up to the total.': 'يحتاج كل بند إلى فئة ومبلغ، ويجب أن يساوي مجموع البنود الإجمالي.',
+        'Payee': 'المستفيد',
+        'Tags': 'الوسوم',
+        'e.g. #vacation-2026 #reimbursable': 'مثال: ‎#عطلة-2026 ‎#قابل-للاسترداد',
+        'All Payees': 'كل المستفيدين',
+        'All Tags': 'كل الوسوم',
+        'By Category': 'حسب الفئة',
+        'By Payee': 'حسب المستفيد',
+        'By Tag': 'حسب الوسم',
+        'Tag': 'الوسم',
+        'Untagged': 'بدون وسم',
+        'No payee': 'بدون مستفيد',
+        'Income by Payee': 'الدخل حسب المستفيد',
+        'Income by Tag': 'الدخل حسب الوسم',
+        'Expenses by Payee': 'المصروفات حسب المستفيد',
+        'Expenses by Tag': 'المصروفات حسب الوسم',
+        'Search, e.g. coffee amount>20 category:Food,Rent -tag:reimbursable': 'بحث، مثال: قهوة amount>20 category:طعام,إيجار -tag:قابل-للاسترداد',
+        'Search transactions': 'البحث في المعاملات',
+        'Save Search': 'حفظ البحث',
+        'Text matches the description and payee. Filters: amount>100, amount:10..50, date:2026-01..2026-03, category:Food,Rent, payee:"Corner Shop", tag:vacation-2026, type:expense, account:Main, currency:EUR. Put - in front of a term to exclude it.': 'يُطابق النص الوصف والمستفيد. عوامل التصفية: amount>100 وamount:10..50 وdate:2026-01..2026-03 وcategory:طعام,إيجار وpayee:"متجر الحي" وtag:عطلة-2026 وtype:expense وaccount:الرئيسي وcurrency:EUR. ضع - قبل أي شرط لاستبعاده.',
+        'Saved searches': 'عمليات البحث المحفوظة',
+        'Delete saved search': 'حذف البحث المحفوظ',
+        '"{field}" can only be matched with ":"': 'لا يمكن مطابقة "{field}" إلا باستخدام ":"',
+        'Invalid amount in search: {value}': 'مبلغ غير صالح في البحث: {value}',
+        'Invalid date in search: {value}': 'تاريخ غير صالح في البحث: {value}',
+        'Enter a search to save.': 'أدخل بحثًا لحفظه.',
+        'Name this search:': 'اسم هذا البحث:',
+        'Search "{name}" saved': 'تم حفظ البحث "{name}"',
+        'Delete the saved search "{name}"?': 'هل تريد حذف البحث المحفوظ "{name}"؟',
+        'Leave empty to let your rules choose.': 'اتركه فارغًا لتختار قواعدك.',
+        'Rules': 'القواعد',
+        'Rules fill in the category, payee and tags of new and imported transactions that match. They run from top to bottom: the first matching rule sets the category and payee, and every matching rule adds its tags.': 'تملأ القواعد الفئة والمستفيد والوسوم للمعاملات الجديدة والمستوردة المطابقة. تُطبَّق من الأعلى إلى الأسفل: أول قاعدة مطابقة تحدد الفئة والمستفيد، وكل قاعدة مطابقة تضيف وسومها.',
+        'On': 'مفعّلة',
+        'When': 'عندما',
+        'Then': 'عندئذٍ',
+        'New Rule': 'قاعدة جديدة',
+        'Edit Rule': 'تعديل القاعدة',
+        'Description or payee': 'الوصف أو المستفيد',
+        'Match': 'المطابقة',
+        'contains': 'يحتوي على',
+        'matches regex': 'يطابق التعبير النمطي',
+        'Text': 'النص',
+        'e.g. Corner Shop': 'مثال: متجر الحي',
+        'Amount from': 'المبلغ من',
+        'Amount to': 'المبلغ إلى',
+        'Set category': 'تعيين الفئة',
+        'Set payee': 'تعيين المستفيد',
+        'Add tags': 'إضافة وسوم',
+        'e.g. groceries, weekly': 'مثال: بقالة، أسبوعي',
+        'Add Rule': 'إضافة قاعدة',
+        'Save Rule': 'حفظ القاعدة',
+        'Re-apply Rules to Existing Transactions': 'إعادة تطبيق القواعد على المعاملات الحالية',
+        'Shows what would change first. Re-applied rules replace the category and payee of every matching transaction.': 'يعرض ما سيتغير أولًا. عند إعادة تطبيق القواعد تُستبدل فئة ومستفيد كل معاملة مطابقة.',
+        'Changes': 'التغييرات',
+        'A rule needs at least one condition': 'تحتاج القاعدة إلى شرط واحد على الأقل',
+        'A rule needs at least one action': 'تحتاج القاعدة إلى إجراء واحد على الأقل',
+        'Invalid regular expression: {pattern}': 'تعبير نمطي غير صالح: {pattern}',
+        'Rule added': 'تمت إضافة القاعدة',
+        'Rule saved': 'تم حفظ القاعدة',
+        'Delete this rule?': 'هل تريد حذف هذه القاعدة؟',
+        'The rules would not change any transactions': 'لن تغيّر القواعد أي معاملة',
+        'Updated {count} transactions': 'تم تحديث {count} معاملة',
+        'Any account': 'أي حساب',
+        'Keep category': 'إبقاء الفئة',
+        'No rules added': 'لا توجد قواعد',
+        '{field} matches /{pattern}/': '{field} يطابق /{pattern}/',
+        '{field} contains "{pattern}"': '{field} يحتوي على "{pattern}"',
+        'Amount {min} to {max}': 'المبلغ من {min} إلى {max}',
+        'Amount at least {amount}': 'المبلغ {amount} على الأقل',
+        'Amount at most {amount}': 'المبلغ {amount} على الأكثر',
+        'Account is {account}': 'الحساب هو {account}',
+        'Category: {category}': 'الفئة: {category}',
+        'Payee: {payee}': 'المستفيد: {payee}',
+        'Tags: {tags}': 'الوسوم: {tags}',
+        'Enabled': 'مفعّلة',
+        'Move up': 'نقل لأعلى',
+        'Move down': 'نقل لأسفل',
+        'Edit': 'تعديل',
+        'Delete': 'حذف',
+        'Apply {count} Changes': 'تطبيق {count} تغييرات',
+        'Limit per Period': 'الحد لكل فترة',
+        'Period': 'الفترة',
+        'Custom Dates': 'تواريخ مخصصة',
+        'Roll over unspent or overspent amounts into the next period': 'ترحيل المبالغ غير المنفقة أو المنفقة زيادةً إلى الفترة التالية',
+        'Roll Over Since': 'الترحيل منذ',
+        'Carried Over': 'المُرحَّل',
+        'Available': 'المتاح',
+        'Budget + Carried Over': 'الميزانية + المُرحَّل',
+        'A custom budget period needs a start date on or before its end date': 'تحتاج فترة الميزانية المخصصة إلى تاريخ بدء في تاريخ انتهائها أو قبله',
+        'Month': 'الشهر',
+        'Copy Previous Month': 'نسخ الشهر السابق',
+        'Templates': 'القوالب',
+        'Apply': 'تطبيق',
+        'Save as Template': 'حفظ كقالب',
+        'Delete template': 'حذف القالب',
+        'Choose a template': 'اختر قالبًا',
+        'Applies from {month} until you change it.': 'يُطبَّق من {month} حتى تغيّره.',
+        'Stop this budget from this month on': 'إيقاف هذه الميزانية اعتبارًا من هذا الشهر',
+        'There are no budgets in {previous} to copy.': 'لا توجد ميزانيات في {previous} لنسخها.',
+        'Replace the budgets of {month} with those of {previous}?': 'هل تريد استبدال ميزانيات {month} بميزانيات {previous}؟',
+        'Copied {count} budgets from {previous}': 'تم نسخ {count} ميزانية من {previous}',
+        'There are no budgets in {month} to save.': 'لا توجد ميزانيات في {month} لحفظها.',
+        'Name this template:': 'اسم هذا القالب:',
+        'Template "{name}" saved': 'تم حفظ القالب "{name}"',
+        'Choose a template to apply.': 'اختر قالبًا لتطبيقه.',
+        'Replace the budgets of {month} with the "{name}" template?': 'هل تريد استبدال ميزانيات {month} بالقالب "{name}"؟',
+        'Template "{name}" applied to {month}': 'تم تطبيق القالب "{name}" على {month}',
+        'Delete the template "{name}"?': 'هل تريد حذف القالب "{name}"؟',
+        'Stop the {category} budget from {month} on?': 'هل تريد إيقاف ميزانية {category} اعتبارًا من {month}؟',
+        'Envelope Budgeting': 'الميزانية بالمظاريف',
+        'Ready to Assign': 'جاهز للتخصيص',
+        'From': 'من',
+        'To': 'إلى',
+        'Move Money': 'نقل المال',
+        'Income lands in Ready to Assign. Assign it by moving it into envelopes, and move money back to take it out again.': 'يصل الدخل إلى "جاهز للتخصيص". خصّصه بنقله إلى المظاريف، وأعد المال لسحبه مرة أخرى.',
+        'Assigned': 'المخصص',
+        'Cover': 'تغطية',
+        'Nothing assigned or spent this month': 'لا شيء مخصص أو منفق هذا الشهر',
+        '{count} envelopes are overspent by {amount} in total. Cover them by moving money from another envelope.': 'تجاوز الإنفاق في {count} مظاريف بمبلغ {amount} إجمالًا. غطِّها بنقل المال من مظروف آخر.',
+        'Moved {amount} from {from} to {to}': 'تم نقل {amount} من {from} إلى {to}',
+        'Choose two different envelopes and a positive amount.': 'اختر مظروفين مختلفين ومبلغًا موجبًا.',
+        'Only {amount} is available in {envelope}.': 'المتاح في {envelope} هو {amount} فقط.',
+        'The {category} envelope is overspent by {amount}. Cover it with money from another envelope.': 'تجاوز الإنفاق في مظروف {category} بمبلغ {amount}. غطِّه بمال من مظروف آخر.',
+        'The backup envelope assignments must be a list': 'يجب أن تكون مخصصات المظاريف في النسخة الاحتياطية قائمة',
+        'Envelope assignment {number} in the backup is invalid': 'مخصص المظروف {number} في النسخة الاحتياطية غير صالح',
+        'Envelope assignments': 'مخصصات المظاريف',
+        'Goals': 'الأهداف',
+        'Savings Goals': 'أهداف الادخار',
+        'Add Goal': 'إضافة هدف',
+        'Edit Goal': 'تعديل الهدف',
+        'Save Goal': 'حفظ الهدف',
+        'Target Amount': 'المبلغ المستهدف',
+        'Target Date': 'التاريخ المستهدف',
+        'Linked Account': 'الحساب المرتبط',
+        'Linked Category': 'الفئة المرتبطة',
+        'None': 'لا شيء',
+        'Add Contribution': 'إضافة مساهمة',
+        'Goal': 'الهدف',
+        'Progress': 'التقدم',
+        'Monthly Needed': 'المطلوب شهريًا',
+        'Reached': 'تم تحقيقه',
+        'Overdue': 'متأخر عن موعده',
+        'On track': 'على المسار',
+        'Behind': 'متأخر',
+        'Savings goals': 'أهداف الادخار',
+        'Savings Goal Alerts': 'تنبيهات أهداف الادخار',
+        'e.g. Emergency Fund': 'مثال: صندوق الطوارئ',
+        'No savings goals yet': 'لا توجد أهداف ادخار بعد',
+        'From the day the goal is added, money paid into its account or spent in its category counts towards it.': 'من يوم إضافة الهدف، يُحتسب له المال المودع في حسابه أو المنفق في فئته.',
+        'The contribution is recorded as a transaction: a transfer into the goal\'s account, or else an expense in its category.': 'تُسجَّل المساهمة كمعاملة: تحويل إلى حساب الهدف، أو مصروف في فئته إن لم يكن له حساب.',
+        'Warns once a month about each goal that is behind schedule.': 'ينبّه مرة في الشهر عن كل هدف متأخر عن الجدول.',
+        'Choose a goal and a positive amount.': 'اختر هدفًا ومبلغًا موجبًا.',
+        'Choose the account the money comes from.': 'اختر الحساب الذي يأتي منه المال.',
+        'No exchange rate from {from} to {to}': 'لا يوجد سعر صرف من {from} إلى {to}',
+        'Your "{name}" goal was due on {date} and is {amount} short.': 'كان موعد هدفك "{name}" في {date} وينقصه {amount}.',
+        'Your "{name}" goal is falling behind: {saved} of {target} saved. Save {amount} a month to reach it by {date}.': 'هدفك "{name}" متأخر: تم ادخار {saved} من {target}. ادّخر {amount} شهريًا لتحقيقه بحلول {date}.',
+        'The backup savings goals must be a list': 'يجب أن تكون أهداف الادخار في النسخة الاحتياطية قائمة',
+        'Savings goal {number} in the backup is invalid': 'هدف الادخار {number} في النسخة الاحتياطية غير صالح',
+        'Please enter a goal name, a positive target amount and a target date.': 'يرجى إدخال اسم الهدف ومبلغ مستهدف موجب وتاريخ مستهدف.',
+        'Goal "{name}" updated': 'تم تحديث الهدف "{name}"',
+        'Goal "{name}" added': 'تمت إضافة الهدف "{name}"',
+        'Added {amount} to "{name}"': 'تمت إضافة {amount} إلى "{name}"',
+        'Delete the "{name}" goal? Its contributions are kept as transactions.': 'حذف الهدف "{name}"؟ تبقى مساهماته كمعاملات.',
+        '{saved} of {target}': '{saved} من {target}',
+        '{amount} a month until {date}': '{amount} شهريًا حتى {date}',
+        'Debts': 'الديون',
+        'Add Debt': 'إضافة دين',
+        'Edit Debt': 'تعديل الدين',
+        'Save Debt': 'حفظ الدين',
+        'Balance On': 'الرصيد بتاريخ',
+        'APR (%)': 'معدل الفائدة السنوي (%)',
+        'APR': 'معدل الفائدة السنوي',
+        'Due Day': 'يوم الاستحقاق',
+        'Minimum Payment': 'الحد الأدنى للدفعة',
+        'Payment Category': 'فئة الدفع',
+        'Balances and Payments': 'الأرصدة والدفعات',
+        'Debt': 'الدين',
+        'This Month': 'هذا الشهر',
+        'Next Due': 'الاستحقاق التالي',
+        'Payoff Plan': 'خطة السداد',
+        'Strategy': 'الاستراتيجية',
+        'Snowball (smallest balance first)': 'كرة الثلج (الرصيد الأصغر أولًا)',
+        'Avalanche (highest APR first)': 'الانهيار الجليدي (أعلى فائدة أولًا)',
+        'Custom order': 'ترتيب مخصص',
+        'Extra Monthly Payment': 'دفعة شهرية إضافية',
+        'Debt-Free By': 'التحرر من الديون بحلول',
+        'Total Interest': 'إجمالي الفائدة',
+        'Payoff Order': 'ترتيب السداد',
+        'Snowball': 'كرة الثلج',
+        'Avalanche': 'الانهيار الجليدي',
+        'Paid off': 'مسدد بالكامل',
+        'Paid': 'مدفوع',
+        'Due': 'مستحق',
+        'Late': 'متأخر',
+        'No debts added': 'لم تتم إضافة ديون',
+        'e.g. Car Loan': 'مثال: قرض السيارة',
+        'Balance Left by Strategy': 'الرصيد المتبقي حسب الاستراتيجية',
+        'Payments are matched from the balance date on: money paid into the linked account, or expenses in the payment category. Charges to the linked account add to the balance.': 'تُحتسب الدفعات من تاريخ الرصيد: المال المودع في الحساب المرتبط أو المصروفات في فئة الدفع. الرسوم على الحساب المرتبط تزيد الرصيد.',
+        'Please enter a debt name, balance, APR, minimum payment and a due day between 1 and 31.': 'يرجى إدخال اسم الدين والرصيد ومعدل الفائدة والحد الأدنى للدفعة ويوم استحقاق بين 1 و31.',
+        'Debt "{name}" updated': 'تم تحديث الدين "{name}"',
+        'Debt "{name}" added': 'تمت إضافة الدين "{name}"',
+        'Delete the "{name}" debt? Its payments are kept as transactions.': 'حذف الدين "{name}"؟ تبقى دفعاته كمعاملات.',
+        'Minimum {amount} on day {day}': 'الحد الأدنى {amount} في اليوم {day}',
+        '{paid} paid, {interest} interest': '{paid} مدفوع، {interest} فائدة',
+        '{paid} of {minimum}': '{paid} من {minimum}',
+        '{count} months': '{count} أشهر',
+        'Never: the payments do not cover the interest': 'أبدًا: الدفعات لا تغطي الفائدة',
+        '{strategy}: {interest} interest': '{strategy}: فائدة {interest}',
+        'The backup debts must be a list': 'يجب أن تكون الديون في النسخة الاحتياطية قائمة',
+        'Debt {number} in the backup is invalid': 'الدين {number} في النسخة الاحتياطية غير صالح',
+        'Cash-Flow Forecast': 'توقعات التدفق النقدي',
+        'Forecast period': 'فترة التوقع',
+        'Next 3 Months': 'الأشهر الثلاثة القادمة',
+        'Next 6 Months': 'الأشهر الستة القادمة',
+        'Next 12 Months': 'الأشهر الاثنا عشر القادمة',
+        'Starting Balance': 'الرصيد الابتدائي',
+        'Lowest Balance': 'أدنى رصيد',
+        'Projected Balance': 'الرصيد المتوقع',
+        'Upcoming Transactions': 'المعاملات القادمة',
+        'Source': 'المصدر',
+        'What If': 'ماذا لو',
+        'Try out transactions that have not happened. They only change the forecast, are never saved, and are gone when the page is closed.': 'جرّب معاملات لم تحدث. إنها تغيّر التوقعات فقط، ولا تُحفظ أبدًا، وتختفي عند إغلاق الصفحة.',
+        'e.g. New laptop': 'مثال: حاسوب محمول جديد',
+        'Repeat': 'التكرار',
+        'Once': 'مرة واحدة',
+        'Add What-If': 'إضافة افتراض',
+        'Clear All': 'مسح الكل',
+        'Average Monthly Spending': 'متوسط الإنفاق الشهري',
+        'Income and spending outside recurring transactions, averaged over up to six complete months and spread evenly over each day.': 'الدخل والإنفاق خارج المعاملات المتكررة، بمتوسط يصل إلى ستة أشهر كاملة وموزع بالتساوي على الأيام.',
+        'Scheduled': 'مجدولة',
+        'Debt payment': 'دفعة دين',
+        'What if': 'افتراض',
+        'Please enter a description, a positive amount and a date.': 'يرجى إدخال وصف ومبلغ موجب وتاريخ.',
+        'The balance would go below zero on {count} day(s), first on {date}, and reach its lowest of {amount} on {lowest}.': 'سينخفض الرصيد تحت الصفر في {count} يوم/أيام، أولها في {date}، ويصل إلى أدنى مستوى {amount} في {lowest}.',
+        'Nothing scheduled in this period': 'لا شيء مجدول في هذه الفترة',
+        'Remove': 'إزالة',
+        'Not enough history yet': 'لا يوجد سجل كافٍ بعد',
+        'Net Worth': 'صافي الثروة',
+        'Assets': 'الأصول',
+        'Liabilities': 'الخصوم',
+        'Add Asset or Liability': 'إضافة أصل أو التزام',
+        'e.g. Family Car': 'مثال: سيارة العائلة',
+        'Kind': 'النوع',
+        'Asset': 'أصل',
+        'Liability': 'التزام',
+        'Value': 'القيمة',
+        'Value On': 'تاريخ التقييم',
+        'Record Valuation': 'تسجيل تقييم',
+        'Asset or Liability': 'الأصل أو الالتزام',
+        'Account balances, investment holdings and debts that are not paid through an account are included automatically.': 'تُضمَّن أرصدة الحسابات والاستثمارات والديون التي لا تُسدَّد من خلال حساب تلقائيًا.',
+        'Property': 'عقار',
+        'Vehicle': 'مركبة',
+        'Investment': 'استثمار',
+        'Loan': 'قرض',
+        'Mortgage': 'رهن عقاري',
+        'Other asset': 'أصل آخر',
+        'Other liability': 'التزام آخر',
+        'The backup assets and liabilities must be a list': 'يجب أن تكون الأصول والخصوم في النسخة الاحتياطية قائمة',
+        'Asset or liability {number} in the backup is invalid': 'الأصل أو الالتزام رقم {number} في النسخة الاحتياطية غير صالح',
+        'Assets and liabilities': 'الأصول والخصوم',
+        'Please enter a name, a value and the date it was valued on.': 'يرجى إدخال اسم وقيمة وتاريخ التقييم.',
+        '"{name}" added': 'تمت إضافة "{name}"',
+        'Valuation recorded': 'تم تسجيل التقييم',
+        'An asset or liability needs at least one valuation': 'يحتاج الأصل أو الالتزام إلى تقييم واحد على الأقل',
+        'Delete "{name}" and all its valuations?': 'هل تريد حذف "{name}" وجميع تقييماته؟',
+        'Valuations': 'التقييمات',
+        'No assets or liabilities yet': 'لا توجد أصول أو خصوم بعد',
+        'Valued on {date}': 'تم التقييم في {date}',
+        'Delete valuation': 'حذف التقييم',
+        'Net Worth Over Time': 'صافي الثروة عبر الزمن',
+        '{assets} owned, {liabilities} owed': '{assets} مملوكة، {liabilities} مستحقة',
+        'Investments': 'الاستثمارات',
+        'Market Value': 'القيمة السوقية',
+        'Cost Basis': 'أساس التكلفة',
+        'Unrealized Gain': 'الربح غير المحقق',
+        'Realized This Year': 'المحقق هذا العام',
+        'Add Holding': 'إضافة استثمار',
+        'Symbol': 'الرمز',
+        'e.g. VTI': 'مثال: VTI',
+        'e.g. Total Stock Market ETF': 'مثال: صندوق مؤشر السوق الكلي',
+        'Record Trade': 'تسجيل صفقة',
+        'Holding': 'الاستثمار',
+        'Buy': 'شراء',
+        'Sell': 'بيع',
+        'Quantity': 'الكمية',
+        'Price per Unit': 'سعر الوحدة',
+        'Fees': 'الرسوم',
+        'Sell From': 'البيع من',
+        'Record Price': 'تسجيل سعر',
+        'Import Prices': 'استيراد الأسعار',
+        'A CSV file with date (YYYY-MM-DD), symbol and price columns.': 'ملف CSV بأعمدة التاريخ (YYYY-MM-DD) والرمز والسعر.',
+        'Average Cost': 'متوسط التكلفة',
+        'Price': 'السعر',
+        'Realized Gains': 'الأرباح المحققة',
+        'Year': 'السنة',
+        'Acquired': 'تاريخ الشراء',
+        'Sold': 'تاريخ البيع',
+        'Proceeds': 'عائدات البيع',
+        'Gain': 'الربح',
+        'Term': 'المدة',
+        'Total': 'الإجمالي',
+        'You already have a holding for {symbol}': 'لديك استثمار في {symbol} بالفعل',
+        'Please enter a date, a positive quantity and a price.': 'يرجى إدخال تاريخ وكمية موجبة وسعر.',
+        'The quantities sold from each lot must add up to the quantity sold': 'يجب أن يساوي مجموع الكميات المباعة من كل دفعة الكمية المباعة',
+        'Only {quantity} {symbol} were held on {date}': 'كان لديك {quantity} فقط من {symbol} في {date}',
+        'A lot of {symbol} sold on {date} does not hold enough': 'دفعة من {symbol} بيعت في {date} لا تحتوي على كمية كافية',
+        'No holding with this symbol': 'لا يوجد استثمار بهذا الرمز',
+        'Invalid or missing price': 'سعر غير صالح أو مفقود',
+        'The backup investment holdings must be a list': 'يجب أن تكون الاستثمارات في النسخة الاحتياطية قائمة',
+        'Investment holding {number} in the backup is invalid': 'الاستثمار رقم {number} في النسخة الاحتياطية غير صالح',
+        'Investment holdings': 'الاستثمارات',
+        'Buy recorded': 'تم تسجيل الشراء',
+        'Sell recorded': 'تم تسجيل البيع',
+        'Please enter a date and a price.': 'يرجى إدخال تاريخ وسعر.',
+        'Price recorded': 'تم تسجيل السعر',
+        'Imported {count} prices': 'تم استيراد {count} من الأسعار',
+        'Delete this trade?': 'هل تريد حذف هذه الصفقة؟',
+        'Delete "{name}" with all its trades and prices?': 'هل تريد حذف "{name}" مع جميع صفقاته وأسعاره؟',
+        'Oldest lots first (FIFO)': 'الدفعات الأقدم أولاً (FIFO)',
+        'Lot bought {date}: {quantity} left at {cost}': 'دفعة مشتراة في {date}: يتبقى {quantity} بسعر {cost}',
+        'Lots and trades': 'الدفعات والصفقات',
+        'No holdings yet': 'لا توجد استثمارات بعد',
+        'Open Lots': 'الدفعات المفتوحة',
+        '{quantity} costing {cost}': '{quantity} بتكلفة {cost}',
+        'No open lots': 'لا توجد دفعات مفتوحة',
+        'Trades': 'الصفقات',
+        '{quantity} at {price}': '{quantity} بسعر {price}',
+        '+ {fees} fees': '+ رسوم {fees}',
+        'Delete trade': 'حذف الصفقة',
+        'No trades yet': 'لا توجد صفقات بعد',
+        'No sells in {year}': 'لا توجد مبيعات في {year}',
+        'Long term': 'طويل الأجل',
+        'Short term': 'قصير الأجل',
+        '{short} short term, {long} long term': '{short} قصير الأجل، {long} طويل الأجل',
+        'Log your spending': 'سجّل نفقاتك',
+        'Take a minute to add today\'s spending.': 'خصّص دقيقة لإضافة نفقات اليوم.',
+        'The reminder for {date} was missed while the app was closed. Take a minute to add that day\'s spending.': 'فات تذكير {date} لأن التطبيق كان مغلقًا. خصّص دقيقة لإضافة نفقات ذلك اليوم.',
+        'Upcoming bills': 'الفواتير القادمة',
+        '{description}: {amount} on {date}': '{description}: {amount} في {date}',
+        'A reminder to log the day\'s spending. It shows as a browser notification when the browser allows it, and in the app otherwise.': 'تذكير بتسجيل نفقات اليوم. يظهر كإشعار من المتصفح عندما يسمح المتصفح بذلك، وداخل التطبيق في غير ذلك.',
+        'Upcoming Bill Reminders': 'تذكيرات الفواتير القادمة',
+        'Remind Me This Many Days Ahead': 'ذكّرني قبل هذا العدد من الأيام',
+        'Mark all as read': 'تعليم الكل كمقروء',
+        'Clear': 'مسح',
+        'Pop up alerts for': 'إظهار تنبيهات',
+        'Large expenses': 'النفقات الكبيرة',
+        'Reminders': 'التذكيرات',
+        'No notifications': 'لا توجد إشعارات',
+        'Unread': 'غير مقروء',
+        'View Forecast': 'عرض التوقعات',
+        'This is the only transaction of its recurring series so far, so deleting it also stops the series. Delete it?': 'هذه هي المعاملة الوحيدة في سلسلتها المتكررة حتى الآن، لذا فإن حذفها يوقف السلسلة أيضًا. هل تريد حذفها؟',
+        'In Accounts': 'في الحسابات',
+        'Across {count} account(s)': 'في {count} حساب/حسابات',
+        'Category rule {number} in the backup is invalid': 'قاعدة التصنيف رقم {number} في النسخة الاحتياطية غير صالحة',
+        'Only {amount} is available in {envelope}, as {month} already assigned the rest.': 'المتاح في {envelope} هو {amount} فقط، لأن {month} خصّص الباقي بالفعل.',
+        'Changed records differ between the backup and the current data. Merging keeps the current version unless you choose the backup\'s below.': 'تختلف السجلات المعدّلة بين النسخة الاحتياطية والبيانات الحالية. يحتفظ الدمج بالنسخة الحالية ما لم تختر نسخة النسخة الاحتياطية أدناه.',
+        'Use the backup\'s version of changed records': 'استخدام نسخة النسخة الاحتياطية للسجلات المعدّلة',
+        '{count} large expenses were recorded at once. Check them in the transactions list.': 'سُجّلت {count} من المصروفات الكبيرة دفعة واحدة. راجعها في قائمة المعاملات.',
+        'Invalid backup: {error}': 'نسخة احتياطية غير صالحة: {error}'
+    }
+};
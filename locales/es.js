@@ -0,0 +1,641 @@
+// Spanish messages, keyed by the English text they translate
+window.MESSAGE_CATALOGS = window.MESSAGE_CATALOGS || {};
+MESSAGE_CATALOGS.es = {
+    dir: 'ltr',
+    script: 'Latn',
+    messages: {
+        'Personal Finance Planner': 'Planificador de finanzas personales',
+        'Finance Planner': 'Planificador financiero',
+        'Dashboard': 'Panel',
+        'Transactions': 'Transacciones',
+        'Add Transaction': 'Añadir transacción',
+        'View All': 'Ver todo',
+        'Budget': 'Presupuesto',
+        'Accounts': 'Cuentas',
+        'Reports': 'Informes',
+        'Monthly Summary': 'Resumen mensual',
+        'Category Analysis': 'Análisis por categoría',
+        'Import': 'Importar',
+        'Export': 'Exportar',
+        'Total Income': 'Ingresos totales',
+        'This month': 'Este mes',
+        'Total Expenses': 'Gastos totales',
+        'Current Balance': 'Saldo actual',
+        'Updated just now': 'Actualizado ahora mismo',
+        'Recent Transactions': 'Transacciones recientes',
+        'Date': 'Fecha',
+        'Description': 'Descripción',
+        'Category': 'Categoría',
+        'Amount': 'Importe',
+        'Type': 'Tipo',
+        'Quick Actions': 'Acciones rápidas',
+        'Add Income': 'Añadir ingreso',
+        'Add Expense': 'Añadir gasto',
+        'View Reports': 'Ver informes',
+        'Set Budget': 'Fijar presupuesto',
+        'Monthly Spending by Category': 'Gasto mensual por categoría',
+        'Add New Transaction': 'Nueva transacción',
+        'Transaction Type': 'Tipo de transacción',
+        'Select type': 'Selecciona el tipo',
+        'Income': 'Ingreso',
+        'Expense': 'Gasto',
+        'Transfer': 'Transferencia',
+        'Select category': 'Selecciona una categoría',
+        'Account': 'Cuenta',
+        'No account': 'Sin cuenta',
+        'To Account': 'A la cuenta',
+        'Apply Changes To': 'Aplicar cambios a',
+        'This occurrence only': 'Solo esta repetición',
+        'This and all future occurrences': 'Esta y todas las repeticiones futuras',
+        'This is a recurring transaction': 'Es una transacción periódica',
+        'Frequency': 'Frecuencia',
+        'Weekly': 'Semanal',
+        'Bi-Weekly': 'Quincenal',
+        'Monthly': 'Mensual',
+        'Quarterly': 'Trimestral',
+        'Yearly': 'Anual',
+        'End Date (optional)': 'Fecha de fin (opcional)',
+        'Number of occurrences (optional)': 'Número de repeticiones (opcional)',
+        'Cancel': 'Cancelar',
+        'Save Transaction': 'Guardar transacción',
+        'All Transactions': 'Todas las transacciones',
+        'All Time': 'Todo el periodo',
+        'Current Month': 'Mes actual',
+        'All Types': 'Todos los tipos',
+        'Expenses': 'Gastos',
+        'Transfers': 'Transferencias',
+        'All Categories': 'Todas las categorías',
+        'Actions': 'Acciones',
+        'Monthly Budget': 'Presupuesto mensual',
+        'Set Budget Limits': 'Fijar límites de presupuesto',
+        'Monthly Limit': 'Límite mensual',
+        'Budget Summary': 'Resumen del presupuesto',
+        'Spent': 'Gastado',
+        'Remaining': 'Restante',
+        'Budget vs Actual Spending': 'Presupuesto frente a gasto real',
+        'Add Account': 'Añadir cuenta',
+        'Name': 'Nombre',
+        'Checking': 'Cuenta corriente',
+        'Savings': 'Ahorros',
+        'Credit Card': 'Tarjeta de crédito',
+        'Cash': 'Efectivo',
+        'Currency': 'Moneda',
+        'Opening Balance': 'Saldo inicial',
+        'Use a negative amount for money owed, e.g. a credit card balance.': 'Usa un importe negativo para el dinero adeudado, p. ej. el saldo de una tarjeta de crédito.',
+        'Account Balances': 'Saldos de las cuentas',
+        'Balance': 'Saldo',
+        'Account Register': 'Movimientos de la cuenta',
+        'Net Savings': 'Ahorro neto',
+        'Income Breakdown': 'Desglose de ingresos',
+        'Expense Breakdown': 'Desglose de gastos',
+        'Monthly Transactions': 'Transacciones del mes',
+        'Last 3 Months': 'Últimos 3 meses',
+        'Last 6 Months': 'Últimos 6 meses',
+        'Last 12 Months': 'Últimos 12 meses',
+        'Category Distribution': 'Distribución por categoría',
+        'Top Categories': 'Categorías principales',
+        '% of Total': '% del total',
+        'Trend Over Time': 'Evolución en el tiempo',
+        'Export Data': 'Exportar datos',
+        'Format': 'Formato',
+        'CSV (Excel compatible)': 'CSV (compatible con Excel)',
+        'PDF (Print)': 'PDF (impresión)',
+        'QIF (Quicken, transactions only)': 'QIF (Quicken, solo transacciones)',
+        'Date Range': 'Periodo',
+        'Last Month': 'Mes anterior',
+        'Current Year': 'Año actual',
+        'All Data': 'Todos los datos',
+        'Custom Range': 'Periodo personalizado',
+        'Start Date': 'Fecha de inicio',
+        'End Date': 'Fecha de fin',
+        'Content': 'Contenido',
+        'Budgets': 'Presupuestos',
+        'Summary Reports': 'Informes resumidos',
+        'Import Bank Statement': 'Importar extracto bancario',
+        'Bank': 'Banco',
+        'The column mapping is remembered for each bank.': 'La asignación de columnas se recuerda para cada banco.',
+        'Statement File': 'Archivo del extracto',
+        'CSV, OFX, QFX or QIF': 'CSV, OFX, QFX o QIF',
+        'Into Account': 'En la cuenta',
+        'Preview': 'Vista previa',
+        'First row contains column names': 'La primera fila contiene los nombres de las columnas',
+        'Column Mapping': 'Asignación de columnas',
+        'Amount (signed)': 'Importe (con signo)',
+        'Debit (money out)': 'Débito (salidas)',
+        'Credit (money in)': 'Crédito (entradas)',
+        'Date Format': 'Formato de fecha',
+        'YYYY-MM-DD': 'AAAA-MM-DD',
+        'DD/MM/YYYY (or DD.MM.YYYY)': 'DD/MM/AAAA (o DD.MM.AAAA)',
+        'MM/DD/YYYY': 'MM/DD/AAAA',
+        'Decimal Separator': 'Separador decimal',
+        'Point (1,234.56)': 'Punto (1,234.56)',
+        'Comma (1.234,56)': 'Coma (1.234,56)',
+        'Close': 'Cerrar',
+        'Settings': 'Configuración',
+        'Categories': 'Categorías',
+        'Notifications': 'Notificaciones',
+        'Exchange Rates': 'Tipos de cambio',
+        'Backup': 'Copia de seguridad',
+        'Base Currency': 'Moneda base',
+        'Budgets, totals and reports are shown in this currency.': 'Los presupuestos, totales e informes se muestran en esta moneda.',
+        'First Day of Week': 'Primer día de la semana',
+        'Sunday': 'Domingo',
+        'Monday': 'Lunes',
+        'Saturday': 'Sábado',
+        'Dark Mode': 'Modo oscuro',
+        'Income Categories': 'Categorías de ingresos',
+        'Add': 'Añadir',
+        'Expense Categories': 'Categorías de gastos',
+        'Enable Notifications': 'Activar notificaciones',
+        'Daily Reminder Time': 'Hora del recordatorio diario',
+        'Budget Limit Alerts': 'Avisos de límite de presupuesto',
+        'Large Expense Alerts': 'Avisos de gastos grandes',
+        'Large Expense Threshold': 'Umbral de gasto grande',
+        '1 unit of': '1 unidad de',
+        'Is worth': 'Equivale a',
+        'Of': 'De',
+        'Import Rates': 'Importar tipos',
+        'A CSV file with date (YYYY-MM-DD), from, to and rate columns; leave out "to" for rates into the base currency.': 'Un archivo CSV con las columnas fecha (AAAA-MM-DD), origen, destino y tipo; omite el destino para tipos hacia la moneda base.',
+        'Rate': 'Tipo',
+        'Restore from Backup': 'Restaurar copia de seguridad',
+        'Use a file created with Export, format JSON, content All Data.': 'Usa un archivo creado con Exportar, formato JSON, contenido Todos los datos.',
+        'Merge into current data': 'Combinar con los datos actuales',
+        'Replace all current data': 'Reemplazar todos los datos actuales',
+        'Restore': 'Restaurar',
+        'Save Settings': 'Guardar configuración',
+        'Optional description': 'Descripción opcional',
+        'Leave blank for indefinite': 'Déjalo en blanco para que no termine',
+        'e.g. Main Checking': 'p. ej. Cuenta principal',
+        'e.g. My Bank': 'p. ej. Mi banco',
+        'New income category': 'Nueva categoría de ingresos',
+        'New expense category': 'Nueva categoría de gastos',
+        'Language & Region': 'Idioma y región',
+        'Dates, numbers and amounts are formatted for this locale.': 'Las fechas, números e importes se formatean según esta configuración regional.',
+        'IndexedDB is not available': 'IndexedDB no está disponible',
+        'Your browser does not allow this app to save data. Changes will be lost when the page is closed.': 'Tu navegador no permite que esta aplicación guarde datos. Los cambios se perderán al cerrar la página.',
+        'This data was saved by a newer version of Finance Planner (schema {version}, this app supports {supported}). Please update the app.': 'Estos datos se guardaron con una versión más reciente del Planificador financiero (esquema {version}, esta aplicación admite {supported}). Actualiza la aplicación.',
+        'Storage is full, so recent changes were not saved. Export a backup and delete old data to free up space.': 'El almacenamiento está lleno y no se guardaron los cambios recientes. Exporta una copia de seguridad y elimina datos antiguos para liberar espacio.',
+        'Recent changes could not be saved: {error}': 'No se pudieron guardar los cambios recientes: {error}',
+        'unknown error': 'error desconocido',
+        'Large expense recorded: {amount} for {category}': 'Gasto grande registrado: {amount} en {category}',
+        'Budget exceeded for {category}! You\'ve spent {spent} of your {budget} budget.': '¡Presupuesto superado en {category}! Has gastado {spent} de tu presupuesto de {budget}.',
+        'Approaching budget limit for {category}. You\'ve spent {spent} of your {budget} budget.': 'Te acercas al límite del presupuesto de {category}. Has gastado {spent} de tu presupuesto de {budget}.',
+        'Unsupported export format: {format}': 'Formato de exportación no admitido: {format}',
+        'QIF export only supports transactions': 'La exportación QIF solo admite transacciones',
+        'Finance Planner Export - {content}': 'Exportación del Planificador financiero - {content}',
+        'Generated on {date}': 'Generado el {date}',
+        'No data to export': 'No hay datos para exportar',
+        'Not an OFX/QFX file': 'No es un archivo OFX/QFX',
+        'The file does not contain a backup object': 'El archivo no contiene una copia de seguridad',
+        'The backup must contain transactions, budgets and settings': 'La copia de seguridad debe contener transacciones, presupuestos y configuración',
+        'The backup accounts must be a list': 'Las cuentas de la copia de seguridad deben ser una lista',
+        'The backup exchange rates must be a list': 'Los tipos de cambio de la copia de seguridad deben ser una lista',
+        'Transaction {number} in the backup is invalid': 'La transacción {number} de la copia de seguridad no es válida',
+        'Budget {number} in the backup is invalid': 'El presupuesto {number} de la copia de seguridad no es válido',
+        'Exchange rate {number} in the backup is invalid': 'El tipo de cambio {number} de la copia de seguridad no es válido',
+        'The backup setting "{key}" must be a list': 'El ajuste "{key}" de la copia de seguridad debe ser una lista',
+        'The backup is in {currency}; replace the current data to restore it': 'La copia de seguridad está en {currency}; reemplaza los datos actuales para restaurarla',
+        '{count} recurring transaction(s) added': '{count} transacción(es) periódica(s) añadida(s)',
+        'No exchange rate for {currencies}, so those amounts are left out of totals, budgets, envelopes, goals and the forecast. Add rates under Settings → Exchange Rates.': 'No hay tipo de cambio para {currencies}, así que esos importes no se incluyen en los totales, presupuestos, sobres, metas ni en la previsión. Añade tipos en Configuración → Tipos de cambio.',
+        'Please fill in all required fields with valid values.': 'Rellena todos los campos obligatorios con valores válidos.',
+        'Please select two different accounts for the transfer.': 'Selecciona dos cuentas distintas para la transferencia.',
+        'No transactions found': 'No se encontraron transacciones',
+        'Transaction updated successfully': 'Transacción actualizada',
+        'Failed to update transaction': 'No se pudo actualizar la transacción',
+        'Are you sure you want to delete this transaction?': '¿Seguro que quieres eliminar esta transacción?',
+        'Transaction deleted successfully': 'Transacción eliminada',
+        'Failed to delete transaction': 'No se pudo eliminar la transacción',
+        'Please select a category and enter a valid amount.': 'Selecciona una categoría e introduce un importe válido.',
+        'Budget set for {category}': 'Presupuesto fijado para {category}',
+        'No budgets set': 'No hay presupuestos',
+        'Please enter an account name and a valid opening balance.': 'Introduce un nombre de cuenta y un saldo inicial válido.',
+        'An account named "{name}" already exists.': 'Ya existe una cuenta llamada "{name}".',
+        'Account "{name}" added': 'Cuenta "{name}" añadida',
+        'No accounts added': 'No hay cuentas',
+        'No transactions for this account': 'No hay transacciones en esta cuenta',
+        'Are you sure you want to delete the "{name}" account?': '¿Seguro que quieres eliminar la cuenta "{name}"?',
+        'Account deleted successfully': 'Cuenta eliminada',
+        'Cannot delete "{name}" while transactions still use it': 'No se puede eliminar "{name}" mientras haya transacciones que la usen',
+        'Income by Category': 'Ingresos por categoría',
+        'Expenses by Category': 'Gastos por categoría',
+        '{category} Trend Over Time': 'Evolución de {category}',
+        'Please select both start and end dates for custom range.': 'Selecciona las fechas de inicio y fin del periodo personalizado.',
+        'Export completed successfully': 'Exportación completada',
+        'Export failed: {error}': 'Error al exportar: {error}',
+        'Could not read statement: {error}': 'No se pudo leer el extracto: {error}',
+        'The selected file contains no rows': 'El archivo seleccionado no contiene filas',
+        'Please map the date column and either the amount or the debit/credit columns.': 'Asigna la columna de fecha y la de importe o las de débito/crédito.',
+        'Found {count} QIF transaction(s). Split transactions keep their split lines and already recorded transactions are skipped.': 'Se encontraron {count} transacción(es) QIF. Las transacciones desglosadas conservan sus líneas y se omiten las ya registradas.',
+        'Found {count} transaction(s).': 'Se encontraron {count} transacción(es).',
+        'Account ending {digits}.': 'Cuenta terminada en {digits}.',
+        'Dates from {from} to {to}.': 'Fechas del {from} al {to}.',
+        'Transactions imported before are skipped.': 'Se omiten las transacciones ya importadas.',
+        'Not mapped': 'Sin asignar',
+        'Column {number}': 'Columna {number}',
+        'Imported {imported} transaction(s), skipped {skipped}.': '{imported} transacción(es) importada(s), {skipped} omitida(s).',
+        'Row': 'Fila',
+        'Reason': 'Motivo',
+        'Income category added': 'Categoría de ingresos añadida',
+        'Expense category added': 'Categoría de gastos añadida',
+        'Settings saved successfully': 'Configuración guardada',
+        'Please enter a date, two different currencies and a positive rate.': 'Introduce una fecha, dos monedas distintas y un tipo positivo.',
+        'Exchange rate saved': 'Tipo de cambio guardado',
+        'Imported {count} exchange rates': '{count} tipos de cambio importados',
+        'row {row}: {reason}': 'fila {row}: {reason}',
+        '{count} rows skipped: {reasons}': '{count} filas omitidas: {reasons}',
+        'No exchange rates added': 'No hay tipos de cambio',
+        'Replace all current transactions, budgets, accounts and settings with the backup?': '¿Reemplazar todas las transacciones, presupuestos, cuentas y configuración actuales por la copia de seguridad?',
+        'Backup restored': 'Copia de seguridad restaurada',
+        'Backup merged': 'Copia de seguridad combinada',
+        'New': 'Nuevos',
+        'Changed': 'Modificados',
+        'Conflicting': 'En conflicto',
+        'Unchanged': 'Sin cambios',
+        'Exchange rates': 'Tipos de cambio',
+        'Conflicting transactions match one you already recorded separately and are skipped when merging.': 'Las transacciones en conflicto coinciden con otra que ya registraste por separado y se omiten al combinar.',
+        'Are you sure you want to delete the "{category}" income category?': '¿Seguro que quieres eliminar la categoría de ingresos "{category}"?',
+        'Are you sure you want to delete the "{category}" expense category?': '¿Seguro que quieres eliminar la categoría de gastos "{category}"?',
+        'Category deleted': 'Categoría eliminada',
+        'No exchange rate': 'Sin tipo de cambio',
+        'Recurring': 'Periódica',
+        'Would you like to load sample data to get started?': '¿Quieres cargar datos de ejemplo para empezar?',
+        'Sample data loaded successfully': 'Datos de ejemplo cargados',
+        'Please select an export format (PNG/JPEG/PDF)!': '¡Selecciona un formato de exportación (PNG/JPEG/PDF)!',
+        'Please select a category to export!': '¡Selecciona una categoría para exportar!',
+        'Invalid or missing date': 'Fecha no válida o ausente',
+        'Invalid or missing amount': 'Importe no válido o ausente',
+        'Already recorded': 'Ya registrada',
+        'Already imported': 'Ya importada',
+        'Invalid currencies': 'Monedas no válidas',
+        'Invalid or missing rate': 'Tipo no válido o ausente',
+        'From Account': 'Desde la cuenta',
+        'Update Transaction': 'Actualizar transacción',
+        'Successfully added income of {amount}': 'Ingreso de {amount} añadido',
+        'Successfully added expense of {amount}': 'Gasto de {amount} añadido',
+        'Successfully added transfer of {amount}': 'Transferencia de {amount} añadida',
+        'Split across categories': 'Dividir entre categorías',
+        'Split Lines': 'Líneas de la división',
+        'Add Line': 'Añadir línea',
+        'Remove line': 'Quitar línea',
+        'Remaining to assign: {amount}': 'Pendiente de asignar: {amount}',
+        'Each split line needs a category and an amount, and the lines must add up to the total.': 'Cada línea necesita una categoría y un importe, y las líneas deben sumar el total.',
+        'Payee': 'Beneficiario',
+        'Tags': 'Etiquetas',
+        'e.g. #vacation-2026 #reimbursable': 'p. ej. #vacaciones-2026 #reembolsable',
+        'All Payees': 'Todos los beneficiarios',
+        'All Tags': 'Todas las etiquetas',
+        'By Category': 'Por categoría',
+        'By Payee': 'Por beneficiario',
+        'By Tag': 'Por etiqueta',
+        'Tag': 'Etiqueta',
+        'Untagged': 'Sin etiqueta',
+        'No payee': 'Sin beneficiario',
+        'Income by Payee': 'Ingresos por beneficiario',
+        'Income by Tag': 'Ingresos por etiqueta',
+        'Expenses by Payee': 'Gastos por beneficiario',
+        'Expenses by Tag': 'Gastos por etiqueta',
+        'Search, e.g. coffee amount>20 category:Food,Rent -tag:reimbursable': 'Buscar, p. ej. café amount>20 category:Comida,Alquiler -tag:reembolsable',
+        'Search transactions': 'Buscar transacciones',
+        'Save Search': 'Guardar búsqueda',
+        'Text matches the description and payee. Filters: amount>100, amount:10..50, date:2026-01..2026-03, category:Food,Rent, payee:"Corner Shop", tag:vacation-2026, type:expense, account:Main, currency:EUR. Put - in front of a term to exclude it.': 'El texto busca en la descripción y el beneficiario. Filtros: amount>100, amount:10..50, date:2026-01..2026-03, category:Comida,Alquiler, payee:"Tienda de la esquina", tag:vacaciones-2026, type:expense, account:Principal, currency:EUR. Pon - delante de un término para excluirlo.',
+        'Saved searches': 'Búsquedas guardadas',
+        'Delete saved search': 'Eliminar búsqueda guardada',
+        '"{field}" can only be matched with ":"': '"{field}" solo se puede buscar con ":"',
+        'Invalid amount in search: {value}': 'Importe no válido en la búsqueda: {value}',
+        'Invalid date in search: {value}': 'Fecha no válida en la búsqueda: {value}',
+        'Enter a search to save.': 'Escribe una búsqueda para guardarla.',
+        'Name this search:': 'Nombre de la búsqueda:',
+        'Search "{name}" saved': 'Búsqueda "{name}" guardada',
+        'Delete the saved search "{name}"?': '¿Eliminar la búsqueda guardada "{name}"?',
+        'Leave empty to let your rules choose.': 'Déjalo vacío para que lo elijan tus reglas.',
+        'Rules': 'Reglas',
+        'Rules fill in the category, payee and tags of new and imported transactions that match. They run from top to bottom: the first matching rule sets the category and payee, and every matching rule adds its tags.': 'Las reglas completan la categoría, el beneficiario y las etiquetas de las transacciones nuevas e importadas que coinciden. Se aplican de arriba abajo: la primera regla que coincide fija la categoría y el beneficiario, y cada regla que coincide añade sus etiquetas.',
+        'On': 'Activa',
+        'When': 'Cuando',
+        'Then': 'Entonces',
+        'New Rule': 'Nueva regla',
+        'Edit Rule': 'Editar regla',
+        'Description or payee': 'Descripción o beneficiario',
+        'Match': 'Coincidencia',
+        'contains': 'contiene',
+        'matches regex': 'coincide con la expresión regular',
+        'Text': 'Texto',
+        'e.g. Corner Shop': 'p. ej. Tienda de la esquina',
+        'Amount from': 'Importe desde',
+        'Amount to': 'Importe hasta',
+        'Set category': 'Asignar categoría',
+        'Set payee': 'Asignar beneficiario',
+        'Add tags': 'Añadir etiquetas',
+        'e.g. groceries, weekly': 'p. ej. supermercado, semanal',
+        'Add Rule': 'Añadir regla',
+        'Save Rule': 'Guardar regla',
+        'Re-apply Rules to Existing Transactions': 'Volver a aplicar las reglas a las transacciones existentes',
+        'Shows what would change first. Re-applied rules replace the category and payee of every matching transaction.': 'Primero muestra qué cambiaría. Al volver a aplicarlas, las reglas sustituyen la categoría y el beneficiario de cada transacción que coincide.',
+        'Changes': 'Cambios',
+        'A rule needs at least one condition': 'Una regla necesita al menos una condición',
+        'A rule needs at least one action': 'Una regla necesita al menos una acción',
+        'Invalid regular expression: {pattern}': 'Expresión regular no válida: {pattern}',
+        'Rule added': 'Regla añadida',
+        'Rule saved': 'Regla guardada',
+        'Delete this rule?': '¿Eliminar esta regla?',
+        'The rules would not change any transactions': 'Las reglas no cambiarían ninguna transacción',
+        'Updated {count} transactions': '{count} transacciones actualizadas',
+        'Any account': 'Cualquier cuenta',
+        'Keep category': 'Mantener la categoría',
+        'No rules added': 'No hay reglas',
+        '{field} matches /{pattern}/': '{field} coincide con /{pattern}/',
+        '{field} contains "{pattern}"': '{field} contiene "{pattern}"',
+        'Amount {min} to {max}': 'Importe de {min} a {max}',
+        'Amount at least {amount}': 'Importe de al menos {amount}',
+        'Amount at most {amount}': 'Importe de como máximo {amount}',
+        'Account is {account}': 'La cuenta es {account}',
+        'Category: {category}': 'Categoría: {category}',
+        'Payee: {payee}': 'Beneficiario: {payee}',
+        'Tags: {tags}': 'Etiquetas: {tags}',
+        'Enabled': 'Activada',
+        'Move up': 'Subir',
+        'Move down': 'Bajar',
+        'Edit': 'Editar',
+        'Delete': 'Eliminar',
+        'Apply {count} Changes': 'Aplicar {count} cambios',
+        'Limit per Period': 'Límite por periodo',
+        'Period': 'Periodo',
+        'Custom Dates': 'Fechas personalizadas',
+        'Roll over unspent or overspent amounts into the next period': 'Trasladar lo no gastado o lo gastado de más al siguiente periodo',
+        'Roll Over Since': 'Trasladar desde',
+        'Carried Over': 'Trasladado',
+        'Available': 'Disponible',
+        'Budget + Carried Over': 'Presupuesto + trasladado',
+        'A custom budget period needs a start date on or before its end date': 'Un periodo de presupuesto personalizado necesita una fecha de inicio anterior o igual a su fecha de fin',
+        'Month': 'Mes',
+        'Copy Previous Month': 'Copiar el mes anterior',
+        'Templates': 'Plantillas',
+        'Apply': 'Aplicar',
+        'Save as Template': 'Guardar como plantilla',
+        'Delete template': 'Eliminar plantilla',
+        'Choose a template': 'Elige una plantilla',
+        'Applies from {month} until you change it.': 'Se aplica desde {month} hasta que lo cambies.',
+        'Stop this budget from this month on': 'Terminar este presupuesto a partir de este mes',
+        'There are no budgets in {previous} to copy.': 'No hay presupuestos en {previous} para copiar.',
+        'Replace the budgets of {month} with those of {previous}?': '¿Sustituir los presupuestos de {month} por los de {previous}?',
+        'Copied {count} budgets from {previous}': '{count} presupuestos copiados de {previous}',
+        'There are no budgets in {month} to save.': 'No hay presupuestos en {month} para guardar.',
+        'Name this template:': 'Nombre de la plantilla:',
+        'Template "{name}" saved': 'Plantilla "{name}" guardada',
+        'Choose a template to apply.': 'Elige una plantilla para aplicarla.',
+        'Replace the budgets of {month} with the "{name}" template?': '¿Sustituir los presupuestos de {month} por la plantilla "{name}"?',
+        'Template "{name}" applied to {month}': 'Plantilla "{name}" aplicada a {month}',
+        'Delete the template "{name}"?': '¿Eliminar la plantilla "{name}"?',
+        'Stop the {category} budget from {month} on?': '¿Terminar el presupuesto de {category} a partir de {month}?',
+        'Envelope Budgeting': 'Presupuesto por sobres',
+        'Ready to Assign': 'Listo para asignar',
+        'From': 'Desde',
+        'To': 'Hacia',
+        'Move Money': 'Mover dinero',
+        'Income lands in Ready to Assign. Assign it by moving it into envelopes, and move money back to take it out again.': 'Los ingresos llegan a Listo para asignar. Asígnalos moviéndolos a los sobres y devuelve el dinero para retirarlo de nuevo.',
+        'Assigned': 'Asignado',
+        'Cover': 'Cubrir',
+        'Nothing assigned or spent this month': 'Nada asignado ni gastado este mes',
+        '{count} envelopes are overspent by {amount} in total. Cover them by moving money from another envelope.': '{count} sobres tienen un exceso de gasto de {amount} en total. Cúbrelos moviendo dinero de otro sobre.',
+        'Moved {amount} from {from} to {to}': 'Se movieron {amount} de {from} a {to}',
+        'Choose two different envelopes and a positive amount.': 'Elige dos sobres distintos y un importe positivo.',
+        'Only {amount} is available in {envelope}.': 'Solo hay {amount} disponible en {envelope}.',
+        'The {category} envelope is overspent by {amount}. Cover it with money from another envelope.': 'El sobre {category} tiene un exceso de gasto de {amount}. Cúbrelo con dinero de otro sobre.',
+        'The backup envelope assignments must be a list': 'Las asignaciones de sobres de la copia de seguridad deben ser una lista',
+        'Envelope assignment {number} in the backup is invalid': 'La asignación de sobre {number} de la copia de seguridad no es válida',
+        'Envelope assignments': 'Asignaciones de sobres',
+        'Goals': 'Metas',
+        'Savings Goals': 'Metas de ahorro',
+        'Add Goal': 'Añadir meta',
+        'Edit Goal': 'Editar meta',
+        'Save Goal': 'Guardar meta',
+        'Target Amount': 'Importe objetivo',
+        'Target Date': 'Fecha objetivo',
+        'Linked Account': 'Cuenta vinculada',
+        'Linked Category': 'Categoría vinculada',
+        'None': 'Ninguna',
+        'Add Contribution': 'Añadir aportación',
+        'Goal': 'Meta',
+        'Progress': 'Progreso',
+        'Monthly Needed': 'Necesario al mes',
+        'Reached': 'Alcanzada',
+        'Overdue': 'Vencida',
+        'On track': 'Al día',
+        'Behind': 'Atrasada',
+        'Savings goals': 'Metas de ahorro',
+        'Savings Goal Alerts': 'Alertas de metas de ahorro',
+        'e.g. Emergency Fund': 'p. ej. Fondo de emergencia',
+        'No savings goals yet': 'Aún no hay metas de ahorro',
+        'From the day the goal is added, money paid into its account or spent in its category counts towards it.': 'Desde el día en que se añade la meta, el dinero ingresado en su cuenta o gastado en su categoría cuenta para ella.',
+        'The contribution is recorded as a transaction: a transfer into the goal\'s account, or else an expense in its category.': 'La aportación se registra como una transacción: una transferencia a la cuenta de la meta o, si no, un gasto en su categoría.',
+        'Warns once a month about each goal that is behind schedule.': 'Avisa una vez al mes de cada meta que va atrasada.',
+        'Choose a goal and a positive amount.': 'Elige una meta y un importe positivo.',
+        'Choose the account the money comes from.': 'Elige la cuenta de la que sale el dinero.',
+        'No exchange rate from {from} to {to}': 'No hay tipo de cambio de {from} a {to}',
+        'Your "{name}" goal was due on {date} and is {amount} short.': 'Tu meta "{name}" vencía el {date} y le faltan {amount}.',
+        'Your "{name}" goal is falling behind: {saved} of {target} saved. Save {amount} a month to reach it by {date}.': 'Tu meta "{name}" va atrasada: {saved} de {target} ahorrados. Ahorra {amount} al mes para alcanzarla antes del {date}.',
+        'The backup savings goals must be a list': 'Las metas de ahorro de la copia de seguridad deben ser una lista',
+        'Savings goal {number} in the backup is invalid': 'La meta de ahorro {number} de la copia de seguridad no es válida',
+        'Please enter a goal name, a positive target amount and a target date.': 'Introduce un nombre de meta, un importe objetivo positivo y una fecha objetivo.',
+        'Goal "{name}" updated': 'Meta "{name}" actualizada',
+        'Goal "{name}" added': 'Meta "{name}" añadida',
+        'Added {amount} to "{name}"': 'Se añadieron {amount} a "{name}"',
+        'Delete the "{name}" goal? Its contributions are kept as transactions.': '¿Eliminar la meta "{name}"? Sus aportaciones se conservan como transacciones.',
+        '{saved} of {target}': '{saved} de {target}',
+        '{amount} a month until {date}': '{amount} al mes hasta el {date}',
+        'Debts': 'Deudas',
+        'Add Debt': 'Añadir deuda',
+        'Edit Debt': 'Editar deuda',
+        'Save Debt': 'Guardar deuda',
+        'Balance On': 'Saldo a fecha de',
+        'APR (%)': 'TAE (%)',
+        'APR': 'TAE',
+        'Due Day': 'Día de vencimiento',
+        'Minimum Payment': 'Pago mínimo',
+        'Payment Category': 'Categoría de pago',
+        'Balances and Payments': 'Saldos y pagos',
+        'Debt': 'Deuda',
+        'This Month': 'Este mes',
+        'Next Due': 'Próximo vencimiento',
+        'Payoff Plan': 'Plan de amortización',
+        'Strategy': 'Estrategia',
+        'Snowball (smallest balance first)': 'Bola de nieve (primero el saldo más pequeño)',
+        'Avalanche (highest APR first)': 'Avalancha (primero la TAE más alta)',
+        'Custom order': 'Orden personalizado',
+        'Extra Monthly Payment': 'Pago mensual adicional',
+        'Debt-Free By': 'Sin deudas en',
+        'Total Interest': 'Intereses totales',
+        'Payoff Order': 'Orden de amortización',
+        'Snowball': 'Bola de nieve',
+        'Avalanche': 'Avalancha',
+        'Paid off': 'Saldada',
+        'Paid': 'Pagado',
+        'Due': 'Pendiente',
+        'Late': 'Atrasado',
+        'No debts added': 'No hay deudas añadidas',
+        'e.g. Car Loan': 'p. ej. Préstamo del coche',
+        'Balance Left by Strategy': 'Saldo pendiente por estrategia',
+        'Payments are matched from the balance date on: money paid into the linked account, or expenses in the payment category. Charges to the linked account add to the balance.': 'Los pagos se cuentan desde la fecha del saldo: el dinero ingresado en la cuenta vinculada o los gastos en la categoría de pago. Los cargos en la cuenta vinculada aumentan el saldo.',
+        'Please enter a debt name, balance, APR, minimum payment and a due day between 1 and 31.': 'Introduce un nombre de deuda, saldo, TAE, pago mínimo y un día de vencimiento entre 1 y 31.',
+        'Debt "{name}" updated': 'Deuda "{name}" actualizada',
+        'Debt "{name}" added': 'Deuda "{name}" añadida',
+        'Delete the "{name}" debt? Its payments are kept as transactions.': '¿Eliminar la deuda "{name}"? Sus pagos se conservan como transacciones.',
+        'Minimum {amount} on day {day}': 'Mínimo {amount} el día {day}',
+        '{paid} paid, {interest} interest': '{paid} pagados, {interest} de intereses',
+        '{paid} of {minimum}': '{paid} de {minimum}',
+        '{count} months': '{count} meses',
+        'Never: the payments do not cover the interest': 'Nunca: los pagos no cubren los intereses',
+        '{strategy}: {interest} interest': '{strategy}: {interest} de intereses',
+        'The backup debts must be a list': 'Las deudas de la copia de seguridad deben ser una lista',
+        'Debt {number} in the backup is invalid': 'La deuda {number} de la copia de seguridad no es válida',
+        'Cash-Flow Forecast': 'Previsión de flujo de caja',
+        'Forecast period': 'Periodo de previsión',
+        'Next 3 Months': 'Próximos 3 meses',
+        'Next 6 Months': 'Próximos 6 meses',
+        'Next 12 Months': 'Próximos 12 meses',
+        'Starting Balance': 'Saldo inicial',
+        'Lowest Balance': 'Saldo más bajo',
+        'Projected Balance': 'Saldo previsto',
+        'Upcoming Transactions': 'Próximas transacciones',
+        'Source': 'Origen',
+        'What If': '¿Y si…?',
+        'Try out transactions that have not happened. They only change the forecast, are never saved, and are gone when the page is closed.': 'Prueba transacciones que no han ocurrido. Solo cambian la previsión, nunca se guardan y desaparecen al cerrar la página.',
+        'e.g. New laptop': 'p. ej. Portátil nuevo',
+        'Repeat': 'Repetir',
+        'Once': 'Una vez',
+        'Add What-If': 'Añadir supuesto',
+        'Clear All': 'Borrar todo',
+        'Average Monthly Spending': 'Gasto mensual medio',
+        'Income and spending outside recurring transactions, averaged over up to six complete months and spread evenly over each day.': 'Ingresos y gastos fuera de las transacciones recurrentes, promediados en hasta seis meses completos y repartidos por igual entre los días.',
+        'Scheduled': 'Programada',
+        'Debt payment': 'Pago de deuda',
+        'What if': 'Supuesto',
+        'Please enter a description, a positive amount and a date.': 'Introduce una descripción, un importe positivo y una fecha.',
+        'The balance would go below zero on {count} day(s), first on {date}, and reach its lowest of {amount} on {lowest}.': 'El saldo sería negativo durante {count} día(s), primero el {date}, y llegaría a su mínimo de {amount} el {lowest}.',
+        'Nothing scheduled in this period': 'No hay nada programado en este periodo',
+        'Remove': 'Quitar',
+        'Not enough history yet': 'Aún no hay suficiente historial',
+        'Net Worth': 'Patrimonio neto',
+        'Assets': 'Activos',
+        'Liabilities': 'Pasivos',
+        'Add Asset or Liability': 'Añadir activo o pasivo',
+        'e.g. Family Car': 'p. ej. Coche familiar',
+        'Kind': 'Clase',
+        'Asset': 'Activo',
+        'Liability': 'Pasivo',
+        'Value': 'Valor',
+        'Value On': 'Valorado el',
+        'Record Valuation': 'Registrar valoración',
+        'Asset or Liability': 'Activo o pasivo',
+        'Account balances, investment holdings and debts that are not paid through an account are included automatically.': 'Los saldos de las cuentas, las inversiones y las deudas que no se pagan mediante una cuenta se incluyen automáticamente.',
+        'Property': 'Inmueble',
+        'Vehicle': 'Vehículo',
+        'Investment': 'Inversión',
+        'Loan': 'Préstamo',
+        'Mortgage': 'Hipoteca',
+        'Other asset': 'Otro activo',
+        'Other liability': 'Otro pasivo',
+        'The backup assets and liabilities must be a list': 'Los activos y pasivos de la copia de seguridad deben ser una lista',
+        'Asset or liability {number} in the backup is invalid': 'El activo o pasivo {number} de la copia de seguridad no es válido',
+        'Assets and liabilities': 'Activos y pasivos',
+        'Please enter a name, a value and the date it was valued on.': 'Introduce un nombre, un valor y la fecha de la valoración.',
+        '"{name}" added': '"{name}" añadido',
+        'Valuation recorded': 'Valoración registrada',
+        'An asset or liability needs at least one valuation': 'Un activo o pasivo necesita al menos una valoración',
+        'Delete "{name}" and all its valuations?': '¿Eliminar "{name}" y todas sus valoraciones?',
+        'Valuations': 'Valoraciones',
+        'No assets or liabilities yet': 'Todavía no hay activos ni pasivos',
+        'Valued on {date}': 'Valorado el {date}',
+        'Delete valuation': 'Eliminar valoración',
+        'Net Worth Over Time': 'Evolución del patrimonio neto',
+        '{assets} owned, {liabilities} owed': '{assets} en propiedad, {liabilities} adeudado',
+        'Investments': 'Inversiones',
+        'Market Value': 'Valor de mercado',
+        'Cost Basis': 'Coste base',
+        'Unrealized Gain': 'Ganancia no realizada',
+        'Realized This Year': 'Realizado este año',
+        'Add Holding': 'Añadir posición',
+        'Symbol': 'Símbolo',
+        'e.g. VTI': 'p. ej. VTI',
+        'e.g. Total Stock Market ETF': 'p. ej. ETF del mercado total',
+        'Record Trade': 'Registrar operación',
+        'Holding': 'Posición',
+        'Buy': 'Compra',
+        'Sell': 'Venta',
+        'Quantity': 'Cantidad',
+        'Price per Unit': 'Precio por unidad',
+        'Fees': 'Comisiones',
+        'Sell From': 'Vender de',
+        'Record Price': 'Registrar precio',
+        'Import Prices': 'Importar precios',
+        'A CSV file with date (YYYY-MM-DD), symbol and price columns.': 'Un archivo CSV con columnas de fecha (AAAA-MM-DD), símbolo y precio.',
+        'Average Cost': 'Coste medio',
+        'Price': 'Precio',
+        'Realized Gains': 'Ganancias realizadas',
+        'Year': 'Año',
+        'Acquired': 'Adquirido',
+        'Sold': 'Vendido',
+        'Proceeds': 'Importe de venta',
+        'Gain': 'Ganancia',
+        'Term': 'Plazo',
+        'Total': 'Total',
+        'You already have a holding for {symbol}': 'Ya tienes una posición en {symbol}',
+        'Please enter a date, a positive quantity and a price.': 'Introduce una fecha, una cantidad positiva y un precio.',
+        'The quantities sold from each lot must add up to the quantity sold': 'Las cantidades vendidas de cada lote deben sumar la cantidad vendida',
+        'Only {quantity} {symbol} were held on {date}': 'Solo había {quantity} {symbol} el {date}',
+        'A lot of {symbol} sold on {date} does not hold enough': 'Un lote de {symbol} vendido el {date} no tiene suficiente cantidad',
+        'No holding with this symbol': 'No hay ninguna posición con este símbolo',
+        'Invalid or missing price': 'Precio no válido o ausente',
+        'The backup investment holdings must be a list': 'Las inversiones de la copia de seguridad deben ser una lista',
+        'Investment holding {number} in the backup is invalid': 'La inversión {number} de la copia de seguridad no es válida',
+        'Investment holdings': 'Inversiones',
+        'Buy recorded': 'Compra registrada',
+        'Sell recorded': 'Venta registrada',
+        'Please enter a date and a price.': 'Introduce una fecha y un precio.',
+        'Price recorded': 'Precio registrado',
+        'Imported {count} prices': 'Se importaron {count} precios',
+        'Delete this trade?': '¿Eliminar esta operación?',
+        'Delete "{name}" with all its trades and prices?': '¿Eliminar "{name}" con todas sus operaciones y precios?',
+        'Oldest lots first (FIFO)': 'Lotes más antiguos primero (FIFO)',
+        'Lot bought {date}: {quantity} left at {cost}': 'Lote comprado el {date}: quedan {quantity} a {cost}',
+        'Lots and trades': 'Lotes y operaciones',
+        'No holdings yet': 'Todavía no hay posiciones',
+        'Open Lots': 'Lotes abiertos',
+        '{quantity} costing {cost}': '{quantity} con un coste de {cost}',
+        'No open lots': 'No hay lotes abiertos',
+        'Trades': 'Operaciones',
+        '{quantity} at {price}': '{quantity} a {price}',
+        '+ {fees} fees': '+ {fees} de comisiones',
+        'Delete trade': 'Eliminar operación',
+        'No trades yet': 'Todavía no hay operaciones',
+        'No sells in {year}': 'No hay ventas en {year}',
+        'Long term': 'Largo plazo',
+        'Short term': 'Corto plazo',
+        '{short} short term, {long} long term': '{short} a corto plazo, {long} a largo plazo',
+        'Log your spending': 'Registra tus gastos',
+        'Take a minute to add today\'s spending.': 'Tómate un minuto para añadir los gastos de hoy.',
+        'The reminder for {date} was missed while the app was closed. Take a minute to add that day\'s spending.': 'El recordatorio del {date} no se mostró porque la aplicación estaba cerrada. Tómate un minuto para añadir los gastos de ese día.',
+        'Upcoming bills': 'Próximas facturas',
+        '{description}: {amount} on {date}': '{description}: {amount} el {date}',
+        'A reminder to log the day\'s spending. It shows as a browser notification when the browser allows it, and in the app otherwise.': 'Un recordatorio para registrar los gastos del día. Aparece como notificación del navegador cuando este lo permite y, si no, dentro de la aplicación.',
+        'Upcoming Bill Reminders': 'Recordatorios de próximas facturas',
+        'Remind Me This Many Days Ahead': 'Avisarme con estos días de antelación',
+        'Mark all as read': 'Marcar todo como leído',
+        'Clear': 'Borrar',
+        'Pop up alerts for': 'Mostrar avisos de',
+        'Large expenses': 'Gastos elevados',
+        'Reminders': 'Recordatorios',
+        'No notifications': 'No hay notificaciones',
+        'Unread': 'Sin leer',
+        'View Forecast': 'Ver previsión',
+        'This is the only transaction of its recurring series so far, so deleting it also stops the series. Delete it?': 'Esta es por ahora la única transacción de su serie recurrente, así que al eliminarla también se detiene la serie. ¿Eliminarla?',
+        'In Accounts': 'En cuentas',
+        'Across {count} account(s)': 'En {count} cuenta(s)',
+        'Category rule {number} in the backup is invalid': 'La regla de categoría {number} de la copia de seguridad no es válida',
+        'Only {amount} is available in {envelope}, as {month} already assigned the rest.': 'Solo hay {amount} disponible en {envelope}, porque {month} ya asignó el resto.',
+        'Changed records differ between the backup and the current data. Merging keeps the current version unless you choose the backup\'s below.': 'Los registros modificados difieren entre la copia de seguridad y los datos actuales. Al combinar se conserva la versión actual, salvo que elijas abajo la de la copia.',
+        'Use the backup\'s version of changed records': 'Usar la versión de la copia para los registros modificados',
+        '{count} large expenses were recorded at once. Check them in the transactions list.': 'Se registraron {count} gastos grandes a la vez. Revísalos en la lista de transacciones.',
+        'Invalid backup: {error}': 'Copia de seguridad no válida: {error}'
+    }
+};